@@ -1,56 +1,283 @@
+import crypto from 'crypto';
 import express from 'express';
 import cors from 'cors';
-import admin from 'firebase-admin';
 import jwt from 'jsonwebtoken';
-import dotenv from 'dotenv';
+import swaggerUiPath from 'swagger-ui-dist/absolute-path.js';
 import { config } from '../config.js';
-
-dotenv.config();
+import { db } from '../lib/db.js';
+import { generateTempPassword, hashPassword, verifyPassword } from '../lib/passwords.js';
+import { clearFailures, encodeKey, lockRemaining, recordFailure, throttleKeys } from '../lib/loginThrottle.js';
+import { consumeOtpRequest, consumeResetToken, issueOtp, verifyOtp } from '../lib/otp.js';
+import { sendMessage } from '../lib/transports.js';
+import { idempotency } from '../lib/idempotency.js';
+import { publishAttendance, publishTicket, subscribe } from '../lib/events.js';
+import { auditTrail, noteAudit, queryAudit } from '../lib/audit.js';
+import {
+  createSession,
+  isSessionActive,
+  revokeByRefreshToken,
+  revokeSession,
+  revokeUserSessions,
+  rotateSession
+} from '../lib/sessions.js';
+import {
+  ALL_ROLES,
+  ROLES,
+  canAccessAttendance,
+  canViewTicket,
+  filterTicketsFor,
+  requireAdminPermission,
+  requireRole
+} from '../lib/authorization.js';
+import { allowedTransitions, applyTransition, fieldWriteError, stripProtectedFields } from '../lib/ticketStateMachine.js';
+import { compileValidator, partialSchema, validateBody, withOptional } from '../lib/validation.js';
+import { claimId, ID_TYPES, nextId } from '../lib/ids.js';
+import { etagOf, ifMatch, isStale, sendConflict, stamp } from '../lib/versioning.js';
+import { listRecords, wantsPage, withKeys } from '../lib/listing.js';
+import { buildOpenApiDocument } from '../lib/openapi.js';
+import { contract } from '../lib/contract.js';
+import { deprecated } from '../lib/deprecation.js';
+import {
+  ATTACHMENT_FIELD,
+  checkFiles,
+  foreignAttachmentIds,
+  getAttachment,
+  getAttachmentContent,
+  readUpload,
+  removeAttachment,
+  storeAttachments
+} from '../lib/attachments.js';
+import {
+  attendanceSchema,
+  callGroupSchema,
+  companySchema,
+  customerSchema,
+  employeeSchema,
+  feedbackSchema,
+  managerSchema,
+  notificationTemplateSchema,
+  slaCalendarSchema,
+  slaPolicySchema,
+  ticketSchema
+} from '../lib/schemas.js';
+import {
+  NOTIFICATION_EVENTS,
+  PLACEHOLDERS,
+  deliverTicketEvent,
+  loadTemplates,
+  notifyTicketChange,
+  unknownPlaceholders
+} from '../lib/notifications.js';
+import { listOptOuts, optIn, optOut, replyIntent } from '../lib/optOuts.js';
+import { markRead, notifyHandoffs, readInbox } from '../lib/inbox.js';
+import { listFollowUps, startFollowUpScheduler } from '../lib/followUps.js';
+import { isTimeZone, loadSlaSettings, recalculateSla, slaReport, withSla } from '../lib/sla.js';
+import '../lib/smtp.js';
+import '../lib/phoneProviders.js';
 
 const app = express();
 
+// Every route below is registered on `api`, which is mounted under
+// /api/<config.api.version> and, for clients built before versioning, /api.
+const api = express.Router();
+
 // Middleware
+app.set('trust proxy', config.trustProxy);
 app.use(cors(config.cors));
-app.use(express.json());
+// The raw body is kept for checking webhook signatures (/messaging/inbound)
+app.use(express.json({ verify: (req, res, buf) => { req.rawBody = buf; } }));
+
+// Writes carrying an Idempotency-Key are applied once per signed-in user;
+// requests without a valid token pass through and are rejected by verifyToken.
+app.use('/api', idempotency(db, (req) => {
+  try {
+    return jwt.verify(req.headers.authorization?.split(' ')[1], process.env.JWT_SECRET).uid || null;
+  } catch (error) {
+    return null;
+  }
+}));
+
+// Every successful write is recorded in the audit log (replays answered by
+// the idempotency layer above never get here)
+app.use('/api', auditTrail(db));
+
+// ========== VERIFY TOKEN MIDDLEWARE ==========
+const verifyToken = async (req, res, next) => {
+  const token = req.headers.authorization?.split(' ')[1];
+  if (!token) {
+    return res.status(401).json({ error: 'No token provided' });
+  }
+
+  let decoded;
+  try {
+    decoded = jwt.verify(token, process.env.JWT_SECRET);
+  } catch (error) {
+    return res.status(401).json({ error: 'Invalid token' });
+  }
+
+  try {
+    // Logout and admin sign-out revoke the session, not the token itself
+    if (!(await isSessionActive(db, decoded.sid))) {
+      return res.status(401).json({ error: 'Session expired' });
+    }
+    // Signed in with an admin-issued temporary password: nothing else is
+    // allowed until it has been replaced
+    if (decoded.mustChangePassword && req.path !== '/auth/password/change') {
+      return res.status(403).json({ error: 'Password change required', code: 'PASSWORD_CHANGE_REQUIRED' });
+    }
+    req.user = decoded;
+    next();
+  } catch (error) {
+    console.error('Session check error:', error);
+    res.status(500).json({ error: 'Session check failed' });
+  }
+};
+
+// ========== LIST PARAMETERS ==========
+// What each list endpoint lets callers filter, range and sort on (see
+// lib/listing.js). Without any of these parameters the endpoints return
+// the whole visible list, which the frontend loads at login.
+const LIST_SPECS = {
+  tickets: {
+    filters: ['status', 'department', 'assignedEmployeeId', 'acceptedByManager', 'customerId', 'companyId', 'callType', 'paymentStatus', 'frontOfficeUser'],
+    dates: ['raisedDate', 'createdAt', 'completedDate', 'updatedAt'],
+    sortable: ['raisedDate', 'createdAt', 'updatedAt', 'completedDate', 'status', 'customerName', 'department'],
+    search: ['id', 'customerName', 'description', 'problemTitle', 'customerPhone'],
+    sort: '-createdAt'
+  },
+  customers: {
+    filters: ['type', 'companyId'],
+    dates: ['createdAt', 'updatedAt'],
+    sortable: ['name', 'companyName', 'createdAt', 'updatedAt'],
+    search: ['id', 'name', 'companyName', 'phone', 'email', 'contactPerson'],
+    sort: 'name'
+  },
+  companies: { filters: [], dates: ['createdAt'], sortable: ['name', 'createdAt'], search: ['id', 'name', 'phone', 'email'], sort: 'name' },
+  callGroups: { filters: ['callType', 'department'], sortable: ['name', 'callType'], search: ['id', 'name'], sort: 'name' },
+  managers: { filters: ['department'], sortable: ['name', 'createdAt'], search: ['id', 'name', 'email', 'username'], sort: 'name' },
+  employees: {
+    filters: ['department', 'managerId', 'role'],
+    dates: ['createdAt'],
+    sortable: ['name', 'department', 'createdAt'],
+    search: ['id', 'name', 'email', 'phone', 'username'],
+    sort: 'name'
+  },
+  attendance: { filters: ['employeeId', 'status', 'isHalfDay'], dates: ['date'], sortable: ['date', 'employeeId'], sort: '-date' },
+  feedbacks: { filters: ['ticketId', 'rating', 'recommendation'], dates: ['submittedAt'], sortable: ['submittedAt', 'rating'], sort: '-submittedAt' }
+};
 
-// Initialize Firebase Admin
-const serviceAccount = {
-  projectId: process.env.FIREBASE_PROJECT_ID,
-  privateKey: process.env.FIREBASE_PRIVATE_KEY.replace(/\\n/g, '\n'),
-  clientEmail: process.env.FIREBASE_CLIENT_EMAIL
+const sendList = (req, res, records, spec) => {
+  if (!wantsPage(req.query, spec)) return res.json(records);
+  const page = listRecords(records, req.query, spec);
+  if (page.error) {
+    return res.status(400).json({ error: page.error });
+  }
+  res.json(page);
 };
 
-admin.initializeApp({
-  credential: admin.credential.cert(serviceAccount),
-  databaseURL: process.env.FIREBASE_DATABASE_URL
+// ========== API CONTRACT ==========
+// OpenAPI description of every route (lib/openapi.js), enforced on requests
+// and responses by lib/contract.js and browsable at /api/v1/docs.
+const openApiDocument = buildOpenApiDocument(LIST_SPECS);
+
+api.use(contract(openApiDocument, { responses: config.openapi.validateResponses }));
+
+api.get('/openapi.json', (req, res) => {
+  res.json(openApiDocument);
 });
 
-const db = admin.database();
-const auth = admin.auth();
+const docsPage = (base) => `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <title>TERAIT API</title>
+  <link rel="stylesheet" href="${base}/docs/swagger-ui.css">
+</head>
+<body>
+  <div id="swagger-ui"></div>
+  <script src="${base}/docs/swagger-ui-bundle.js"></script>
+  <script>SwaggerUIBundle({ url: '${base}/openapi.json', dom_id: '#swagger-ui' });</script>
+</body>
+</html>`;
+
+api.get('/docs', (req, res) => {
+  res.type('html').send(docsPage(req.baseUrl));
+});
+api.use('/docs', express.static(swaggerUiPath(), { index: false }));
 
 // ========== HEALTH CHECK ==========
-app.get('/api/health', (req, res) => {
+api.get('/health', (req, res) => {
   res.json({ status: 'OK', message: 'Backend is running' });
 });
 
-// ========== SAVE DATA ENDPOINT (NEW - REQUIRED FOR FRONTEND) ==========
-app.post('/api/save', async (req, res) => {
+// ========== LIVE EVENTS ==========
+// Server-Sent Events stream of ticket and attendance changes, filtered per
+// subscriber (see lib/events.js).
+api.get('/events', verifyToken, requireRole(...ALL_ROLES), (req, res) => {
+  subscribe(req, res, () => isSessionActive(db, req.user.sid));
+});
+
+// ========== SAVE DATA ENDPOINT (DEPRECATED) ==========
+// Legacy generic writer, restricted to collections with a schema. Tickets,
+// managers and attendance must go through their own routes; the per-
+// collection routes below replace it.
+const SAVE_ALLOWLIST = {
+  customers: compileValidator(withOptional(customerSchema, 'id')),
+  companies: compileValidator(withOptional(companySchema, 'id')),
+  callGroups: compileValidator(withOptional(callGroupSchema, 'id')),
+  feedbacks: compileValidator(feedbackSchema)
+};
+// Records saved without an id get one minted here; feedbacks stay push-keyed
+const SAVE_ID_TYPES = { customers: 'customer', companies: 'company', callGroups: 'callGroup' };
+
+const saveSuccessor = (req) => (SAVE_ALLOWLIST[req.body?.path] ? `/${req.body.path}` : '');
+
+api.post('/save', deprecated(saveSuccessor), verifyToken, requireRole('admin', 'frontoffice', 'helpdesk', 'manager', 'finance'), requireAdminPermission('canEdit'), ifMatch(false), async (req, res) => {
   try {
     const { path, data } = req.body;
     
     if (!path || !data) {
       return res.status(400).json({ error: 'Path and data required' });
     }
+
+    const check = SAVE_ALLOWLIST[path];
+    if (!check) {
+      return res.status(403).json({ error: `Saving to ${path} is not allowed` });
+    }
+    const problems = check(data);
+    if (problems) {
+      return res.status(400).json({ error: 'Validation failed', details: problems });
+    }
     
-    console.log(`🔄 Saving data to Firebase path: ${path}`, data);
+    if (SAVE_ID_TYPES[path]) {
+      data.id = await recordId(SAVE_ID_TYPES[path], data.id);
+    }
+
+    console.log(`🔄 Saving data to Firebase path: ${path}`);
     
-    // Save to Firebase Realtime Database
-    await db.ref(path).push().set(data);
+    // Save to Firebase Realtime Database; overwriting keeps the version
+    // count going and honours If-Match when the caller sends one
+    const ref = data.id ? db.ref(`${path}/${data.id}`) : db.ref(path).push();
+    let conflict = null;
+    let previous = null;
+    const result = await ref.transaction(current => {
+      conflict = null;
+      previous = current;
+      if (isStale(current, req.expectedVersion)) {
+        conflict = current;
+        return;
+      }
+      return stamp({ ...data, version: current ? current.version : undefined }, req.user);
+    });
+    if (conflict) {
+      return sendConflict(res, conflict);
+    }
+    noteAudit(res, { action: `${path}.save`, entity: path, entityId: ref.key, before: previous, after: result.snapshot.val() });
     
     res.json({ 
       success: true, 
       message: `Data saved to ${path}`,
-      data: data 
+      data: result.snapshot.val() 
     });
   } catch (error) {
     console.error('Save error:', error);
@@ -58,119 +285,184 @@ app.post('/api/save', async (req, res) => {
   }
 });
 
-// ========== LOAD DATA ENDPOINTS (NEW - REQUIRED FOR FRONTEND) ==========
-app.get('/api/load/employees', async (req, res) => {
+// ========== LOAD DATA ENDPOINTS (DEPRECATED) ==========
+// Kept for clients built before versioning; each answers like the list
+// route named in its Link header, which is what new code should call.
+api.get('/load/employees', deprecated('/employees'), verifyToken, requireRole(...ALL_ROLES), async (req, res) => {
   try {
     const snapshot = await db.ref('employees').once('value');
-    const data = snapshot.val();
-    const employees = data ? Object.values(data) : [];
-    res.json(employees);
+    sendList(req, res, withKeys(snapshot.val()), LIST_SPECS.employees);
   } catch (error) {
     console.error('Load employees error:', error);
     res.status(500).json({ error: 'Failed to load employees' });
   }
 });
 
-app.get('/api/load/managers', async (req, res) => {
+api.get('/load/managers', deprecated('/managers'), verifyToken, requireRole(...ALL_ROLES), async (req, res) => {
   try {
     const snapshot = await db.ref('managers').once('value');
-    const data = snapshot.val();
-    const managers = data ? Object.values(data) : [];
-    res.json(managers);
+    sendList(req, res, withKeys(snapshot.val()), LIST_SPECS.managers);
   } catch (error) {
     console.error('Load managers error:', error);
     res.status(500).json({ error: 'Failed to load managers' });
   }
 });
 
-app.get('/api/load/tickets', async (req, res) => {
+api.get('/load/tickets', deprecated('/tickets'), verifyToken, requireRole(...ALL_ROLES), async (req, res) => {
   try {
     const snapshot = await db.ref('tickets').once('value');
-    const data = snapshot.val();
-    const tickets = data ? Object.values(data) : [];
-    res.json(tickets);
+    sendList(req, res, filterTicketsFor(req.user, withKeys(snapshot.val())), LIST_SPECS.tickets);
   } catch (error) {
     console.error('Load tickets error:', error);
     res.status(500).json({ error: 'Failed to load tickets' });
   }
 });
 
-app.get('/api/load/customers', async (req, res) => {
+api.get('/load/customers', deprecated('/customers'), verifyToken, requireRole(...ALL_ROLES), async (req, res) => {
   try {
     const snapshot = await db.ref('customers').once('value');
-    const data = snapshot.val();
-    const customers = data ? Object.values(data) : [];
-    res.json(customers);
+    sendList(req, res, withKeys(snapshot.val()), LIST_SPECS.customers);
   } catch (error) {
     console.error('Load customers error:', error);
     res.status(500).json({ error: 'Failed to load customers' });
   }
 });
 
-app.get('/api/load/companies', async (req, res) => {
+api.get('/load/companies', deprecated('/companies'), verifyToken, requireRole(...ALL_ROLES), async (req, res) => {
   try {
     const snapshot = await db.ref('companies').once('value');
-    const data = snapshot.val();
-    const companies = data ? Object.values(data) : [];
-    res.json(companies);
+    sendList(req, res, withKeys(snapshot.val()), LIST_SPECS.companies);
   } catch (error) {
     console.error('Load companies error:', error);
     res.status(500).json({ error: 'Failed to load companies' });
   }
 });
 
-app.get('/api/load/callGroups', async (req, res) => {
+api.get('/load/callGroups', deprecated('/callGroups'), verifyToken, requireRole(...ALL_ROLES), async (req, res) => {
   try {
     const snapshot = await db.ref('callGroups').once('value');
-    const data = snapshot.val();
-    const callGroups = data ? Object.values(data) : [];
-    res.json(callGroups);
+    sendList(req, res, withKeys(snapshot.val()), LIST_SPECS.callGroups);
   } catch (error) {
     console.error('Load callGroups error:', error);
     res.status(500).json({ error: 'Failed to load call groups' });
   }
 });
 
+// Flattens attendance/{employeeId}/{date}; admin and HR get everyone's,
+// other roles only their own. Also served as GET /attendance.
+const listAttendance = async (req, res) => {
+  try {
+    const snapshot = await db.ref('attendance').once('value');
+    const data = snapshot.val() || {};
+    const attendance = [];
+    Object.entries(data).forEach(([employeeId, days]) => {
+      if (!canAccessAttendance(req.user, employeeId)) return;
+      Object.entries(days || {}).forEach(([date, record]) => {
+        attendance.push({ ...record, employeeId, date });
+      });
+    });
+    sendList(req, res, attendance, LIST_SPECS.attendance);
+  } catch (error) {
+    console.error('Load attendance error:', error);
+    res.status(500).json({ error: 'Failed to load attendance' });
+  }
+};
+
+api.get('/load/attendance', deprecated('/attendance'), verifyToken, requireRole(...ALL_ROLES), listAttendance);
+
+// ========== TOKEN HELPERS ==========
+// Claims carry the app-level entity id (E001, M001, A001...) as `userId`,
+// plus `employeeId` for engineers, so the frontend can build currentUser
+// straight from the token. `uid` is the key of the users record.
+const tokenClaims = (uid, user) => {
+  const claims = {
+    uid,
+    userId: user.entityId || uid,
+    email: user.email,
+    username: user.username || null,
+    name: user.name,
+    role: user.role
+  };
+  if (user.role === 'employee') claims.employeeId = user.entityId || uid;
+  if (user.role === 'admin') claims.permissions = user.permissions || { canEdit: false, canDelete: false };
+  if (user.mustChangePassword) claims.mustChangePassword = true;
+  return claims;
+};
+
+const signAccessToken = (uid, user, sid) =>
+  jwt.sign({ ...tokenClaims(uid, user), sid }, process.env.JWT_SECRET, { expiresIn: config.jwt.expiresIn });
+
+const sessionMeta = (req) => ({ ip: req.ip, userAgent: req.get('user-agent') });
+
+// Users sign in with either their email or their username.
+const findUserByIdentifier = async (identifier) => {
+  const usersRef = db.ref('users');
+  for (const field of ['email', 'username']) {
+    const snapshot = await usersRef.orderByChild(field).equalTo(identifier).once('value');
+    if (snapshot.exists()) {
+      const data = snapshot.val();
+      const uid = Object.keys(data)[0];
+      return { uid, user: data[uid] };
+    }
+  }
+  return null;
+};
+
 // ========== LOGIN ENDPOINT ==========
-app.post('/api/login', async (req, res) => {
+api.post('/login', async (req, res) => {
   try {
-    const { email, password } = req.body;
-    if (!email || !password) {
-      return res.status(400).json({ error: 'Email and password required' });
+    const { password, role } = req.body;
+    const identifier = req.body.identifier || req.body.username || req.body.email;
+    if (!identifier || !password) {
+      return res.status(400).json({ error: 'Username/email and password required' });
+    }
+
+    const keys = throttleKeys(identifier, req.ip);
+    const lockedFor = await lockRemaining(db, keys);
+    if (lockedFor > 0) {
+      res.set('Retry-After', String(Math.ceil(lockedFor / 1000)));
+      return res.status(429).json({ error: 'Too many failed attempts. Try again later.' });
     }
 
     // Get user from database
-    const usersRef = db.ref('users');
-    const snapshot = await usersRef.orderByChild('email').equalTo(email).once('value');
-    if (!snapshot.exists()) {
+    const found = await findUserByIdentifier(identifier);
+    if (!found) {
+      await recordFailure(db, keys);
       return res.status(401).json({ error: 'Invalid credentials' });
     }
 
-    const userData = snapshot.val();
-    const userId = Object.keys(userData)[0];
-    const user = userData[userId];
+    const { uid: userId, user } = found;
 
-    // Basic password check (in production, use bcrypt)
-    if (user.password !== password) {
+    // Users not yet migrated still carry a plaintext `password`
+    const { valid, needsRehash } = await verifyPassword(password, user.passwordHash || user.password);
+    if (!valid || (role && user.role !== role)) {
+      await recordFailure(db, keys);
       return res.status(401).json({ error: 'Invalid credentials' });
     }
 
-    // Generate JWT token
-    const token = jwt.sign(
-      { userId, email: user.email, role: user.role },
-      process.env.JWT_SECRET,
-      { expiresIn: '24h' }
-    );
+    if (user.mustChangePassword) {
+      if (!user.tempPasswordExpiresAt || user.tempPasswordExpiresAt <= Date.now()) {
+        return res.status(401).json({ error: 'Temporary password has expired. Request a new password reset.' });
+      }
+      // One sign-in only; the session it opens is limited to changing it
+      await db.ref(`users/${userId}`).update({ tempPasswordExpiresAt: Date.now() });
+    }
+
+    await clearFailures(db, keys);
+    if (needsRehash) {
+      await db.ref(`users/${userId}`).update({ passwordHash: await hashPassword(password), password: null });
+    }
+
+    const claims = tokenClaims(userId, user);
+    const { sid, refreshToken } = await createSession(db, userId, claims.userId, sessionMeta(req));
+    const token = signAccessToken(userId, user, sid);
+    noteAudit(res, { action: 'auth.login', actor: claims.userId, actorName: claims.username, role: claims.role, entity: 'users', entityId: userId });
 
     res.json({
       success: true,
       token,
-      user: {
-        id: userId,
-        email: user.email,
-        name: user.name,
-        role: user.role
-      }
+      refreshToken,
+      user: claims
     });
   } catch (error) {
     console.error('Login error:', error);
@@ -178,13 +470,418 @@ app.post('/api/login', async (req, res) => {
   }
 });
 
+// ========== SESSION ENDPOINTS ==========
+// Exchanges a refresh token for a new access token and a new refresh token.
+// Claims are rebuilt from the users record so role/permission changes apply.
+api.post('/auth/refresh', async (req, res) => {
+  try {
+    const rotated = await rotateSession(db, req.body.refreshToken);
+    if (rotated.error) {
+      return res.status(401).json({ error: rotated.error });
+    }
+
+    const { sid, session, refreshToken } = rotated;
+    const snapshot = await db.ref(`users/${session.uid}`).once('value');
+    if (!snapshot.exists()) {
+      await revokeSession(db, sid, 'user-removed');
+      return res.status(401).json({ error: 'Session revoked' });
+    }
+    const user = snapshot.val();
+
+    res.json({
+      success: true,
+      token: signAccessToken(session.uid, user, sid),
+      refreshToken,
+      user: tokenClaims(session.uid, user)
+    });
+  } catch (error) {
+    console.error('Refresh error:', error);
+    res.status(500).json({ error: 'Token refresh failed' });
+  }
+});
+
+// Revokes the caller's session. Works with the refresh token or with an
+// access token that has already expired, so a timed-out client can still
+// end its server session.
+api.post('/logout', async (req, res) => {
+  try {
+    const reason = req.body.reason === 'idle' ? 'idle' : 'logout';
+    if (req.body.refreshToken) {
+      await revokeByRefreshToken(db, req.body.refreshToken, reason);
+      return res.json({ success: true });
+    }
+
+    const token = req.headers.authorization?.split(' ')[1];
+    let decoded;
+    try {
+      decoded = jwt.verify(token, process.env.JWT_SECRET, { ignoreExpiration: true });
+    } catch (error) {
+      return res.status(401).json({ error: 'Invalid token' });
+    }
+    if (decoded.sid) await revokeSession(db, decoded.sid, reason);
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Logout error:', error);
+    res.status(500).json({ error: 'Logout failed' });
+  }
+});
+
+// Force sign-out: revokes every session of the given app user id (E001,
+// M001...) or users key.
+api.post('/users/:userId/sign-out', verifyToken, requireRole('admin'), requireAdminPermission('canEdit'), async (req, res) => {
+  try {
+    const revoked = await revokeUserSessions(db, req.params.userId, `forced:${req.user.userId}`);
+    res.json({ success: true, revoked });
+  } catch (error) {
+    console.error('Force sign-out error:', error);
+    res.status(500).json({ error: 'Force sign-out failed' });
+  }
+});
+
+// ========== PASSWORD RESET (OTP) ENDPOINTS ==========
+// Engineers' and managers' phone numbers live on their employees/managers
+// record; other roles carry it on the users record.
+const ENTITY_COLLECTIONS = { employee: 'employees', manager: 'managers' };
+
+const findResetAccount = async (identifier, role) => {
+  if (!identifier || !role) return null;
+  const found = await findUserByIdentifier(identifier);
+  if (!found || found.user.role !== role) return null;
+  let phone = found.user.phone || null;
+  const collection = ENTITY_COLLECTIONS[role];
+  if (!phone && collection && found.user.entityId) {
+    const entity = await db.ref(`${collection}/${found.user.entityId}`).once('value');
+    phone = entity.exists() ? entity.val().phone || null : null;
+  }
+  return { ...found, phone };
+};
+
+const samePhone = (a, b) => !!a && !!b && a.replace(/[^0-9]/g, '').slice(-10) === b.replace(/[^0-9]/g, '').slice(-10);
+
+// Responds the same way whether or not the account exists so the endpoint
+// cannot be used to discover usernames.
+api.post('/auth/otp/request', async (req, res) => {
+  try {
+    const { identifier, role, mobile } = req.body;
+    if (!identifier || !role) {
+      return res.status(400).json({ error: 'Identifier and role required' });
+    }
+
+    const retryAfter = await consumeOtpRequest(db, [
+      `acct:${encodeKey(`${role}:${identifier}`)}`,
+      `ip:${encodeKey(req.ip || 'unknown')}`
+    ]);
+    if (retryAfter > 0) {
+      res.set('Retry-After', String(Math.ceil(retryAfter / 1000)));
+      return res.status(429).json({ error: 'Too many OTP requests. Try again later.' });
+    }
+
+    const account = await findResetAccount(identifier, role);
+    // Accounts with a phone number must quote it; the rest get the code by email
+    const viaSms = account && account.phone && samePhone(account.phone, mobile || '');
+    if (account && (viaSms || (!account.phone && account.user.email))) {
+      const code = await issueOtp(db, account.uid);
+      await sendMessage({
+        channel: viaSms ? 'sms' : 'email',
+        to: viaSms ? account.phone : account.user.email,
+        subject: 'TERAIT password reset code',
+        text: `Your TERAIT password reset code is ${code}. It expires in ${Math.round(config.otp.ttlMs / 60000)} minutes.`
+      });
+    }
+
+    res.json({ success: true, message: 'If the details match an account, an OTP has been sent.' });
+  } catch (error) {
+    console.error('OTP request error:', error);
+    res.status(500).json({ error: 'Failed to send OTP' });
+  }
+});
+
+api.post('/auth/otp/verify', async (req, res) => {
+  try {
+    const { identifier, role, otp } = req.body;
+    if (!otp) {
+      return res.status(400).json({ error: 'OTP required' });
+    }
+    const account = await findResetAccount(identifier, role);
+    if (!account) {
+      return res.status(400).json({ error: 'Invalid OTP' });
+    }
+
+    const outcome = await verifyOtp(db, account.uid, otp);
+    if (outcome.error) {
+      return res.status(outcome.status).json({ error: outcome.error });
+    }
+    res.json({ success: true, resetToken: outcome.resetToken, expiresInMs: config.otp.resetTokenTtlMs });
+  } catch (error) {
+    console.error('OTP verify error:', error);
+    res.status(500).json({ error: 'Failed to verify OTP' });
+  }
+});
+
+api.post('/auth/password/reset', async (req, res) => {
+  try {
+    const { identifier, role, resetToken, newPassword } = req.body;
+    if (!resetToken || !newPassword) {
+      return res.status(400).json({ error: 'Reset token and new password required' });
+    }
+    if (String(newPassword).length < config.auth.minPasswordLength) {
+      return res.status(400).json({ error: `Password must be at least ${config.auth.minPasswordLength} characters` });
+    }
+
+    const account = await findResetAccount(identifier, role);
+    if (!account || !(await consumeResetToken(db, account.uid, resetToken))) {
+      return res.status(400).json({ error: 'Reset token is invalid or has expired' });
+    }
+
+    await db.ref(`users/${account.uid}`).update({
+      passwordHash: await hashPassword(newPassword),
+      password: null,
+      passwordChangedAt: new Date().toISOString()
+    });
+    // Sign out everywhere and lift any lockout from the forgotten password
+    await revokeUserSessions(db, tokenClaims(account.uid, account.user).userId, 'password-reset');
+    await clearFailures(db, throttleKeys(identifier, req.ip));
+
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Password reset error:', error);
+    res.status(500).json({ error: 'Password reset failed' });
+  }
+});
+
+// Replaces the password of the signed-in user. Required after signing in
+// with a temporary password, in which case the current password is not
+// asked for again. Other sessions are revoked and a fresh pair is issued.
+api.post('/auth/password/change', verifyToken, async (req, res) => {
+  try {
+    const { currentPassword, newPassword } = req.body;
+    if (!newPassword || String(newPassword).length < config.auth.minPasswordLength) {
+      return res.status(400).json({ error: `Password must be at least ${config.auth.minPasswordLength} characters` });
+    }
+
+    const userRef = db.ref(`users/${req.user.uid}`);
+    const snapshot = await userRef.once('value');
+    if (!snapshot.exists()) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    const user = snapshot.val();
+    if (!user.mustChangePassword) {
+      const { valid } = await verifyPassword(currentPassword, user.passwordHash || user.password);
+      if (!valid) {
+        return res.status(401).json({ error: 'Current password is incorrect' });
+      }
+    }
+
+    const updated = {
+      ...user,
+      passwordHash: await hashPassword(newPassword),
+      password: null,
+      mustChangePassword: null,
+      tempPasswordExpiresAt: null,
+      passwordChangedAt: new Date().toISOString()
+    };
+    await userRef.set(updated);
+
+    await revokeUserSessions(db, req.user.userId, 'password-change');
+    const { sid, refreshToken } = await createSession(db, req.user.uid, req.user.userId, sessionMeta(req));
+    res.json({
+      success: true,
+      token: signAccessToken(req.user.uid, updated, sid),
+      refreshToken,
+      user: tokenClaims(req.user.uid, updated)
+    });
+  } catch (error) {
+    console.error('Password change error:', error);
+    res.status(500).json({ error: 'Password change failed' });
+  }
+});
+
+// ========== PASSWORD RESET REQUESTS ==========
+// Users who cannot receive an OTP ask an admin instead. Requests are kept
+// in passwordResetRequests/<id> and never removed, so the queue doubles as
+// the history.
+const resetRequestView = (id, request) => ({
+  id,
+  identifier: request.identifier,
+  role: request.role,
+  name: request.name || null,
+  status: request.status,
+  requestedAt: request.requestedAt,
+  decidedAt: request.decidedAt || null,
+  decidedBy: request.decidedBy || null,
+  reason: request.reason || null
+});
+
+api.post('/auth/password/reset-requests', async (req, res) => {
+  try {
+    const { identifier, role } = req.body;
+    if (!identifier || !role) {
+      return res.status(400).json({ error: 'Identifier and role required' });
+    }
+
+    const retryAfter = await consumeOtpRequest(db, [
+      `reset:${encodeKey(`${role}:${identifier}`)}`,
+      `reset-ip:${encodeKey(req.ip || 'unknown')}`
+    ]);
+    if (retryAfter > 0) {
+      res.set('Retry-After', String(Math.ceil(retryAfter / 1000)));
+      return res.status(429).json({ error: 'Too many reset requests. Try again later.' });
+    }
+
+    // Unknown accounts and duplicates are dropped silently; the reply is the
+    // same either way
+    const account = await findResetAccount(identifier, role);
+    if (account) {
+      const pending = await db.ref('passwordResetRequests').orderByChild('uid').equalTo(account.uid).once('value');
+      const hasPending = Object.values(pending.val() || {}).some(r => r.status === 'pending');
+      if (!hasPending) {
+        await db.ref('passwordResetRequests').push({
+          uid: account.uid,
+          identifier,
+          role,
+          name: account.user.name || null,
+          status: 'pending',
+          requestedAt: new Date().toISOString(),
+          ip: req.ip || null
+        });
+      }
+    }
+
+    res.json({ success: true, message: 'Request sent to Admin.' });
+  } catch (error) {
+    console.error('Reset request error:', error);
+    res.status(500).json({ error: 'Failed to submit reset request' });
+  }
+});
+
+api.get('/password-reset-requests', verifyToken, requireRole('admin'), async (req, res) => {
+  try {
+    const snapshot = await db.ref('passwordResetRequests').once('value');
+    const data = snapshot.val() || {};
+    let requests = Object.entries(data).map(([id, request]) => resetRequestView(id, request));
+    if (req.query.status) requests = requests.filter(r => r.status === req.query.status);
+    requests.sort((a, b) => b.requestedAt.localeCompare(a.requestedAt));
+    res.json(requests);
+  } catch (error) {
+    console.error('Get reset requests error:', error);
+    res.status(500).json({ error: 'Failed to fetch reset requests' });
+  }
+});
+
+// Marks a pending request decided; returns the request or null when it does
+// not exist or was already handled by another admin.
+const decideResetRequest = async (id, decision) => {
+  let decided = false;
+  const result = await db.ref(`passwordResetRequests/${id}`).transaction(current => {
+    decided = false;
+    if (current === null) return current;
+    if (current.status !== 'pending') return;
+    decided = true;
+    return { ...current, ...decision, decidedAt: new Date().toISOString() };
+  });
+  return decided ? result.snapshot.val() : null;
+};
+
+// Approving issues a one-time temporary password. It is returned to the
+// approving admin once and only its hash is stored.
+api.post('/password-reset-requests/:id/approve', verifyToken, requireRole('admin'), requireAdminPermission('canEdit'), async (req, res) => {
+  try {
+    const request = await decideResetRequest(req.params.id, { status: 'approved', decidedBy: req.user.userId });
+    if (!request) {
+      return res.status(409).json({ error: 'Request not found or already handled' });
+    }
+
+    const userRef = db.ref(`users/${request.uid}`);
+    const snapshot = await userRef.once('value');
+    if (!snapshot.exists()) {
+      await db.ref(`passwordResetRequests/${req.params.id}`).update({ status: 'rejected', reason: 'Account no longer exists' });
+      return res.status(404).json({ error: 'User not found' });
+    }
+    const user = snapshot.val();
+
+    const tempPassword = generateTempPassword();
+    await userRef.update({
+      passwordHash: await hashPassword(tempPassword),
+      password: null,
+      mustChangePassword: true,
+      tempPasswordExpiresAt: Date.now() + config.auth.tempPasswordTtlMs
+    });
+    await revokeUserSessions(db, tokenClaims(request.uid, user).userId, 'password-reset');
+    await clearFailures(db, throttleKeys(request.identifier, null).slice(0, 1));
+
+    res.json({
+      success: true,
+      request: resetRequestView(req.params.id, request),
+      tempPassword,
+      expiresAt: new Date(Date.now() + config.auth.tempPasswordTtlMs).toISOString()
+    });
+  } catch (error) {
+    console.error('Approve reset request error:', error);
+    res.status(500).json({ error: 'Failed to approve reset request' });
+  }
+});
+
+api.post('/password-reset-requests/:id/reject', verifyToken, requireRole('admin'), requireAdminPermission('canEdit'), async (req, res) => {
+  try {
+    const request = await decideResetRequest(req.params.id, {
+      status: 'rejected',
+      decidedBy: req.user.userId,
+      reason: req.body.reason || null
+    });
+    if (!request) {
+      return res.status(409).json({ error: 'Request not found or already handled' });
+    }
+    res.json({ success: true, request: resetRequestView(req.params.id, request) });
+  } catch (error) {
+    console.error('Reject reset request error:', error);
+    res.status(500).json({ error: 'Failed to reject reset request' });
+  }
+});
+
+// ========== ID ALLOCATION ==========
+// Reserves the next id for clients that need it before the record is
+// saved. Reserved ids that are never used just leave a gap.
+const ID_WRITERS = {
+  ticket: ['admin', 'frontoffice', 'helpdesk', 'manager'],
+  customer: ['admin', 'frontoffice', 'helpdesk', 'manager'],
+  company: ['admin', 'frontoffice'],
+  callGroup: ['admin'],
+  employee: ['admin', 'hr'],
+  manager: ['admin', 'hr']
+};
+
+api.post('/ids/:type', verifyToken, requireAdminPermission('canEdit'), async (req, res) => {
+  try {
+    const { type } = req.params;
+    if (!ID_TYPES.includes(type)) {
+      return res.status(404).json({ error: `Unknown id type: ${type}` });
+    }
+    if (!(ID_WRITERS[type] || ['admin']).includes(req.user.role)) {
+      return res.status(403).json({ error: 'Forbidden' });
+    }
+    res.status(201).json({ success: true, id: await nextId(db, type) });
+  } catch (error) {
+    console.error('Allocate id error:', error);
+    res.status(500).json({ error: 'Failed to allocate id' });
+  }
+});
+
+// The id a new record is created under: the one the caller reserved, or a
+// new one
+const recordId = (type, id) => (id ? claimId(db, type, id) : nextId(db, type));
+
 // ========== REGISTER ENDPOINT ==========
-app.post('/api/register', async (req, res) => {
+// Accounts are provisioned by admins; the first admin is created with
+// `npm run create:admin`.
+api.post('/register', verifyToken, requireRole('admin'), requireAdminPermission('canEdit'), async (req, res) => {
   try {
-    const { email, password, name, role } = req.body;
+    const { email, password, name, role, username, entityId, permissions } = req.body;
     if (!email || !password || !name) {
       return res.status(400).json({ error: 'Email, password, and name required' });
     }
+    if (role && !ROLES.includes(role)) {
+      return res.status(400).json({ error: `Unknown role: ${role}` });
+    }
 
     // Check if user exists
     const usersRef = db.ref('users');
@@ -196,25 +893,23 @@ app.post('/api/register', async (req, res) => {
     // Create new user
     const newUserRef = usersRef.push();
     const userId = newUserRef.key;
-    await newUserRef.set({
+    const user = {
       email,
-      password, // In production, hash this!
+      username: username || email.split('@')[0],
+      entityId: entityId || null,
       name,
-      role: role || 'user',
+      role: role || 'employee',
       createdAt: new Date().toISOString()
-    });
-
-    // Generate token
-    const token = jwt.sign(
-      { userId, email, role: role || 'user' },
-      process.env.JWT_SECRET,
-      { expiresIn: '24h' }
-    );
+    };
+    if (user.role === 'admin') {
+      user.permissions = { canEdit: !!permissions?.canEdit, canDelete: !!permissions?.canDelete };
+    }
+    await newUserRef.set({ ...user, passwordHash: await hashPassword(password) });
+    noteAudit(res, { action: 'user.register', entity: 'users', entityId: userId, after: user });
 
     res.json({
       success: true,
-      token,
-      user: { id: userId, email, name, role: role || 'user' }
+      user: tokenClaims(userId, user)
     });
   } catch (error) {
     console.error('Register error:', error);
@@ -222,84 +917,84 @@ app.post('/api/register', async (req, res) => {
   }
 });
 
-// ========== VERIFY TOKEN MIDDLEWARE ==========
-const verifyToken = (req, res, next) => {
-  const token = req.headers.authorization?.split(' ')[1];
-  if (!token) {
-    return res.status(401).json({ error: 'No token provided' });
-  }
-
-  try {
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    req.user = decoded;
-    next();
-  } catch (error) {
-    res.status(401).json({ error: 'Invalid token' });
-  }
-};
-
 // ========== GET ALL EMPLOYEES ==========
-app.get('/api/employees', verifyToken, async (req, res) => {
+api.get('/employees', verifyToken, requireRole(...ALL_ROLES), async (req, res) => {
   try {
-    const employeesRef = db.ref('employees');
-    const snapshot = await employeesRef.once('value');
-    if (!snapshot.exists()) {
-      return res.json([]);
-    }
-
-    const employees = [];
-    snapshot.forEach(childSnapshot => {
-      employees.push({
-        id: childSnapshot.key,
-        ...childSnapshot.val()
-      });
-    });
-    res.json(employees);
+    const snapshot = await db.ref('employees').once('value');
+    sendList(req, res, withKeys(snapshot.val()), LIST_SPECS.employees);
   } catch (error) {
     res.status(500).json({ error: 'Failed to fetch employees' });
   }
 });
 
 // ========== CREATE EMPLOYEE ==========
-app.post('/api/employees', verifyToken, async (req, res) => {
+api.post('/employees', verifyToken, requireRole('admin', 'hr'), requireAdminPermission('canEdit'), validateBody(withOptional(employeeSchema, 'id')), async (req, res) => {
   try {
-    const { name, email, role, department } = req.body;
-    const newEmployeeRef = db.ref('employees').push();
-    await newEmployeeRef.set({
-      name,
-      email,
-      role,
-      department,
-      createdAt: new Date().toISOString()
+    // Sign-in credentials belong to the users record, never the employee
+    const { password, ...fields } = req.body;
+    const id = await recordId('employee', fields.id);
+    const result = await db.ref(`employees/${id}`).transaction(current => {
+      if (current !== null) return;
+      return stamp({ ...fields, id, createdAt: new Date().toISOString() }, req.user);
     });
+    if (!result.committed) {
+      return res.status(409).json({ error: `Employee ${id} already exists` });
+    }
+    noteAudit(res, { action: 'employee.create', entityId: id, after: result.snapshot.val() });
 
-    res.json({
-      success: true,
-      id: newEmployeeRef.key,
-      message: 'Employee created'
-    });
+    res.status(201).json({ success: true, data: result.snapshot.val() });
   } catch (error) {
     res.status(500).json({ error: 'Failed to create employee' });
   }
 });
 
 // ========== UPDATE EMPLOYEE ==========
-app.put('/api/employees/:id', verifyToken, async (req, res) => {
+// Merges the changes only if nobody saved the employee since the version
+// named in If-Match.
+api.put('/employees/:id', verifyToken, requireRole('admin', 'hr'), requireAdminPermission('canEdit'), ifMatch(), validateBody(partialSchema(employeeSchema)), async (req, res) => {
   try {
     const { id } = req.params;
-    const updateData = req.body;
-    await db.ref(`employees/${id}`).update(updateData);
-    res.json({ success: true, message: 'Employee updated' });
+    const { password, ...updateData } = req.body;
+    if (updateData.id && updateData.id !== id) {
+      return res.status(400).json({ error: 'Record id cannot be changed' });
+    }
+    let conflict = null;
+    let previous = null;
+    const result = await db.ref(`employees/${id}`).transaction(current => {
+      conflict = null;
+      previous = current;
+      if (current === null) return current;
+      if (isStale(current, req.expectedVersion)) {
+        conflict = current;
+        return;
+      }
+      return stamp({ ...current, ...updateData }, req.user);
+    });
+    if (conflict) {
+      return sendConflict(res, conflict);
+    }
+    if (!result.snapshot.exists()) {
+      return res.status(404).json({ error: 'Employee not found' });
+    }
+    noteAudit(res, { action: 'employee.update', before: previous, after: result.snapshot.val() });
+    res.set('ETag', etagOf(result.snapshot.val()));
+    res.json({ success: true, data: result.snapshot.val(), message: 'Employee updated' });
   } catch (error) {
     res.status(500).json({ error: 'Failed to update employee' });
   }
 });
 
 // ========== DELETE EMPLOYEE ==========
-app.delete('/api/employees/:id', verifyToken, async (req, res) => {
+api.delete('/employees/:id', verifyToken, requireRole('admin'), requireAdminPermission('canDelete'), ifMatch(false), async (req, res) => {
   try {
     const { id } = req.params;
-    await db.ref(`employees/${id}`).remove();
+    const ref = db.ref(`employees/${id}`);
+    const snapshot = await ref.once('value');
+    if (snapshot.exists() && isStale(snapshot.val(), req.expectedVersion)) {
+      return sendConflict(res, snapshot.val());
+    }
+    await ref.remove();
+    noteAudit(res, { action: 'employee.delete', before: snapshot.val(), after: null });
     res.json({ success: true, message: 'Employee deleted' });
   } catch (error) {
     res.status(500).json({ error: 'Failed to delete employee' });
@@ -307,9 +1002,14 @@ app.delete('/api/employees/:id', verifyToken, async (req, res) => {
 });
 
 // ========== GET ATTENDANCE ==========
-app.get('/api/attendance/:employeeId', verifyToken, async (req, res) => {
+api.get('/attendance', verifyToken, requireRole(...ALL_ROLES), listAttendance);
+
+api.get('/attendance/:employeeId', verifyToken, requireRole(...ALL_ROLES), async (req, res) => {
   try {
     const { employeeId } = req.params;
+    if (!canAccessAttendance(req.user, employeeId)) {
+      return res.status(403).json({ error: 'Forbidden' });
+    }
     const attendanceRef = db.ref(`attendance/${employeeId}`);
     const snapshot = await attendanceRef.once('value');
     if (!snapshot.exists()) {
@@ -330,17 +1030,23 @@ app.get('/api/attendance/:employeeId', verifyToken, async (req, res) => {
 });
 
 // ========== LOG ATTENDANCE ==========
-app.post('/api/attendance/login', verifyToken, async (req, res) => {
+api.post('/attendance/login', verifyToken, requireRole(...ALL_ROLES), async (req, res) => {
   try {
     const { employeeId } = req.body;
+    if (!employeeId || !canAccessAttendance(req.user, employeeId)) {
+      return res.status(403).json({ error: 'Forbidden' });
+    }
     const now = new Date();
     const dateKey = now.toISOString().split('T')[0];
     const timeKey = now.toISOString();
 
-    await db.ref(`attendance/${employeeId}/${dateKey}`).set({
-      loginTime: timeKey,
-      status: 'present'
+    let previous = null;
+    const result = await db.ref(`attendance/${employeeId}/${dateKey}`).transaction(current => {
+      previous = current;
+      return stamp({ loginTime: timeKey, status: 'present', version: current ? current.version : undefined }, req.user);
     });
+    noteAudit(res, { action: 'attendance.login', entityId: `${employeeId}/${dateKey}`, before: previous, after: result.snapshot.val() });
+    publishAttendance(employeeId, dateKey, result.snapshot.val());
 
     res.json({ success: true, message: 'Login recorded' });
   } catch (error) {
@@ -348,17 +1054,955 @@ app.post('/api/attendance/login', verifyToken, async (req, res) => {
   }
 });
 
-// ========== ERROR HANDLING ==========
-app.use((err, req, res, next) => {
-  console.error(err);
-  res.status(500).json({ error: 'Internal server error' });
+// ========== SAVE ATTENDANCE RECORD ==========
+// Upserts the day's record built by addAttendanceLog in the frontend; one
+// record per employee per day, merged so login and logout can arrive apart.
+api.post('/attendance', verifyToken, requireRole(...ALL_ROLES), validateBody(attendanceSchema), async (req, res) => {
+  try {
+    const { employeeId, date, ...record } = req.body;
+    if (!canAccessAttendance(req.user, employeeId)) {
+      return res.status(403).json({ error: 'Forbidden' });
+    }
+    let previous = null;
+    const result = await db.ref(`attendance/${employeeId}/${date}`).transaction(current => {
+      previous = current;
+      return stamp({ ...(current || {}), ...record }, req.user);
+    });
+    noteAudit(res, { action: 'attendance.save', entityId: `${employeeId}/${date}`, before: previous, after: result.snapshot.val() });
+    publishAttendance(employeeId, date, result.snapshot.val());
+    res.json({ success: true, message: 'Attendance saved' });
+  } catch (error) {
+    console.error('Save attendance error:', error);
+    res.status(500).json({ error: 'Failed to save attendance' });
+  }
+});
+
+// ========== MASTER DATA (customers, companies, call groups, managers) ==========
+// Records are keyed by their app id (CUS001, C001, GRP001, M001), minted on
+// create as `idType` when the body has none. Every role may read them;
+// `writers` lists the roles allowed to create/update.
+const registerEntityRoutes = (collection, schema, label, idType, writers) => {
+  const canWrite = [requireRole(...writers), requireAdminPermission('canEdit')];
+  const canDelete = [requireRole('admin'), requireAdminPermission('canDelete')];
+
+  api.get(`/${collection}`, verifyToken, requireRole(...ALL_ROLES), async (req, res) => {
+    try {
+      const snapshot = await db.ref(collection).once('value');
+      sendList(req, res, withKeys(snapshot.val()), LIST_SPECS[collection]);
+    } catch (error) {
+      console.error(`Get ${collection} error:`, error);
+      res.status(500).json({ error: `Failed to fetch ${collection}` });
+    }
+  });
+
+  api.get(`/${collection}/:id`, verifyToken, requireRole(...ALL_ROLES), async (req, res) => {
+    try {
+      const snapshot = await db.ref(`${collection}/${req.params.id}`).once('value');
+      if (!snapshot.exists()) {
+        return res.status(404).json({ error: `${label} not found` });
+      }
+      res.set('ETag', etagOf(snapshot.val()));
+      res.json(snapshot.val());
+    } catch (error) {
+      console.error(`Get ${label} error:`, error);
+      res.status(500).json({ error: `Failed to fetch ${label}` });
+    }
+  });
+
+  api.post(`/${collection}`, verifyToken, ...canWrite, validateBody(withOptional(schema, 'id')), async (req, res) => {
+    try {
+      const record = { ...req.body, id: await recordId(idType, req.body.id) };
+      const result = await db.ref(`${collection}/${record.id}`).transaction(current => {
+        if (current !== null) return;
+        return stamp({ ...record, createdAt: new Date().toISOString() }, req.user);
+      });
+      if (!result.committed) {
+        return res.status(409).json({ error: `${label} ${record.id} already exists` });
+      }
+      noteAudit(res, { action: `${collection}.create`, entityId: record.id, after: result.snapshot.val() });
+      res.status(201).json({ success: true, data: result.snapshot.val() });
+    } catch (error) {
+      console.error(`Create ${label} error:`, error);
+      res.status(500).json({ error: `Failed to create ${label}` });
+    }
+  });
+
+  api.put(`/${collection}/:id`, verifyToken, ...canWrite, ifMatch(), validateBody(partialSchema(schema)), async (req, res) => {
+    try {
+      const { id } = req.params;
+      if (req.body.id && req.body.id !== id) {
+        return res.status(400).json({ error: 'Record id cannot be changed' });
+      }
+      let conflict = null;
+      let previous = null;
+      const result = await db.ref(`${collection}/${id}`).transaction(current => {
+        conflict = null;
+        previous = current;
+        if (current === null) return current;
+        if (isStale(current, req.expectedVersion)) {
+          conflict = current;
+          return;
+        }
+        return stamp({ ...current, ...req.body }, req.user);
+      });
+      if (conflict) {
+        return sendConflict(res, conflict);
+      }
+      if (!result.snapshot.exists()) {
+        return res.status(404).json({ error: `${label} not found` });
+      }
+      noteAudit(res, { action: `${collection}.update`, before: previous, after: result.snapshot.val() });
+      res.set('ETag', etagOf(result.snapshot.val()));
+      res.json({ success: true, data: result.snapshot.val() });
+    } catch (error) {
+      console.error(`Update ${label} error:`, error);
+      res.status(500).json({ error: `Failed to update ${label}` });
+    }
+  });
+
+  api.delete(`/${collection}/:id`, verifyToken, ...canDelete, ifMatch(false), async (req, res) => {
+    try {
+      const ref = db.ref(`${collection}/${req.params.id}`);
+      const snapshot = await ref.once('value');
+      if (!snapshot.exists()) {
+        return res.status(404).json({ error: `${label} not found` });
+      }
+      if (isStale(snapshot.val(), req.expectedVersion)) {
+        return sendConflict(res, snapshot.val());
+      }
+      await ref.remove();
+      noteAudit(res, { action: `${collection}.delete`, before: snapshot.val(), after: null });
+      res.json({ success: true, message: `${label} deleted` });
+    } catch (error) {
+      console.error(`Delete ${label} error:`, error);
+      res.status(500).json({ error: `Failed to delete ${label}` });
+    }
+  });
+};
+
+registerEntityRoutes('customers', customerSchema, 'Customer', 'customer', ID_WRITERS.customer);
+registerEntityRoutes('companies', companySchema, 'Company', 'company', ID_WRITERS.company);
+registerEntityRoutes('callGroups', callGroupSchema, 'Call group', 'callGroup', ID_WRITERS.callGroup);
+registerEntityRoutes('managers', managerSchema, 'Manager', 'manager', ID_WRITERS.manager);
+
+// ========== FEEDBACKS ==========
+api.get('/feedbacks', verifyToken, requireRole('admin', 'finance', 'frontoffice', 'manager'), async (req, res) => {
+  try {
+    const snapshot = await db.ref('feedbacks').once('value');
+    sendList(req, res, withKeys(snapshot.val()), LIST_SPECS.feedbacks);
+  } catch (error) {
+    console.error('Get feedbacks error:', error);
+    res.status(500).json({ error: 'Failed to fetch feedbacks' });
+  }
+});
+
+api.post('/feedbacks', verifyToken, requireRole('admin', 'finance', 'frontoffice'), validateBody(feedbackSchema), async (req, res) => {
+  try {
+    const ticketSnapshot = await db.ref(`tickets/${req.body.ticketId}`).once('value');
+    if (!ticketSnapshot.exists()) {
+      return res.status(404).json({ error: 'Ticket not found' });
+    }
+    const feedbackRef = db.ref('feedbacks').push();
+    const feedback = stamp({ ...req.body, submittedAt: new Date().toISOString() }, req.user);
+    await feedbackRef.set(feedback);
+    noteAudit(res, { action: 'feedback.create', entityId: feedbackRef.key, ticketId: feedback.ticketId, after: feedback });
+    res.status(201).json({ success: true, id: feedbackRef.key });
+  } catch (error) {
+    console.error('Save feedback error:', error);
+    res.status(500).json({ error: 'Failed to save feedback' });
+  }
+});
+
+// ========== TICKETS ==========
+// Tickets are keyed by their ticket id (e.g. TK001) so every write can go
+// through a transaction on a single node.
+const ticketActor = (req) => ({
+  id: req.user.userId,
+  username: req.user.username,
+  role: req.user.role,
+  employeeId: req.user.employeeId || req.user.userId
+});
+
+const TICKET_ROLES = ['admin', 'frontoffice', 'helpdesk', 'manager', 'employee', 'finance'];
+
+// Transition bodies carry field changes alongside the target status
+const checkTicketChanges = compileValidator(partialSchema(ticketSchema));
+
+const rejectForeignAttachments = async (res, ticketId, changes) => {
+  const foreign = await foreignAttachmentIds(db, ticketId, changes);
+  if (!foreign.length) return false;
+  res.status(400).json({ error: 'Unknown attachment ids for this ticket', details: foreign });
+  return true;
+};
+
+api.get('/tickets', verifyToken, requireRole(...TICKET_ROLES), async (req, res) => {
+  try {
+    const snapshot = await db.ref('tickets').once('value');
+    sendList(req, res, filterTicketsFor(req.user, withKeys(snapshot.val())), LIST_SPECS.tickets);
+  } catch (error) {
+    console.error('Get tickets error:', error);
+    res.status(500).json({ error: 'Failed to fetch tickets' });
+  }
+});
+
+api.get('/tickets/:id', verifyToken, requireRole(...TICKET_ROLES), async (req, res) => {
+  try {
+    const snapshot = await db.ref(`tickets/${req.params.id}`).once('value');
+    if (!snapshot.exists()) {
+      return res.status(404).json({ error: 'Ticket not found' });
+    }
+    if (!canViewTicket(req.user, snapshot.val())) {
+      return res.status(403).json({ error: 'Forbidden' });
+    }
+    res.set('ETag', etagOf(snapshot.val()));
+    res.json(snapshot.val());
+  } catch (error) {
+    console.error('Get ticket error:', error);
+    res.status(500).json({ error: 'Failed to fetch ticket' });
+  }
+});
+
+api.get('/tickets/:id/transitions', verifyToken, requireRole(...TICKET_ROLES), async (req, res) => {
+  try {
+    const snapshot = await db.ref(`tickets/${req.params.id}`).once('value');
+    if (!snapshot.exists()) {
+      return res.status(404).json({ error: 'Ticket not found' });
+    }
+    const ticket = snapshot.val();
+    if (!canViewTicket(req.user, ticket)) {
+      return res.status(403).json({ error: 'Forbidden' });
+    }
+    res.json({ status: ticket.status, allowed: allowedTransitions(ticket, req.user.role) });
+  } catch (error) {
+    console.error('Get transitions error:', error);
+    res.status(500).json({ error: 'Failed to fetch transitions' });
+  }
+});
+
+api.post('/tickets', verifyToken, requireRole(...ID_WRITERS.ticket), requireAdminPermission('canEdit'), validateBody(withOptional(ticketSchema, 'id')), async (req, res) => {
+  try {
+    // Uploads need an existing ticket, so a new one cannot reference any yet
+    if (await rejectForeignAttachments(res, req.body.id || null, req.body)) return;
+    const fieldError = fieldWriteError(null, req.body, ticketActor(req));
+    if (fieldError) {
+      return res.status(403).json({ error: fieldError });
+    }
+    const id = await recordId('ticket', req.body.id);
+
+    const now = new Date().toISOString();
+    const ticket = withSla(stamp({
+      ...stripProtectedFields(req.body),
+      id,
+      status: 'Raised',
+      createdAt: now,
+      createdBy: req.user.userId,
+      statusHistory: [{ from: null, to: 'Raised', by: req.user.userId, role: req.user.role, at: now }]
+    }, req.user), await loadSlaSettings(db));
+
+    const result = await db.ref(`tickets/${id}`).transaction(current => {
+      if (current !== null) return;
+      return ticket;
+    });
+    if (!result.committed) {
+      return res.status(409).json({ error: 'Ticket already exists' });
+    }
+
+    publishTicket(null, result.snapshot.val());
+    await notifyTicketChange(db, null, result.snapshot.val());
+    notifyHandoffs(db, null, result.snapshot.val(), req.user);
+    noteAudit(res, { action: 'ticket.create', entityId: id, after: result.snapshot.val() });
+    res.set('ETag', etagOf(result.snapshot.val()));
+    res.status(201).json({ success: true, ticket: result.snapshot.val() });
+  } catch (error) {
+    console.error('Create ticket error:', error);
+    res.status(500).json({ error: 'Failed to create ticket', details: error.message });
+  }
+});
+
+api.put('/tickets/:id', verifyToken, requireRole(...TICKET_ROLES), requireAdminPermission('canEdit'), ifMatch(), validateBody(partialSchema(ticketSchema)), async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (req.body.status !== undefined) {
+      return res.status(400).json({ error: 'Status changes must use /api/tickets/:id/transition' });
+    }
+
+    const changes = stripProtectedFields(req.body);
+    if (await rejectForeignAttachments(res, id, changes)) return;
+    const slaSettings = await loadSlaSettings(db);
+    let forbidden = null;
+    let conflict = null;
+    let previous = null;
+    const result = await db.ref(`tickets/${id}`).transaction(current => {
+      forbidden = null;
+      conflict = null;
+      previous = current;
+      if (current === null) return current;
+      if (!canViewTicket(req.user, current)) {
+        forbidden = 'Forbidden';
+        return;
+      }
+      forbidden = fieldWriteError(current, changes, ticketActor(req));
+      if (forbidden) return;
+      if (isStale(current, req.expectedVersion)) {
+        conflict = current;
+        return;
+      }
+      return withSla(stamp({ ...current, ...changes }, req.user), slaSettings);
+    });
+    if (forbidden) {
+      return res.status(403).json({ error: forbidden });
+    }
+    if (conflict) {
+      return sendConflict(res, conflict);
+    }
+    if (!result.snapshot.exists()) {
+      return res.status(404).json({ error: 'Ticket not found' });
+    }
+
+    publishTicket(previous, result.snapshot.val());
+    await notifyTicketChange(db, previous, result.snapshot.val());
+    notifyHandoffs(db, previous, result.snapshot.val(), req.user);
+    noteAudit(res, { action: 'ticket.update', before: previous, after: result.snapshot.val() });
+    res.set('ETag', etagOf(result.snapshot.val()));
+    res.json({ success: true, ticket: result.snapshot.val() });
+  } catch (error) {
+    console.error('Update ticket error:', error);
+    res.status(500).json({ error: 'Failed to update ticket' });
+  }
+});
+
+api.delete('/tickets/:id', verifyToken, requireRole('admin'), requireAdminPermission('canDelete'), ifMatch(false), async (req, res) => {
+  try {
+    const ref = db.ref(`tickets/${req.params.id}`);
+    const snapshot = await ref.once('value');
+    if (!snapshot.exists()) {
+      return res.status(404).json({ error: 'Ticket not found' });
+    }
+    if (isStale(snapshot.val(), req.expectedVersion)) {
+      return sendConflict(res, snapshot.val());
+    }
+    await ref.remove();
+    publishTicket(snapshot.val(), null);
+    noteAudit(res, { action: 'ticket.delete', before: snapshot.val(), after: null });
+    res.json({ success: true, message: 'Ticket deleted' });
+  } catch (error) {
+    console.error('Delete ticket error:', error);
+    res.status(500).json({ error: 'Failed to delete ticket' });
+  }
+});
+
+api.post('/tickets/:id/transition', verifyToken, requireRole(...TICKET_ROLES), requireAdminPermission('canEdit'), ifMatch(), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { status, changes } = req.body;
+    if (!status) {
+      return res.status(400).json({ error: 'Target status required' });
+    }
+    const problems = changes ? checkTicketChanges(changes) : null;
+    if (problems) {
+      return res.status(400).json({ error: 'Validation failed', details: problems });
+    }
+    if (await rejectForeignAttachments(res, id, changes)) return;
+    const slaSettings = await loadSlaSettings(db);
+
+    // The transaction callback may run several times against fresher server
+    // data; only the outcome of the final run is reported.
+    let rejection = null;
+    let conflict = null;
+    let previous = null;
+    const result = await db.ref(`tickets/${id}`).transaction(current => {
+      rejection = null;
+      conflict = null;
+      previous = current;
+      if (current === null) return current;
+      if (!canViewTicket(req.user, current)) {
+        rejection = { status: 403, error: 'Forbidden' };
+        return;
+      }
+      // e.g. a second manager accepting a ticket someone already took
+      if (isStale(current, req.expectedVersion)) {
+        conflict = current;
+        return;
+      }
+      const outcome = applyTransition(current, status, changes, ticketActor(req));
+      if (outcome.error) {
+        rejection = outcome;
+        return;
+      }
+      return withSla(stamp(outcome.ticket, req.user), slaSettings);
+    });
+
+    if (rejection) {
+      return res.status(rejection.status).json({ error: rejection.error });
+    }
+    if (conflict) {
+      return sendConflict(res, conflict);
+    }
+    if (!result.snapshot.exists()) {
+      return res.status(404).json({ error: 'Ticket not found' });
+    }
+
+    publishTicket(previous, result.snapshot.val());
+    await notifyTicketChange(db, previous, result.snapshot.val());
+    notifyHandoffs(db, previous, result.snapshot.val(), req.user);
+    noteAudit(res, {
+      action: 'ticket.transition',
+      details: `${previous.status} -> ${result.snapshot.val().status}`,
+      before: previous,
+      after: result.snapshot.val()
+    });
+    res.set('ETag', etagOf(result.snapshot.val()));
+    res.json({ success: true, ticket: result.snapshot.val() });
+  } catch (error) {
+    console.error('Transition ticket error:', error);
+    res.status(500).json({ error: 'Failed to transition ticket', details: error.message });
+  }
+});
+
+// ========== ATTACHMENTS ==========
+// Uploads are multipart/form-data with ticketId, event (e.g. siteVisit) and
+// one or more files; tickets then reference the returned ids in
+// <event>PhotoIds. Limits and accepted types are in config.attachments.
+const STORAGE_KEY = /^[A-Za-z0-9_-]{1,64}$/;
+
+// Visible to whoever can see the ticket, and always to the uploader
+const canViewAttachment = async (user, attachment) => {
+  if (attachment.uploadedBy === user.userId) return true;
+  const snapshot = await db.ref(`tickets/${attachment.ticketId}`).once('value');
+  return snapshot.exists() && canViewTicket(user, snapshot.val());
+};
+
+const loadAttachment = async (req, res) => {
+  const attachment = STORAGE_KEY.test(req.params.id) ? await getAttachment(db, req.params.id) : null;
+  if (!attachment) {
+    res.status(404).json({ error: 'Attachment not found' });
+    return null;
+  }
+  if (!(await canViewAttachment(req.user, attachment))) {
+    res.status(403).json({ error: 'Forbidden' });
+    return null;
+  }
+  return attachment;
+};
+
+api.post('/attachments', verifyToken, requireRole(...TICKET_ROLES), requireAdminPermission('canEdit'), async (req, res) => {
+  try {
+    const upload = await readUpload(req);
+    if (upload.error) {
+      return res.status(upload.status).json({ error: upload.error });
+    }
+    const { ticketId, event } = upload.fields;
+    if (!ticketId || !STORAGE_KEY.test(ticketId)) {
+      return res.status(400).json({ error: 'ticketId required' });
+    }
+    if (event && !/^[A-Za-z][A-Za-z0-9]{0,39}$/.test(event)) {
+      return res.status(400).json({ error: 'Invalid event' });
+    }
+
+    const snapshot = await db.ref(`tickets/${ticketId}`).once('value');
+    if (!snapshot.exists()) {
+      return res.status(404).json({ error: 'Ticket not found' });
+    }
+    if (!canViewTicket(req.user, snapshot.val())) {
+      return res.status(403).json({ error: 'Forbidden' });
+    }
+
+    const rejected = checkFiles(upload.files);
+    if (rejected) {
+      return res.status(rejected.status).json({ error: rejected.error });
+    }
+    const stored = await storeAttachments(db, upload.files, { ticketId, event, user: req.user });
+    if (stored.error) {
+      return res.status(stored.status).json({ error: stored.error });
+    }
+
+    noteAudit(res, {
+      action: 'attachment.create',
+      entity: 'attachments',
+      entityId: stored.attachments.map(a => a.id).join(','),
+      ticketId,
+      details: `${event || 'ticket'}: ${stored.attachments.map(a => a.name).join(', ')}`
+    });
+    res.status(201).json({ success: true, attachments: stored.attachments });
+  } catch (error) {
+    console.error('Upload attachment error:', error);
+    res.status(500).json({ error: 'Failed to upload attachment' });
+  }
+});
+
+api.get('/attachments/:id', verifyToken, requireRole(...TICKET_ROLES), async (req, res) => {
+  try {
+    const attachment = await loadAttachment(req, res);
+    if (attachment) res.json(attachment);
+  } catch (error) {
+    console.error('Get attachment error:', error);
+    res.status(500).json({ error: 'Failed to fetch attachment' });
+  }
+});
+
+// The file itself (`content`) or its JPEG thumbnail. Content is immutable,
+// so the hash doubles as the ETag.
+const sendAttachment = (variant) => async (req, res) => {
+  try {
+    const attachment = await loadAttachment(req, res);
+    if (!attachment) return;
+    const thumbnail = variant === 'thumbnail';
+    if (thumbnail && !attachment.hasThumbnail) {
+      return res.status(404).json({ error: 'No thumbnail for this attachment' });
+    }
+
+    const etag = `"${attachment.sha256}${thumbnail ? '-thumb' : ''}"`;
+    res.set({
+      ETag: etag,
+      'Cache-Control': 'private, max-age=86400',
+      'X-Content-Type-Options': 'nosniff'
+    });
+    if (req.get('If-None-Match') === etag) {
+      return res.status(304).end();
+    }
+
+    const content = await getAttachmentContent(db, attachment.id, thumbnail ? 'thumbnail' : 'data');
+    if (!content) {
+      return res.status(404).json({ error: 'Attachment content missing' });
+    }
+    const disposition = attachment.type.startsWith('image/') ? 'inline' : 'attachment';
+    res.set({
+      'Content-Type': thumbnail ? 'image/jpeg' : attachment.type,
+      'Content-Disposition': `${disposition}; filename*=UTF-8''${encodeURIComponent(attachment.name)}`
+    });
+    res.send(content);
+  } catch (error) {
+    console.error('Download attachment error:', error);
+    res.status(500).json({ error: 'Failed to download attachment' });
+  }
+};
+
+api.get('/attachments/:id/content', verifyToken, requireRole(...TICKET_ROLES), sendAttachment('content'));
+api.get('/attachments/:id/thumbnail', verifyToken, requireRole(...TICKET_ROLES), sendAttachment('thumbnail'));
+
+// Only the uploader or an admin, and only while no ticket field uses it
+api.delete('/attachments/:id', verifyToken, requireRole(...TICKET_ROLES), requireAdminPermission('canDelete'), async (req, res) => {
+  try {
+    const attachment = await loadAttachment(req, res);
+    if (!attachment) return;
+    if (req.user.role !== 'admin' && attachment.uploadedBy !== req.user.userId) {
+      return res.status(403).json({ error: 'Only the uploader can delete this attachment' });
+    }
+
+    const snapshot = await db.ref(`tickets/${attachment.ticketId}`).once('value');
+    const ticket = snapshot.val() || {};
+    const usedBy = Object.keys(ticket).find(field =>
+      ATTACHMENT_FIELD.test(field) && Array.isArray(ticket[field]) && ticket[field].includes(attachment.id));
+    if (usedBy) {
+      return res.status(409).json({ error: `Attachment is still referenced by ticket ${attachment.ticketId} (${usedBy})` });
+    }
+
+    await removeAttachment(db, attachment.id);
+    noteAudit(res, { action: 'attachment.delete', entity: 'attachments', ticketId: attachment.ticketId, details: attachment.name });
+    res.json({ success: true, message: 'Attachment deleted' });
+  } catch (error) {
+    console.error('Delete attachment error:', error);
+    res.status(500).json({ error: 'Failed to delete attachment' });
+  }
+});
+
+// ========== AUDIT LOG ==========
+// Newest first; filters: ticketId, actor (user id or username), action
+// (substring, e.g. "ticket.transition"), entity, from/to (ISO date or time).
+// Pass nextCursor back as `cursor` for the following page.
+const endOfDay = (value) => (/^\d{4}-\d{2}-\d{2}$/.test(value) ? `${value}T23:59:59.999Z` : value);
+
+api.get('/audit', verifyToken, requireRole('admin'), async (req, res) => {
+  try {
+    const { ticketId, actor, action, entity, from, to, cursor } = req.query;
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || config.audit.pageSize, 1), config.audit.maxPageSize);
+    const page = await queryAudit(db, { ticketId, actor, action, entity, from, to: to && endOfDay(to) }, cursor || null, limit);
+    res.json(page);
+  } catch (error) {
+    console.error('Audit query error:', error);
+    res.status(500).json({ error: 'Failed to fetch audit log' });
+  }
+});
+
+// ========== TICKET NOTIFICATIONS ==========
+// Emails and texts sent to customers and engineers (see
+// lib/notifications.js). Admins edit the wording per event; deleting an
+// override restores the default. The delivery outcome of each event is kept
+// on the ticket under `notifications`, and a failed or skipped one can be
+// sent again.
+const unknownEvent = (res) => res.status(404).json({ error: 'Unknown notification event' });
+
+api.get('/notification-templates', verifyToken, requireRole('admin'), async (req, res) => {
+  try {
+    const templates = await loadTemplates(db);
+    res.json({ placeholders: PLACEHOLDERS, templates: NOTIFICATION_EVENTS.map(event => templates[event]) });
+  } catch (error) {
+    console.error('Get notification templates error:', error);
+    res.status(500).json({ error: 'Failed to fetch notification templates' });
+  }
+});
+
+api.put('/notification-templates/:event', verifyToken, requireRole('admin'), requireAdminPermission('canEdit'), validateBody(notificationTemplateSchema), async (req, res) => {
+  try {
+    const { event } = req.params;
+    if (!NOTIFICATION_EVENTS.includes(event)) return unknownEvent(res);
+    const { subject, text, sms, engineerSms } = req.body;
+    const unknown = unknownPlaceholders([subject, text, sms, engineerSms].filter(Boolean).join('\n'));
+    if (unknown.length) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: unknown.map(name => `Unknown placeholder {{${name}}}`)
+      });
+    }
+
+    const ref = db.ref(`notificationTemplates/${event}`);
+    const before = (await ref.once('value')).val();
+    const template = {
+      subject,
+      text,
+      ...(sms !== undefined && { sms }),
+      ...(engineerSms !== undefined && { engineerSms }),
+      enabled: req.body.enabled !== false,
+      updatedAt: new Date().toISOString(),
+      updatedBy: req.user.userId
+    };
+    await ref.set(template);
+    noteAudit(res, { action: 'notificationTemplate.update', entity: 'notificationTemplates', entityId: event, before, after: template });
+    res.json({ success: true, template: (await loadTemplates(db))[event] });
+  } catch (error) {
+    console.error('Update notification template error:', error);
+    res.status(500).json({ error: 'Failed to update notification template' });
+  }
+});
+
+api.delete('/notification-templates/:event', verifyToken, requireRole('admin'), requireAdminPermission('canEdit'), async (req, res) => {
+  try {
+    const { event } = req.params;
+    if (!NOTIFICATION_EVENTS.includes(event)) return unknownEvent(res);
+    const ref = db.ref(`notificationTemplates/${event}`);
+    const before = (await ref.once('value')).val();
+    await ref.remove();
+    noteAudit(res, { action: 'notificationTemplate.reset', entity: 'notificationTemplates', entityId: event, before, after: null });
+    res.json({ success: true, template: (await loadTemplates(db))[event] });
+  } catch (error) {
+    console.error('Reset notification template error:', error);
+    res.status(500).json({ error: 'Failed to reset notification template' });
+  }
+});
+
+api.post('/tickets/:id/notifications/:event', verifyToken, requireRole('admin', 'frontoffice', 'helpdesk', 'manager', 'finance'), requireAdminPermission('canEdit'), async (req, res) => {
+  try {
+    const { id, event } = req.params;
+    if (!NOTIFICATION_EVENTS.includes(event)) return unknownEvent(res);
+    if (!config.notifications.enabled) {
+      return res.status(409).json({ error: 'Customer notifications are turned off' });
+    }
+    const snapshot = await db.ref(`tickets/${id}`).once('value');
+    if (!snapshot.exists()) {
+      return res.status(404).json({ error: 'Ticket not found' });
+    }
+    if (!canViewTicket(req.user, snapshot.val())) {
+      return res.status(403).json({ error: 'Forbidden' });
+    }
+
+    // Someone is waiting on the answer, so failures are reported rather than retried
+    const notifications = await deliverTicketEvent(db, snapshot.val(), event, { retry: { attempts: 1 } });
+    const outcomes = Object.entries(notifications).map(([target, n]) => `${target} ${n.status}`);
+    noteAudit(res, { action: 'ticket.notify', entityId: id, details: `${event}: ${outcomes.join(', ')}` });
+    res.json({ success: Object.values(notifications).some(n => n.status === 'sent'), notifications });
+  } catch (error) {
+    console.error('Send notification error:', error);
+    res.status(500).json({ error: 'Failed to send notification' });
+  }
+});
+
+// ========== SLA ==========
+// Service level policies, the business hours calendar and compliance
+// (lib/sla.js). Changing a policy or the calendar recomputes the due times
+// of tickets still in progress.
+const recalculateLater = () => {
+  recalculateSla(db).catch(error => console.error('SLA recalculation error:', error));
+};
+
+const policyNotFound = (res) => res.status(404).json({ error: 'SLA policy not found' });
+
+api.get('/sla/policies', verifyToken, requireRole('admin'), async (req, res) => {
+  try {
+    const snapshot = await db.ref('slaPolicies').once('value');
+    const policies = Object.values(snapshot.val() || {}).sort((a, b) => a.name.localeCompare(b.name));
+    res.json({ policies, defaultPolicy: config.sla.defaultPolicy });
+  } catch (error) {
+    console.error('Get SLA policies error:', error);
+    res.status(500).json({ error: 'Failed to fetch SLA policies' });
+  }
+});
+
+api.post('/sla/policies', verifyToken, requireRole('admin'), requireAdminPermission('canEdit'), validateBody(slaPolicySchema), async (req, res) => {
+  try {
+    const ref = db.ref('slaPolicies').push();
+    const policy = { ...req.body, id: ref.key, enabled: req.body.enabled !== false, updatedAt: new Date().toISOString(), updatedBy: req.user.userId };
+    await ref.set(policy);
+    noteAudit(res, { action: 'slaPolicy.create', entity: 'slaPolicies', entityId: ref.key, before: null, after: policy });
+    recalculateLater();
+    res.status(201).json({ success: true, policy });
+  } catch (error) {
+    console.error('Create SLA policy error:', error);
+    res.status(500).json({ error: 'Failed to create SLA policy' });
+  }
+});
+
+api.put('/sla/policies/:id', verifyToken, requireRole('admin'), requireAdminPermission('canEdit'), validateBody(slaPolicySchema), async (req, res) => {
+  try {
+    const ref = db.ref(`slaPolicies/${req.params.id}`);
+    const before = (await ref.once('value')).val();
+    if (!before) return policyNotFound(res);
+    const policy = { ...req.body, id: req.params.id, enabled: req.body.enabled !== false, updatedAt: new Date().toISOString(), updatedBy: req.user.userId };
+    await ref.set(policy);
+    noteAudit(res, { action: 'slaPolicy.update', entity: 'slaPolicies', entityId: req.params.id, before, after: policy });
+    recalculateLater();
+    res.json({ success: true, policy });
+  } catch (error) {
+    console.error('Update SLA policy error:', error);
+    res.status(500).json({ error: 'Failed to update SLA policy' });
+  }
+});
+
+api.delete('/sla/policies/:id', verifyToken, requireRole('admin'), requireAdminPermission('canDelete'), async (req, res) => {
+  try {
+    const ref = db.ref(`slaPolicies/${req.params.id}`);
+    const before = (await ref.once('value')).val();
+    if (!before) return policyNotFound(res);
+    await ref.remove();
+    noteAudit(res, { action: 'slaPolicy.delete', entity: 'slaPolicies', entityId: req.params.id, before, after: null });
+    recalculateLater();
+    res.json({ success: true, message: 'SLA policy deleted' });
+  } catch (error) {
+    console.error('Delete SLA policy error:', error);
+    res.status(500).json({ error: 'Failed to delete SLA policy' });
+  }
+});
+
+api.get('/sla/calendar', verifyToken, requireRole('admin'), async (req, res) => {
+  try {
+    res.json((await loadSlaSettings(db)).calendar);
+  } catch (error) {
+    console.error('Get SLA calendar error:', error);
+    res.status(500).json({ error: 'Failed to fetch SLA calendar' });
+  }
+});
+
+api.put('/sla/calendar', verifyToken, requireRole('admin'), requireAdminPermission('canEdit'), validateBody(slaCalendarSchema), async (req, res) => {
+  try {
+    const { timeZone, days, start, end, holidays = [] } = req.body;
+    const details = [
+      ...(isTimeZone(timeZone) ? [] : [`Unknown time zone ${timeZone}`]),
+      ...(start < end ? [] : ['start must be before end'])
+    ];
+    if (details.length) {
+      return res.status(400).json({ error: 'Validation failed', details });
+    }
+
+    const ref = db.ref('slaCalendar');
+    const before = (await ref.once('value')).val();
+    const calendar = { timeZone, days: [...days].sort((a, b) => a - b), start, end, holidays: [...holidays].sort() };
+    await ref.set(calendar);
+    noteAudit(res, { action: 'slaCalendar.update', entity: 'slaCalendar', entityId: 'calendar', before, after: calendar });
+    recalculateLater();
+    res.json({ success: true, calendar });
+  } catch (error) {
+    console.error('Update SLA calendar error:', error);
+    res.status(500).json({ error: 'Failed to update SLA calendar' });
+  }
+});
+
+// Compliance for tickets raised between ?from and ?to (YYYY-MM-DD)
+api.get('/sla/report', verifyToken, requireRole('admin', 'manager', 'helpdesk'), async (req, res) => {
+  try {
+    res.json(await slaReport(db, req.user, { from: req.query.from || null, to: req.query.to || null }));
+  } catch (error) {
+    console.error('SLA report error:', error);
+    res.status(500).json({ error: 'Failed to build SLA report' });
+  }
+});
+
+// ========== FOLLOW-UPS ==========
+// Incomplete jobs whose follow-up date has come (lib/followUps.js), most
+// overdue first. Managers see their own tickets.
+api.get('/follow-ups/overdue', verifyToken, requireRole('admin', 'manager'), async (req, res) => {
+  try {
+    res.json(await listFollowUps(db, req.user));
+  } catch (error) {
+    console.error('Get follow-ups error:', error);
+    res.status(500).json({ error: 'Failed to fetch follow-ups' });
+  }
+});
+
+// ========== INBOX ==========
+// The signed-in user's in-app notifications (lib/inbox.js), newest first.
+api.get('/inbox', verifyToken, requireRole(...ALL_ROLES), async (req, res) => {
+  try {
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || config.inbox.pageSize, 1), config.inbox.maxItems);
+    res.json(await readInbox(db, req.user.userId, { unreadOnly: req.query.unread === 'true', limit }));
+  } catch (error) {
+    console.error('Get inbox error:', error);
+    res.status(500).json({ error: 'Failed to fetch notifications' });
+  }
+});
+
+api.post('/inbox/read-all', verifyToken, requireRole(...ALL_ROLES), async (req, res) => {
+  try {
+    const unread = await markRead(db, req.user.userId);
+    res.json({ success: true, unread });
+  } catch (error) {
+    console.error('Mark all read error:', error);
+    res.status(500).json({ error: 'Failed to mark notifications read' });
+  }
+});
+
+api.post('/inbox/:id/read', verifyToken, requireRole(...ALL_ROLES), async (req, res) => {
+  try {
+    const unread = await markRead(db, req.user.userId, [req.params.id]);
+    if (unread === null) {
+      return res.status(404).json({ error: 'Notification not found' });
+    }
+    res.json({ success: true, unread });
+  } catch (error) {
+    console.error('Mark read error:', error);
+    res.status(500).json({ error: 'Failed to mark notification read' });
+  }
+});
+
+// ========== MESSAGE OPT-OUTS ==========
+// Phones that receive no ticket texts (lib/optOuts.js). Staff add and remove
+// numbers; providers forward replies to the inbound webhook so STOP and
+// START work without staff.
+const OPT_OUT_ROLES = ['admin', 'frontoffice', 'helpdesk'];
+
+api.get('/messaging/opt-outs', verifyToken, requireRole(...OPT_OUT_ROLES), async (req, res) => {
+  try {
+    res.json(await listOptOuts(db));
+  } catch (error) {
+    console.error('Get opt-outs error:', error);
+    res.status(500).json({ error: 'Failed to fetch opt-outs' });
+  }
+});
+
+api.post('/messaging/opt-outs', verifyToken, requireRole(...OPT_OUT_ROLES), requireAdminPermission('canEdit'), async (req, res) => {
+  try {
+    const entry = await optOut(db, req.body.phone, { source: 'staff', by: req.user.userId });
+    if (!entry) {
+      return res.status(400).json({ error: 'A phone number is required' });
+    }
+    noteAudit(res, { action: 'messaging.optOut', entity: 'messageOptOuts', entityId: entry.phone });
+    res.status(201).json({ success: true, optOut: entry });
+  } catch (error) {
+    console.error('Add opt-out error:', error);
+    res.status(500).json({ error: 'Failed to add opt-out' });
+  }
+});
+
+api.delete('/messaging/opt-outs/:phone', verifyToken, requireRole(...OPT_OUT_ROLES), requireAdminPermission('canEdit'), async (req, res) => {
+  try {
+    if (!(await optIn(db, req.params.phone))) {
+      return res.status(404).json({ error: 'Number is not opted out' });
+    }
+    noteAudit(res, { action: 'messaging.optIn', entity: 'messageOptOuts', entityId: req.params.phone });
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Remove opt-out error:', error);
+    res.status(500).json({ error: 'Failed to remove opt-out' });
+  }
+});
+
+// Accepts { from, text } from an SMS gateway or a WhatsApp Business
+// webhook payload; anything other than STOP/START is acknowledged and
+// ignored.
+//   SMS gateways: send MESSAGE_INBOUND_TOKEN as X-Webhook-Token
+//   WhatsApp (Meta): subscribe with WHATSAPP_VERIFY_TOKEN (checked by the
+//   GET handshake); deliveries are signed with WHATSAPP_APP_SECRET
+const sameSecret = (given, expected) => {
+  const a = Buffer.from(String(given || ''));
+  const b = Buffer.from(String(expected));
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+};
+
+const validMetaSignature = (req, appSecret) => {
+  const signature = req.get('X-Hub-Signature-256');
+  if (!signature || !req.rawBody) return false;
+  const expected = `sha256=${crypto.createHmac('sha256', appSecret).update(req.rawBody).digest('hex')}`;
+  return sameSecret(signature, expected);
+};
+
+const inboundReplies = (body = {}) => {
+  if (Array.isArray(body.entry)) {
+    return body.entry.flatMap(e => (e.changes || []).flatMap(c => c.value?.messages || []))
+      .map(m => ({ from: m.from, text: m.text?.body }));
+  }
+  return body.from ? [{ from: body.from, text: body.text }] : [];
+};
+
+// Meta's subscription handshake: echo hub.challenge for our verify token
+api.get('/messaging/inbound', (req, res) => {
+  const { verifyToken } = config.messaging.whatsapp;
+  if (!verifyToken) {
+    return res.status(404).json({ error: 'Inbound messages are not enabled' });
+  }
+  if (req.query['hub.mode'] !== 'subscribe' || !sameSecret(req.query['hub.verify_token'], verifyToken)) {
+    return res.status(403).json({ error: 'Invalid verify token' });
+  }
+  res.type('text').send(String(req.query['hub.challenge'] || ''));
+});
+
+api.post('/messaging/inbound', async (req, res) => {
+  try {
+    const { inboundToken, whatsapp: { appSecret } } = config.messaging;
+    if (!inboundToken && !appSecret) {
+      return res.status(404).json({ error: 'Inbound messages are not enabled' });
+    }
+    const trusted = (inboundToken && sameSecret(req.get('X-Webhook-Token'), inboundToken)) ||
+      (appSecret && validMetaSignature(req, appSecret));
+    if (!trusted) {
+      return res.status(401).json({ error: 'Invalid webhook token or signature' });
+    }
+
+    let handled = 0;
+    for (const { from, text } of inboundReplies(req.body)) {
+      const intent = replyIntent(text);
+      if (intent === 'stop') await optOut(db, from, { source: 'reply' });
+      if (intent === 'start') await optIn(db, from);
+      if (intent) handled++;
+    }
+    res.json({ success: true, handled });
+  } catch (error) {
+    console.error('Inbound message error:', error);
+    res.status(500).json({ error: 'Failed to process inbound message' });
+  }
+});
+
+// ========== VERSIONED MOUNT ==========
+app.use(`/api/${config.api.version}`, api);
+app.use('/api', api);
+
+// ========== ERROR HANDLING ==========
+app.use((err, req, res, next) => {
+  console.error(err);
+  res.status(500).json({ error: 'Internal server error' });
 });
 
 // ========== START SERVER ==========
+// Tests listen on a port of their own (test/support/server.js)
 const PORT = process.env.PORT || 3001;
-app.listen(PORT, () => {
-  console.log(`✅ Server running on port ${PORT}`);
-  console.log(`🔥 Firebase Database syncing enabled`);
-});
+if (process.env.NODE_ENV !== 'test') {
+  app.listen(PORT, () => {
+    console.log(`✅ Server running on port ${PORT}`);
+    console.log(config.storage.driver === 'firebase'
+      ? '🔥 Firebase Database syncing enabled'
+      : `💾 Local ${config.storage.driver} storage${config.storage.driver === 'file' ? ` (${config.storage.file})` : ''}`);
+    if (!config.messaging.transport) {
+      console.warn('⚠️ MESSAGE_TRANSPORT not set; messages on channels without their own transport will fail');
+    }
+    startFollowUpScheduler(db);
+  });
+}
 
 export default app;
@@ -1,4 +1,16 @@
+// Load .env before any setting below reads process.env.
+import 'dotenv/config';
+
+// TRUST_PROXY: a hop count, or a comma-separated list of proxy addresses/subnets
+const trustProxy = (value = '1') => (/^\d+$/.test(value.trim()) ? Number(value) : value.split(',').map(entry => entry.trim()));
+
 export const config = {
+  storage: {
+    // firebase | file | memory (see lib/db.js). `file` keeps a JSON copy of
+    // the database on disk for running the backend without Firebase.
+    driver: process.env.STORAGE_DRIVER || 'firebase',
+    file: process.env.STORAGE_FILE || 'data/local-db.json'
+  },
   firebase: {
     projectId: process.env.FIREBASE_PROJECT_ID,
     databaseURL: process.env.FIREBASE_DATABASE_URL,
@@ -7,15 +19,216 @@ export const config = {
   },
   jwt: {
     secret: process.env.JWT_SECRET,
-    expiresIn: '24h'
+    // Access tokens are short-lived; clients renew them with the rotating
+    // refresh token from /api/login (see lib/sessions.js).
+    expiresIn: '15m'
+  },
+  auth: {
+    // Progressive lockout: after maxFailedAttempts failures the account/IP
+    // is locked for lockoutBaseMs, doubling with each further failure.
+    maxFailedAttempts: Number(process.env.AUTH_MAX_FAILED_ATTEMPTS) || 5,
+    lockoutBaseMs: 60 * 1000,
+    lockoutMaxMs: 60 * 60 * 1000,
+    refreshTokenTtlMs: 7 * 24 * 60 * 60 * 1000,
+    // A session that has not refreshed for this long is treated as ended.
+    sessionIdleMs: Number(process.env.AUTH_SESSION_IDLE_MS) || 30 * 60 * 1000,
+    minPasswordLength: 8,
+    // Temporary passwords issued from the admin reset queue work for one
+    // sign-in within this window and must then be changed.
+    tempPasswordTtlMs: 24 * 60 * 60 * 1000
+  },
+  otp: {
+    length: 6,
+    ttlMs: 5 * 60 * 1000,
+    maxAttempts: 5,
+    // A new code can be requested once per resendIntervalMs and at most
+    // maxRequestsPerWindow times per windowMs, per account and per IP.
+    resendIntervalMs: 60 * 1000,
+    maxRequestsPerWindow: 5,
+    windowMs: 60 * 60 * 1000,
+    // Lifetime of the reset token handed out after a successful verify
+    resetTokenTtlMs: 10 * 60 * 1000
+  },
+  messaging: {
+    // console | file | smtp | sms-gateway | whatsapp | mock, or any transport
+    // added with registerTransport. `transport` is the default; a channel
+    // can be sent elsewhere with EMAIL_TRANSPORT / SMS_TRANSPORT /
+    // WHATSAPP_TRANSPORT. There is no fallback: console and file would put
+    // OTP codes in logs, so only `npm run dev:local` defaults to console.
+    transport: process.env.MESSAGE_TRANSPORT,
+    channels: {
+      email: process.env.EMAIL_TRANSPORT,
+      sms: process.env.SMS_TRANSPORT,
+      whatsapp: process.env.WHATSAPP_TRANSPORT
+    },
+    outboxFile: process.env.MESSAGE_OUTBOX_FILE || 'logs/outbox.log',
+    // Channel used for ticket updates to phones: sms or whatsapp
+    phoneChannel: process.env.PHONE_CHANNEL || 'sms',
+    // Prefixed to 10-digit local numbers
+    countryCode: process.env.PHONE_COUNTRY_CODE || '91',
+    requestTimeoutMs: Number(process.env.MESSAGE_TIMEOUT_MS) || 10000,
+    // Failed sends that may succeed later (network errors, 5xx, 429) are
+    // retried with exponential backoff: baseDelayMs, 2x, 4x... up to maxDelayMs
+    retry: {
+      attempts: Number(process.env.MESSAGE_RETRY_ATTEMPTS) || 4,
+      baseDelayMs: Number(process.env.MESSAGE_RETRY_DELAY_MS) || 2000,
+      maxDelayMs: 60 * 1000
+    },
+    // Generic HTTP SMS gateway: POST { to, from, text } with a bearer key
+    smsGateway: {
+      url: process.env.SMS_GATEWAY_URL,
+      apiKey: process.env.SMS_GATEWAY_KEY,
+      sender: process.env.SMS_SENDER_ID || 'TERAIT'
+    },
+    // WhatsApp Business (Cloud API style) text messages
+    whatsapp: {
+      apiUrl: process.env.WHATSAPP_API_URL || 'https://graph.facebook.com/v19.0',
+      phoneNumberId: process.env.WHATSAPP_PHONE_NUMBER_ID,
+      token: process.env.WHATSAPP_TOKEN,
+      // Inbound webhook: the verify token given to Meta when subscribing,
+      // and the app secret Meta signs deliveries with (X-Hub-Signature-256)
+      verifyToken: process.env.WHATSAPP_VERIFY_TOKEN,
+      appSecret: process.env.WHATSAPP_APP_SECRET
+    },
+    // Where the mock provider records phone messages
+    mockFile: process.env.MESSAGE_MOCK_FILE || 'logs/phone-mock.log',
+    // Shared secret SMS gateways send as X-Webhook-Token on inbound replies
+    // (STOP / START); the webhook is off while neither this nor
+    // whatsapp.appSecret is set
+    inboundToken: process.env.MESSAGE_INBOUND_TOKEN
+  },
+  smtp: {
+    host: process.env.SMTP_HOST,
+    port: Number(process.env.SMTP_PORT) || 587,
+    // true for implicit TLS (port 465); otherwise STARTTLS is used when offered
+    secure: process.env.SMTP_SECURE === 'true',
+    user: process.env.SMTP_USER,
+    pass: process.env.SMTP_PASS,
+    from: process.env.SMTP_FROM || 'TERAIT Support <no-reply@terait.local>'
+  },
+  notifications: {
+    // Customer and engineer messages for ticket events
+    // (lib/notifications.js). Templates are edited by admins;
+    // NOTIFY_CUSTOMERS=false stops all sending.
+    enabled: process.env.NOTIFY_CUSTOMERS !== 'false',
+    companyName: process.env.NOTIFY_COMPANY_NAME || 'TERAIT',
+    // How long a ticket write waits for its notifications before responding
+    waitMs: Number(process.env.NOTIFY_WAIT_MS) || 5000
+  },
+  events: {
+    // Keep-alive comment interval for /api/events (also when revoked
+    // sessions are noticed) and the reconnect delay suggested to clients
+    heartbeatMs: 25 * 1000,
+    retryMs: 5 * 1000
+  },
+  sla: {
+    // Service level targets (lib/sla.js). Admins add policies per call
+    // type, department or customer; tickets none of them match get
+    // defaultPolicy. Business hours follow the calendar unless admins
+    // change it.
+    calendar: {
+      timeZone: process.env.SLA_TIME_ZONE || 'Asia/Kolkata',
+      days: [1, 2, 3, 4, 5, 6],
+      start: '09:00',
+      end: '18:00',
+      holidays: []
+    },
+    defaultPolicy: {
+      firstResponseHours: 4,
+      siteVisitHours: 24,
+      resolutionHours: 72,
+      businessHours: true
+    }
+  },
+  followUps: {
+    // Reminders for incomplete jobs (lib/followUps.js). The API server
+    // checks every intervalMs unless FOLLOW_UP_SCHEDULER=false; elsewhere
+    // schedule `npm run followups`. Dates are taken in timeZone; a reminder
+    // due today waits until remindHour, and one graceDays overdue is
+    // escalated to the manager and the escalateTo roles.
+    scheduler: process.env.FOLLOW_UP_SCHEDULER !== 'false',
+    intervalMs: (Number(process.env.FOLLOW_UP_INTERVAL_MINUTES) || 15) * 60 * 1000,
+    timeZone: process.env.FOLLOW_UP_TIME_ZONE || 'Asia/Kolkata',
+    remindHour: 9,
+    graceDays: Number(process.env.FOLLOW_UP_GRACE_DAYS ?? 2),
+    escalateTo: ['admin'],
+    // Also text the engineer and manager on their phone
+    text: process.env.FOLLOW_UP_TEXTS !== 'false'
+  },
+  inbox: {
+    // Entries kept per user (oldest dropped first) and GET /api/inbox page size
+    maxItems: 200,
+    pageSize: 50
+  },
+  audit: {
+    // GET /api/audit page size (default and upper bound) and how far back a
+    // single filtered query scans, read in batches of batchSize
+    pageSize: 50,
+    maxPageSize: 200,
+    batchSize: 200,
+    maxScan: 5000
+  },
+  listing: {
+    // Page size for list endpoints called with paging parameters
+    // (lib/listing.js): default and upper bound
+    pageSize: 25,
+    maxPageSize: 200
+  },
+  attachments: {
+    // Uploads to /api/attachments. Files are checked by their content, not
+    // their name or declared type. maxFileBytes stays below the Realtime
+    // Database's 10 MB string limit once base64 encoded.
+    maxFileBytes: 5 * 1024 * 1024,
+    maxFiles: 10,
+    maxPixels: 40 * 1000 * 1000,
+    types: ['image/jpeg', 'image/png', 'image/webp', 'application/pdf'],
+    // Longest edge of the JPEG thumbnails generated for images
+    thumbnailSize: 320
+  },
+  openapi: {
+    // What happens when a JSON response does not match the documented
+    // body (lib/contract.js): log | strict (answer 500) | off
+    validateResponses: process.env.API_RESPONSE_VALIDATION || 'log'
+  },
+  idempotency: {
+    // How long a stored response is replayed for a repeated Idempotency-Key
+    ttlMs: 24 * 60 * 60 * 1000
+  },
+  // Record ids minted by the backend: prefix + counter padded to `padding`
+  // digits. `collection` is where records of that type are keyed by id.
+  ids: {
+    ticket: { prefix: 'TK', padding: 3, collection: 'tickets' },
+    customer: { prefix: 'CUS', padding: 3, collection: 'customers' },
+    company: { prefix: 'C', padding: 3, collection: 'companies' },
+    callGroup: { prefix: 'GRP', padding: 3, collection: 'callGroups' },
+    employee: { prefix: 'E', padding: 3, collection: 'employees' },
+    manager: { prefix: 'M', padding: 3, collection: 'managers' },
+    admin: { prefix: 'A', padding: 3, collection: null },
+    frontoffice: { prefix: 'F', padding: 3, collection: null },
+    finance: { prefix: 'FN', padding: 3, collection: null },
+    hr: { prefix: 'HR', padding: 3, collection: null }
   },
+  // Proxies in front of the API whose X-Forwarded-For entries are believed
+  // when working out req.ip, which the login lockout and OTP limits are
+  // keyed on. Vercel adds one hop; trusting every hop would let a caller
+  // pick its own IP.
+  trustProxy: trustProxy(process.env.TRUST_PROXY),
   cors: {
     origin: process.env.CORS_ORIGIN?.split(',') || ['http://localhost:3000'],
     methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
+    // Let browser clients notice they are calling a deprecated route
+    exposedHeaders: ['Deprecation', 'Sunset', 'Link', 'Warning'],
     credentials: true
   },
   api: {
+    // Routes are served under /api/<version>; plain /api remains an alias
     version: 'v1',
-    baseUrl: process.env.API_BASE_URL || 'http://localhost:3001'
+    baseUrl: process.env.API_BASE_URL || 'http://localhost:3001',
+    // The legacy /load/* and /save endpoints: when they were deprecated and
+    // the removal date announced in their Sunset header
+    legacy: {
+      deprecatedAt: '2026-10-19',
+      sunsetAt: process.env.API_LEGACY_SUNSET || '2027-04-19'
+    }
   }
 };
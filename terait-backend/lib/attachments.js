@@ -0,0 +1,172 @@
+import Busboy from 'busboy';
+import crypto from 'crypto';
+import sharp from 'sharp';
+import { config } from '../config.js';
+
+// Photos and documents attached to ticket events (site visit reports, sales
+// verification, ...). Metadata lives in `attachments/<id>`; the file and
+// its thumbnail are base64 in `attachmentBlobs/<id>`, so reading tickets or
+// attachment metadata never loads file content. Tickets reference uploads
+// by id in `<event>PhotoIds` arrays.
+const { maxFileBytes, maxFiles, maxPixels, types, thumbnailSize } = config.attachments;
+
+// Fields on a ticket that hold attachment ids
+export const ATTACHMENT_FIELD = /PhotoIds$/;
+
+const SIGNATURES = [
+  { type: 'image/jpeg', bytes: [0xff, 0xd8, 0xff] },
+  { type: 'image/png', bytes: [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a] },
+  { type: 'image/gif', bytes: [0x47, 0x49, 0x46, 0x38] },
+  { type: 'application/pdf', bytes: [0x25, 0x50, 0x44, 0x46, 0x2d] }
+];
+
+// The real type of `buffer` from its leading bytes, or null if unknown
+export function sniffType(buffer) {
+  const match = SIGNATURES.find(({ bytes }) => bytes.every((byte, i) => buffer[i] === byte));
+  if (match) return match.type;
+  if (buffer.length >= 12 && buffer.toString('latin1', 0, 4) === 'RIFF' && buffer.toString('latin1', 8, 12) === 'WEBP') {
+    return 'image/webp';
+  }
+  return null;
+}
+
+const megabytes = (bytes) => `${Math.round(bytes / (1024 * 1024))} MB`;
+
+// `C:\fakepath\IMG 1.jpg` -> `IMG 1.jpg`
+const cleanName = (name) =>
+  String(name || 'upload').split(/[\\/]/).pop().replace(/[\u0000-\u001f]/g, '').slice(0, 200) || 'upload';
+
+// Reads a multipart/form-data request into { fields, files }, or returns
+// { status, error } when it is malformed or over the limits.
+export function readUpload(req) {
+  return new Promise(resolve => {
+    let busboy;
+    try {
+      busboy = Busboy({
+        headers: req.headers,
+        limits: { fileSize: maxFileBytes, files: maxFiles, fields: 20, fieldSize: 4096 }
+      });
+    } catch (error) {
+      return resolve({ status: 400, error: 'Expected a multipart/form-data upload' });
+    }
+
+    const fields = {};
+    const files = [];
+    let failure = null;
+    const fail = (status, error) => { failure = failure || { status, error }; };
+
+    busboy.on('field', (name, value) => { fields[name] = value; });
+    busboy.on('file', (field, stream, info) => {
+      const chunks = [];
+      stream.on('data', chunk => chunks.push(chunk));
+      stream.on('limit', () => fail(413, `${cleanName(info.filename)} is larger than ${megabytes(maxFileBytes)}`));
+      stream.on('close', () => {
+        if (!stream.truncated) files.push({ name: cleanName(info.filename), declaredType: info.mimeType, buffer: Buffer.concat(chunks) });
+      });
+    });
+    busboy.on('filesLimit', () => fail(413, `At most ${maxFiles} files per upload`));
+    busboy.on('error', () => resolve({ status: 400, error: 'Malformed upload' }));
+    busboy.on('close', () => resolve(failure || { fields, files }));
+    req.pipe(busboy);
+  });
+}
+
+// Checks every file before anything is stored, so an upload is accepted or
+// rejected as a whole. Returns { status, error } for the first bad file.
+export function checkFiles(files) {
+  if (!files.length) return { status: 400, error: 'No files uploaded' };
+  for (const file of files) {
+    if (!file.buffer.length) return { status: 400, error: `${file.name} is empty` };
+    const type = sniffType(file.buffer);
+    if (!type || !types.includes(type)) {
+      return { status: 415, error: `${file.name} is not an accepted file type (${types.join(', ')})` };
+    }
+    file.type = type;
+  }
+  return null;
+}
+
+// Width, height and a JPEG thumbnail; throws if the image cannot be decoded.
+// rotate() applies the EXIF orientation so thumbnails are upright.
+async function describeImage(buffer) {
+  const image = sharp(buffer, { limitInputPixels: maxPixels });
+  const { width, height } = await image.metadata();
+  const thumbnail = await image
+    .rotate()
+    .resize(thumbnailSize, thumbnailSize, { fit: 'inside', withoutEnlargement: true })
+    .jpeg({ quality: 75 })
+    .toBuffer();
+  return { width, height, thumbnail };
+}
+
+// Stores checked files for one ticket event and returns their metadata.
+// Returns { status, error } if an image turns out to be unreadable.
+export async function storeAttachments(db, files, { ticketId, event, user }) {
+  const prepared = [];
+  for (const file of files) {
+    let image = null;
+    if (file.type.startsWith('image/')) {
+      try {
+        image = await describeImage(file.buffer);
+      } catch (error) {
+        return { status: 415, error: `${file.name} could not be read as an image` };
+      }
+    }
+    prepared.push({ file, image });
+  }
+
+  const now = new Date().toISOString();
+  const updates = {};
+  const attachments = prepared.map(({ file, image }) => {
+    const id = db.ref('attachments').push().key;
+    const meta = {
+      id,
+      ticketId,
+      event: event || null,
+      name: file.name,
+      type: file.type,
+      size: file.buffer.length,
+      width: image ? image.width : null,
+      height: image ? image.height : null,
+      hasThumbnail: !!image,
+      sha256: crypto.createHash('sha256').update(file.buffer).digest('hex'),
+      uploadedBy: user.userId,
+      uploadedByName: user.username || null,
+      uploadedAt: now
+    };
+    updates[`attachments/${id}`] = meta;
+    updates[`attachmentBlobs/${id}`] = {
+      data: file.buffer.toString('base64'),
+      thumbnail: image ? image.thumbnail.toString('base64') : null
+    };
+    return meta;
+  });
+  await db.ref().update(updates);
+  return { attachments };
+}
+
+export async function getAttachment(db, id) {
+  const snapshot = await db.ref(`attachments/${id}`).once('value');
+  return snapshot.val();
+}
+
+// `variant` is 'data' (the file) or 'thumbnail'; null if missing
+export async function getAttachmentContent(db, id, variant) {
+  const snapshot = await db.ref(`attachmentBlobs/${id}/${variant}`).once('value');
+  return snapshot.exists() ? Buffer.from(snapshot.val(), 'base64') : null;
+}
+
+export async function removeAttachment(db, id) {
+  await db.ref().update({ [`attachments/${id}`]: null, [`attachmentBlobs/${id}`]: null });
+}
+
+// Attachment ids in ticket `changes` that do not exist or belong to
+// another ticket.
+export async function foreignAttachmentIds(db, ticketId, changes) {
+  const ids = new Set();
+  Object.keys(changes || {})
+    .filter(field => ATTACHMENT_FIELD.test(field) && Array.isArray(changes[field]))
+    .forEach(field => changes[field].forEach(id => ids.add(id)));
+  const found = await Promise.all([...ids].map(async id => ({ id, meta: await getAttachment(db, id) })));
+  return found.filter(({ meta }) => !meta || meta.ticketId !== ticketId).map(({ id }) => id);
+}
@@ -0,0 +1,129 @@
+import { config } from '../config.js';
+
+// Append-only audit trail under `audit/<push key>`. Push keys sort by time,
+// so the log is read newest-first by key. The API never updates or deletes
+// entries; database rules should make the node write-once as well.
+//
+// `auditTrail` writes one entry for every successful write request. Routes
+// describe what they changed with `noteAudit(res, { action, entity,
+// entityId, before, after })`; anything they leave out is derived from the
+// request.
+
+const MUTATING = new Set(['POST', 'PUT', 'PATCH', 'DELETE']);
+const SENSITIVE = /password|token|secret|hash|otp/i;
+const IGNORED_FIELDS = ['updatedAt', 'version', 'updatedBy'];
+
+const MAX_VALUE_LENGTH = 500;
+
+// Large values (photos as data URLs) are summarised rather than copied
+const clean = (value) => {
+  if (value === undefined) return null;
+  const text = typeof value === 'string' ? value : JSON.stringify(value);
+  return text && text.length > MAX_VALUE_LENGTH ? `[${text.length} chars]` : value;
+};
+
+// Top-level fields that differ, as { field: { from, to } }. Credentials
+// are never copied into the log.
+export function auditDiff(before, after) {
+  const changes = {};
+  const a = before || {};
+  const b = after || {};
+  new Set([...Object.keys(a), ...Object.keys(b)]).forEach(field => {
+    if (IGNORED_FIELDS.includes(field)) return;
+    if (JSON.stringify(a[field]) === JSON.stringify(b[field])) return;
+    changes[field] = SENSITIVE.test(field)
+      ? { from: '[redacted]', to: '[redacted]' }
+      : { from: clean(a[field]), to: clean(b[field]) };
+  });
+  return changes;
+}
+
+export function noteAudit(res, details) {
+  res.locals.audit = { ...res.locals.audit, ...details };
+}
+
+// `/api/v1/tickets/TK001/transition` -> tickets / TK001
+const entityFromPath = (path) => {
+  const [entity, entityId] = path.replace(/^\/api\/(?:v\d+\/)?/, '').split('/');
+  return { entity: entity || null, entityId: entityId || null };
+};
+
+export function auditTrail(db) {
+  return (req, res, next) => {
+    if (!MUTATING.has(req.method)) return next();
+    res.on('finish', () => {
+      if (res.statusCode >= 400) return;
+      const noted = res.locals.audit || {};
+      const fromPath = entityFromPath(req.originalUrl.split('?')[0]);
+      const entity = noted.entity || fromPath.entity;
+      const entityId = noted.entityId || fromPath.entityId;
+      const now = new Date();
+      const entry = {
+        at: now.toISOString(),
+        ts: now.getTime(),
+        actor: noted.actor || req.user?.userId || null,
+        actorName: noted.actorName || req.user?.username || null,
+        role: noted.role || req.user?.role || null,
+        action: noted.action || `${req.method} ${req.baseUrl}${req.route ? req.route.path : req.path}`,
+        method: req.method,
+        path: req.originalUrl.split('?')[0],
+        status: res.statusCode,
+        entity,
+        entityId,
+        ticketId: noted.ticketId || (entity === 'tickets' ? entityId : null),
+        changes: noted.before !== undefined || noted.after !== undefined ? auditDiff(noted.before, noted.after) : null,
+        details: noted.details || null,
+        ip: req.ip || null
+      };
+      db.ref('audit').push(entry).catch(error => console.error('Audit write error:', error));
+    });
+    next();
+  };
+}
+
+// Newest-first page of entries matching `filters` ({ ticketId, actor,
+// action, entity, from, to } with from/to as ISO dates). Pages are keyed by
+// `cursor`, the id of the last entry of the previous page. Entries are
+// filtered while scanning back in batches, so a page may come back short
+// with a cursor when config.audit.maxScan entries were read without filling it.
+export async function queryAudit(db, filters = {}, cursor = null, limit = config.audit.pageSize) {
+  const { batchSize, maxScan } = config.audit;
+  const { ticketId, actor, action, entity, from, to } = filters;
+  const matches = (entry) =>
+    (!ticketId || entry.ticketId === ticketId) &&
+    (!actor || entry.actor === actor || entry.actorName === actor) &&
+    (!action || (entry.action || '').includes(action)) &&
+    (!entity || entry.entity === entity) &&
+    (!to || entry.at <= to);
+
+  const items = [];
+  let last = cursor;
+  let exhausted = false;
+  let scanned = 0;
+  while (items.length < limit && !exhausted && scanned < maxScan) {
+    let query = db.ref('audit').orderByKey();
+    if (last) query = query.endBefore(last);
+    const snapshot = await query.limitToLast(batchSize).once('value');
+    const rows = [];
+    snapshot.forEach(child => {
+      rows.push([child.key, child.val()]);
+    });
+    if (rows.length < batchSize) exhausted = true;
+
+    for (const [key, entry] of rows.reverse()) {
+      if (from && entry.at < from) {
+        exhausted = true;
+        break;
+      }
+      scanned++;
+      last = key;
+      if (matches(entry)) {
+        items.push({ id: key, ...entry });
+        if (items.length === limit) break;
+      }
+    }
+  }
+
+  const more = !exhausted || items.length === limit;
+  return { items, nextCursor: more ? last : null };
+}
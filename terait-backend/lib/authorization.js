@@ -0,0 +1,70 @@
+// Role and row-level access rules for the API. Roles match the login role
+// selector in terait-frontend/app.js.
+export const ROLES = ['admin', 'frontoffice', 'helpdesk', 'manager', 'employee', 'finance', 'hr'];
+
+// Every signed-in role; used for read access to shared master data.
+export const ALL_ROLES = ROLES;
+
+// Rejects the request unless the token's role is one of `roles`.
+export const requireRole = (...roles) => (req, res, next) => {
+  if (!req.user || !roles.includes(req.user.role)) {
+    return res.status(403).json({ error: 'Forbidden' });
+  }
+  next();
+};
+
+// Admins carry permissions.canEdit/canDelete (see getCurrentAdminPerms in
+// the frontend). Other roles are gated by requireRole only.
+export const requireAdminPermission = (permission) => (req, res, next) => {
+  if (req.user && req.user.role === 'admin' && !(req.user.permissions && req.user.permissions[permission])) {
+    return res.status(403).json({ error: `Admin permission ${permission} required` });
+  }
+  next();
+};
+
+const ownId = (user) => user.employeeId || user.userId;
+
+export function canViewTicket(user, ticket) {
+  switch (user.role) {
+    case 'admin':
+    case 'helpdesk':
+      return true;
+    case 'manager':
+      return (Array.isArray(ticket.assignedManagerIds) && ticket.assignedManagerIds.includes(user.userId)) ||
+        ticket.acceptedByManager === user.userId ||
+        ticket.raisedByManager === user.userId;
+    case 'employee':
+      return ticket.assignedEmployeeId === ownId(user);
+    case 'finance':
+      return !!(ticket.financeReady || ticket.verifiedByManager || ticket.financeAdvanceRequired);
+    case 'frontoffice':
+      return ticket.frontOfficeUser === user.userId || ticket.frontOfficeUser === user.username ||
+        ticket.createdBy === user.userId;
+    default:
+      return false;
+  }
+}
+
+export const filterTicketsFor = (user, tickets) => tickets.filter(ticket => canViewTicket(user, ticket));
+
+// Only someone in `role` may set the field, and only to themselves (or clear it)
+const selfOnly = (role) => (actor, current, value) =>
+  actor.role === role && (!value || value === actor.id || value === actor.username);
+
+// The fields canViewTicket reads, with who besides admins may change them,
+// so nobody can hand themselves (or take away from others) a ticket through
+// a plain update. Checked with the guard fields by fieldWriteError in
+// lib/ticketStateMachine.js; assignedManagerIds and assignedEmployeeId are
+// covered there.
+export const TICKET_OWNER_FIELDS = {
+  acceptedByManager: selfOnly('manager'),
+  raisedByManager: selfOnly('manager'),
+  frontOfficeUser: selfOnly('frontoffice'),
+  financeAdvanceRequired: (actor) => actor.role === 'manager'
+};
+
+// Admin and HR see everyone's attendance; everybody else only their own.
+export function canAccessAttendance(user, employeeId) {
+  if (user.role === 'admin' || user.role === 'hr') return true;
+  return employeeId === ownId(user);
+}
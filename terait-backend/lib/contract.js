@@ -0,0 +1,145 @@
+import Ajv from 'ajv';
+import { formatErrors } from './validation.js';
+
+// Enforces the OpenAPI document from lib/openapi.js. Path parameters, query
+// and JSON bodies that do not match the operation are rejected with the
+// usual { error: 'Validation failed', details } before the route runs.
+// JSON responses are checked against the body documented for their status;
+// `responses` is 'log' (report mismatches), 'strict' (answer 500 instead,
+// for development) or 'off'.
+
+const pointer = (...segments) =>
+  `openapi.json#/${segments.map(s => String(s).replace(/~/g, '~0').replace(/\//g, '~1')).join('/')}`;
+
+// `/tickets/{id}/transition` -> { regex, names: ['id'] }; matched like
+// Express does by default (case-insensitive, optional trailing slash)
+const pathMatcher = (template) => {
+  const names = [];
+  const source = template.split('/').map(segment => {
+    const param = /^\{(.+)\}$/.exec(segment);
+    if (!param) return segment.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    names.push(param[1]);
+    return '([^/]+)';
+  }).join('/');
+  return { regex: new RegExp(`^${source}/?$`, 'i'), names };
+};
+
+const decode = (value) => {
+  try {
+    return decodeURIComponent(value);
+  } catch (error) {
+    return value;
+  }
+};
+
+const parameterSchema = (parameters, location) => {
+  const properties = {};
+  const required = [];
+  parameters.filter(p => p.in === location).forEach(p => {
+    properties[p.name] = p.schema;
+    if (p.required) required.push(p.name);
+  });
+  return { type: 'object', properties, required };
+};
+
+export function contract(document, { responses = 'log' } = {}) {
+  const ajv = new Ajv({ allErrors: true, allowUnionTypes: true, strict: false });
+  // Query and path values arrive as strings; they are checked on a copy so
+  // the route still sees what the client sent
+  const coercing = new Ajv({ allErrors: true, allowUnionTypes: true, strict: false, coerceTypes: true });
+  ajv.addSchema(document, 'openapi.json');
+
+  const cache = new Map();
+  const compiled = (key, build) => {
+    if (!cache.has(key)) cache.set(key, build());
+    return cache.get(key);
+  };
+
+  // Literal paths first so /attendance/login wins over /attendance/{employeeId}
+  const operations = Object.entries(document.paths)
+    .flatMap(([path, methods]) => Object.entries(methods).map(([method, operation]) => ({
+      path,
+      method,
+      operation,
+      ...pathMatcher(path)
+    })))
+    .sort((a, b) => a.names.length - b.names.length);
+
+  const findOperation = (method, path) => {
+    const wanted = method === 'head' ? 'get' : method;
+    for (const candidate of operations) {
+      if (candidate.method !== wanted) continue;
+      const match = candidate.regex.exec(path);
+      if (match) {
+        const params = {};
+        candidate.names.forEach((name, i) => { params[name] = decode(match[i + 1]); });
+        return { ...candidate, params };
+      }
+    }
+    return null;
+  };
+
+  const checkRequest = (found, req) => {
+    const { path, method, operation, params } = found;
+    const checkParams = compiled(`${method} ${path} params`, () => {
+      const parameters = operation.parameters || [];
+      return coercing.compile({
+        type: 'object',
+        properties: { path: parameterSchema(parameters, 'path'), query: parameterSchema(parameters, 'query') }
+      });
+    });
+    if (!checkParams({ path: { ...params }, query: { ...req.query } })) {
+      return formatErrors(checkParams.errors);
+    }
+
+    if (!operation.requestBody?.content?.['application/json']) return null;
+    const checkBody = compiled(`${method} ${path} body`, () =>
+      ajv.compile({ $ref: pointer('paths', path, method, 'requestBody', 'content', 'application/json', 'schema') }));
+    return checkBody(req.body ?? {}) ? null : formatErrors(checkBody.errors);
+  };
+
+  // Documented responses are keyed by status, with `default` for errors
+  const checkResponse = (found, status, body) => {
+    const { path, method, operation } = found;
+    const key = operation.responses[status] ? String(status) : 'default';
+    const documented = operation.responses[key];
+    if (!documented) return null;
+    const location = documented.$ref
+      ? ['components', 'responses', documented.$ref.split('/').pop()]
+      : ['paths', path, method, 'responses', key];
+    const response = documented.$ref ? document.components.responses[location[2]] : documented;
+    if (!response.content?.['application/json']) return null;
+
+    const checkBody = compiled(`${method} ${path} ${key}`, () =>
+      ajv.compile({ $ref: pointer(...location, 'content', 'application/json', 'schema') }));
+    return checkBody(body) ? null : formatErrors(checkBody.errors);
+  };
+
+  return (req, res, next) => {
+    const found = findOperation(req.method.toLowerCase(), req.path);
+    if (!found) return next();
+
+    if (responses !== 'off') {
+      const json = res.json.bind(res);
+      res.json = (body) => {
+        const problems = checkResponse(found, res.statusCode, body);
+        if (!problems) return json(body);
+        console.error(`Response ${res.statusCode} to ${req.method} ${req.originalUrl} breaks the API contract:`, problems);
+        if (responses !== 'strict') return json(body);
+        res.status(500);
+        return json({ error: 'Response failed validation', details: problems });
+      };
+    }
+
+    // Signed-out requests to protected operations are turned away by
+    // verifyToken with a 401 rather than told what the body should be
+    const isPublic = Array.isArray(found.operation.security) && !found.operation.security.length;
+    if (!isPublic && !req.headers.authorization) return next();
+
+    const problems = checkRequest(found, req);
+    if (problems) {
+      return res.status(400).json({ error: 'Validation failed', details: problems });
+    }
+    next();
+  };
+}
@@ -0,0 +1,28 @@
+import { config } from '../config.js';
+
+// The database handle shared by the API and the maintenance scripts. Every
+// driver exposes the Firebase Realtime Database reference API (ref, once,
+// set, update, push, transaction, queries), so callers do not depend on
+// which one config.storage.driver selects:
+//   firebase - the production Realtime Database
+//   file     - in-memory, persisted to config.storage.file between runs
+//   memory   - in-memory only, empty on every start (tests, demos)
+const { driver, file } = config.storage;
+
+async function openDatabase() {
+  switch (driver) {
+    case 'firebase': {
+      const { createFirebaseDatabase } = await import('./storage/firebase.js');
+      return createFirebaseDatabase(config.firebase);
+    }
+    case 'file':
+    case 'memory': {
+      const { MemoryDatabase } = await import('./storage/memory.js');
+      return new MemoryDatabase({ file: driver === 'file' ? file : null });
+    }
+    default:
+      throw new Error(`Unknown STORAGE_DRIVER "${driver}" (expected firebase, file or memory)`);
+  }
+}
+
+export const db = await openDatabase();
@@ -0,0 +1,18 @@
+import { config } from '../config.js';
+
+// Marks a legacy route as on its way out: Deprecation (RFC 9745) carries the
+// date it was deprecated, Sunset (RFC 8594) the date it may be removed, Link
+// its replacement under the versioned API, and Warning says the same for
+// clients that only log that header. `successor` is a path such as
+// '/tickets', or a function of the request returning one.
+export const deprecated = (successor) => (req, res, next) => {
+  const { deprecatedAt, sunsetAt } = config.api.legacy;
+  const target = `/api/${config.api.version}${typeof successor === 'function' ? successor(req) : successor}`;
+  res.set({
+    Deprecation: `@${Math.floor(Date.parse(deprecatedAt) / 1000)}`,
+    Sunset: new Date(sunsetAt).toUTCString(),
+    Link: `<${target}>; rel="successor-version"`,
+    Warning: `299 - "Deprecated API: use ${target} instead"`
+  });
+  next();
+};
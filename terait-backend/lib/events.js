@@ -0,0 +1,74 @@
+import { config } from '../config.js';
+import { canAccessAttendance, canViewTicket } from './authorization.js';
+
+// Live change feed for open dashboards, streamed as Server-Sent Events from
+// GET /api/events. Routes publish after a successful write and every
+// subscriber only receives records its role could fetch itself; a ticket
+// that moves out of someone's view is sent to them as a removal. Events are
+// delivered by this process, so they cover writes made through the API.
+
+const subscribers = new Set();
+
+const send = (res, event, data) => res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+
+// Holds the response open until the client disconnects. `isActive` is
+// polled with the heartbeat so a revoked session loses its stream too.
+export function subscribe(req, res, isActive) {
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+
+  const subscriber = { user: req.user, res };
+  subscribers.add(subscriber);
+  res.write(`retry: ${config.events.retryMs}\n\n`);
+  send(res, 'ready', { at: new Date().toISOString() });
+
+  const heartbeat = setInterval(async () => {
+    try {
+      if (!(await isActive())) {
+        send(res, 'end', { reason: 'Session ended' });
+        res.end();
+        return;
+      }
+      res.write(': ping\n\n');
+    } catch (error) {
+      console.error('Event stream heartbeat error:', error);
+    }
+  }, config.events.heartbeatMs);
+
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    subscribers.delete(subscriber);
+  });
+}
+
+// `before`/`after` are the ticket around the write; null for create/delete.
+export function publishTicket(before, after) {
+  const id = (after || before).id;
+  subscribers.forEach(({ user, res }) => {
+    if (after && canViewTicket(user, after)) {
+      send(res, 'ticket', { action: 'upsert', id, ticket: after });
+    } else if (before && canViewTicket(user, before)) {
+      send(res, 'ticket', { action: 'remove', id });
+    }
+  });
+}
+
+// Inbox entries (lib/inbox.js) go to the streams of the one user they are for
+export function publishInbox(userId, item) {
+  subscribers.forEach(({ user, res }) => {
+    if (user.userId === userId) send(res, 'notification', item);
+  });
+}
+
+export function publishAttendance(employeeId, date, record) {
+  subscribers.forEach(({ user, res }) => {
+    if (canAccessAttendance(user, employeeId)) {
+      send(res, 'attendance', { ...record, employeeId, date });
+    }
+  });
+}
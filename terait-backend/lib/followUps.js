@@ -0,0 +1,194 @@
+import { config } from '../config.js';
+import { filterTicketsFor } from './authorization.js';
+import { publishTicket } from './events.js';
+import { addToInbox, usersWithRole } from './inbox.js';
+import { isOptedOut } from './optOuts.js';
+import { deliverMessage } from './transports.js';
+
+// Follow-ups on jobs an engineer left incomplete (`pendingReason` and
+// `nextFollowUpDate` from the engineer's final report). On the follow-up
+// date the engineer and their manager get a reminder; once it is
+// config.followUps.graceDays overdue it is escalated. What has been sent
+// for the current date is kept on the ticket as
+// `followUpReminder: { date, remindedAt, escalatedAt }`, so moving the date
+// starts over.
+//
+// runFollowUps does one pass. It runs on a timer inside the API server
+// (startFollowUpScheduler) and as `npm run followups` for deployments
+// without a long-running process, where a cron job calls it instead.
+
+// The job is still with the engineer
+const OPEN_STATUSES = ['Assigned', 'In Progress'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// YYYY-MM-DD and hour of `at` in config.followUps.timeZone
+const localDate = (at) =>
+  new Intl.DateTimeFormat('en-CA', { timeZone: config.followUps.timeZone, year: 'numeric', month: '2-digit', day: '2-digit' }).format(at);
+const localHour = (at) =>
+  Number(new Intl.DateTimeFormat('en-GB', { timeZone: config.followUps.timeZone, hour: '2-digit', hourCycle: 'h23' }).format(at));
+
+const daysBetween = (from, to) => Math.round((Date.parse(to) - Date.parse(from)) / DAY_MS);
+
+const followUpDate = (ticket) =>
+  OPEN_STATUSES.includes(ticket.status) && /^\d{4}-\d{2}-\d{2}$/.test(ticket.nextFollowUpDate || '')
+    ? ticket.nextFollowUpDate
+    : null;
+
+// What has been sent for the ticket's current follow-up date
+const reminderState = (ticket) =>
+  ticket.followUpReminder?.date === ticket.nextFollowUpDate ? ticket.followUpReminder : {};
+
+const managersOf = (ticket) =>
+  ticket.acceptedByManager ? [ticket.acceptedByManager] : (ticket.assignedManagerIds || []);
+
+const overdueText = (days) => (days === 0 ? 'due today' : `${days} day${days === 1 ? '' : 's'} overdue`);
+
+// Due follow-ups among `tickets`, most overdue first
+export function dueFollowUps(tickets, now = new Date()) {
+  const today = localDate(now);
+  return tickets
+    .filter(ticket => followUpDate(ticket) && followUpDate(ticket) <= today)
+    .map(ticket => {
+      const state = reminderState(ticket);
+      const daysOverdue = daysBetween(ticket.nextFollowUpDate, today);
+      return {
+        ticketId: ticket.id,
+        customerName: ticket.customerName,
+        problemTitle: ticket.problemTitle || ticket.description || '',
+        status: ticket.status,
+        engineerId: ticket.assignedEmployeeId || null,
+        managerIds: managersOf(ticket),
+        nextFollowUpDate: ticket.nextFollowUpDate,
+        pendingReason: ticket.pendingReason || '',
+        daysOverdue,
+        remindedAt: state.remindedAt || null,
+        escalatedAt: state.escalatedAt || null,
+        escalated: !!state.escalatedAt || daysOverdue >= config.followUps.graceDays
+      };
+    })
+    .sort((a, b) => b.daysOverdue - a.daysOverdue || a.ticketId.localeCompare(b.ticketId));
+}
+
+// The due follow-ups `user` may see
+export async function listFollowUps(db, user, now = new Date()) {
+  const snapshot = await db.ref('tickets').once('value');
+  const tickets = filterTicketsFor(user, Object.values(snapshot.val() || {}).filter(Boolean));
+  return { today: localDate(now), graceDays: config.followUps.graceDays, items: dueFollowUps(tickets, now) };
+}
+
+// Marks `step` (remindedAt | escalatedAt) done for the ticket's follow-up
+// date and returns the ticket, or null when it was already done or the
+// date has moved. Claiming before sending keeps two runners (the server
+// timer and a cron job) from both sending. Like delivery outcomes, the
+// ticket's version is left alone.
+async function claim(db, ticketId, date, step, at) {
+  let previous = null;
+  let claimed = false;
+  const result = await db.ref(`tickets/${ticketId}`).transaction(current => {
+    previous = current;
+    claimed = false;
+    if (current === null) return current;
+    if (followUpDate(current) !== date) return;
+    const state = reminderState(current);
+    if (state[step]) return;
+    claimed = true;
+    return { ...current, followUpReminder: { ...state, date, [step]: at } };
+  });
+  if (!result.committed || !claimed) return null;
+  const ticket = result.snapshot.val();
+  publishTicket(previous, ticket);
+  return ticket;
+}
+
+async function phoneOf(db, collection, id) {
+  const snapshot = await db.ref(`${collection}/${id}`).once('value');
+  return snapshot.val()?.phone || null;
+}
+
+// Texts go to the phone on the employee/manager record, unless customer
+// notifications are switched off or the number opted out
+async function text(db, phone, body, ticketId) {
+  if (!config.followUps.text || !config.notifications.enabled || !phone || await isOptedOut(db, phone)) return;
+  try {
+    await deliverMessage({ channel: config.messaging.phoneChannel, to: phone, text: body });
+  } catch (error) {
+    console.error(`Follow-up text for ticket ${ticketId} failed:`, error.message);
+  }
+}
+
+async function notify(db, ticket, recipients, { type, title }) {
+  const message = [ticket.customerName, ticket.pendingReason].filter(Boolean).join(' – ');
+  const sms = `${config.notifications.companyName}: ${title}${ticket.pendingReason ? ` (${ticket.pendingReason})` : ''}.`;
+  for (const { userId, collection } of recipients) {
+    await addToInbox(db, userId, {
+      type,
+      title,
+      message,
+      ticketId: ticket.id,
+      link: `#ticket=${encodeURIComponent(ticket.id)}`,
+      actor: null,
+      actorName: null
+    });
+    if (collection) await text(db, await phoneOf(db, collection, userId), sms, ticket.id);
+  }
+}
+
+const uniqueRecipients = (recipients) =>
+  recipients.filter((r, i) => r.userId && recipients.findIndex(o => o.userId === r.userId) === i);
+
+// One pass over every ticket. Reminders for today wait until
+// config.followUps.remindHour; overdue ones go out straight away.
+export async function runFollowUps(db, now = new Date()) {
+  const snapshot = await db.ref('tickets').once('value');
+  const due = dueFollowUps(Object.values(snapshot.val() || {}).filter(Boolean), now);
+  const at = now.toISOString();
+  const summary = { due: due.length, reminded: [], escalated: [] };
+
+  for (const followUp of due) {
+    const { ticketId, nextFollowUpDate: date, daysOverdue } = followUp;
+    const managers = followUp.managerIds.map(userId => ({ userId, collection: 'managers' }));
+
+    if (!followUp.remindedAt && (daysOverdue > 0 || localHour(now) >= config.followUps.remindHour)) {
+      const ticket = await claim(db, ticketId, date, 'remindedAt', at);
+      if (ticket) {
+        await notify(db, ticket, uniqueRecipients([
+          { userId: ticket.assignedEmployeeId, collection: 'employees' },
+          ...managers
+        ]), { type: 'followUp.due', title: `Follow-up on ticket ${ticketId} ${overdueText(daysOverdue)}` });
+        summary.reminded.push(ticketId);
+      }
+    }
+
+    if (!followUp.escalatedAt && daysOverdue >= config.followUps.graceDays) {
+      const ticket = await claim(db, ticketId, date, 'escalatedAt', at);
+      if (ticket) {
+        const escalateTo = (await Promise.all(config.followUps.escalateTo.map(role => usersWithRole(db, role)))).flat();
+        await notify(db, ticket, uniqueRecipients([
+          ...managers,
+          ...escalateTo.map(userId => ({ userId, collection: null }))
+        ]), { type: 'followUp.escalated', title: `Escalated: follow-up on ticket ${ticketId} ${overdueText(daysOverdue)}` });
+        summary.escalated.push(ticketId);
+      }
+    }
+  }
+  return summary;
+}
+
+let timer = null;
+
+// Runs a pass now and every config.followUps.intervalMs. Failures are
+// logged and the next pass tries again.
+export function startFollowUpScheduler(db) {
+  if (timer || !config.followUps.scheduler) return;
+  const pass = () => runFollowUps(db)
+    .then(({ reminded, escalated }) => {
+      if (reminded.length || escalated.length) {
+        console.log(`Follow-ups: ${reminded.length} reminded, ${escalated.length} escalated`);
+      }
+    })
+    .catch(error => console.error('Follow-up run error:', error));
+  timer = setInterval(pass, config.followUps.intervalMs);
+  timer.unref();
+  pass();
+}
@@ -0,0 +1,77 @@
+import crypto from 'crypto';
+import { config } from '../config.js';
+
+// Idempotency-Key support for writes. The first request carrying a key
+// claims `idempotency/<scope>/<hash of key>` and the response it produced is
+// stored there; a retry with the same key gets that response replayed
+// instead of being applied again. Clients replaying an offline outbox send
+// one key per queued change, so a write whose response was lost on the way
+// back is never applied twice.
+
+const MUTATING = new Set(['POST', 'PUT', 'PATCH', 'DELETE']);
+const KEY_PATTERN = /^[A-Za-z0-9_-]{8,128}$/;
+
+const sha256 = (value) => crypto.createHash('sha256').update(value).digest('hex');
+
+// Responses that say nothing about the change itself (the token needed a
+// refresh, the server failed) release the key so the retry is processed.
+const releasesKey = (status) => status === 401 || status >= 500;
+
+// The request path below /api without the version segment: /api/v1/tickets
+// and its alias /api/tickets are the same request
+const VERSION_PREFIX = new RegExp(`^/${config.api.version}(?=[/?]|$)`);
+const routeOf = (req) => req.url.replace(VERSION_PREFIX, '') || '/';
+
+// `scopeOf(req)` returns the id keys are scoped to (the signed-in user), or
+// null to let the request through without idempotency handling.
+export function idempotency(db, scopeOf) {
+  return async (req, res, next) => {
+    const key = req.get('Idempotency-Key');
+    if (!key || !MUTATING.has(req.method)) return next();
+    if (!KEY_PATTERN.test(key)) {
+      return res.status(400).json({ error: 'Invalid Idempotency-Key' });
+    }
+    const scope = scopeOf(req);
+    if (!scope) return next();
+
+    const ref = db.ref(`idempotency/${encodeURIComponent(scope).replace(/\./g, '%2E')}/${sha256(key)}`);
+    const fingerprint = sha256(`${req.method} ${routeOf(req)} ${JSON.stringify(req.body || {})}`);
+    const now = Date.now();
+    let existing = null;
+
+    try {
+      await ref.transaction(current => {
+        existing = null;
+        if (current && now - current.createdAt < config.idempotency.ttlMs) {
+          existing = current;
+          return;
+        }
+        return { state: 'pending', fingerprint, createdAt: now };
+      });
+    } catch (error) {
+      console.error('Idempotency claim error:', error);
+      return res.status(500).json({ error: 'Request could not be processed' });
+    }
+
+    if (existing) {
+      if (existing.fingerprint !== fingerprint) {
+        return res.status(422).json({ error: 'Idempotency-Key was already used for a different request' });
+      }
+      if (existing.state === 'pending') {
+        return res.status(409).json({ error: 'A request with this Idempotency-Key is still in progress', code: 'IDEMPOTENCY_IN_PROGRESS' });
+      }
+      res.set('Idempotent-Replayed', 'true');
+      return res.status(existing.status).json(existing.body ?? null);
+    }
+
+    const json = res.json.bind(res);
+    res.json = (body) => {
+      const stored = releasesKey(res.statusCode)
+        ? ref.remove()
+        : ref.set({ state: 'done', fingerprint, createdAt: now, status: res.statusCode, body: body ?? null });
+      stored.catch(error => console.error('Idempotency store error:', error));
+      return json(body);
+    };
+    next();
+  };
+}
@@ -0,0 +1,62 @@
+import { config } from '../config.js';
+
+// Server-assigned record ids (TK001, CUS001, E001...). Each type has a
+// counter at counters/<type> that is only ever advanced inside a
+// transaction, so concurrent creates can never hand out the same id.
+
+export const ID_TYPES = Object.keys(config.ids);
+
+export function formatId(type, n) {
+  const { prefix, padding } = config.ids[type];
+  return prefix + String(n).padStart(padding, '0');
+}
+
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Highest number already used with this type's prefix, looking at the
+// collection keys and at users.entityId (admins, front office, finance and
+// HR only exist as users). Used the first time a counter is created so ids
+// seeded before counters existed are not handed out again.
+async function highestExisting(db, type) {
+  const { prefix, collection } = config.ids[type];
+  const pattern = new RegExp(`^${escapeRegExp(prefix)}(\\d+)$`);
+  const snapshots = await Promise.all([
+    collection ? db.ref(collection).once('value') : null,
+    db.ref('users').once('value')
+  ]);
+  const ids = [
+    ...Object.keys((snapshots[0] && snapshots[0].val()) || {}),
+    ...Object.values(snapshots[1].val() || {}).map(user => user.entityId)
+  ];
+  return ids.reduce((max, id) => {
+    const match = typeof id === 'string' && id.match(pattern);
+    return match ? Math.max(max, Number(match[1])) : max;
+  }, 0);
+}
+
+// Moves the counter with `advance(current)`, seeding it first if needed
+async function moveCounter(db, type, advance) {
+  if (!config.ids[type]) throw new Error(`Unknown id type: ${type}`);
+
+  const counterRef = db.ref(`counters/${type}`);
+  const existing = await counterRef.once('value');
+  const seed = existing.exists() ? 0 : await highestExisting(db, type);
+
+  const result = await counterRef.transaction(current => advance(current === null ? seed : current));
+  if (!result.committed) throw new Error(`Could not allocate ${type} id`);
+  return result.snapshot.val();
+}
+
+export async function nextId(db, type) {
+  return formatId(type, await moveCounter(db, type, current => current + 1));
+}
+
+// Records may be created under an id the client reserved with
+// POST /api/ids/:type (or made up). An id in this type's format moves the
+// counter past it before the record is written, so it is never minted
+// again; ids in any other format cannot clash with minted ones.
+export async function claimId(db, type, id) {
+  const match = typeof id === 'string' && id.match(new RegExp(`^${escapeRegExp(config.ids[type].prefix)}(\\d{1,9})$`));
+  if (match) await moveCounter(db, type, current => Math.max(current, Number(match[1])));
+  return id;
+}
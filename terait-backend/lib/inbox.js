@@ -0,0 +1,120 @@
+import { config } from '../config.js';
+import { publishInbox } from './events.js';
+
+// Per-user notification feed for handoffs between roles, under
+// `inbox/<userId>/<id>` where userId is the token's userId (E001, M001...).
+// Routes call notifyHandoffs after a ticket write; who needs to act next is
+// worked out from the before/after records. New entries are pushed to the
+// user's open event streams as well, and each feed keeps the newest
+// config.inbox.maxItems entries.
+
+const added = (before, after) =>
+  (Array.isArray(after) ? after : []).filter(id => !(Array.isArray(before) ? before : []).includes(id));
+
+const became = (previous, current, field) => !!current[field] && !(previous || {})[field];
+
+// What a ticket write hands to whom: [{ to: { userIds } | { role }, type,
+// title }]. The first entry for a user wins, so the more specific handoffs
+// are listed first.
+export function ticketHandoffs(previous, current) {
+  if (!current) return [];
+  const id = current.id;
+  const handoffs = [];
+
+  if (!previous) {
+    handoffs.push({ to: { role: 'helpdesk' }, type: 'ticket.raised', title: `New ticket ${id} to route` });
+  }
+  if (current.salesManagerId && current.salesManagerId !== (previous || {}).salesManagerId) {
+    handoffs.push({ to: { userIds: [current.salesManagerId] }, type: 'ticket.salesApproval', title: `Ticket ${id} needs sales approval` });
+  }
+  const routed = added((previous || {}).assignedManagerIds, current.assignedManagerIds);
+  if (routed.length) {
+    handoffs.push({ to: { userIds: routed }, type: 'ticket.routed', title: `Ticket ${id} routed to you` });
+  }
+  if (current.assignedEmployeeId && current.assignedEmployeeId !== (previous || {}).assignedEmployeeId) {
+    handoffs.push({ to: { userIds: [current.assignedEmployeeId] }, type: 'ticket.assigned', title: `Ticket ${id} assigned to you` });
+  }
+  if (current.acceptedByManager && became(previous, current, 'awaitingHandover')) {
+    handoffs.push({ to: { userIds: [current.acceptedByManager] }, type: 'ticket.handover', title: `Handover requested on ticket ${id}` });
+  }
+  if (current.acceptedByManager && became(previous, current, 'reportedToManager')) {
+    handoffs.push({ to: { userIds: [current.acceptedByManager] }, type: 'ticket.reported', title: `Work reported on ticket ${id}` });
+  }
+  if (became(previous, current, 'financeReady')) {
+    handoffs.push({ to: { role: 'finance' }, type: 'ticket.financeReady', title: `Ticket ${id} is ready for billing` });
+  }
+  return handoffs;
+}
+
+// The userIds of everyone signed up with `role`
+export async function usersWithRole(db, role) {
+  const snapshot = await db.ref('users').orderByChild('role').equalTo(role).once('value');
+  return Object.entries(snapshot.val() || {}).map(([uid, user]) => user.entityId || uid);
+}
+
+async function prune(db, userId) {
+  const ref = db.ref(`inbox/${userId}`);
+  const items = Object.entries((await ref.once('value')).val() || {});
+  if (items.length <= config.inbox.maxItems) return;
+  const stale = items
+    .sort(([, a], [, b]) => b.createdAt.localeCompare(a.createdAt))
+    .slice(config.inbox.maxItems);
+  await ref.update(Object.fromEntries(stale.map(([id]) => [id, null])));
+}
+
+export async function addToInbox(db, userId, entry) {
+  const ref = db.ref(`inbox/${userId}`).push();
+  const item = { ...entry, id: ref.key, read: false, createdAt: new Date().toISOString() };
+  await ref.set(item);
+  publishInbox(userId, item);
+  await prune(db, userId);
+  return item;
+}
+
+// Called after every ticket write; never throws and is not awaited. The
+// person who made the change is not told about it.
+export function notifyHandoffs(db, previous, current, actor) {
+  const handoffs = ticketHandoffs(previous, current);
+  if (!handoffs.length) return;
+
+  (async () => {
+    const notified = new Set([actor.userId]);
+    for (const { to, type, title } of handoffs) {
+      const userIds = to.role ? await usersWithRole(db, to.role) : to.userIds;
+      for (const userId of userIds.filter(u => u && !notified.has(u))) {
+        notified.add(userId);
+        await addToInbox(db, userId, {
+          type,
+          title,
+          message: [current.customerName, current.problemTitle || current.description].filter(Boolean).join(' – '),
+          ticketId: current.id,
+          link: `#ticket=${encodeURIComponent(current.id)}`,
+          actor: actor.userId,
+          actorName: actor.name || actor.username || null
+        });
+      }
+    }
+  })().catch(error => console.error('Inbox notification error:', error));
+}
+
+// Newest first, with the number still unread
+export async function readInbox(db, userId, { unreadOnly = false, limit = config.inbox.pageSize } = {}) {
+  const snapshot = await db.ref(`inbox/${userId}`).once('value');
+  const items = Object.values(snapshot.val() || {}).sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+  const unread = items.filter(item => !item.read).length;
+  return { items: (unreadOnly ? items.filter(item => !item.read) : items).slice(0, limit), unread };
+}
+
+// `ids` null marks every entry; returns the number still unread, or null
+// when none of `ids` exist
+export async function markRead(db, userId, ids = null) {
+  const ref = db.ref(`inbox/${userId}`);
+  const items = (await ref.once('value')).val() || {};
+  if (ids && !ids.some(id => items[id])) return null;
+  const targets = (ids || Object.keys(items)).filter(id => items[id] && !items[id].read);
+  const readAt = new Date().toISOString();
+  if (targets.length) {
+    await ref.update(Object.fromEntries(targets.flatMap(id => [[`${id}/read`, true], [`${id}/readAt`, readAt]])));
+  }
+  return Object.values(items).filter(item => !item.read).length - targets.length;
+}
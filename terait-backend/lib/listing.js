@@ -0,0 +1,113 @@
+import { config } from '../config.js';
+
+// Paging, filtering and sorting for list endpoints. Each route describes
+// what may be filtered and sorted in a spec:
+//   filters    fields matched exactly: ?status=Raised or ?status=Raised,Assigned
+//   dates      fields ?from/?to may range over (first is the default;
+//              another is picked with ?dateField=)
+//   sortable   fields ?sort= accepts; prefix with '-' for descending
+//   search     fields ?q= matches as a case-insensitive substring
+//   sort       default order
+// Pages are { items, nextCursor, total }. The cursor encodes the sort order
+// and the position of the last item, so records added or removed between
+// requests do not shift later pages.
+const { pageSize, maxPageSize } = config.listing;
+
+const PAGING_PARAMS = ['limit', 'cursor', 'sort', 'from', 'to', 'dateField', 'q'];
+
+// Whether the request asked for a page rather than the whole list
+export const wantsPage = (query, spec) =>
+  [...PAGING_PARAMS, ...spec.filters].some(param => query[param] !== undefined);
+
+// Records keyed by database key -> list items that always carry their key
+export const withKeys = (data) => Object.entries(data || {}).map(([id, record]) => ({ id, ...record }));
+
+const typeRank = (value) => {
+  if (value === null || value === undefined || value === '') return 0;
+  if (typeof value === 'boolean') return 1;
+  if (typeof value === 'number') return 2;
+  return 3;
+};
+
+const compareValues = (a, b) => {
+  const rank = typeRank(a) - typeRank(b);
+  if (rank || typeRank(a) === 0) return rank;
+  if (typeof a === 'string' || typeof b === 'string') {
+    return String(a).localeCompare(String(b), undefined, { sensitivity: 'base', numeric: true });
+  }
+  return a < b ? -1 : a > b ? 1 : 0;
+};
+
+// Total order: sort field, then id, so every item has a unique position
+const comparator = (field, direction) => (a, b) =>
+  (compareValues(a[field], b[field]) || compareValues(String(a.id), String(b.id))) * direction;
+
+const encodeCursor = (sort, item, field) =>
+  Buffer.from(JSON.stringify({ sort, value: item[field] ?? null, id: item.id })).toString('base64url');
+
+const decodeCursor = (cursor) => {
+  try {
+    const parsed = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    return parsed && typeof parsed === 'object' && 'id' in parsed ? parsed : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+// Dates are compared as ISO strings; a bare `to` date covers the whole day
+const endOfDay = (value) => (/^\d{4}-\d{2}-\d{2}$/.test(value) ? `${value}T23:59:59.999Z` : value);
+
+// Returns { items, nextCursor, total } or { error } for invalid parameters.
+export function listRecords(records, query, spec) {
+  const limit = query.limit === undefined ? pageSize : Number(query.limit);
+  if (!Number.isInteger(limit) || limit < 1 || limit > maxPageSize) {
+    return { error: `limit must be between 1 and ${maxPageSize}` };
+  }
+
+  const sort = query.sort || spec.sort || 'id';
+  const field = sort.replace(/^-/, '');
+  if (field !== 'id' && !(spec.sortable || []).includes(field)) {
+    return { error: `Cannot sort by ${field}` };
+  }
+
+  let items = records;
+  for (const filter of spec.filters) {
+    if (query[filter] === undefined) continue;
+    const accepted = String(query[filter]).split(',');
+    items = items.filter(item => accepted.includes(String(item[filter] ?? '')));
+  }
+
+  if (query.from !== undefined || query.to !== undefined) {
+    const dateField = query.dateField || (spec.dates || [])[0];
+    if (!dateField || !(spec.dates || []).includes(dateField)) {
+      return { error: 'Date range is not supported on this field' };
+    }
+    items = items.filter(item => {
+      const value = item[dateField];
+      if (!value) return false;
+      return (query.from === undefined || value >= query.from) && (query.to === undefined || value <= endOfDay(query.to));
+    });
+  }
+
+  if (query.q) {
+    const needle = String(query.q).toLowerCase();
+    items = items.filter(item => (spec.search || []).some(f => String(item[f] ?? '').toLowerCase().includes(needle)));
+  }
+
+  const compare = comparator(field, sort.startsWith('-') ? -1 : 1);
+  items = [...items].sort(compare);
+  const total = items.length;
+
+  if (query.cursor !== undefined) {
+    const cursor = decodeCursor(query.cursor);
+    if (!cursor || cursor.sort !== sort) {
+      return { error: 'Invalid cursor for this sort order' };
+    }
+    const position = { id: cursor.id, [field]: cursor.value };
+    items = items.filter(item => compare(item, position) > 0);
+  }
+
+  const page = items.slice(0, limit);
+  const nextCursor = items.length > limit ? encodeCursor(sort, page[page.length - 1], field) : null;
+  return { items: page, nextCursor, total };
+}
@@ -0,0 +1,39 @@
+import { config } from '../config.js';
+
+// Progressive lockout after repeated failed sign-ins. Counters live in the
+// database (loginAttempts/<key>) so every API instance sees the same state.
+const { maxFailedAttempts, lockoutBaseMs, lockoutMaxMs } = config.auth;
+
+// Firebase keys may not contain . # $ [ ] /
+export const encodeKey = (value) => encodeURIComponent(String(value).toLowerCase()).replace(/\./g, '%2E');
+
+export const throttleKeys = (email, ip) => [`email:${encodeKey(email)}`, `ip:${encodeKey(ip || 'unknown')}`];
+
+// Returns the number of ms until the longest active lock on any key expires,
+// or 0 when sign-in may be attempted.
+export async function lockRemaining(db, keys) {
+  const now = Date.now();
+  const snapshots = await Promise.all(keys.map(key => db.ref(`loginAttempts/${key}`).once('value')));
+  return snapshots.reduce((longest, snapshot) => {
+    const record = snapshot.val();
+    const remaining = record && record.lockedUntil ? record.lockedUntil - now : 0;
+    return Math.max(longest, remaining);
+  }, 0);
+}
+
+export async function recordFailure(db, keys) {
+  const now = Date.now();
+  await Promise.all(keys.map(key => db.ref(`loginAttempts/${key}`).transaction(current => {
+    const failures = ((current && current.failures) || 0) + 1;
+    let lockedUntil = null;
+    if (failures >= maxFailedAttempts) {
+      const delay = lockoutBaseMs * 2 ** (failures - maxFailedAttempts);
+      lockedUntil = now + Math.min(delay, lockoutMaxMs);
+    }
+    return { failures, lockedUntil, lastFailureAt: now };
+  })));
+}
+
+export async function clearFailures(db, keys) {
+  await Promise.all(keys.map(key => db.ref(`loginAttempts/${key}`).remove()));
+}
@@ -0,0 +1,248 @@
+import { config } from '../config.js';
+import { publishTicket } from './events.js';
+import { isOptedOut } from './optOuts.js';
+import { deliverMessage, transportFor } from './transports.js';
+
+// Customer and engineer messages for ticket lifecycle events. Routes call
+// notifyTicketChange after a ticket write; the events it implies are worked
+// out from the before/after records, rendered from a template and handed to
+// the transports. Admins may override a template's wording under
+// `notificationTemplates/<event>`; the defaults below apply otherwise. What
+// happened is recorded on the ticket as `notifications.<event>.<target>`
+// ({ status: sent | failed | skipped, ... }).
+
+// Closed is only reachable before work starts, so it is not a completion
+const COMPLETED_STATUSES = ['Reported', 'Finished'];
+
+export const PLACEHOLDERS = [
+  'ticketId', 'customerName', 'customerPhone', 'problemTitle', 'status', 'engineerName',
+  'completedDate', 'invoiceDate', 'billedAmount', 'amountPaid', 'balance', 'companyName'
+];
+
+// Who hears about an event and which template field they get. A target is
+// only used when the event's template has that field.
+export const TARGETS = {
+  customerEmail: { field: 'text', channel: () => 'email', recipient: 'customer email' },
+  customerPhone: { field: 'sms', channel: () => config.messaging.phoneChannel, recipient: 'customer phone' },
+  engineerPhone: { field: 'engineerSms', channel: () => config.messaging.phoneChannel, recipient: 'engineer phone' }
+};
+
+export const DEFAULT_TEMPLATES = {
+  created: {
+    label: 'Ticket created',
+    subject: 'Ticket {{ticketId}} received',
+    text: 'Dear {{customerName}},\n\nWe have received your request "{{problemTitle}}" and opened ticket {{ticketId}}. We will let you know when an engineer has been assigned.\n\nRegards,\n{{companyName}}',
+    sms: '{{companyName}}: your request is logged as ticket {{ticketId}}. We will update you when an engineer is assigned.'
+  },
+  engineerAssigned: {
+    label: 'Engineer assigned',
+    subject: 'Engineer assigned to ticket {{ticketId}}',
+    text: 'Dear {{customerName}},\n\n{{engineerName}} has been assigned to your ticket {{ticketId}} ("{{problemTitle}}").\n\nRegards,\n{{companyName}}',
+    sms: '{{companyName}}: {{engineerName}} is assigned to your ticket {{ticketId}}.',
+    engineerSms: 'New ticket {{ticketId}}: {{problemTitle}} for {{customerName}} ({{customerPhone}}).'
+  },
+  siteVisitScheduled: {
+    label: 'Site visit scheduled',
+    subject: 'Site visit scheduled for ticket {{ticketId}}',
+    text: 'Dear {{customerName}},\n\nA site visit has been scheduled for ticket {{ticketId}} ("{{problemTitle}}"). {{engineerName}} will be in touch to arrange a time.\n\nRegards,\n{{companyName}}',
+    sms: '{{companyName}}: a site visit is scheduled for ticket {{ticketId}}. {{engineerName}} will call to fix a time.',
+    engineerSms: 'Site visit for ticket {{ticketId}}: {{problemTitle}} at {{customerName}} ({{customerPhone}}).'
+  },
+  completed: {
+    label: 'Work completed',
+    subject: 'Work completed on ticket {{ticketId}}',
+    text: 'Dear {{customerName}},\n\nThe work on ticket {{ticketId}} ("{{problemTitle}}") was completed on {{completedDate}}. Please reply to this email if anything is still not right.\n\nRegards,\n{{companyName}}',
+    sms: '{{companyName}}: work on ticket {{ticketId}} was completed on {{completedDate}}.'
+  },
+  invoiceIssued: {
+    label: 'Invoice issued',
+    subject: 'Invoice for ticket {{ticketId}}',
+    text: 'Dear {{customerName}},\n\nAn invoice dated {{invoiceDate}} has been issued for ticket {{ticketId}}.\n\nBilled: {{billedAmount}}\nPaid: {{amountPaid}}\nBalance due: {{balance}}\n\nRegards,\n{{companyName}}',
+    sms: '{{companyName}}: invoice for ticket {{ticketId}} - billed {{billedAmount}}, balance due {{balance}}.'
+  }
+};
+
+export const NOTIFICATION_EVENTS = Object.keys(DEFAULT_TEMPLATES);
+
+const PLACEHOLDER_PATTERN = /\{\{\s*(\w+)\s*\}\}/g;
+
+// Placeholders used in `text` that render() would not know how to fill
+export function unknownPlaceholders(text = '') {
+  return [...new Set([...text.matchAll(PLACEHOLDER_PATTERN)].map(m => m[1]))]
+    .filter(name => !PLACEHOLDERS.includes(name));
+}
+
+const render = (text, values) => text.replace(PLACEHOLDER_PATTERN, (match, name) => values[name] ?? '');
+
+// The templates in effect: defaults merged with any admin overrides
+export async function loadTemplates(db) {
+  const snapshot = await db.ref('notificationTemplates').once('value');
+  const overrides = snapshot.val() || {};
+  return Object.fromEntries(NOTIFICATION_EVENTS.map(event => {
+    const override = overrides[event];
+    return [event, {
+      event,
+      ...DEFAULT_TEMPLATES[event],
+      enabled: true,
+      ...(override || {}),
+      custom: Boolean(override)
+    }];
+  }));
+}
+
+const changed = (previous, current, field) => (previous || {})[field] !== (current || {})[field];
+
+// Events implied by a ticket write; `previous` is null for a new ticket
+export function ticketEvents(previous, current) {
+  if (!current) return [];
+  if (!previous) return ['created'];
+
+  const events = [];
+  const engineerChanged = current.assignedEmployeeId && changed(previous, current, 'assignedEmployeeId');
+  const visitScheduled = (current.siteVisitRequired && (!previous.siteVisitRequired || engineerChanged)) ||
+    (current.status === 'Manager Site Visit' && changed(previous, current, 'status'));
+  if (visitScheduled) {
+    events.push('siteVisitScheduled');
+  } else if (engineerChanged) {
+    events.push('engineerAssigned');
+  }
+  if (COMPLETED_STATUSES.includes(current.status) && !COMPLETED_STATUSES.includes(previous.status)) {
+    events.push('completed');
+  }
+  if (current.invoiceDate && (changed(previous, current, 'invoiceDate') || changed(previous, current, 'billedAmount'))) {
+    events.push('invoiceIssued');
+  }
+  return events;
+}
+
+async function assignedEngineer(db, ticket) {
+  if (!ticket.assignedEmployeeId) return null;
+  const snapshot = await db.ref(`employees/${ticket.assignedEmployeeId}`).once('value');
+  return snapshot.val();
+}
+
+function templateValues(ticket, engineer) {
+  let engineerName = engineer?.name || '';
+  if (!engineerName && ticket.visitBy === 'Manager') engineerName = 'Our service manager';
+
+  const billed = Number(ticket.billedAmount) || 0;
+  const paid = Number(ticket.amountPaid) || 0;
+  return {
+    ticketId: ticket.id,
+    customerName: ticket.customerName,
+    customerPhone: ticket.customerPhone || '',
+    problemTitle: ticket.problemTitle || ticket.description,
+    status: ticket.status,
+    engineerName: engineerName || 'An engineer',
+    completedDate: (ticket.completedDate || new Date().toISOString()).slice(0, 10),
+    invoiceDate: ticket.invoiceDate,
+    billedAmount: billed.toFixed(2),
+    amountPaid: paid.toFixed(2),
+    balance: Math.max(billed - paid, 0).toFixed(2),
+    companyName: config.notifications.companyName
+  };
+}
+
+const looksLikeEmail = (value) => typeof value === 'string' && /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value.trim());
+const looksLikePhone = (value) => typeof value === 'string' && value.replace(/[^0-9]/g, '').length >= 6;
+
+// Stores the outcomes under the ticket without touching its version, so
+// clients holding the ticket do not get a conflict on their next save
+async function recordDeliveries(db, ticketId, event, deliveries) {
+  let previous = null;
+  const result = await db.ref(`tickets/${ticketId}`).transaction(current => {
+    previous = current;
+    if (current === null) return current;
+    const notifications = current.notifications || {};
+    return {
+      ...current,
+      notifications: { ...notifications, [event]: { ...(notifications[event] || {}), ...deliveries } }
+    };
+  });
+  if (result.committed && result.snapshot.exists()) publishTicket(previous, result.snapshot.val());
+}
+
+async function deliver(db, { target, to, message, event, ticketId, retry }) {
+  const { channel } = message;
+  const base = { channel, to: to || null, at: new Date().toISOString() };
+  if (channel === 'email' ? !looksLikeEmail(to) : !looksLikePhone(to)) {
+    return { ...base, status: 'skipped', reason: `No ${TARGETS[target].recipient}` };
+  }
+  if (channel !== 'email' && await isOptedOut(db, to)) {
+    return { ...base, status: 'skipped', reason: 'Opted out' };
+  }
+  try {
+    const receipt = await deliverMessage({ ...message, to: to.trim() }, retry);
+    return {
+      ...base,
+      status: 'sent',
+      transport: receipt.transport || transportFor(channel),
+      attempts: receipt.attempts,
+      ...(receipt.messageId ? { messageId: receipt.messageId } : {})
+    };
+  } catch (error) {
+    console.error(`Notification ${event}/${target} for ticket ${ticketId} failed:`, error.message);
+    return { ...base, status: 'failed', transport: transportFor(channel), attempts: error.attempts || 1, error: error.message };
+  }
+}
+
+// Sends one event for `ticket` to every target its template covers and
+// records the results, which are returned keyed by target. `retry`
+// overrides config.messaging.retry (e.g. { attempts: 1 } when someone is
+// waiting on the answer).
+export async function deliverTicketEvent(db, ticket, event, { templates, retry } = {}) {
+  const template = (templates || await loadTemplates(db))[event];
+  const engineer = await assignedEngineer(db, ticket);
+  const values = templateValues(ticket, engineer);
+  const addresses = {
+    customerEmail: ticket.customerEmail,
+    customerPhone: ticket.customerPhone,
+    engineerPhone: engineer?.phone
+  };
+
+  const targets = Object.keys(TARGETS).filter(target => template[TARGETS[target].field]);
+  const outcomes = await Promise.all(targets.map(target => {
+    const { field, channel } = TARGETS[target];
+    const to = addresses[target];
+    if (!template.enabled) {
+      return { channel: channel(), to: to || null, at: new Date().toISOString(), status: 'skipped', reason: 'Template disabled' };
+    }
+    const message = {
+      channel: channel(),
+      text: render(template[field], values),
+      ...(channel() === 'email' ? { subject: render(template.subject, values) } : {})
+    };
+    return deliver(db, { target, to, message, event, ticketId: ticket.id, retry });
+  }));
+
+  const deliveries = Object.fromEntries(targets.map((target, i) => [target, outcomes[i]]));
+  await recordDeliveries(db, ticket.id, event, deliveries);
+  return deliveries;
+}
+
+// Called after every ticket write. Never throws. Routes await it before
+// responding, because a serverless function may be frozen once the response
+// is sent; it settles after config.notifications.waitMs at the latest so a
+// slow provider cannot hold the response up for long (sending carries on in
+// the background where the process lives on).
+export function notifyTicketChange(db, previous, current) {
+  if (!config.notifications.enabled) return Promise.resolve();
+  const events = ticketEvents(previous, current);
+  if (!events.length) return Promise.resolve();
+
+  const sending = (async () => {
+    const templates = await loadTemplates(db);
+    for (const event of events) {
+      await deliverTicketEvent(db, current, event, { templates });
+    }
+  })().catch(error => console.error('Ticket notification error:', error));
+
+  let timer;
+  const waited = new Promise(resolve => {
+    timer = setTimeout(() => {
+      console.warn(`Ticket ${current.id} notifications still sending after ${config.notifications.waitMs}ms; responding anyway`);
+      resolve();
+    }, config.notifications.waitMs);
+  });
+  return Promise.race([sending, waited]).finally(() => clearTimeout(timer));
+}
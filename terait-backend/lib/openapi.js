@@ -0,0 +1,751 @@
+import { config } from '../config.js';
+import { ROLES } from './authorization.js';
+import { ID_TYPES } from './ids.js';
+import { NOTIFICATION_EVENTS, PLACEHOLDERS, TARGETS } from './notifications.js';
+import { SLA_STAGES } from './sla.js';
+import { partialSchema, withOptional } from './validation.js';
+import {
+  attendanceSchema,
+  callGroupSchema,
+  companySchema,
+  customerSchema,
+  employeeSchema,
+  feedbackSchema,
+  managerSchema,
+  notificationTemplateSchema,
+  slaCalendarSchema,
+  slaPolicySchema,
+  ticketSchema
+} from './schemas.js';
+
+// OpenAPI 3.1 description of the API, built from the same schemas the routes
+// validate with so the two cannot drift apart. Served at /api/openapi.json
+// and enforced at runtime by lib/contract.js. Paths are relative to the
+// versioned /api/<version> server.
+
+const ref = (name) => ({ $ref: `#/components/schemas/${name}` });
+const json = (schema, description = 'OK') => ({ description, content: { 'application/json': { schema } } });
+const object = (properties, required = []) => ({ type: 'object', properties, required, additionalProperties: false });
+
+const string = { type: 'string' };
+const nullableString = { type: ['string', 'null'] };
+const success = (properties = {}, required = []) => object({ success: { const: true }, message: string, ...properties }, ['success', ...required]);
+
+// Database keys cannot contain . $ # [ ] or /
+const KEY = { type: 'string', pattern: '^[^.$#\\[\\]/]{1,128}$' };
+
+// Fields every write adds (see lib/versioning.js)
+const RECORD_FIELDS = {
+  version: { type: 'integer', minimum: 0 },
+  createdAt: string,
+  createdBy: nullableString,
+  updatedAt: string,
+  updatedBy: nullableString
+};
+
+// A record as stored: the input properties (less the write-only password)
+// plus the write stamps. Older records may carry fields that predate the
+// schemas, so extras are allowed.
+const stored = (schema, required = ['id']) => {
+  const { password, ...properties } = schema.properties;
+  return { type: 'object', properties: { ...properties, ...RECORD_FIELDS }, required, additionalProperties: true };
+};
+
+// Records with create (`<Name>Create`) and update (`<Name>Update`) bodies
+const ENTITIES = {
+  Customer: customerSchema,
+  Company: companySchema,
+  CallGroup: callGroupSchema,
+  Manager: managerSchema,
+  Employee: employeeSchema,
+  Ticket: ticketSchema
+};
+
+const entitySchemas = () => {
+  const schemas = {};
+  Object.entries(ENTITIES).forEach(([name, schema]) => {
+    schemas[name] = stored(schema);
+    schemas[`${name}Create`] = withOptional(schema, 'id');
+    schemas[`${name}Update`] = partialSchema(schema);
+  });
+  // Written by the server only (lib/notifications.js)
+  schemas.Ticket.properties.notifications = {
+    type: 'object',
+    propertyNames: { enum: NOTIFICATION_EVENTS },
+    additionalProperties: ref('NotificationDeliveries')
+  };
+  // Written by the server only (lib/sla.js)
+  schemas.Ticket.properties.sla = ref('TicketSla');
+  // Written by the server only (lib/followUps.js)
+  schemas.Ticket.properties.followUpReminder = object({
+    date: string,
+    remindedAt: string,
+    escalatedAt: string
+  }, ['date']);
+  return schemas;
+};
+
+const TOKEN_CLAIMS = {
+  type: 'object',
+  properties: {
+    uid: string,
+    userId: string,
+    email: string,
+    username: nullableString,
+    name: string,
+    role: { type: 'string', enum: ROLES },
+    employeeId: string,
+    permissions: object({ canEdit: { type: 'boolean' }, canDelete: { type: 'boolean' } }),
+    mustChangePassword: { type: 'boolean' }
+  },
+  required: ['uid', 'userId', 'role'],
+  additionalProperties: false
+};
+
+const COMPONENT_SCHEMAS = {
+  // Every 4xx/5xx body. `details` lists validation problems; `current` is
+  // the server copy sent with a 409 version conflict.
+  Error: object({
+    error: string,
+    code: string,
+    details: { type: ['array', 'string'], items: string },
+    current: { type: 'object' }
+  }, ['error']),
+  Success: success(),
+  TokenClaims: TOKEN_CLAIMS,
+  Session: success({ token: string, refreshToken: string, user: ref('TokenClaims') }, ['token', 'refreshToken', 'user']),
+  Feedback: stored(feedbackSchema, ['ticketId']),
+  FeedbackCreate: feedbackSchema,
+  Attendance: stored(attendanceSchema, []),
+  AttendanceSave: attendanceSchema,
+  Attachment: object({
+    id: string,
+    ticketId: string,
+    event: nullableString,
+    name: string,
+    type: { type: 'string', enum: config.attachments.types },
+    size: { type: 'integer' },
+    width: { type: ['integer', 'null'] },
+    height: { type: ['integer', 'null'] },
+    hasThumbnail: { type: 'boolean' },
+    sha256: string,
+    uploadedBy: nullableString,
+    uploadedByName: nullableString,
+    uploadedAt: string
+  }, ['id', 'ticketId', 'name', 'type', 'size']),
+  ResetRequest: object({
+    id: string,
+    identifier: string,
+    role: string,
+    name: nullableString,
+    status: { type: 'string', enum: ['pending', 'approved', 'rejected'] },
+    requestedAt: string,
+    decidedAt: nullableString,
+    decidedBy: nullableString,
+    reason: nullableString
+  }, ['id', 'status', 'requestedAt']),
+  // Outcome of the last message for one ticket event and target
+  Notification: object({
+    status: { type: 'string', enum: ['sent', 'failed', 'skipped'] },
+    channel: string,
+    to: nullableString,
+    at: string,
+    transport: string,
+    messageId: string,
+    reason: string,
+    error: string,
+    attempts: { type: 'integer' }
+  }, ['status', 'at']),
+  NotificationDeliveries: {
+    type: 'object',
+    propertyNames: { enum: Object.keys(TARGETS) },
+    additionalProperties: ref('Notification')
+  },
+  InboxItem: object({
+    id: string,
+    type: string,
+    title: string,
+    message: string,
+    ticketId: nullableString,
+    link: { type: 'string', description: 'Frontend location that opens the record, e.g. #ticket=TK001' },
+    actor: nullableString,
+    actorName: nullableString,
+    read: { type: 'boolean' },
+    readAt: string,
+    createdAt: string
+  }, ['id', 'type', 'title', 'read', 'createdAt']),
+  // A follow-up date that has come on an incomplete job
+  FollowUp: object({
+    ticketId: string,
+    customerName: string,
+    problemTitle: string,
+    status: string,
+    engineerId: nullableString,
+    managerIds: { type: 'array', items: string },
+    nextFollowUpDate: string,
+    pendingReason: string,
+    daysOverdue: { type: 'integer', minimum: 0 },
+    remindedAt: nullableString,
+    escalatedAt: nullableString,
+    escalated: { type: 'boolean', description: 'Past the grace period' }
+  }, ['ticketId', 'nextFollowUpDate', 'daysOverdue', 'escalated']),
+  OptOut: object({
+    phone: string,
+    source: { type: 'string', enum: ['staff', 'reply'] },
+    by: nullableString,
+    at: string
+  }, ['phone', 'at']),
+  NotificationTemplate: object({
+    event: { type: 'string', enum: NOTIFICATION_EVENTS },
+    label: string,
+    subject: string,
+    text: string,
+    sms: string,
+    engineerSms: string,
+    enabled: { type: 'boolean' },
+    custom: { type: 'boolean', description: 'false while the built-in wording is used' },
+    updatedAt: string,
+    updatedBy: nullableString
+  }, ['event', 'subject', 'text', 'enabled', 'custom']),
+  NotificationTemplateSave: notificationTemplateSchema,
+  SlaPolicySave: slaPolicySchema,
+  SlaPolicy: object({
+    ...slaPolicySchema.properties,
+    id: string,
+    updatedAt: string,
+    updatedBy: nullableString
+  }, ['id', 'name', 'enabled']),
+  SlaCalendar: slaCalendarSchema,
+  // One stage of a ticket's SLA; dueAt is null while the clock is paused
+  SlaStage: object({
+    targetHours: { type: 'number' },
+    dueAt: nullableString,
+    metAt: nullableString,
+    breached: { type: 'boolean' },
+    remainingMinutes: { type: 'integer', description: 'Time left when paused' },
+    cancelled: { type: 'boolean', description: 'The ticket was closed first' }
+  }, ['targetHours']),
+  TicketSla: object({
+    policyId: string,
+    policyName: string,
+    businessHours: { type: 'boolean' },
+    startedAt: string,
+    pausedSince: nullableString,
+    pauses: { type: 'array', items: object({ from: string, to: string }, ['from', 'to']) },
+    stages: { type: 'object', propertyNames: { enum: SLA_STAGES }, additionalProperties: ref('SlaStage') },
+    computedAt: string
+  }, ['policyId', 'policyName', 'startedAt', 'computedAt']),
+  SlaCounts: {
+    type: 'object',
+    propertyNames: { enum: SLA_STAGES },
+    additionalProperties: object({
+      onTime: { type: 'integer' },
+      late: { type: 'integer' },
+      overdue: { type: 'integer' },
+      pending: { type: 'integer' },
+      compliance: { type: ['number', 'null'], description: 'Percent of decided stages met on time' }
+    }, ['onTime', 'late', 'overdue', 'pending', 'compliance'])
+  },
+  AuditEntry: {
+    type: 'object',
+    properties: {
+      id: string,
+      at: string,
+      ts: { type: 'integer' },
+      actor: nullableString,
+      actorName: nullableString,
+      role: nullableString,
+      action: string,
+      method: string,
+      path: string,
+      status: { type: 'integer' },
+      entity: nullableString,
+      entityId: nullableString,
+      ticketId: nullableString,
+      changes: { type: ['object', 'null'] },
+      details: nullableString,
+      ip: nullableString
+    },
+    required: ['id', 'at', 'action'],
+    additionalProperties: true
+  },
+  ...entitySchemas()
+};
+
+const pathParam = (name, schema = KEY) => ({ name, in: 'path', required: true, schema });
+const queryParam = (name, schema, description) => ({ name, in: 'query', schema, ...(description && { description }) });
+
+const IF_MATCH = {
+  name: 'If-Match',
+  in: 'header',
+  description: 'Version the change is based on, from the record\'s ETag or `version` (`*` for any)',
+  schema: string
+};
+const IDEMPOTENCY_KEY = {
+  name: 'Idempotency-Key',
+  in: 'header',
+  description: 'Writes repeated with the same key are applied once and the first response is replayed',
+  schema: { type: 'string', pattern: '^[A-Za-z0-9_-]{8,128}$' }
+};
+
+// Query parameters of a list endpoint (see lib/listing.js)
+const listParams = (spec) => {
+  const dates = spec.dates || [];
+  const params = [
+    queryParam('limit', { type: 'integer', minimum: 1, maximum: config.listing.maxPageSize }, `Page size (default ${config.listing.pageSize})`),
+    queryParam('cursor', string, '`nextCursor` of the previous page'),
+    queryParam('sort', { type: 'string', enum: spec.sortable.flatMap(f => [f, `-${f}`]) }, `Sort field, '-' for descending (default ${spec.sort})`)
+  ];
+  if (dates.length) {
+    params.push(
+      queryParam('from', string, 'Earliest date or time (inclusive)'),
+      queryParam('to', string, 'Latest date or time (inclusive; a bare date covers the whole day)'),
+      queryParam('dateField', { type: 'string', enum: dates }, `Field from/to apply to (default ${dates[0]})`)
+    );
+  }
+  if (spec.search) params.push(queryParam('q', string, `Case-insensitive search in ${spec.search.join(', ')}`));
+  spec.filters.forEach(field => params.push(queryParam(field, string, 'Exact match; separate several values with commas')));
+  return params;
+};
+
+// Without paging parameters a list endpoint returns the whole array
+const listOf = (schema) => ({
+  oneOf: [
+    { type: 'array', items: schema },
+    object({ items: { type: 'array', items: schema }, nextCursor: nullableString, total: { type: 'integer' } }, ['items', 'nextCursor', 'total'])
+  ]
+});
+
+// One operation. `ok` is the success body schema, `status` its code; every
+// error status shares the Error body via the default response.
+const op = (tag, summary, { description, deprecated, auth = true, params = [], body, ok = ref('Success'), status = 200, responses } = {}) => ({
+  tags: [tag],
+  summary,
+  ...(description && { description }),
+  ...(deprecated && { deprecated: true }),
+  ...(auth ? {} : { security: [] }),
+  ...(params.length && { parameters: params }),
+  ...(body && { requestBody: { required: true, content: { 'application/json': { schema: body } } } }),
+  responses: responses || { [status]: json(ok), default: { $ref: '#/components/responses/Error' } }
+});
+
+const writeParams = (...extra) => [IDEMPOTENCY_KEY, ...extra];
+
+const loginBody = {
+  ...object({
+    identifier: string,
+    username: string,
+    email: string,
+    password: { type: 'string', minLength: 1 },
+    role: { type: 'string', enum: ROLES }
+  }, ['password']),
+  anyOf: [{ required: ['identifier'] }, { required: ['username'] }, { required: ['email'] }]
+};
+
+const accountFields = { identifier: { type: 'string', minLength: 1 }, role: { type: 'string', enum: ROLES } };
+
+const buildPaths = (listSpecs) => {
+  const paths = {};
+  const add = (path, method, operation) => {
+    paths[path] = { ...paths[path], [method]: operation };
+  };
+
+  add('/health', 'get', op('System', 'Health check', {
+    auth: false,
+    ok: object({ status: string, message: string }, ['status'])
+  }));
+  add('/openapi.json', 'get', op('System', 'This document', { auth: false, ok: { type: 'object' } }));
+  add('/docs', 'get', op('System', 'Interactive API documentation', {
+    auth: false,
+    responses: { 200: { description: 'HTML page', content: { 'text/html': { schema: string } } } }
+  }));
+  add('/events', 'get', op('System', 'Live ticket and attendance changes', {
+    description: 'Server-Sent Events stream; each subscriber only receives changes to records it may see.',
+    responses: {
+      200: { description: 'Event stream', content: { 'text/event-stream': { schema: string } } },
+      default: { $ref: '#/components/responses/Error' }
+    }
+  }));
+
+  // Sessions and passwords
+  add('/login', 'post', op('Auth', 'Sign in with username or email', { auth: false, body: loginBody, ok: ref('Session') }));
+  add('/auth/refresh', 'post', op('Auth', 'Exchange a refresh token for a new token pair', {
+    auth: false,
+    body: object({ refreshToken: { type: 'string', minLength: 1 } }, ['refreshToken']),
+    ok: ref('Session')
+  }));
+  add('/logout', 'post', op('Auth', 'End the current session', {
+    description: 'Accepts the refresh token, or an access token that may already have expired.',
+    auth: false,
+    body: object({ refreshToken: string, reason: { type: 'string', enum: ['logout', 'idle'] } })
+  }));
+  add('/users/{userId}/sign-out', 'post', op('Auth', 'Revoke every session of a user', {
+    params: writeParams(pathParam('userId')),
+    ok: success({ revoked: { type: 'integer' } }, ['revoked'])
+  }));
+  add('/auth/otp/request', 'post', op('Auth', 'Send a password reset code', {
+    auth: false,
+    body: object({ ...accountFields, mobile: string }, ['identifier', 'role'])
+  }));
+  add('/auth/otp/verify', 'post', op('Auth', 'Trade a reset code for a reset token', {
+    auth: false,
+    body: object({ ...accountFields, otp: { type: ['string', 'integer'] } }, ['identifier', 'role', 'otp']),
+    ok: success({ resetToken: string, expiresInMs: { type: 'integer' } }, ['resetToken'])
+  }));
+  add('/auth/password/reset', 'post', op('Auth', 'Set a new password with a reset token', {
+    auth: false,
+    body: object({ ...accountFields, resetToken: { type: 'string', minLength: 1 }, newPassword: string }, ['identifier', 'role', 'resetToken', 'newPassword'])
+  }));
+  add('/auth/password/change', 'post', op('Auth', 'Change the signed-in user\'s password', {
+    description: 'The current password is not asked for after signing in with a temporary password.',
+    body: object({ currentPassword: string, newPassword: string }, ['newPassword']),
+    ok: ref('Session')
+  }));
+  add('/auth/password/reset-requests', 'post', op('Auth', 'Ask an admin for a password reset', {
+    auth: false,
+    body: object(accountFields, ['identifier', 'role'])
+  }));
+  add('/register', 'post', op('Auth', 'Create a sign-in account', {
+    params: writeParams(),
+    body: object({
+      email: { type: 'string', minLength: 1 },
+      password: { type: 'string', minLength: 1 },
+      name: { type: 'string', minLength: 1 },
+      role: { type: 'string', enum: ROLES },
+      username: string,
+      entityId: string,
+      permissions: object({ canEdit: { type: 'boolean' }, canDelete: { type: 'boolean' } })
+    }, ['email', 'password', 'name']),
+    ok: success({ user: ref('TokenClaims') }, ['user'])
+  }));
+
+  add('/password-reset-requests', 'get', op('Password resets', 'Reset requests, newest first', {
+    params: [queryParam('status', { type: 'string', enum: ['pending', 'approved', 'rejected'] })],
+    ok: { type: 'array', items: ref('ResetRequest') }
+  }));
+  add('/password-reset-requests/{id}/approve', 'post', op('Password resets', 'Approve and issue a temporary password', {
+    params: writeParams(pathParam('id')),
+    ok: success({ request: ref('ResetRequest'), tempPassword: string, expiresAt: string }, ['request', 'tempPassword'])
+  }));
+  add('/password-reset-requests/{id}/reject', 'post', op('Password resets', 'Reject a reset request', {
+    params: writeParams(pathParam('id')),
+    body: object({ reason: string }),
+    ok: success({ request: ref('ResetRequest') }, ['request'])
+  }));
+
+  add('/ids/{type}', 'post', op('Records', 'Reserve the next record id', {
+    params: writeParams(pathParam('type', { type: 'string', enum: ID_TYPES })),
+    status: 201,
+    ok: success({ id: string }, ['id'])
+  }));
+
+  // Legacy bulk endpoints used by the first frontend sync. Responses carry
+  // Deprecation, Sunset and a successor-version Link (lib/deprecation.js).
+  add('/save', 'post', op('Legacy', 'Write a customer, company, call group or feedback', {
+    description: 'Use POST or PUT on the collection (e.g. /customers) instead.',
+    deprecated: true,
+    params: writeParams(IF_MATCH),
+    body: object({
+      path: { type: 'string', enum: ['customers', 'companies', 'callGroups', 'feedbacks'] },
+      data: { type: 'object' }
+    }, ['path', 'data']),
+    ok: success({ data: { type: 'object' } })
+  }));
+  [
+    ['employees', 'Employee'],
+    ['managers', 'Manager'],
+    ['tickets', 'Ticket'],
+    ['customers', 'Customer'],
+    ['companies', 'Company'],
+    ['callGroups', 'CallGroup'],
+    ['attendance', 'Attendance']
+  ].forEach(([collection, schema]) => {
+    add(`/load/${collection}`, 'get', op('Legacy', `Load ${collection}`, {
+      description: `Use GET /${collection} instead.`,
+      deprecated: true,
+      params: listParams(listSpecs[collection]),
+      ok: listOf(ref(schema))
+    }));
+  });
+
+  // Employees and the master data collections share one shape
+  const entity = (collection, schema, label, tag, { getOne = true } = {}) => {
+    add(`/${collection}`, 'get', op(tag, `List ${collection}`, { params: listParams(listSpecs[collection]), ok: listOf(ref(schema)) }));
+    add(`/${collection}`, 'post', op(tag, `Create a ${label}`, {
+      description: 'The id is minted by the server when left out; send one reserved with POST /ids/{type} to choose it.',
+      params: writeParams(),
+      body: ref(`${schema}Create`),
+      status: 201,
+      ok: success({ data: ref(schema) }, ['data'])
+    }));
+    if (getOne) add(`/${collection}/{id}`, 'get', op(tag, `Get a ${label}`, { params: [pathParam('id')], ok: ref(schema) }));
+    add(`/${collection}/{id}`, 'put', op(tag, `Update a ${label}`, {
+      description: 'Merges the given fields. Requires If-Match with the version the change is based on.',
+      params: writeParams(pathParam('id'), { ...IF_MATCH, required: true }),
+      body: ref(`${schema}Update`),
+      ok: success({ data: ref(schema) }, ['data'])
+    }));
+    add(`/${collection}/{id}`, 'delete', op(tag, `Delete a ${label}`, { params: writeParams(pathParam('id'), IF_MATCH) }));
+  };
+
+  entity('employees', 'Employee', 'employee', 'Employees', { getOne: false });
+  entity('customers', 'Customer', 'customer', 'Customers');
+  entity('companies', 'Company', 'company', 'Companies');
+  entity('callGroups', 'CallGroup', 'call group', 'Call groups');
+  entity('managers', 'Manager', 'manager', 'Managers');
+
+  add('/attendance', 'get', op('Attendance', 'Attendance of everyone the caller may see', {
+    description: 'Admin and HR get every employee\'s days; other roles only their own.',
+    params: listParams(listSpecs.attendance),
+    ok: listOf(ref('Attendance'))
+  }));
+  add('/attendance/{employeeId}', 'get', op('Attendance', 'An employee\'s attendance by day', {
+    params: [pathParam('employeeId')],
+    ok: { type: 'array', items: ref('Attendance') }
+  }));
+  add('/attendance/login', 'post', op('Attendance', 'Record today\'s login', {
+    params: writeParams(),
+    body: object({ employeeId: { type: 'string', minLength: 1 } }, ['employeeId'])
+  }));
+  add('/attendance', 'post', op('Attendance', 'Create or merge a day\'s attendance', {
+    params: writeParams(),
+    body: ref('AttendanceSave')
+  }));
+
+  add('/feedbacks', 'get', op('Feedbacks', 'List feedbacks', { params: listParams(listSpecs.feedbacks), ok: listOf(ref('Feedback')) }));
+  add('/feedbacks', 'post', op('Feedbacks', 'Record customer feedback on a ticket', {
+    params: writeParams(),
+    body: ref('FeedbackCreate'),
+    status: 201,
+    ok: success({ id: string }, ['id'])
+  }));
+
+  const ticketResult = success({ ticket: ref('Ticket') }, ['ticket']);
+  add('/tickets', 'get', op('Tickets', 'List the tickets visible to the caller', { params: listParams(listSpecs.tickets), ok: listOf(ref('Ticket')) }));
+  add('/tickets', 'post', op('Tickets', 'Raise a ticket', {
+    params: writeParams(),
+    body: ref('TicketCreate'),
+    status: 201,
+    ok: ticketResult
+  }));
+  add('/tickets/{id}', 'get', op('Tickets', 'Get a ticket', { params: [pathParam('id')], ok: ref('Ticket') }));
+  add('/tickets/{id}', 'put', op('Tickets', 'Update ticket fields', {
+    description: 'Status changes are rejected here; use the transition endpoint.',
+    params: writeParams(pathParam('id'), { ...IF_MATCH, required: true }),
+    body: ref('TicketUpdate'),
+    ok: ticketResult
+  }));
+  add('/tickets/{id}', 'delete', op('Tickets', 'Delete a ticket', { params: writeParams(pathParam('id'), IF_MATCH) }));
+  add('/tickets/{id}/transitions', 'get', op('Tickets', 'Statuses the caller may move the ticket to', {
+    params: [pathParam('id')],
+    ok: object({ status: nullableString, allowed: { type: 'array', items: string } }, ['allowed'])
+  }));
+  add('/tickets/{id}/transition', 'post', op('Tickets', 'Move a ticket to another status', {
+    description: '`changes` are applied together with the status change, e.g. the assigned employee.',
+    params: writeParams(pathParam('id'), { ...IF_MATCH, required: true }),
+    body: object({ status: { type: 'string', minLength: 1 }, changes: ref('TicketUpdate') }, ['status']),
+    ok: ticketResult
+  }));
+
+  add('/attachments', 'post', op('Attachments', 'Upload photos or documents for a ticket', {
+    description: `Up to ${config.attachments.maxFiles} files of ${config.attachments.maxFileBytes / 1024 / 1024} MB; reference the returned ids in the ticket's <event>PhotoIds.`,
+    params: writeParams(),
+    status: 201,
+    ok: success({ attachments: { type: 'array', items: ref('Attachment') } }, ['attachments'])
+  }));
+  paths['/attachments'].post.requestBody = {
+    required: true,
+    content: {
+      'multipart/form-data': {
+        schema: {
+          type: 'object',
+          properties: {
+            ticketId: string,
+            event: { type: 'string', pattern: '^[A-Za-z][A-Za-z0-9]{0,39}$' },
+            files: { type: 'array', items: { type: 'string', format: 'binary' } }
+          },
+          required: ['ticketId', 'files']
+        }
+      }
+    }
+  };
+  add('/attachments/{id}', 'get', op('Attachments', 'Attachment details', { params: [pathParam('id')], ok: ref('Attachment') }));
+  add('/attachments/{id}', 'delete', op('Attachments', 'Delete an attachment no ticket references', { params: writeParams(pathParam('id')) }));
+  ['content', 'thumbnail'].forEach(variant => {
+    add(`/attachments/{id}/${variant}`, 'get', op('Attachments', variant === 'content' ? 'Download the file' : 'Download the JPEG thumbnail', {
+      params: [pathParam('id')],
+      responses: {
+        200: { description: 'File', content: { '*/*': { schema: { type: 'string', format: 'binary' } } } },
+        304: { description: 'Not modified (If-None-Match)' },
+        default: { $ref: '#/components/responses/Error' }
+      }
+    }));
+  });
+
+  add('/tickets/{id}/notifications/{event}', 'post', op('Notifications', 'Send the messages for a ticket event again', {
+    description: 'Sends now, once and whatever happened before, and records the outcomes on the ticket.',
+    params: writeParams(pathParam('id'), pathParam('event', { type: 'string', enum: NOTIFICATION_EVENTS })),
+    ok: object({ success: { type: 'boolean' }, notifications: ref('NotificationDeliveries') }, ['success', 'notifications'])
+  }));
+  add('/notification-templates', 'get', op('Notifications', 'Message templates in effect', {
+    ok: object({
+      placeholders: { type: 'array', items: { type: 'string', enum: PLACEHOLDERS } },
+      templates: { type: 'array', items: ref('NotificationTemplate') }
+    }, ['placeholders', 'templates'])
+  }));
+  const templateResult = success({ template: ref('NotificationTemplate') }, ['template']);
+  add('/notification-templates/{event}', 'put', op('Notifications', 'Replace the wording of an event\'s messages', {
+    description: `Placeholders: ${PLACEHOLDERS.map(name => `{{${name}}}`).join(', ')}.`,
+    params: writeParams(pathParam('event', { type: 'string', enum: NOTIFICATION_EVENTS })),
+    body: ref('NotificationTemplateSave'),
+    ok: templateResult
+  }));
+  add('/notification-templates/{event}', 'delete', op('Notifications', 'Go back to the built-in wording', {
+    params: writeParams(pathParam('event', { type: 'string', enum: NOTIFICATION_EVENTS })),
+    ok: templateResult
+  }));
+
+  add('/sla/policies', 'get', op('SLA', 'Service level policies', {
+    ok: object({
+      policies: { type: 'array', items: ref('SlaPolicy') },
+      defaultPolicy: object({
+        firstResponseHours: { type: ['number', 'null'] },
+        siteVisitHours: { type: ['number', 'null'] },
+        resolutionHours: { type: ['number', 'null'] },
+        businessHours: { type: 'boolean' }
+      })
+    }, ['policies', 'defaultPolicy'])
+  }));
+  add('/sla/policies', 'post', op('SLA', 'Add a policy', {
+    description: 'Empty criteria match every ticket; the most specific match (customer, then call type, then department) applies.',
+    params: writeParams(),
+    body: ref('SlaPolicySave'),
+    status: 201,
+    ok: success({ policy: ref('SlaPolicy') }, ['policy'])
+  }));
+  add('/sla/policies/{id}', 'put', op('SLA', 'Replace a policy', {
+    params: writeParams(pathParam('id')),
+    body: ref('SlaPolicySave'),
+    ok: success({ policy: ref('SlaPolicy') }, ['policy'])
+  }));
+  add('/sla/policies/{id}', 'delete', op('SLA', 'Delete a policy', { params: writeParams(pathParam('id')) }));
+  add('/sla/calendar', 'get', op('SLA', 'Business hours calendar', { ok: ref('SlaCalendar') }));
+  add('/sla/calendar', 'put', op('SLA', 'Replace the business hours calendar', {
+    params: writeParams(),
+    body: ref('SlaCalendar'),
+    ok: success({ calendar: ref('SlaCalendar') }, ['calendar'])
+  }));
+  const day = { type: 'string', pattern: '^\\d{4}-\\d{2}-\\d{2}$' };
+  add('/sla/report', 'get', op('SLA', 'SLA compliance of the tickets the caller can see', {
+    params: [queryParam('from', day, 'Raised on or after'), queryParam('to', day, 'Raised on or before')],
+    ok: object({
+      from: nullableString,
+      to: nullableString,
+      generatedAt: string,
+      tickets: { type: 'integer' },
+      stages: ref('SlaCounts'),
+      policies: {
+        type: 'array',
+        items: object({ policyId: string, policyName: string, tickets: { type: 'integer' }, stages: ref('SlaCounts') }, ['policyId', 'policyName', 'tickets', 'stages'])
+      }
+    }, ['generatedAt', 'tickets', 'stages', 'policies'])
+  }));
+
+  add('/follow-ups/overdue', 'get', op('Tickets', 'Follow-ups on incomplete jobs that are due, most overdue first', {
+    ok: object({
+      today: string,
+      graceDays: { type: 'integer' },
+      items: { type: 'array', items: ref('FollowUp') }
+    }, ['today', 'graceDays', 'items'])
+  }));
+
+  const unreadCount = success({ unread: { type: 'integer' } }, ['unread']);
+  add('/inbox', 'get', op('Inbox', 'The caller\'s notifications, newest first', {
+    params: [
+      queryParam('unread', { type: 'string', enum: ['true', 'false'] }, 'Only entries not read yet'),
+      queryParam('limit', { type: 'integer', minimum: 1, maximum: config.inbox.maxItems }, `Default ${config.inbox.pageSize}`)
+    ],
+    ok: object({ items: { type: 'array', items: ref('InboxItem') }, unread: { type: 'integer' } }, ['items', 'unread'])
+  }));
+  add('/inbox/read-all', 'post', op('Inbox', 'Mark every notification read', { params: writeParams(), ok: unreadCount }));
+  add('/inbox/{id}/read', 'post', op('Inbox', 'Mark one notification read', { params: writeParams(pathParam('id')), ok: unreadCount }));
+
+  add('/messaging/opt-outs', 'get', op('Notifications', 'Phones that receive no ticket texts', {
+    ok: { type: 'array', items: ref('OptOut') }
+  }));
+  add('/messaging/opt-outs', 'post', op('Notifications', 'Stop ticket texts to a phone', {
+    params: writeParams(),
+    body: object({ phone: { type: 'string', minLength: 1 } }, ['phone']),
+    status: 201,
+    ok: success({ optOut: ref('OptOut') }, ['optOut'])
+  }));
+  add('/messaging/opt-outs/{phone}', 'delete', op('Notifications', 'Resume ticket texts to a phone', {
+    params: writeParams(pathParam('phone'))
+  }));
+  add('/messaging/inbound', 'get', op('Notifications', 'WhatsApp (Meta) webhook verification', {
+    description: 'Answers hub.challenge when hub.verify_token matches WHATSAPP_VERIFY_TOKEN.',
+    auth: false,
+    params: [
+      queryParam('hub.mode', string),
+      queryParam('hub.verify_token', string),
+      queryParam('hub.challenge', string)
+    ],
+    responses: {
+      200: { description: 'The challenge', content: { 'text/plain': { schema: string } } },
+      default: { $ref: '#/components/responses/Error' }
+    }
+  }));
+  add('/messaging/inbound', 'post', op('Notifications', 'Replies forwarded by a messaging provider', {
+    description: 'SMS gateways send the X-Webhook-Token header; WhatsApp (Meta) deliveries are signed with X-Hub-Signature-256. STOP opts the sender out and START back in; `{ from, text }` or a WhatsApp Business webhook payload.',
+    auth: false,
+    params: [
+      { name: 'X-Webhook-Token', in: 'header', schema: string },
+      { name: 'X-Hub-Signature-256', in: 'header', schema: string }
+    ],
+    body: { type: 'object' },
+    ok: success({ handled: { type: 'integer' } }, ['handled'])
+  }));
+
+  add('/audit', 'get', op('Audit', 'Audit log, newest first', {
+    params: [
+      queryParam('ticketId', string),
+      queryParam('actor', string, 'User id or username'),
+      queryParam('action', string, 'Substring, e.g. ticket.transition'),
+      queryParam('entity', string),
+      queryParam('from', string),
+      queryParam('to', string),
+      queryParam('cursor', string),
+      queryParam('limit', { type: 'integer', minimum: 1 })
+    ],
+    ok: object({ items: { type: 'array', items: ref('AuditEntry') }, nextCursor: nullableString }, ['items', 'nextCursor'])
+  }));
+
+  return paths;
+};
+
+// `listSpecs` are the LIST_SPECS of api/index.js
+export function buildOpenApiDocument(listSpecs) {
+  return {
+    openapi: '3.1.0',
+    info: {
+      title: 'TERAIT Ticketing API',
+      version: config.api.version,
+      description: 'Errors always have the Error shape; validation problems are listed in `details`.'
+    },
+    servers: [
+      { url: `/api/${config.api.version}` },
+      { url: '/api', description: 'Unversioned alias kept for clients built before versioning' }
+    ],
+    security: [{ bearerAuth: [] }],
+    paths: buildPaths(listSpecs),
+    components: {
+      securitySchemes: {
+        bearerAuth: { type: 'http', scheme: 'bearer', bearerFormat: 'JWT' }
+      },
+      responses: {
+        Error: json(ref('Error'), 'Error')
+      },
+      schemas: COMPONENT_SCHEMAS
+    }
+  };
+}
@@ -0,0 +1,49 @@
+import { normalizePhone } from './transports.js';
+
+// Phones that asked not to receive ticket updates, under
+// `messageOptOuts/<number>` keyed by the normalized number. Set by staff or
+// by the person replying STOP; START (or staff) removes the entry. Only
+// notifications honour it: password reset codes are still sent.
+
+export const STOP_WORDS = ['STOP', 'STOPALL', 'UNSUBSCRIBE', 'CANCEL', 'END', 'QUIT'];
+export const START_WORDS = ['START', 'UNSTOP', 'SUBSCRIBE'];
+
+export async function isOptedOut(db, phone) {
+  const number = normalizePhone(phone);
+  if (!number) return false;
+  const snapshot = await db.ref(`messageOptOuts/${number}`).once('value');
+  return snapshot.exists();
+}
+
+// Returns the stored entry, or null when `phone` is not a number
+export async function optOut(db, phone, { source, by = null }) {
+  const number = normalizePhone(phone);
+  if (!number) return null;
+  const entry = { phone: number, source, by, at: new Date().toISOString() };
+  await db.ref(`messageOptOuts/${number}`).set(entry);
+  return entry;
+}
+
+// Returns whether an entry was removed
+export async function optIn(db, phone) {
+  const number = normalizePhone(phone);
+  if (!number) return false;
+  const ref = db.ref(`messageOptOuts/${number}`);
+  const snapshot = await ref.once('value');
+  if (!snapshot.exists()) return false;
+  await ref.remove();
+  return true;
+}
+
+export async function listOptOuts(db) {
+  const snapshot = await db.ref('messageOptOuts').once('value');
+  return Object.values(snapshot.val() || {}).sort((a, b) => (b.at || '').localeCompare(a.at || ''));
+}
+
+// STOP / START keywords in a reply; null for anything else
+export function replyIntent(text = '') {
+  const word = String(text).trim().toUpperCase().replace(/[^A-Z]/g, '');
+  if (STOP_WORDS.includes(word)) return 'stop';
+  if (START_WORDS.includes(word)) return 'start';
+  return null;
+}
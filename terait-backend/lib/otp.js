@@ -0,0 +1,113 @@
+import crypto from 'crypto';
+import { config } from '../config.js';
+
+// One-time codes for the forgot-password flow. Codes are stored as an HMAC
+// (keyed with the server secret, so a database dump cannot be brute-forced
+// offline) under `otps/<uid>`; request counters live in `otpRequests/<key>`.
+const { length, ttlMs, maxAttempts, resendIntervalMs, maxRequestsPerWindow, windowMs, resetTokenTtlMs } = config.otp;
+
+const digest = (uid, value) =>
+  crypto.createHmac('sha256', process.env.OTP_SECRET || process.env.JWT_SECRET)
+    .update(`${uid}:${value}`)
+    .digest('hex');
+
+const sameDigest = (a, b) =>
+  typeof a === 'string' && typeof b === 'string' && a.length === b.length &&
+  crypto.timingSafeEqual(Buffer.from(a), Buffer.from(b));
+
+const currentWindow = (record, now) =>
+  record && now - record.windowStart < windowMs ? record : { windowStart: now, count: 0, lastAt: 0 };
+
+// ms until `record` allows another request
+const waitFor = (record, now) => Math.max(
+  record.lastAt + resendIntervalMs - now,
+  record.count >= maxRequestsPerWindow ? record.windowStart + windowMs - now : 0
+);
+
+// Records one OTP request against every key (account, IP). Returns 0 when
+// the request is allowed, otherwise the ms until another one may be made.
+// Every key is checked before any is charged, so requests from a blocked IP
+// do not use up the account's quota.
+export async function consumeOtpRequest(db, keys) {
+  const now = Date.now();
+  const snapshots = await Promise.all(keys.map(key => db.ref(`otpRequests/${key}`).once('value')));
+  let retryAfter = Math.max(0, ...snapshots.map(snapshot => waitFor(currentWindow(snapshot.val(), now), now)));
+  if (retryAfter > 0) return retryAfter;
+
+  // A concurrent request may still have got there first
+  await Promise.all(keys.map(key => db.ref(`otpRequests/${key}`).transaction(current => {
+    const record = currentWindow(current, now);
+    const wait = waitFor(record, now);
+    if (wait > 0) {
+      retryAfter = Math.max(retryAfter, wait);
+      return;
+    }
+    return { ...record, count: record.count + 1, lastAt: now };
+  })));
+  return retryAfter;
+}
+
+// Creates a new code for `uid`, replacing any earlier one, and returns it.
+export async function issueOtp(db, uid) {
+  const code = String(crypto.randomInt(0, 10 ** length)).padStart(length, '0');
+  await db.ref(`otps/${uid}`).set({
+    codeHash: digest(uid, code),
+    attempts: 0,
+    createdAt: Date.now(),
+    expiresAt: Date.now() + ttlMs
+  });
+  return code;
+}
+
+// Returns { resetToken } for a correct code, or { error, status }. The code
+// is burnt on success and after maxAttempts wrong guesses.
+export async function verifyOtp(db, uid, code) {
+  const resetToken = crypto.randomBytes(32).toString('base64url');
+  let rejection = null;
+  const result = await db.ref(`otps/${uid}`).transaction(current => {
+    rejection = null;
+    if (current === null) return current;
+    const now = Date.now();
+    // Already verified: a late or repeated verify must not cancel the reset
+    if (current.resetTokenHash && current.resetExpiresAt > now) {
+      rejection = { status: 409, error: 'This OTP has already been used' };
+      return current;
+    }
+    if (!current.codeHash || current.expiresAt <= now) {
+      rejection = { status: 410, error: 'OTP expired. Request a new one.' };
+      return null;
+    }
+    if (!sameDigest(digest(uid, String(code)), current.codeHash)) {
+      const attempts = (current.attempts || 0) + 1;
+      if (attempts >= maxAttempts) {
+        rejection = { status: 429, error: 'Too many incorrect codes. Request a new OTP.' };
+        return null;
+      }
+      rejection = { status: 400, error: 'Invalid OTP' };
+      return { ...current, attempts };
+    }
+    return {
+      resetTokenHash: digest(uid, resetToken),
+      resetExpiresAt: now + resetTokenTtlMs,
+      verifiedAt: now
+    };
+  });
+
+  if (rejection) return rejection;
+  if (!result.snapshot.exists()) return { status: 400, error: 'No OTP requested' };
+  return { resetToken };
+}
+
+// Single use: a valid token is removed as it is accepted.
+export async function consumeResetToken(db, uid, resetToken) {
+  let accepted = false;
+  await db.ref(`otps/${uid}`).transaction(current => {
+    accepted = false;
+    if (current === null) return current;
+    if (!current.resetTokenHash || current.resetExpiresAt <= Date.now()) return;
+    if (!sameDigest(digest(uid, String(resetToken)), current.resetTokenHash)) return;
+    accepted = true;
+    return null;
+  });
+  return accepted;
+}
@@ -0,0 +1,54 @@
+import crypto from 'crypto';
+import { promisify } from 'util';
+
+const scrypt = promisify(crypto.scrypt);
+
+// Stored format: scrypt$N$r$p$<salt b64>$<hash b64>
+const PARAMS = { N: 16384, r: 8, p: 1 };
+const KEY_LENGTH = 64;
+const SALT_BYTES = 16;
+const PREFIX = 'scrypt';
+
+// Readable one-time passwords for the admin reset queue (no 0/O/1/l/I).
+const TEMP_ALPHABET = 'abcdefghjkmnpqrstuvwxyzABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+
+export function generateTempPassword(length = 12) {
+  return Array.from({ length }, () => TEMP_ALPHABET[crypto.randomInt(TEMP_ALPHABET.length)]).join('');
+}
+
+export function isHashed(stored) {
+  return typeof stored === 'string' && stored.startsWith(`${PREFIX}$`);
+}
+
+export async function hashPassword(password) {
+  const salt = crypto.randomBytes(SALT_BYTES);
+  const { N, r, p } = PARAMS;
+  const hash = await scrypt(password, salt, KEY_LENGTH, { N, r, p });
+  return [PREFIX, N, r, p, salt.toString('base64'), hash.toString('base64')].join('$');
+}
+
+// Returns { valid, needsRehash }. Accepts legacy plaintext values so users
+// created before hashing can still sign in once and be upgraded.
+export async function verifyPassword(password, stored) {
+  if (typeof password !== 'string' || typeof stored !== 'string') {
+    return { valid: false, needsRehash: false };
+  }
+
+  if (!isHashed(stored)) {
+    const a = Buffer.from(password);
+    const b = Buffer.from(stored);
+    const valid = a.length === b.length && crypto.timingSafeEqual(a, b);
+    return { valid, needsRehash: valid };
+  }
+
+  const [, N, r, p, saltB64, hashB64] = stored.split('$');
+  const expected = Buffer.from(hashB64, 'base64');
+  const actual = await scrypt(password, Buffer.from(saltB64, 'base64'), expected.length, {
+    N: Number(N),
+    r: Number(r),
+    p: Number(p)
+  });
+  const valid = crypto.timingSafeEqual(actual, expected);
+  const needsRehash = valid && (Number(N) !== PARAMS.N || Number(r) !== PARAMS.r || Number(p) !== PARAMS.p);
+  return { valid, needsRehash };
+}
@@ -0,0 +1,87 @@
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+import { config } from '../config.js';
+import { normalizePhone, registerTransport } from './transports.js';
+
+// Providers for text messages to phones, registered as transports:
+//   sms-gateway - a generic HTTP SMS gateway (config.messaging.smsGateway)
+//   whatsapp    - WhatsApp Business Cloud API style text messages
+//   mock        - records each message to config.messaging.mockFile
+// Select one per channel with SMS_TRANSPORT / WHATSAPP_TRANSPORT.
+
+const providerError = (message, retryable) => Object.assign(new Error(message), { retryable });
+
+// Network failures, timeouts, 429 and 5xx are worth retrying; any other
+// rejection (bad number, bad credentials) is not
+async function postJson(provider, url, headers, body) {
+  let response;
+  try {
+    response = await fetch(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', ...headers },
+      body: JSON.stringify(body),
+      signal: AbortSignal.timeout(config.messaging.requestTimeoutMs)
+    });
+  } catch (error) {
+    throw providerError(`${provider} unreachable: ${error.message}`, true);
+  }
+  const data = await response.json().catch(() => ({}));
+  if (!response.ok) {
+    const reason = data.error?.message || data.error || data.message || response.statusText;
+    throw providerError(`${provider} answered ${response.status}: ${reason}`, response.status === 429 || response.status >= 500);
+  }
+  return data;
+}
+
+const recipient = (to) => {
+  const number = normalizePhone(to);
+  if (!number) throw providerError(`Not a phone number: ${to}`, false);
+  return number;
+};
+
+const onlyChannel = (name, wanted, channel) => {
+  if (channel !== wanted) throw providerError(`The ${name} transport cannot send ${channel} messages`, false);
+};
+
+registerTransport('sms-gateway', {
+  async send({ channel, to, text }) {
+    onlyChannel('sms-gateway', 'sms', channel);
+    const { url, apiKey, sender } = config.messaging.smsGateway;
+    if (!url) throw providerError('SMS_GATEWAY_URL is not set', false);
+    const data = await postJson('SMS gateway', url, apiKey ? { Authorization: `Bearer ${apiKey}` } : {}, {
+      to: `+${recipient(to)}`,
+      from: sender,
+      text
+    });
+    return { delivered: true, transport: 'sms-gateway', messageId: String(data.id || data.messageId || '') || undefined };
+  }
+});
+
+registerTransport('whatsapp', {
+  async send({ channel, to, text }) {
+    onlyChannel('whatsapp', 'whatsapp', channel);
+    const { apiUrl, phoneNumberId, token } = config.messaging.whatsapp;
+    if (!phoneNumberId || !token) throw providerError('WHATSAPP_PHONE_NUMBER_ID and WHATSAPP_TOKEN must be set', false);
+    const data = await postJson('WhatsApp', `${apiUrl}/${phoneNumberId}/messages`, { Authorization: `Bearer ${token}` }, {
+      messaging_product: 'whatsapp',
+      to: recipient(to),
+      type: 'text',
+      text: { body: text }
+    });
+    return { delivered: true, transport: 'whatsapp', messageId: data.messages?.[0]?.id };
+  }
+});
+
+// Development and tests: one JSON line per message, read back to see what
+// phones would have received
+registerTransport('mock', {
+  async send({ channel, to, text }) {
+    if (channel === 'email') throw providerError('The mock transport only sends phone messages', false);
+    const messageId = `mock-${crypto.randomUUID()}`;
+    const file = path.resolve(config.messaging.mockFile);
+    await fs.mkdir(path.dirname(file), { recursive: true });
+    await fs.appendFile(file, JSON.stringify({ id: messageId, channel, to: recipient(to), text, sentAt: new Date().toISOString() }) + '\n');
+    return { delivered: true, transport: 'mock', messageId };
+  }
+});
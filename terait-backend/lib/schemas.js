@@ -0,0 +1,316 @@
+// JSON schemas for the records the dashboards in terait-frontend/app.js build.
+// `required` lists apply to creates; updates are validated against the same
+// properties with nothing required (see partialSchema in validation.js).
+
+const nullableString = { type: ['string', 'null'] };
+const stringList = { type: 'array', items: { type: 'string' } };
+const phone = { type: 'string', pattern: '^[0-9+\\- ]{6,20}$' };
+const email = { type: 'string', pattern: '^[^@\\s]+@[^@\\s]*$' };
+
+const addressObject = {
+  type: 'object',
+  properties: {
+    line1: { type: 'string' },
+    line2: { type: 'string' },
+    line3: { type: 'string' },
+    pincode: { type: 'string' }
+  },
+  additionalProperties: false
+};
+
+export const customerSchema = {
+  type: 'object',
+  properties: {
+    id: { type: 'string', minLength: 1 },
+    type: { type: 'string', enum: ['individual', 'corporate'] },
+    name: { type: 'string', minLength: 1 },
+    companyName: { type: 'string' },
+    phone,
+    email,
+    address: { oneOf: [{ type: 'string' }, addressObject] },
+    gst: { type: 'string' },
+    contactPerson: { type: 'string' },
+    companyId: { type: 'string' }
+  },
+  required: ['id', 'name', 'phone', 'email'],
+  additionalProperties: false
+};
+
+export const companySchema = {
+  type: 'object',
+  properties: {
+    id: { type: 'string', minLength: 1 },
+    name: { type: 'string', minLength: 1 },
+    phone,
+    email,
+    gstNo: { type: 'string' },
+    address: addressObject
+  },
+  required: ['id', 'name', 'phone', 'email'],
+  additionalProperties: false
+};
+
+export const callGroupSchema = {
+  type: 'object',
+  properties: {
+    id: { type: 'string', minLength: 1 },
+    name: { type: 'string', minLength: 1 },
+    callType: { type: 'string', minLength: 1 },
+    department: { type: 'string' },
+    services: stringList,
+    managers: stringList,
+    assignedManagers: stringList
+  },
+  required: ['id', 'name', 'callType'],
+  additionalProperties: false
+};
+
+export const managerSchema = {
+  type: 'object',
+  properties: {
+    id: { type: 'string', minLength: 1 },
+    name: { type: 'string', minLength: 1 },
+    email,
+    phone,
+    username: { type: 'string' },
+    role: { type: 'string', enum: ['manager'] },
+    department: { type: 'string' },
+    assignedGroups: stringList,
+    assignedDepartments: stringList
+  },
+  required: ['id', 'name', 'email'],
+  additionalProperties: false
+};
+
+// Engineers (role `employee`) and the staff HR keeps records for. The
+// password is accepted on writes but belongs to the users record; the
+// routes strip it before saving.
+export const employeeSchema = {
+  type: 'object',
+  properties: {
+    id: { type: 'string', minLength: 1 },
+    name: { type: 'string', minLength: 1 },
+    email,
+    phone,
+    username: { type: 'string' },
+    password: { type: 'string', writeOnly: true },
+    role: { type: 'string', minLength: 1 },
+    department: { type: 'string' },
+    managerId: nullableString,
+    bloodGroup: { type: 'string' },
+    emergencyContact: { type: 'string' },
+    address: { type: 'string' },
+    fatherName: { type: 'string' },
+    aadhaarNumber: { type: 'string' },
+    panNumber: { type: 'string' },
+    esiPf: { type: 'string' },
+    salary: { type: 'number', minimum: 0 }
+  },
+  required: ['id', 'name', 'email'],
+  additionalProperties: false
+};
+
+// Every field the dashboards write as a ticket moves through the lifecycle.
+// `status` only takes effect on create; changes go through the transition
+// route (lib/ticketStateMachine.js).
+export const ticketSchema = {
+  type: 'object',
+  properties: {
+    id: { type: 'string', minLength: 1 },
+    status: { type: 'string' },
+    customerId: nullableString,
+    customerName: { type: 'string', minLength: 1 },
+    customerEmail: { type: 'string' },
+    customerPhone: { type: 'string' },
+    companyId: nullableString,
+    callType: nullableString,
+    callGroup: nullableString,
+    serviceType: { type: 'string' },
+    problemTitle: { type: 'string' },
+    description: { type: 'string' },
+    department: { type: 'string' },
+    equipment: {
+      type: 'object',
+      properties: {
+        product: { type: 'string' },
+        configuration: { type: 'string' },
+        model: { type: 'string' },
+        year: { type: 'string' },
+        serial: { type: 'string' },
+        additional: { type: 'string' },
+        remarks: { type: 'string' }
+      },
+      additionalProperties: false
+    },
+    raisedDate: { type: 'string', pattern: '^\\d{4}-\\d{2}-\\d{2}' },
+    frontOfficeUser: nullableString,
+    raisedByManager: nullableString,
+    sourceType: { type: 'string' },
+    referralType: { type: 'string' },
+    referredByName: { type: 'string' },
+    referredByManagerId: nullableString,
+    // Assignment and acceptance
+    assignedManagerId: nullableString,
+    assignedManagerIds: stringList,
+    acceptedByManager: nullableString,
+    acceptedDate: nullableString,
+    departmentApproved: { type: 'boolean' },
+    departmentApprovedBy: nullableString,
+    assignedEmployeeId: nullableString,
+    acceptedByEmployeeId: nullableString,
+    rejectedDate: nullableString,
+    rejectionReason: { type: 'string' },
+    swapRequested: { type: 'boolean' },
+    swapReason: { type: 'string' },
+    swapRequestedDate: nullableString,
+    awaitingHandover: { type: 'boolean' },
+    handoverApproved: { type: 'boolean' },
+    // Site visit
+    siteVisitRequired: { type: 'boolean' },
+    siteVisitStatus: nullableString,
+    siteVisited: { type: 'boolean' },
+    visitBy: nullableString,
+    managerSiteVisitDescription: { type: 'string' },
+    noSiteVisitDescription: { type: 'string' },
+    // Sales route
+    routeToSales: { type: 'boolean' },
+    salesManagerId: nullableString,
+    preselectedSalesManagerId: nullableString,
+    salesRequestedByManagerId: nullableString,
+    quotationTime: nullableString,
+    awaitingManagerQuotationReview: { type: 'boolean' },
+    awaitingSalesEmployeeVerification: { type: 'boolean' },
+    awaitingSalesManagerVerification: { type: 'boolean' },
+    salesEmployeeReportDesc: { type: 'string' },
+    salesEmployeeDeclined: { type: 'boolean' },
+    salesEmployeeDeclineRemark: { type: 'string' },
+    salesVerification: { type: 'boolean' },
+    salesVerified: { type: 'boolean' },
+    salesApproved: { type: 'boolean' },
+    salesApprovalRemark: { type: 'string' },
+    // Engineer's work
+    taskStatus: nullableString,
+    taskProgress: { type: 'number', minimum: 0, maximum: 100 },
+    taskNeeds: { type: 'string' },
+    tasks: { type: 'array', items: { type: 'object' } },
+    taskStartDate: nullableString,
+    taskStartedDate: nullableString,
+    taskStartedTime: nullableString,
+    taskStartDateTime: nullableString,
+    taskEndDateTime: nullableString,
+    taskCompletionImage: nullableString,
+    totalWorkTime: { type: 'string' },
+    workNotes: { type: 'string' },
+    workUpdates: { type: 'array', items: { type: 'object' } },
+    engineerRemarks: { type: 'string' },
+    materialsUsed: { type: 'string' },
+    dcNo: { type: 'string' },
+    completedDate: nullableString,
+    reportedToManager: { type: 'boolean' },
+    verifiedByManager: { type: 'boolean' },
+    // Set when the engineer reports the job incomplete (lib/followUps.js)
+    pendingReason: { type: 'string' },
+    nextFollowUpDate: { type: ['string', 'null'], pattern: '^\\d{4}-\\d{2}-\\d{2}$' },
+    // Pauses the SLA clock (lib/sla.js)
+    waitingOnCustomer: { type: 'boolean' },
+    closedBy: nullableString,
+    closedReason: { type: 'string' },
+    // Finance
+    financeReady: { type: 'boolean' },
+    financeAdvanceRequired: { type: 'boolean' },
+    invoiceDate: nullableString,
+    billedAmount: { type: 'number', minimum: 0 },
+    paymentStatus: { type: 'string' },
+    paymentSentDate: nullableString,
+    paymentReceivedDate: nullableString,
+    amountPaid: { type: 'number', minimum: 0 },
+    paymentHistory: { type: 'array', items: { type: 'object' } }
+  },
+  patternProperties: {
+    // Photos are uploaded to /api/attachments and referenced by id (e.g.
+    // siteVisitPhotoIds); image data may only be cleared on a ticket
+    PhotoIds$: { type: 'array', items: { type: 'string', pattern: '^[A-Za-z0-9_-]{1,64}$' }, maxItems: 20 },
+    PhotoData$: { type: ['string', 'null'], maxLength: 0 }
+  },
+  required: ['id', 'customerName', 'description'],
+  additionalProperties: false
+};
+
+export const feedbackSchema = {
+  type: 'object',
+  properties: {
+    ticketId: { type: 'string', minLength: 1 },
+    rating: { type: ['string', 'integer'], pattern: '^[1-5]$', minimum: 1, maximum: 5 },
+    comment: { type: 'string' },
+    recommendation: { type: 'string', enum: ['yes', 'no'] }
+  },
+  required: ['ticketId', 'rating'],
+  additionalProperties: false
+};
+
+export const attendanceSchema = {
+  type: 'object',
+  properties: {
+    id: { type: 'string' },
+    employeeId: { type: 'string', minLength: 1 },
+    date: { type: 'string', pattern: '^\\d{4}-\\d{2}-\\d{2}$' },
+    loginTime: nullableString,
+    logoutTime: nullableString,
+    isHalfDay: { type: 'boolean' },
+    lateLoginReason: { type: 'string' },
+    status: { type: 'string' }
+  },
+  required: ['employeeId', 'date'],
+  additionalProperties: false
+};
+
+// Admin override of a ticket event's messages (lib/notifications.js): the
+// customer email, and the texts to the customer's and engineer's phones (an
+// empty text sends none). {{placeholders}} are checked by the route.
+export const notificationTemplateSchema = {
+  type: 'object',
+  properties: {
+    subject: { type: 'string', minLength: 1, maxLength: 200 },
+    text: { type: 'string', minLength: 1, maxLength: 5000 },
+    sms: { type: 'string', maxLength: 480 },
+    engineerSms: { type: 'string', maxLength: 480 },
+    enabled: { type: 'boolean' }
+  },
+  required: ['subject', 'text'],
+  additionalProperties: false
+};
+
+const slaHours = { type: ['number', 'null'], exclusiveMinimum: 0, maximum: 8760 };
+const clockTime = { type: 'string', pattern: '^([01]\\d|2[0-3]):[0-5]\\d$' };
+
+// Criteria left empty match every ticket
+export const slaPolicySchema = {
+  type: 'object',
+  properties: {
+    name: { type: 'string', minLength: 1, maxLength: 100 },
+    callType: { type: 'string', maxLength: 100 },
+    department: { type: 'string', maxLength: 100 },
+    customerId: { type: 'string', maxLength: 100 },
+    firstResponseHours: slaHours,
+    siteVisitHours: slaHours,
+    resolutionHours: slaHours,
+    businessHours: { type: 'boolean' },
+    enabled: { type: 'boolean' }
+  },
+  required: ['name'],
+  additionalProperties: false
+};
+
+// Business hours: weekdays as 0 (Sunday) to 6, times on the wall clock of timeZone
+export const slaCalendarSchema = {
+  type: 'object',
+  properties: {
+    timeZone: { type: 'string', minLength: 1 },
+    days: { type: 'array', items: { type: 'integer', minimum: 0, maximum: 6 }, minItems: 1, uniqueItems: true },
+    start: clockTime,
+    end: clockTime,
+    holidays: { type: 'array', items: { type: 'string', pattern: '^\\d{4}-\\d{2}-\\d{2}$' }, maxItems: 366, uniqueItems: true }
+  },
+  required: ['timeZone', 'days', 'start', 'end'],
+  additionalProperties: false
+};
@@ -0,0 +1,114 @@
+import crypto from 'crypto';
+import { config } from '../config.js';
+
+// Server-side sessions backing the short-lived access tokens. Each login
+// creates `sessions/<sid>`; the refresh token handed to the client is
+// `<sid>.<secret>` and only a SHA-256 of the secret is stored. Refreshing
+// rotates the secret, and presenting an already-rotated secret revokes the
+// session (the token was copied).
+
+const hashSecret = (secret) => crypto.createHash('sha256').update(secret).digest('hex');
+
+const newSecret = () => crypto.randomBytes(32).toString('base64url');
+
+const sameHash = (a, b) =>
+  typeof a === 'string' && typeof b === 'string' && a.length === b.length &&
+  crypto.timingSafeEqual(Buffer.from(a), Buffer.from(b));
+
+export function parseRefreshToken(refreshToken) {
+  if (typeof refreshToken !== 'string') return null;
+  const [sid, secret] = refreshToken.split('.');
+  if (!sid || !secret || !/^[A-Za-z0-9_-]+$/.test(sid)) return null;
+  return { sid, secret };
+}
+
+export async function createSession(db, uid, userId, meta = {}) {
+  const ref = db.ref('sessions').push();
+  const secret = newSecret();
+  const now = Date.now();
+  await ref.set({
+    uid,
+    userId,
+    refreshHash: hashSecret(secret),
+    createdAt: now,
+    lastUsedAt: now,
+    expiresAt: now + config.auth.refreshTokenTtlMs,
+    ip: meta.ip || null,
+    userAgent: meta.userAgent || null,
+    revokedAt: null
+  });
+  return { sid: ref.key, refreshToken: `${ref.key}.${secret}` };
+}
+
+const inactiveReason = (session, now = Date.now()) => {
+  if (!session) return 'Session not found';
+  if (session.revokedAt) return 'Session revoked';
+  if (session.expiresAt <= now) return 'Session expired';
+  if (now - session.lastUsedAt > config.auth.sessionIdleMs) return 'Session expired due to inactivity';
+  return null;
+};
+
+// Used by verifyToken so revocation takes effect before the access token
+// itself expires.
+export async function isSessionActive(db, sid) {
+  if (!sid) return false;
+  const snapshot = await db.ref(`sessions/${sid}`).once('value');
+  return !inactiveReason(snapshot.val());
+}
+
+// Returns { session, refreshToken } with a fresh secret, or { error }.
+export async function rotateSession(db, refreshToken) {
+  const parsed = parseRefreshToken(refreshToken);
+  if (!parsed) return { error: 'Invalid refresh token' };
+
+  const secret = newSecret();
+  let error = null;
+  const result = await db.ref(`sessions/${parsed.sid}`).transaction(current => {
+    error = null;
+    if (current === null) return current;
+    const now = Date.now();
+    const reason = inactiveReason(current, now);
+    if (reason) {
+      error = reason;
+      return;
+    }
+    if (!sameHash(hashSecret(parsed.secret), current.refreshHash)) {
+      error = 'Refresh token reused; session revoked';
+      return { ...current, revokedAt: now, revokedReason: 'reuse' };
+    }
+    return { ...current, refreshHash: hashSecret(secret), lastUsedAt: now };
+  });
+
+  if (!result.snapshot.exists()) return { error: 'Session not found' };
+  if (error) return { error };
+  return { session: result.snapshot.val(), sid: parsed.sid, refreshToken: `${parsed.sid}.${secret}` };
+}
+
+export async function revokeSession(db, sid, reason = 'logout') {
+  await db.ref(`sessions/${sid}`).transaction(current => {
+    if (current === null) return current;
+    if (current.revokedAt) return;
+    return { ...current, revokedAt: Date.now(), revokedReason: reason };
+  });
+}
+
+// Signs a user out everywhere; returns how many sessions were revoked.
+export async function revokeUserSessions(db, userId, reason = 'forced') {
+  const snapshot = await db.ref('sessions').orderByChild('userId').equalTo(userId).once('value');
+  const sessions = snapshot.val() || {};
+  const active = Object.keys(sessions).filter(sid => !sessions[sid].revokedAt);
+  await Promise.all(active.map(sid => revokeSession(db, sid, reason)));
+  return active.length;
+}
+
+// Checks the secret before revoking so a leaked session id alone cannot
+// sign someone out.
+export async function revokeByRefreshToken(db, refreshToken, reason = 'logout') {
+  const parsed = parseRefreshToken(refreshToken);
+  if (!parsed) return false;
+  const snapshot = await db.ref(`sessions/${parsed.sid}`).once('value');
+  const session = snapshot.val();
+  if (!session || !sameHash(hashSecret(parsed.secret), session.refreshHash)) return false;
+  await revokeSession(db, parsed.sid, reason);
+  return true;
+}
@@ -0,0 +1,310 @@
+import { config } from '../config.js';
+import { filterTicketsFor } from './authorization.js';
+import { publishTicket } from './events.js';
+
+// Service level targets for tickets. A policy sets how many hours first
+// response, the site visit and resolution may take, counted from when the
+// ticket was raised, in business hours (the calendar) or round the clock.
+// Policies live under `slaPolicies/<id>` and may be limited to a call type,
+// department and/or customer; the most specific match wins and
+// config.sla.defaultPolicy covers the rest. The calendar is
+// config.sla.calendar with any admin changes under `slaCalendar`.
+//
+// The ticket routes store the outcome as `sla` on every write (see
+// computeSla). While `waitingOnCustomer` is set the clock is paused: the
+// time is kept in `sla.pauses` and due times move out by as much.
+
+export const SLA_STAGES = ['firstResponse', 'siteVisit', 'resolution'];
+
+// Closed is only reachable before work starts, so it is not a resolution
+const RESOLVED_STATUSES = ['Reported', 'Finished'];
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+// How far ahead a due time is looked for
+const MAX_DAYS = 730;
+
+const firstStatusAt = (ticket, test) => (ticket.statusHistory || []).find(entry => test(entry.to))?.at || null;
+
+// When each stage was reached, or null. `at` stands in for tickets whose
+// history does not say.
+const STAGES = {
+  firstResponse: {
+    applies: () => true,
+    reachedAt: (ticket, at) => ticket.status !== 'Raised' ? firstStatusAt(ticket, status => status !== 'Raised') || at : null
+  },
+  siteVisit: {
+    applies: (ticket) => !!ticket.siteVisitRequired,
+    reachedAt: (ticket, at) =>
+      ticket.siteVisitStatus === 'OnSite' || ticket.siteVisited === true || ticket.managerSiteVisitDescription ? at : null
+  },
+  resolution: {
+    applies: () => true,
+    reachedAt: (ticket, at) =>
+      RESOLVED_STATUSES.includes(ticket.status) ? firstStatusAt(ticket, status => RESOLVED_STATUSES.includes(status)) || at : null
+  }
+};
+
+// ---- Calendar arithmetic ----
+
+const formatters = new Map();
+const wallClock = (ms, timeZone) => {
+  if (!formatters.has(timeZone)) {
+    formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone, hourCycle: 'h23', year: 'numeric', month: '2-digit', day: '2-digit', hour: '2-digit', minute: '2-digit', second: '2-digit'
+    }));
+  }
+  return Object.fromEntries(formatters.get(timeZone).formatToParts(ms).map(p => [p.type, p.value]));
+};
+
+export const isTimeZone = (timeZone) => {
+  try {
+    wallClock(0, timeZone);
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+// How far `timeZone` is ahead of UTC at `ms`
+const offsetAt = (ms, timeZone) => {
+  const p = wallClock(ms, timeZone);
+  return Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second) - (ms - (ms % 1000));
+};
+
+// The instant the wall clock in `timeZone` shows `date` `time` (HH:MM)
+const zonedTime = (date, time, timeZone) => {
+  const wall = Date.parse(`${date}T${time}:00Z`);
+  return wall - offsetAt(wall - offsetAt(wall, timeZone), timeZone);
+};
+
+const localDate = (ms, timeZone) => {
+  const p = wallClock(ms, timeZone);
+  return `${p.year}-${p.month}-${p.day}`;
+};
+
+const nextDate = (date) => new Date(Date.parse(`${date}T00:00:00Z`) + DAY_MS).toISOString().slice(0, 10);
+
+function* businessWindows(fromMs, { timeZone, days, start, end, holidays = [] }) {
+  let date = localDate(fromMs, timeZone);
+  for (let i = 0; i < MAX_DAYS; i++, date = nextDate(date)) {
+    if (!days.includes(new Date(`${date}T00:00:00Z`).getUTCDay()) || holidays.includes(date)) continue;
+    const open = Math.max(zonedTime(date, start, timeZone), fromMs);
+    const close = zonedTime(date, end, timeZone);
+    if (close > open) yield [open, close];
+  }
+}
+
+// [start, end] less the pauses (sorted; `to` null while still paused)
+function* withoutPauses(start, end, pauses) {
+  let cursor = start;
+  for (const pause of pauses) {
+    const from = Date.parse(pause.from);
+    const to = pause.to ? Date.parse(pause.to) : Infinity;
+    if (to <= cursor || from >= end) continue;
+    if (from > cursor) yield [cursor, from];
+    cursor = to;
+    if (cursor >= end) return;
+  }
+  yield [cursor, end];
+}
+
+// The stretches of time the SLA clock runs from `fromMs` on, in order
+function* runningTime(fromMs, { calendar, businessHours, pauses }) {
+  const windows = businessHours ? businessWindows(fromMs, calendar) : [[fromMs, Infinity]];
+  for (const [start, end] of windows) yield* withoutPauses(start, end, pauses);
+}
+
+const elapsedMs = (fromMs, toMs, clock) => {
+  let total = 0;
+  for (const [start, end] of runningTime(fromMs, clock)) {
+    if (start >= toMs) break;
+    total += Math.min(end, toMs) - start;
+  }
+  return total;
+};
+
+// When `ms` of running time after `fromMs` is used up; null while paused
+// with no end in sight or beyond MAX_DAYS
+const addRunningMs = (fromMs, ms, clock) => {
+  let left = ms;
+  for (const [start, end] of runningTime(fromMs, clock)) {
+    if (end - start >= left) return start + left;
+    left -= end - start;
+  }
+  return null;
+};
+
+// ---- Policies ----
+
+export async function loadSlaSettings(db) {
+  const [policies, calendar] = await Promise.all([
+    db.ref('slaPolicies').once('value'),
+    db.ref('slaCalendar').once('value')
+  ]);
+  return {
+    policies: Object.values(policies.val() || {}),
+    calendar: { ...config.sla.calendar, ...(calendar.val() || {}) }
+  };
+}
+
+const specificity = (policy) => (policy.customerId ? 4 : 0) + (policy.callType ? 2 : 0) + (policy.department ? 1 : 0);
+
+export function matchPolicy(ticket, policies) {
+  const matches = policies.filter(policy => policy.enabled !== false &&
+    (!policy.customerId || policy.customerId === ticket.customerId) &&
+    (!policy.callType || policy.callType === ticket.callType) &&
+    (!policy.department || policy.department === ticket.department));
+  matches.sort((a, b) => specificity(b) - specificity(a) || a.name.localeCompare(b.name));
+  return matches[0] || { id: 'default', name: 'Default', ...config.sla.defaultPolicy };
+}
+
+// The `sla` record for `ticket` as of `now`, carrying over what the stored
+// one already settled (start, pauses, stages reached):
+//   { policyId, policyName, businessHours, startedAt, pausedSince, pauses,
+//     stages: { <stage>: { targetHours, dueAt, metAt, breached,
+//     remainingMinutes, cancelled } }, computedAt }
+// dueAt is null while paused, with the running time left in
+// remainingMinutes. `breached` is settled once the stage is reached; until
+// then compare dueAt with the time.
+export function computeSla(ticket, { policies, calendar }, now = new Date()) {
+  const previous = ticket.sla || {};
+  const policy = matchPolicy(ticket, policies);
+  const at = now.toISOString();
+  const finished = ticket.status === 'Closed' || RESOLVED_STATUSES.includes(ticket.status);
+
+  let pauses = previous.pauses || [];
+  let pausedSince = previous.pausedSince || null;
+  if (ticket.waitingOnCustomer && !finished && !pausedSince) {
+    pausedSince = at;
+  } else if ((!ticket.waitingOnCustomer || finished) && pausedSince) {
+    pauses = [...pauses, { from: pausedSince, to: at }];
+    pausedSince = null;
+  }
+
+  const startedAt = previous.startedAt || ticket.createdAt ||
+    (ticket.raisedDate ? new Date(zonedTime(ticket.raisedDate.slice(0, 10), '00:00', calendar.timeZone)).toISOString() : at);
+  const startMs = Date.parse(startedAt);
+  const clock = {
+    calendar,
+    businessHours: policy.businessHours !== false,
+    pauses: pausedSince ? [...pauses, { from: pausedSince, to: null }] : pauses
+  };
+
+  const stages = {};
+  SLA_STAGES.forEach(stage => {
+    const kept = previous.stages?.[stage];
+    if (kept?.metAt) {
+      stages[stage] = kept;
+      return;
+    }
+    const hours = policy[`${stage}Hours`];
+    if (!hours || !STAGES[stage].applies(ticket)) return;
+
+    const targetMs = hours * HOUR_MS;
+    const dueMs = addRunningMs(startMs, targetMs, clock);
+    const metAt = STAGES[stage].reachedAt(ticket, at);
+    const entry = { targetHours: hours, dueAt: dueMs === null ? null : new Date(dueMs).toISOString(), metAt };
+    if (metAt) {
+      entry.breached = elapsedMs(startMs, Date.parse(metAt), clock) > targetMs;
+    } else if (ticket.status === 'Closed') {
+      entry.cancelled = true;
+    } else if (dueMs === null) {
+      entry.remainingMinutes = Math.round(Math.max(targetMs - elapsedMs(startMs, now.getTime(), clock), 0) / 60000);
+    }
+    stages[stage] = entry;
+  });
+
+  return {
+    policyId: policy.id,
+    policyName: policy.name,
+    businessHours: clock.businessHours,
+    startedAt,
+    pausedSince,
+    pauses,
+    stages,
+    computedAt: at
+  };
+}
+
+export const withSla = (ticket, settings) => ({ ...ticket, sla: computeSla(ticket, settings) });
+
+// onTime | late | overdue | pending | paused | cancelled
+export function stageStatus(entry, nowMs = Date.now()) {
+  if (entry.cancelled) return 'cancelled';
+  if (entry.metAt) return entry.breached ? 'late' : 'onTime';
+  if (!entry.dueAt) return 'paused';
+  return nowMs > Date.parse(entry.dueAt) ? 'overdue' : 'pending';
+}
+
+// Recomputes `sla` on every ticket still in progress, e.g. after a policy
+// or the calendar changed. Like delivery outcomes, versions are left alone.
+export async function recalculateSla(db) {
+  const settings = await loadSlaSettings(db);
+  const snapshot = await db.ref('tickets').once('value');
+  const open = Object.values(snapshot.val() || {})
+    .filter(ticket => ticket && ticket.status !== 'Closed' && !RESOLVED_STATUSES.includes(ticket.status));
+  for (const { id } of open) {
+    let previous = null;
+    const result = await db.ref(`tickets/${id}`).transaction(current => {
+      previous = current;
+      if (current === null) return current;
+      return withSla(current, settings);
+    });
+    if (result.committed && result.snapshot.exists()) publishTicket(previous, result.snapshot.val());
+  }
+  return open.length;
+}
+
+// Stage outcomes for the tickets `user` can see that were raised between
+// `from` and `to` (YYYY-MM-DD, inclusive), overall and per policy.
+// compliance is the share (%) of decided stages that were on time, where a
+// stage still open past its due time counts as missed.
+export async function slaReport(db, user, { from = null, to = null } = {}, now = new Date()) {
+  const settings = await loadSlaSettings(db);
+  const snapshot = await db.ref('tickets').once('value');
+  const tickets = filterTicketsFor(user, Object.values(snapshot.val() || {}).filter(Boolean)).filter(ticket => {
+    const raised = (ticket.raisedDate || ticket.createdAt || '').slice(0, 10);
+    return (!from || raised >= from) && (!to || raised <= to);
+  });
+
+  const blank = () => Object.fromEntries(SLA_STAGES.map(stage =>
+    [stage, { onTime: 0, late: 0, overdue: 0, pending: 0, compliance: null }]));
+  const overall = blank();
+  const byPolicy = new Map();
+
+  tickets.forEach(ticket => {
+    const sla = ticket.sla || computeSla(ticket, settings, now);
+    if (!byPolicy.has(sla.policyId)) {
+      byPolicy.set(sla.policyId, { policyId: sla.policyId, policyName: sla.policyName, tickets: 0, stages: blank() });
+    }
+    const policy = byPolicy.get(sla.policyId);
+    policy.tickets++;
+    Object.entries(sla.stages || {}).forEach(([stage, entry]) => {
+      const status = stageStatus(entry, now.getTime());
+      if (status === 'cancelled') return;
+      const key = status === 'paused' ? 'pending' : status;
+      overall[stage][key]++;
+      policy.stages[stage][key]++;
+    });
+  });
+
+  const withCompliance = (stages) => {
+    Object.values(stages).forEach(counts => {
+      const decided = counts.onTime + counts.late + counts.overdue;
+      counts.compliance = decided ? Math.round((counts.onTime / decided) * 1000) / 10 : null;
+    });
+    return stages;
+  };
+
+  return {
+    from,
+    to,
+    generatedAt: now.toISOString(),
+    tickets: tickets.length,
+    stages: withCompliance(overall),
+    policies: [...byPolicy.values()]
+      .map(policy => ({ ...policy, stages: withCompliance(policy.stages) }))
+      .sort((a, b) => a.policyName.localeCompare(b.policyName))
+  };
+}
@@ -0,0 +1,34 @@
+import nodemailer from 'nodemailer';
+import { config } from '../config.js';
+import { registerTransport } from './transports.js';
+
+// Email over SMTP, registered as the `smtp` transport. Select it with
+// MESSAGE_TRANSPORT=smtp (or EMAIL_TRANSPORT=smtp to keep SMS elsewhere)
+// and the SMTP_* settings in config.smtp. The connection is only opened
+// when the first message is sent.
+let mailer = null;
+
+const getMailer = () => {
+  const { host, port, secure, user, pass } = config.smtp;
+  if (!host) throw new Error('SMTP_HOST is not set');
+  if (!mailer) {
+    mailer = nodemailer.createTransport({
+      host,
+      port,
+      secure,
+      auth: user ? { user, pass } : undefined
+    });
+  }
+  return mailer;
+};
+
+registerTransport('smtp', {
+  async send({ channel, to, subject, text }) {
+    if (channel !== 'email') throw new Error(`The smtp transport cannot send ${channel} messages`);
+    const info = await getMailer().sendMail({ from: config.smtp.from, to, subject, text });
+    if (info.rejected && info.rejected.length) {
+      throw new Error(`Rejected by the mail server: ${info.rejected.join(', ')}`);
+    }
+    return { delivered: true, transport: 'smtp', messageId: info.messageId };
+  }
+});
@@ -0,0 +1,25 @@
+import admin from 'firebase-admin';
+
+// Firebase Realtime Database driver. Initialized on first use so the local
+// drivers never need Firebase credentials.
+export function createFirebaseDatabase(settings) {
+  const { projectId, databaseURL, privateKey, clientEmail } = settings;
+  if (!projectId || !databaseURL || !privateKey || !clientEmail) {
+    throw new Error(
+      'Firebase storage needs FIREBASE_PROJECT_ID, FIREBASE_DATABASE_URL, FIREBASE_PRIVATE_KEY and FIREBASE_CLIENT_EMAIL. ' +
+      'Set STORAGE_DRIVER=file (or memory) to run without Firebase.'
+    );
+  }
+
+  if (!admin.apps.length) {
+    admin.initializeApp({
+      credential: admin.credential.cert({
+        projectId,
+        privateKey: privateKey.replace(/\\n/g, '\n'),
+        clientEmail
+      }),
+      databaseURL
+    });
+  }
+  return admin.database();
+}
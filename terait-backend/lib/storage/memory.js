@@ -0,0 +1,305 @@
+import fs from 'fs';
+import path from 'path';
+
+// In-memory stand-in for the Firebase Realtime Database, implementing the
+// part of its reference/query/snapshot API the backend uses (once, set,
+// update, remove, push, transaction, orderByChild/orderByKey, equalTo,
+// endBefore, limitToLast). With `file` the tree is loaded from and written
+// back to a JSON file, so data survives restarts of a local server.
+//
+// Storage rules follow the real database: null removes a value, empty
+// objects are not kept, and children are ordered by key (integer-like keys
+// first, numerically) unless a query orders them otherwise.
+
+const clone = (value) => (value === undefined ? undefined : JSON.parse(JSON.stringify(value)));
+
+const splitPath = (p) => String(p || '').split('/').filter(Boolean);
+
+// Drops nulls and empty objects the way the database does on write
+function normalize(value) {
+  if (value === null || value === undefined) return null;
+  if (Array.isArray(value)) {
+    const items = value.map(normalize);
+    return items.every(item => item === null) ? null : items;
+  }
+  if (typeof value === 'object') {
+    const result = {};
+    Object.entries(value).forEach(([key, child]) => {
+      const clean = normalize(child);
+      if (clean !== null) result[key] = clean;
+    });
+    return Object.keys(result).length ? result : null;
+  }
+  return value;
+}
+
+const INTEGER_KEY = /^-?\d{1,10}$/;
+
+function compareKeys(a, b) {
+  const aInt = INTEGER_KEY.test(a);
+  const bInt = INTEGER_KEY.test(b);
+  if (aInt && bInt) return Number(a) - Number(b);
+  if (aInt !== bInt) return aInt ? -1 : 1;
+  return a < b ? -1 : a > b ? 1 : 0;
+}
+
+// null < false < true < numbers < strings < objects, as orderByChild sorts
+const typeRank = (value) => {
+  if (value === null || value === undefined) return 0;
+  if (value === false) return 1;
+  if (value === true) return 2;
+  if (typeof value === 'number') return 3;
+  if (typeof value === 'string') return 4;
+  return 5;
+};
+
+function compareValues(a, b) {
+  const rank = typeRank(a) - typeRank(b);
+  if (rank) return rank;
+  if (typeof a === 'number' || typeof a === 'string') return a < b ? -1 : a > b ? 1 : 0;
+  return 0;
+}
+
+// Push ids: time-ordered like Firebase's, with a counter so ids created in
+// the same millisecond still sort in creation order.
+const PUSH_CHARS = '-0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZ_abcdefghijklmnopqrstuvwxyz';
+let lastPushTime = 0;
+let pushCounter = 0;
+
+function pushId() {
+  let now = Date.now();
+  pushCounter = now === lastPushTime ? pushCounter + 1 : 0;
+  lastPushTime = now;
+  let time = '';
+  for (let i = 0; i < 8; i++) {
+    time = PUSH_CHARS.charAt(now % 64) + time;
+    now = Math.floor(now / 64);
+  }
+  let counter = '';
+  let n = pushCounter;
+  for (let i = 0; i < 4; i++) {
+    counter = PUSH_CHARS.charAt(n % 64) + counter;
+    n = Math.floor(n / 64);
+  }
+  let random = '';
+  for (let i = 0; i < 8; i++) random += PUSH_CHARS.charAt(Math.floor(Math.random() * 64));
+  return time + counter + random;
+}
+
+class MemorySnapshot {
+  constructor(key, value, order = null) {
+    this.key = key;
+    this._value = value === undefined ? null : value;
+    this._order = order;
+  }
+
+  val() {
+    return clone(this._value);
+  }
+
+  exists() {
+    return this._value !== null;
+  }
+
+  numChildren() {
+    return this._childKeys().length;
+  }
+
+  hasChild(childPath) {
+    return this.child(childPath).exists();
+  }
+
+  child(childPath) {
+    const parts = splitPath(childPath);
+    let value = this._value;
+    parts.forEach(part => { value = value && typeof value === 'object' ? value[part] : null; });
+    return new MemorySnapshot(parts[parts.length - 1] || this.key, value ?? null);
+  }
+
+  // Returning true from `action` stops the iteration, as in Firebase
+  forEach(action) {
+    for (const key of this._childKeys()) {
+      if (action(new MemorySnapshot(key, this._value[key])) === true) return true;
+    }
+    return false;
+  }
+
+  _childKeys() {
+    if (!this._value || typeof this._value !== 'object') return [];
+    return this._order || Object.keys(this._value).sort(compareKeys);
+  }
+}
+
+class MemoryQuery {
+  constructor(database, parts, query = {}) {
+    this._database = database;
+    this._parts = parts;
+    this._query = query;
+  }
+
+  _with(changes) {
+    return new MemoryQuery(this._database, this._parts, { ...this._query, ...changes });
+  }
+
+  orderByChild(childPath) {
+    return this._with({ orderBy: { child: splitPath(childPath) } });
+  }
+
+  orderByKey() {
+    return this._with({ orderBy: { key: true } });
+  }
+
+  equalTo(value) {
+    return this._with({ equalTo: value });
+  }
+
+  endBefore(value) {
+    return this._with({ endBefore: value });
+  }
+
+  limitToLast(limit) {
+    return this._with({ limitToLast: limit });
+  }
+
+  limitToFirst(limit) {
+    return this._with({ limitToFirst: limit });
+  }
+
+  async once(eventType = 'value') {
+    if (eventType !== 'value') throw new Error(`Memory storage supports once('value') only, not '${eventType}'`);
+    const value = this._database._read(this._parts);
+    const key = this._parts[this._parts.length - 1] || null;
+    if (!Object.keys(this._query).length || !value || typeof value !== 'object') {
+      return new MemorySnapshot(key, clone(value));
+    }
+
+    const { orderBy = { key: true }, equalTo, endBefore, limitToLast, limitToFirst } = this._query;
+    const sortValue = (childKey) => {
+      if (orderBy.key) return childKey;
+      let current = value[childKey];
+      orderBy.child.forEach(part => { current = current && typeof current === 'object' ? current[part] : null; });
+      return current ?? null;
+    };
+    const compare = orderBy.key
+      ? compareKeys
+      : (a, b) => compareValues(sortValue(a), sortValue(b)) || compareKeys(a, b);
+
+    let keys = Object.keys(value).sort(compare);
+    if (equalTo !== undefined) keys = keys.filter(k => sortValue(k) === equalTo);
+    if (endBefore !== undefined) {
+      keys = keys.filter(k => (orderBy.key ? compareKeys(k, endBefore) : compareValues(sortValue(k), endBefore)) < 0);
+    }
+    if (limitToFirst !== undefined) keys = keys.slice(0, limitToFirst);
+    if (limitToLast !== undefined) keys = keys.slice(-limitToLast);
+
+    const result = {};
+    keys.forEach(k => { result[k] = clone(value[k]); });
+    return new MemorySnapshot(key, keys.length ? result : null, keys);
+  }
+}
+
+class MemoryReference extends MemoryQuery {
+  constructor(database, parts) {
+    super(database, parts);
+    this.key = parts[parts.length - 1] || null;
+  }
+
+  child(childPath) {
+    return new MemoryReference(this._database, [...this._parts, ...splitPath(childPath)]);
+  }
+
+  // Like Firebase's ThenableReference: the new child ref, awaitable when a
+  // value was given
+  push(value) {
+    const ref = this.child(pushId());
+    if (value !== undefined) {
+      const written = ref.set(value);
+      ref.then = written.then.bind(written);
+      ref.catch = written.catch.bind(written);
+    }
+    return ref;
+  }
+
+  async set(value) {
+    this._database._write(this._parts, value);
+  }
+
+  // Keys may be child paths ("a/b"), as in a Firebase multi-path update
+  async update(values) {
+    Object.entries(values || {}).forEach(([childPath, value]) => {
+      this._database._write([...this._parts, ...splitPath(childPath)], value, false);
+    });
+    this._database._persist();
+  }
+
+  async remove() {
+    this._database._write(this._parts, null);
+  }
+
+  // Runs `update` once against the current value; the process is single
+  // threaded, so nothing can change the node in between.
+  async transaction(update) {
+    const current = this._database._read(this._parts);
+    const next = update(clone(current ?? null));
+    if (next === undefined) {
+      return { committed: false, snapshot: new MemorySnapshot(this.key, clone(current ?? null)) };
+    }
+    this._database._write(this._parts, next);
+    return { committed: true, snapshot: new MemorySnapshot(this.key, clone(this._database._read(this._parts) ?? null)) };
+  }
+}
+
+export class MemoryDatabase {
+  constructor({ file = null, data = null } = {}) {
+    this._file = file ? path.resolve(file) : null;
+    this._root = normalize(data);
+    if (this._file && fs.existsSync(this._file)) {
+      this._root = normalize(JSON.parse(fs.readFileSync(this._file, 'utf8') || 'null'));
+    }
+  }
+
+  ref(refPath = '') {
+    return new MemoryReference(this, splitPath(refPath));
+  }
+
+  // Whole tree, for tests and debugging
+  toJSON() {
+    return clone(this._root);
+  }
+
+  _read(parts) {
+    let node = this._root;
+    for (const part of parts) {
+      if (!node || typeof node !== 'object') return null;
+      node = node[part];
+    }
+    return node ?? null;
+  }
+
+  _write(parts, value, persist = true) {
+    const clean = normalize(clone(value));
+    if (!parts.length) {
+      this._root = clean;
+    } else {
+      if (!this._root || typeof this._root !== 'object') this._root = {};
+      let node = this._root;
+      parts.slice(0, -1).forEach(part => {
+        if (!node[part] || typeof node[part] !== 'object') node[part] = {};
+        node = node[part];
+      });
+      const last = parts[parts.length - 1];
+      if (clean === null) delete node[last];
+      else node[last] = clean;
+      this._root = normalize(this._root);
+    }
+    if (persist) this._persist();
+  }
+
+  _persist() {
+    if (!this._file) return;
+    fs.mkdirSync(path.dirname(this._file), { recursive: true });
+    const temp = `${this._file}.tmp`;
+    fs.writeFileSync(temp, JSON.stringify(this._root ?? {}, null, 2));
+    fs.renameSync(temp, this._file);
+  }
+}
@@ -0,0 +1,213 @@
+import { TICKET_OWNER_FIELDS } from './authorization.js';
+
+// Ticket lifecycle rules shared by the /api/tickets routes.
+// Mirrors the flow driven from the dashboards in terait-frontend/app.js:
+// Raised -> Pending Assignment -> (Pending Sales Approval) -> Assigned ->
+// In Progress -> Quotation Ready / Reported -> Finished.
+
+export const TICKET_STATUSES = [
+  'Raised',
+  'Pending Assignment',
+  'Pending Sales Approval',
+  'Assigned',
+  'In Progress',
+  'Manager Site Visit',
+  'Quotation Ready',
+  'Reported',
+  'Finished',
+  'Closed'
+];
+
+const nonEmpty = (value) => Array.isArray(value) ? value.length > 0 : !!value;
+
+// Each rule lists the statuses it can leave from, the roles allowed to
+// drive it and an optional guard evaluated against the current ticket and
+// the ticket as it would look after the transition. Admins may drive any
+// listed transition but are still subject to the guards.
+const TRANSITIONS = [
+  {
+    from: ['Raised', 'Pending Assignment'],
+    to: 'Pending Assignment',
+    roles: ['helpdesk', 'manager'],
+    guard: (current, next) => {
+      if (!nonEmpty(next.assignedManagerIds)) return 'assignedManagerIds required';
+      return null;
+    }
+  },
+  {
+    from: ['Pending Assignment', 'Quotation Ready', 'Assigned', 'In Progress'],
+    to: 'Pending Sales Approval',
+    roles: ['manager', 'employee'],
+    guard: (current, next) => {
+      if (!nonEmpty(next.salesManagerId) && !nonEmpty(next.assignedManagerIds)) {
+        return 'salesManagerId required';
+      }
+      return null;
+    }
+  },
+  {
+    from: ['Pending Sales Approval'],
+    to: 'Pending Assignment',
+    roles: ['manager'],
+    guard: (current, next, actor) => {
+      if (actor.role !== 'admin' && current.salesManagerId !== actor.id) {
+        return 'Only the ticket\'s sales manager can approve it';
+      }
+      if (!next.salesApproved && !next.salesVerified) return 'Sales approval or verification required';
+      return null;
+    }
+  },
+  {
+    from: ['Pending Assignment', 'Pending Sales Approval', 'Assigned', 'In Progress'],
+    to: 'Assigned',
+    roles: ['manager'],
+    guard: (current, next) => {
+      if (!next.assignedEmployeeId) return 'assignedEmployeeId required';
+      return null;
+    }
+  },
+  {
+    from: ['Assigned'],
+    to: 'In Progress',
+    roles: ['employee'],
+    guard: (current, next, actor) => {
+      if (actor.role === 'employee' && current.assignedEmployeeId !== actor.employeeId) {
+        return 'Ticket is not assigned to you';
+      }
+      return null;
+    }
+  },
+  {
+    from: ['Pending Assignment', 'Assigned'],
+    to: 'Manager Site Visit',
+    roles: ['manager']
+  },
+  {
+    from: ['Assigned', 'In Progress', 'Manager Site Visit'],
+    to: 'Quotation Ready',
+    roles: ['employee', 'manager'],
+    guard: (current) => {
+      if (current.siteVisitRequired === false) return 'Ticket does not require a site visit';
+      return null;
+    }
+  },
+  {
+    from: ['Assigned', 'In Progress'],
+    to: 'Reported',
+    roles: ['employee'],
+    guard: (current, next, actor) => {
+      if (actor.role === 'employee' && current.assignedEmployeeId !== actor.employeeId) {
+        return 'Ticket is not assigned to you';
+      }
+      return null;
+    }
+  },
+  {
+    from: ['Reported'],
+    to: 'Finished',
+    roles: ['finance', 'frontoffice'],
+    guard: (current) => {
+      if (!current.verifiedByManager) return 'Ticket must be verified by a manager before it can be finished';
+      return null;
+    }
+  },
+  {
+    from: ['Raised', 'Pending Assignment', 'Pending Sales Approval'],
+    to: 'Closed',
+    roles: ['manager'],
+    guard: (current, next) => {
+      if (!next.closedReason) return 'closedReason required';
+      return null;
+    }
+  }
+];
+
+// Fields a transition payload may never overwrite.
+const PROTECTED_FIELDS = ['id', 'status', 'statusHistory', 'createdAt', 'createdBy', 'version', 'updatedBy', 'notifications', 'followUpReminder', 'sla'];
+
+export function stripProtectedFields(changes = {}) {
+  const clean = { ...changes };
+  PROTECTED_FIELDS.forEach(field => delete clean[field]);
+  return clean;
+}
+
+const byRoles = (...roles) => (actor) => roles.includes(actor.role);
+const bySalesManager = (actor, current) =>
+  actor.role === 'manager' && !!current && current.salesManagerId === actor.id;
+
+// Fields the guards above read, with who besides admins may change them,
+// plus the fields that decide who sees a ticket. Every ticket write is
+// checked against this (see fieldWriteError), so the plain update route
+// cannot be used to satisfy a guard. `current` is null while the ticket is
+// being created.
+const RESTRICTED_FIELDS = {
+  ...TICKET_OWNER_FIELDS,
+  assignedManagerIds: byRoles('helpdesk', 'manager'),
+  assignedEmployeeId: byRoles('manager'),
+  salesManagerId: byRoles('manager'),
+  salesApproved: bySalesManager,
+  salesVerified: bySalesManager,
+  verifiedByManager: byRoles('manager'),
+  financeReady: byRoles('manager')
+};
+
+const isBlank = (value) => value === undefined || value === null || value === '' || value === false ||
+  (Array.isArray(value) && value.length === 0);
+const sameValue = (a, b) => (isBlank(a) && isBlank(b)) || JSON.stringify(a) === JSON.stringify(b);
+
+// The first restricted field `changes` would change that `actor` may not
+// write, as an error message; null when the write is allowed.
+export function fieldWriteError(current, changes = {}, actor) {
+  if (actor.role === 'admin') return null;
+  const field = Object.keys(RESTRICTED_FIELDS).find(name =>
+    name in changes &&
+    !sameValue(current ? current[name] : undefined, changes[name]) &&
+    !RESTRICTED_FIELDS[name](actor, current, changes[name]));
+  return field ? `Role "${actor.role}" cannot change ${field}` : null;
+}
+
+export function allowedTransitions(ticket, role) {
+  return TRANSITIONS
+    .filter(t => t.from.includes(ticket.status))
+    .filter(t => role === 'admin' || t.roles.includes(role))
+    .map(t => t.to);
+}
+
+// Returns { ticket } with the transitioned record, or { error, status } when
+// the move is not allowed. Never mutates `current`.
+export function applyTransition(current, to, changes, actor) {
+  if (!TICKET_STATUSES.includes(to)) {
+    return { error: `Unknown status: ${to}`, status: 400 };
+  }
+
+  const rule = TRANSITIONS.find(t => t.to === to && t.from.includes(current.status));
+  if (!rule) {
+    return { error: `Illegal transition from "${current.status}" to "${to}"`, status: 409 };
+  }
+  if (actor.role !== 'admin' && !rule.roles.includes(actor.role)) {
+    return { error: `Role "${actor.role}" cannot move a ticket to "${to}"`, status: 403 };
+  }
+
+  const fieldError = fieldWriteError(current, changes, actor);
+  if (fieldError) {
+    return { error: fieldError, status: 403 };
+  }
+
+  const now = new Date().toISOString();
+  const next = { ...current, ...stripProtectedFields(changes), status: to, updatedAt: now };
+
+  if (rule.guard) {
+    const reason = rule.guard(current, next, actor);
+    if (reason) return { error: reason, status: 409 };
+  }
+
+  if (to === 'In Progress' && !next.acceptedDate) next.acceptedDate = now;
+  if (to === 'Reported' && !next.completedDate) next.completedDate = now;
+
+  next.statusHistory = [
+    ...(current.statusHistory || []),
+    { from: current.status, to, by: actor.id || null, role: actor.role, at: now }
+  ];
+
+  return { ticket: next };
+}
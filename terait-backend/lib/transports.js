@@ -0,0 +1,79 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { config } from '../config.js';
+
+// Outgoing message transports (OTP codes, notifications). A transport is an
+// object with `send({ channel, to, subject, text })` resolving to a receipt
+// ({ delivered, transport, ... }) or rejecting when the message could not be
+// handed over; an error with `retryable: false` will not succeed if sent
+// again. Which one is used is chosen per channel (email, sms, whatsapp) by
+// config.messaging.channels, falling back to config.messaging.transport.
+// Real providers register themselves with registerTransport (see lib/smtp.js
+// and lib/phoneProviders.js).
+
+const consoleTransport = {
+  async send({ channel, to, subject, text }) {
+    console.log(`📨 [${channel}] to ${to}${subject ? ` (${subject})` : ''}: ${text}`);
+    return { delivered: true, transport: 'console' };
+  }
+};
+
+// Appends one JSON line per message; used in development and tests to read
+// back what would have been sent.
+const fileTransport = {
+  async send(message) {
+    const file = path.resolve(config.messaging.outboxFile);
+    await fs.mkdir(path.dirname(file), { recursive: true });
+    await fs.appendFile(file, JSON.stringify({ ...message, sentAt: new Date().toISOString() }) + '\n');
+    return { delivered: true, transport: 'file' };
+  }
+};
+
+const transports = {
+  console: consoleTransport,
+  file: fileTransport
+};
+
+export function registerTransport(name, transport) {
+  transports[name] = transport;
+}
+
+export function getTransport(name = config.messaging.transport) {
+  if (!name) throw new Error('No message transport configured (set MESSAGE_TRANSPORT)');
+  const transport = transports[name];
+  if (!transport) throw new Error(`Unknown message transport: ${name}`);
+  return transport;
+}
+
+export const transportFor = (channel) => config.messaging.channels[channel] || config.messaging.transport;
+
+export const sendMessage = (message, name) => getTransport(name || transportFor(message.channel)).send(message);
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Exponential with jitter, so retries from many messages do not line up
+const backoff = (attempt, { baseDelayMs, maxDelayMs }) =>
+  Math.min(baseDelayMs * 2 ** (attempt - 1), maxDelayMs) * (0.5 + Math.random() / 2);
+
+// sendMessage with retries for temporary failures. The receipt (or the final
+// error) carries `attempts`.
+export async function deliverMessage(message, retry = config.messaging.retry) {
+  for (let attempt = 1; ; attempt++) {
+    try {
+      const receipt = await sendMessage(message);
+      return { ...receipt, attempts: attempt };
+    } catch (error) {
+      error.attempts = attempt;
+      if (attempt >= retry.attempts || error.retryable === false) throw error;
+      await sleep(backoff(attempt, { ...config.messaging.retry, ...retry }));
+    }
+  }
+}
+
+// Digits with the country code, e.g. '98765 43210' -> '919876543210'.
+// Used as the recipient for phone providers and as the opt-out key.
+export function normalizePhone(phone) {
+  const digits = String(phone || '').replace(/[^0-9]/g, '').replace(/^0+/, '');
+  if (!digits) return null;
+  return digits.length === 10 ? `${config.messaging.countryCode}${digits}` : digits;
+}
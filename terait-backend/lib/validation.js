@@ -0,0 +1,37 @@
+import Ajv from 'ajv';
+
+const ajv = new Ajv({ allErrors: true, allowUnionTypes: true });
+
+// Same properties, nothing required: used for PUT/partial updates.
+export function partialSchema(schema) {
+  const { required, ...rest } = schema;
+  return rest;
+}
+
+// Same schema with `fields` no longer required: used on creates where the
+// server fills them in (e.g. the record id).
+export function withOptional(schema, ...fields) {
+  return { ...schema, required: (schema.required || []).filter(f => !fields.includes(f)) };
+}
+
+export const formatErrors = (errors = []) =>
+  errors.map(e => `${e.instancePath || 'body'} ${e.message}`);
+
+// Compiles `schema` once and returns a validator that yields null when the
+// data is valid, or a list of human readable problems otherwise.
+export function compileValidator(schema) {
+  const validate = ajv.compile(schema);
+  return (data) => (validate(data) ? null : formatErrors(validate.errors));
+}
+
+// Express middleware rejecting bodies that do not match `schema`.
+export function validateBody(schema) {
+  const check = compileValidator(schema);
+  return (req, res, next) => {
+    const problems = check(req.body);
+    if (problems) {
+      return res.status(400).json({ error: 'Validation failed', details: problems });
+    }
+    next();
+  };
+}
@@ -0,0 +1,56 @@
+// Optimistic concurrency for records edited from several dashboards. Every
+// write bumps an integer `version` (records written before versions existed
+// count as 0) and notes who made it in `updatedBy`; the version doubles as
+// the ETag. Updates name the version they were based on in If-Match and get
+// a 409 carrying the current copy when someone else wrote first.
+
+export const versionOf = (record) => (record && Number.isInteger(record.version) ? record.version : 0);
+
+export const etagOf = (record) => `"${versionOf(record)}"`;
+
+// Accepts `"3"`, `W/"3"` or `3`; `*` matches any version (null).
+function parseIfMatch(header) {
+  const value = header.trim();
+  if (value === '*') return null;
+  const match = /^(?:W\/)?"?(\d+)"?$/.exec(value);
+  return match ? Number(match[1]) : undefined;
+}
+
+// Puts the version the client expects on req.expectedVersion (null: any).
+// A missing header is rejected with 428 unless `required` is false.
+export const ifMatch = (required = true) => (req, res, next) => {
+  const header = req.get('If-Match');
+  if (!header) {
+    if (required) {
+      return res.status(428).json({ error: 'If-Match header with the record version required', code: 'PRECONDITION_REQUIRED' });
+    }
+    req.expectedVersion = null;
+    return next();
+  }
+  const expected = parseIfMatch(header);
+  if (expected === undefined) {
+    return res.status(400).json({ error: 'Invalid If-Match header' });
+  }
+  req.expectedVersion = expected;
+  next();
+};
+
+export const isStale = (record, expected) =>
+  expected !== null && expected !== undefined && versionOf(record) !== expected;
+
+// The record as written by `user`: next version, updatedBy and updatedAt.
+export const stamp = (record, user) => ({
+  ...record,
+  version: versionOf(record) + 1,
+  updatedBy: user.userId || null,
+  updatedAt: new Date().toISOString()
+});
+
+export function sendConflict(res, current) {
+  res.set('ETag', etagOf(current));
+  return res.status(409).json({
+    error: 'This record was changed by someone else',
+    code: 'VERSION_CONFLICT',
+    current
+  });
+}
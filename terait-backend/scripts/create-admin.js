@@ -0,0 +1,39 @@
+// Creates the first admin account; further accounts are provisioned through
+// POST /api/register by an admin with canEdit.
+//   npm run create:admin -- <email> <password> "<name>" [username]
+import { db } from '../lib/db.js';
+import { hashPassword } from '../lib/passwords.js';
+
+const [email, password, name, username] = process.argv.slice(2);
+
+const run = async () => {
+  if (!email || !password || !name) {
+    throw new Error('Usage: npm run create:admin -- <email> <password> "<name>" [username]');
+  }
+
+  const existing = await db.ref('users').orderByChild('email').equalTo(email).once('value');
+  if (existing.exists()) {
+    throw new Error(`User ${email} already exists`);
+  }
+
+  const ref = db.ref('users').push();
+  await ref.set({
+    email,
+    username: username || email.split('@')[0],
+    entityId: null,
+    name,
+    role: 'admin',
+    permissions: { canEdit: true, canDelete: true },
+    passwordHash: await hashPassword(password),
+    createdAt: new Date().toISOString()
+  });
+
+  console.log(`✅ Admin ${email} created (${ref.key})`);
+};
+
+run()
+  .then(() => process.exit(0))
+  .catch(error => {
+    console.error('Create admin failed:', error.message);
+    process.exit(1);
+  });
@@ -0,0 +1,16 @@
+// Runs the API without Firebase: data lives in data/local-db.json (see
+// lib/storage/memory.js). Values from .env still apply; STORAGE_DRIVER,
+// JWT_SECRET and MESSAGE_TRANSPORT only get local defaults when they are not
+// set.
+//   npm run dev:local
+//   STORAGE_DRIVER=file npm run create:admin -- <email> <password> "<name>"
+import 'dotenv/config';
+
+process.env.STORAGE_DRIVER = process.env.STORAGE_DRIVER || 'file';
+process.env.MESSAGE_TRANSPORT = process.env.MESSAGE_TRANSPORT || 'console';
+if (!process.env.JWT_SECRET) {
+  process.env.JWT_SECRET = 'local-development-secret';
+  console.warn('JWT_SECRET not set; using a development-only secret');
+}
+
+await import('../api/index.js');
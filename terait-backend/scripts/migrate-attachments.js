@@ -0,0 +1,68 @@
+// One-time migration: moves photos embedded in tickets as data URLs
+// (`<event>PhotoData` + `<event>PhotoName`) into /api/attachments storage
+// and replaces them with `<event>PhotoIds`.
+//   npm run migrate:attachments            move and write
+//   npm run migrate:attachments -- --dry   report only
+import { db } from '../lib/db.js';
+import { checkFiles, storeAttachments } from '../lib/attachments.js';
+
+const dryRun = process.argv.includes('--dry');
+const MIGRATION_USER = { userId: 'migration', username: 'migrate-attachments' };
+
+const fromDataUrl = (value) => {
+  const match = /^data:[^;,]*;base64,(.*)$/s.exec(value || '');
+  return match ? Buffer.from(match[1], 'base64') : null;
+};
+
+const run = async () => {
+  const snapshot = await db.ref('tickets').once('value');
+  const tickets = snapshot.val() || {};
+  let moved = 0;
+  let failed = 0;
+
+  for (const [ticketId, ticket] of Object.entries(tickets)) {
+    const changes = {};
+    for (const field of Object.keys(ticket).filter(f => f.endsWith('PhotoData'))) {
+      const event = field.slice(0, -'PhotoData'.length);
+      const buffer = fromDataUrl(ticket[field]);
+      changes[field] = null;
+      changes[`${event}PhotoName`] = null;
+      if (!buffer) continue;
+
+      const files = [{ name: ticket[`${event}PhotoName`] || `${event}.jpg`, buffer }];
+      const rejected = checkFiles(files);
+      if (rejected) {
+        console.warn(`${ticketId} ${field}: ${rejected.error}; left in place`);
+        delete changes[field];
+        delete changes[`${event}PhotoName`];
+        failed++;
+        continue;
+      }
+      if (!dryRun) {
+        const stored = await storeAttachments(db, files, { ticketId, event, user: MIGRATION_USER });
+        if (stored.error) {
+          console.warn(`${ticketId} ${field}: ${stored.error}; left in place`);
+          delete changes[field];
+          delete changes[`${event}PhotoName`];
+          failed++;
+          continue;
+        }
+        changes[`${event}PhotoIds`] = [...(ticket[`${event}PhotoIds`] || []), stored.attachments[0].id];
+      }
+      moved++;
+      console.log(`${dryRun ? '[dry] ' : ''}Moved ${ticketId} ${field} (${buffer.length} bytes)`);
+    }
+    if (!dryRun && Object.keys(changes).length) {
+      await db.ref(`tickets/${ticketId}`).update(changes);
+    }
+  }
+
+  console.log(`✅ ${moved} photo(s) moved to attachments, ${failed} left in place`);
+};
+
+run()
+  .then(() => process.exit(0))
+  .catch(error => {
+    console.error('Attachment migration failed:', error);
+    process.exit(1);
+  });
@@ -0,0 +1,37 @@
+// One-time migration: replaces plaintext `password` fields on users records
+// with a salted scrypt `passwordHash`.
+//   npm run migrate:passwords            rehash and write
+//   npm run migrate:passwords -- --dry   report only
+import { db } from '../lib/db.js';
+import { hashPassword, isHashed } from '../lib/passwords.js';
+
+const dryRun = process.argv.includes('--dry');
+
+const run = async () => {
+  const snapshot = await db.ref('users').once('value');
+  const users = snapshot.val() || {};
+  let migrated = 0;
+  let skipped = 0;
+
+  for (const [userId, user] of Object.entries(users)) {
+    if (!user.password) {
+      skipped++;
+      continue;
+    }
+    const passwordHash = isHashed(user.password) ? user.password : await hashPassword(user.password);
+    if (!dryRun) {
+      await db.ref(`users/${userId}`).update({ passwordHash, password: null });
+    }
+    migrated++;
+    console.log(`${dryRun ? '[dry] ' : ''}Rehashed ${user.email || userId}`);
+  }
+
+  console.log(`✅ ${migrated} user(s) migrated, ${skipped} already hashed or without password`);
+};
+
+run()
+  .then(() => process.exit(0))
+  .catch(error => {
+    console.error('Password migration failed:', error);
+    process.exit(1);
+  });
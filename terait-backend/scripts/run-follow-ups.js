@@ -0,0 +1,22 @@
+// One pass of the follow-up reminders (lib/followUps.js), for deployments
+// where the API does not run as a long-lived server. Schedule it with cron
+// or the platform's scheduler, e.g. every 15 minutes:
+//   npm run followups
+import { db } from '../lib/db.js';
+import { runFollowUps } from '../lib/followUps.js';
+import '../lib/smtp.js';
+import '../lib/phoneProviders.js';
+
+const run = async () => {
+  const { due, reminded, escalated } = await runFollowUps(db);
+  reminded.forEach(id => console.log(`Reminded ${id}`));
+  escalated.forEach(id => console.log(`Escalated ${id}`));
+  console.log(`✅ ${due} follow-up(s) due, ${reminded.length} reminded, ${escalated.length} escalated`);
+};
+
+run()
+  .then(() => process.exit(0))
+  .catch(error => {
+    console.error('Follow-up run failed:', error);
+    process.exit(1);
+  });
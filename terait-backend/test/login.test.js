@@ -0,0 +1,76 @@
+import assert from 'node:assert/strict';
+import { after, before, beforeEach, test } from 'node:test';
+import { db, startServer } from './support/server.js';
+import { config } from '../config.js';
+import { hashPassword, isHashed } from '../lib/passwords.js';
+
+const { maxFailedAttempts, lockoutBaseMs } = config.auth;
+
+let api;
+
+before(async () => {
+  api = await startServer();
+});
+
+after(() => api.close());
+
+beforeEach(async () => {
+  await db.ref('users').set({
+    u1: {
+      email: 'jane@example.com',
+      username: 'jane',
+      entityId: 'E001',
+      name: 'Jane',
+      role: 'employee',
+      passwordHash: await hashPassword('right-password')
+    },
+    u2: { email: 'legacy@example.com', username: 'legacy', entityId: 'M001', name: 'Legacy', role: 'manager', password: 'plain-password' }
+  });
+  await db.ref('loginAttempts').remove();
+});
+
+// Every request comes through one proxy that appends the caller's address
+const login = (identifier, password, forwardedFor = '203.0.113.7') =>
+  api.request('POST', '/login', { body: { identifier, password }, headers: { 'X-Forwarded-For': forwardedFor } });
+
+test('signs in with the right password', async () => {
+  const response = await login('jane', 'right-password');
+  assert.equal(response.status, 200);
+  assert.equal(response.body.user.role, 'employee');
+  assert.ok(response.body.token);
+});
+
+test('locks the account with 429 and Retry-After after repeated failures', async () => {
+  for (let i = 0; i < maxFailedAttempts; i++) {
+    assert.equal((await login('jane', 'wrong-password')).status, 401);
+  }
+  const locked = await login('jane', 'right-password');
+  assert.equal(locked.status, 429);
+  assert.equal(Number(locked.headers.get('retry-after')), lockoutBaseMs / 1000);
+});
+
+test('a successful sign-in resets the failure count', async () => {
+  for (let i = 0; i < maxFailedAttempts - 1; i++) await login('jane', 'wrong-password');
+  assert.equal((await login('jane', 'right-password')).status, 200);
+  for (let i = 0; i < maxFailedAttempts - 1; i++) {
+    assert.equal((await login('jane', 'wrong-password')).status, 401);
+  }
+  assert.equal((await login('jane', 'right-password')).status, 200);
+});
+
+test('locks an IP that tries many accounts, whatever X-Forwarded-For it sends', async () => {
+  for (let i = 0; i < maxFailedAttempts; i++) {
+    const spoofed = `198.51.100.${i}, 203.0.113.9`;
+    assert.equal((await login(`nobody${i}@example.com`, 'guess', spoofed)).status, 401);
+  }
+  assert.equal((await login('jane', 'right-password', '198.51.100.99, 203.0.113.9')).status, 429);
+  assert.equal((await login('jane', 'right-password', '203.0.113.10')).status, 200, 'other callers are not locked');
+});
+
+test('rehashes a legacy plaintext password on sign-in', async () => {
+  assert.equal((await login('legacy', 'plain-password')).status, 200);
+  const user = (await db.ref('users/u2').once('value')).val();
+  assert.equal(user.password, undefined);
+  assert.ok(isHashed(user.passwordHash));
+  assert.equal((await login('legacy', 'plain-password')).status, 200);
+});
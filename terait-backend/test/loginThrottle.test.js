@@ -0,0 +1,55 @@
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+import { config } from '../config.js';
+import { clearFailures, lockRemaining, recordFailure, throttleKeys } from '../lib/loginThrottle.js';
+import { MemoryDatabase } from '../lib/storage/memory.js';
+
+const { maxFailedAttempts, lockoutBaseMs, lockoutMaxMs } = config.auth;
+
+const fail = async (db, keys, times) => {
+  for (let i = 0; i < times; i++) await recordFailure(db, keys);
+};
+
+// Remaining lock rounded to whole seconds, so test timing does not matter
+const lockedFor = async (db, keys) => Math.round(await lockRemaining(db, keys) / 1000) * 1000;
+
+test('throttleKeys encodes email and IP into valid database keys', () => {
+  assert.deepEqual(throttleKeys('Jane.Doe@Example.com', '10.0.0.1'), ['email:jane%2Edoe%40example%2Ecom', 'ip:10%2E0%2E0%2E1']);
+  assert.deepEqual(throttleKeys('a@b.c', undefined), ['email:a%40b%2Ec', 'ip:unknown']);
+});
+
+test('no lock until maxFailedAttempts failures', async () => {
+  const db = new MemoryDatabase();
+  const keys = throttleKeys('user@example.com', '10.0.0.1');
+  await fail(db, keys, maxFailedAttempts - 1);
+  assert.equal(await lockRemaining(db, keys), 0);
+  await fail(db, keys, 1);
+  assert.equal(await lockedFor(db, keys), lockoutBaseMs);
+});
+
+test('each further failure doubles the lock, up to lockoutMaxMs', async () => {
+  const db = new MemoryDatabase();
+  const keys = throttleKeys('user@example.com', '10.0.0.1');
+  await fail(db, keys, maxFailedAttempts + 2);
+  assert.equal(await lockedFor(db, keys), lockoutBaseMs * 4);
+  await fail(db, keys, 20);
+  assert.equal(await lockedFor(db, keys), lockoutMaxMs);
+});
+
+test('an account and an IP are locked independently', async () => {
+  const db = new MemoryDatabase();
+  await fail(db, throttleKeys('victim@example.com', '10.0.0.1'), maxFailedAttempts);
+  assert.ok(await lockRemaining(db, throttleKeys('victim@example.com', '10.0.0.2')) > 0, 'account locked from another IP');
+  assert.ok(await lockRemaining(db, throttleKeys('other@example.com', '10.0.0.1')) > 0, 'IP locked for another account');
+  assert.equal(await lockRemaining(db, throttleKeys('other@example.com', '10.0.0.2')), 0);
+});
+
+test('clearFailures resets the count after a successful sign-in', async () => {
+  const db = new MemoryDatabase();
+  const keys = throttleKeys('user@example.com', '10.0.0.1');
+  await fail(db, keys, maxFailedAttempts - 1);
+  await clearFailures(db, keys);
+  await fail(db, keys, maxFailedAttempts - 1);
+  assert.equal(await lockRemaining(db, keys), 0);
+  assert.equal(db.toJSON().loginAttempts[keys[0]].failures, maxFailedAttempts - 1);
+});
@@ -0,0 +1,62 @@
+import assert from 'node:assert/strict';
+import { execFile } from 'child_process';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { test } from 'node:test';
+import { fileURLToPath } from 'url';
+import { promisify } from 'util';
+import { hashPassword, isHashed, verifyPassword } from '../lib/passwords.js';
+
+const script = fileURLToPath(new URL('../scripts/migrate-passwords.js', import.meta.url));
+
+// Runs `npm run migrate:passwords` against a JSON-file database holding `data`
+async function migrate(data, ...args) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'terait-migrate-'));
+  const file = path.join(dir, 'db.json');
+  fs.writeFileSync(file, JSON.stringify(data));
+  try {
+    const { stdout } = await promisify(execFile)(process.execPath, [script, ...args], {
+      env: { ...process.env, STORAGE_DRIVER: 'file', STORAGE_FILE: file }
+    });
+    return { stdout, data: JSON.parse(fs.readFileSync(file, 'utf8')) };
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+const seed = async () => ({
+  users: {
+    plain: { email: 'plain@example.com', role: 'employee', password: 'plain-secret' },
+    legacyHash: { email: 'legacy@example.com', role: 'manager', password: await hashPassword('hashed-secret') },
+    migrated: { email: 'done@example.com', role: 'admin', passwordHash: await hashPassword('done-secret') }
+  }
+});
+
+test('rehashes plaintext passwords and drops the plaintext field', async () => {
+  const before = await seed();
+  const { stdout, data } = await migrate(before);
+  const { plain, legacyHash, migrated } = data.users;
+
+  assert.match(stdout, /2 user\(s\) migrated, 1 already hashed or without password/);
+  assert.equal(plain.password, undefined);
+  assert.ok(isHashed(plain.passwordHash));
+  assert.equal((await verifyPassword('plain-secret', plain.passwordHash)).valid, true);
+  assert.equal(legacyHash.password, undefined);
+  assert.equal(legacyHash.passwordHash, before.users.legacyHash.password, 'hashes are moved, not hashed again');
+  assert.deepEqual(migrated, before.users.migrated);
+});
+
+test('running it again changes nothing', async () => {
+  const once = await migrate(await seed());
+  const twice = await migrate(once.data);
+  assert.match(twice.stdout, /0 user\(s\) migrated/);
+  assert.deepEqual(twice.data, once.data);
+});
+
+test('--dry reports without writing', async () => {
+  const before = await seed();
+  const { stdout, data } = await migrate(before, '--dry');
+  assert.match(stdout, /\[dry\] Rehashed plain@example\.com/);
+  assert.deepEqual(data, before);
+});
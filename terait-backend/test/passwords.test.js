@@ -0,0 +1,34 @@
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+import crypto from 'crypto';
+import { hashPassword, isHashed, verifyPassword } from '../lib/passwords.js';
+
+test('hashPassword stores a salted scrypt hash', async () => {
+  const stored = await hashPassword('correct horse');
+  assert.ok(isHashed(stored));
+  assert.doesNotMatch(stored, /correct horse/);
+  assert.equal(stored.split('$').length, 6);
+  assert.notEqual(await hashPassword('correct horse'), stored, 'each hash gets its own salt');
+});
+
+test('verifyPassword accepts the right password only', async () => {
+  const stored = await hashPassword('correct horse');
+  assert.deepEqual(await verifyPassword('correct horse', stored), { valid: true, needsRehash: false });
+  assert.deepEqual(await verifyPassword('wrong horse', stored), { valid: false, needsRehash: false });
+  assert.deepEqual(await verifyPassword(undefined, stored), { valid: false, needsRehash: false });
+  assert.deepEqual(await verifyPassword('correct horse', undefined), { valid: false, needsRehash: false });
+});
+
+test('verifyPassword accepts legacy plaintext once and asks for a rehash', async () => {
+  assert.equal(isHashed('plain-secret'), false);
+  assert.deepEqual(await verifyPassword('plain-secret', 'plain-secret'), { valid: true, needsRehash: true });
+  assert.deepEqual(await verifyPassword('plain-secre', 'plain-secret'), { valid: false, needsRehash: false });
+});
+
+test('verifyPassword asks for a rehash of hashes made with other parameters', async () => {
+  const salt = crypto.randomBytes(16);
+  const hash = crypto.scryptSync('correct horse', salt, 64, { N: 1024, r: 8, p: 1 });
+  const stored = ['scrypt', 1024, 8, 1, salt.toString('base64'), hash.toString('base64')].join('$');
+  assert.deepEqual(await verifyPassword('correct horse', stored), { valid: true, needsRehash: true });
+  assert.deepEqual(await verifyPassword('wrong horse', stored), { valid: false, needsRehash: false });
+});
@@ -0,0 +1,44 @@
+// Runs the API in the test process, on a free port and against the in-memory
+// storage driver (lib/storage/memory.js). config.js is read once, so the
+// environment is set before the app is imported.
+Object.assign(process.env, {
+  NODE_ENV: 'test',
+  STORAGE_DRIVER: 'memory',
+  JWT_SECRET: 'test-secret',
+  API_RESPONSE_VALIDATION: 'strict'
+});
+
+const { default: app } = await import('../../api/index.js');
+const { db } = await import('../../lib/db.js');
+
+export { db };
+
+// Resolves to { request, close }. request(method, path, { body, token,
+// headers }) answers { status, headers, body } with the JSON body parsed.
+export async function startServer() {
+  const server = await new Promise(resolve => {
+    const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+  });
+  const base = `http://127.0.0.1:${server.address().port}/api/v1`;
+
+  const request = async (method, path, { body, token, headers = {} } = {}) => {
+    const response = await fetch(base + path, {
+      method,
+      headers: {
+        ...(body !== undefined ? { 'Content-Type': 'application/json' } : {}),
+        ...(token ? { Authorization: `Bearer ${token}` } : {}),
+        ...headers
+      },
+      body: body !== undefined ? JSON.stringify(body) : undefined
+    });
+    const text = await response.text();
+    return { status: response.status, headers: response.headers, body: text ? JSON.parse(text) : null };
+  };
+
+  const close = () => new Promise(resolve => {
+    server.closeAllConnections();
+    server.close(resolve);
+  });
+
+  return { request, close };
+}
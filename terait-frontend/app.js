@@ -1,22 +1,125 @@
-const API_URL = 'https://terait-backend.onrender.com';
+/* Backend location comes from config.js (window.TERAIT_CONFIG), loaded before this file */
+const RUNTIME_CONFIG = (typeof window !== 'undefined' && window.TERAIT_CONFIG) || {};
+const API_URL = (RUNTIME_CONFIG.apiUrl || '').replace(/\/+$/, '');
+const API_BASE = `${API_URL}/api/${RUNTIME_CONFIG.apiVersion || 'v1'}`;
 // Safe storage for browser environment
 const storage = typeof window !== 'undefined' ? window.localStorage : {};
-// Firebase API Helper
-async function apiSync(endpoint, method = 'GET', body = null) {
+
+/* Auth tokens: short-lived JWT plus the rotating refresh token, both issued by /api/login */
+let authToken = storage.getItem ? storage.getItem('authToken') : null;
+let refreshToken = storage.getItem ? storage.getItem('refreshToken') : null;
+
+function setAuthToken(token, refresh = null) {
+  authToken = token;
+  refreshToken = token ? (refresh || refreshToken) : null;
+  try {
+    if (token) storage.setItem('authToken', token);
+    else storage.removeItem('authToken');
+    if (refreshToken) storage.setItem('refreshToken', refreshToken);
+    else storage.removeItem('refreshToken');
+  } catch (e) {}
+}
+
+function decodeTokenClaims(token) {
+  try {
+    const payload = token.split('.')[1].replace(/-/g, '+').replace(/_/g, '/');
+    return JSON.parse(atob(payload));
+  } catch (e) {
+    return null;
+  }
+}
+
+// Swaps the refresh token for a new pair. Concurrent callers share one
+// request because each refresh token can only be used once.
+let refreshInFlight = null;
+function refreshSession() {
+    if (!refreshToken) return Promise.resolve(false);
+    if (!refreshInFlight) {
+        refreshInFlight = fetch(`${API_BASE}/auth/refresh`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ refreshToken })
+        })
+            .then(response => response.json())
+            .then(result => {
+                if (!result || !result.token) return false;
+                setAuthToken(result.token, result.refreshToken);
+                return true;
+            })
+            .catch(() => false)
+            .finally(() => { refreshInFlight = null; });
+    }
+    return refreshInFlight;
+}
+
+// Firebase API Helper. Resolves to { ok, status, data }, or null when the
+// backend could not be reached.
+async function apiRequest(endpoint, method = 'GET', body = null, retried = false, headers = {}) {
     try {
+        // FormData (file uploads) is sent as multipart with its own boundary
+        const isForm = typeof FormData !== 'undefined' && body instanceof FormData;
         const options = {
             method,
-            headers: { 'Content-Type': 'application/json' }
+            headers: isForm ? { ...headers } : { 'Content-Type': 'application/json', ...headers }
         };
-        if (body) options.body = JSON.stringify(body);
-        const response = await fetch(`${API_URL}/api${endpoint}`, options);
-        return await response.json();
+        if (authToken) options.headers.Authorization = `Bearer ${authToken}`;
+        if (body) options.body = isForm ? body : JSON.stringify(body);
+        const response = await fetch(`${API_BASE}${endpoint}`, options);
+        if (response.status === 401 && authToken && !retried && endpoint !== '/login') {
+            if (await refreshSession()) return apiRequest(endpoint, method, body, true, headers);
+            handleSessionEnded();
+        }
+        const data = await response.json().catch(() => null);
+        return { ok: response.ok, status: response.status, data };
     } catch (error) {
         console.error('API Error:', error);
         return null;
     }
 }
 
+// Response body only, or null when the backend could not be reached
+async function apiSync(endpoint, method = 'GET', body = null, retried = false) {
+    const result = await apiRequest(endpoint, method, body, retried);
+    return result ? result.data : null;
+}
+
+// Uploads photos for one ticket event (e.g. siteVisit). Resolves to
+// { ids } of the new attachments or { error }.
+async function uploadTicketPhotos(files, ticketId, event) {
+    const form = new FormData();
+    form.append('ticketId', ticketId);
+    form.append('event', event);
+    files.forEach(file => form.append('files', file, file.name));
+    const result = await apiRequest('/attachments', 'POST', form);
+    if (!result) return { error: 'Photos can only be uploaded while online. Try again once connected.' };
+    if (!result.ok) return { error: (result.data && result.data.error) || 'Photo upload failed' };
+    return { ids: result.data.attachments.map(a => a.id) };
+}
+
+// Object URLs for attachment content ('content' or 'thumbnail'), fetched
+// with the session token since <img> cannot send it
+const attachmentUrls = new Map();
+
+function attachmentUrl(id, variant = 'thumbnail') {
+    const cacheKey = `${id}/${variant}`;
+    if (!attachmentUrls.has(cacheKey)) {
+        const load = async (retried) => {
+            const response = await fetch(`${API_BASE}/attachments/${encodeURIComponent(id)}/${variant}`, {
+                headers: authToken ? { Authorization: `Bearer ${authToken}` } : {}
+            });
+            if (response.status === 401 && !retried && await refreshSession()) return load(true);
+            if (!response.ok) throw new Error(`Attachment ${id}: ${response.status}`);
+            return URL.createObjectURL(await response.blob());
+        };
+        attachmentUrls.set(cacheKey, load(false).catch(error => {
+            console.error('Attachment load error:', error);
+            attachmentUrls.delete(cacheKey);
+            return null;
+        }));
+    }
+    return attachmentUrls.get(cacheKey);
+}
+
 
 /* Data structures */
 let currentUser = null; // {role, username, name, employeeId?}
@@ -75,20 +178,20 @@ let customers = [
 ];
 
 const employees = [
-  { id: "E001", name: "Rajesh Kumar", email: "rajesh@company.com", phone: "9876543101", department: "IT Support", password: "rajesh123", role: "employee" },
-  { id: "E002", name: "Priya Sharma", email: "priya@company.com", phone: "9876543102", department: "Sales", password: "priya123", role: "employee" },
-  { id: "E003", name: "Amit Singh", email: "amit@company.com", phone: "9876543103", department: "IT Support", password: "amit123", role: "employee" },
-  { id: "E004", name: "Sample Employee", email: "employee@company.com", phone: "9876543104", department: "IT Support", password: "emp123", username: "employee", role: "employee" },
-  { id: "E005", name: "test1", email: "test1@company.com", phone: "9876543105", department: "IT Support", password: "123", username: "employee", role: "employee" },
-  { id: "E006", name: "emp1", email: "emp@1", phone: "9876543105", department: "IT Support", password: "123", username: "emp1", role: "employee" },
-  { id: "E007", name: "emp2", email: "emp@2", phone: "9876543105", department: "IT Support", password: "123", username: "emp2", role: "employee" }
+  { id: "E001", name: "Rajesh Kumar", email: "rajesh@company.com", phone: "9876543101", department: "IT Support", role: "employee" },
+  { id: "E002", name: "Priya Sharma", email: "priya@company.com", phone: "9876543102", department: "Sales", role: "employee" },
+  { id: "E003", name: "Amit Singh", email: "amit@company.com", phone: "9876543103", department: "IT Support", role: "employee" },
+  { id: "E004", name: "Sample Employee", email: "employee@company.com", phone: "9876543104", department: "IT Support", username: "employee", role: "employee" },
+  { id: "E005", name: "test1", email: "test1@company.com", phone: "9876543105", department: "IT Support", username: "employee", role: "employee" },
+  { id: "E006", name: "emp1", email: "emp@1", phone: "9876543105", department: "IT Support", username: "emp1", role: "employee" },
+  { id: "E007", name: "emp2", email: "emp@2", phone: "9876543105", department: "IT Support", username: "emp2", role: "employee" }
 ];
 
 let managers = [
-  { id: "M001", name: "Sales Manager", email: "sales.mgr@company.com", phone: "9876500001", password: "manager123", username: "mgr_sales", role: "manager", assignedGroups: ["GRP001"], assignedDepartments: ["Sales"] },
-  { id: "M002", name: "Installation Manager", email: "install.mgr@company.com", phone: "9876500002", password: "manager123", username: "mgr_install", role: "manager", assignedGroups: ["GRP002"], assignedDepartments: ["Technical", "IT", "CCTV", "Biometric"] },
-  { id: "M003", name: "Services Manager", email: "services.mgr@company.com", phone: "9876500003", password: "manager123", username: "mgr_services", role: "manager", assignedGroups: ["GRP003"], assignedDepartments: ["Technical", "IT", "CCTV", "Biometric"] },
-  { id: "M004", name: "Complaints Manager", email: "complaints.mgr@company.com", phone: "9876500004", password: "manager123", username: "mgr_complaints", role: "manager", assignedGroups: ["GRP004"], assignedDepartments: ["Technical", "IT", "CCTV", "Biometric"] },
+  { id: "M001", name: "Sales Manager", email: "sales.mgr@company.com", phone: "9876500001", username: "mgr_sales", role: "manager", assignedGroups: ["GRP001"], assignedDepartments: ["Sales"] },
+  { id: "M002", name: "Installation Manager", email: "install.mgr@company.com", phone: "9876500002", username: "mgr_install", role: "manager", assignedGroups: ["GRP002"], assignedDepartments: ["Technical", "IT", "CCTV", "Biometric"] },
+  { id: "M003", name: "Services Manager", email: "services.mgr@company.com", phone: "9876500003", username: "mgr_services", role: "manager", assignedGroups: ["GRP003"], assignedDepartments: ["Technical", "IT", "CCTV", "Biometric"] },
+  { id: "M004", name: "Complaints Manager", email: "complaints.mgr@company.com", phone: "9876500004", username: "mgr_complaints", role: "manager", assignedGroups: ["GRP004"], assignedDepartments: ["Technical", "IT", "CCTV", "Biometric"] },
   // { id: "M005", name: "mgr1", email: "mgr@1", phone: "9876500004", password: "123", username: "mgr1", role: "manager", assignedGroups: ["GRP002"], assignedDepartments: ["sales"] },
   // { id: "M006", name: "mgr2", email: "mgr@2", phone: "9876500004", password: "123", username: "mgr2", role: "manager", assignedGroups: ["GRP001"], assignedDepartments: ["Technical"] }
 ];
@@ -102,20 +205,20 @@ let callGroups = [
 ];
 
 let frontOfficeUsers = [
-  { id: "F001", name: "Front Office User", email: "frontoffice@company.com", phone: "9876511111", department: "Front Office", password: "123", username: "fo", role: "frontoffice" }
+  { id: "F001", name: "Front Office User", email: "frontoffice@company.com", phone: "9876511111", department: "Front Office", username: "fo", role: "frontoffice" }
 ];
 
 let financeUsers = [
-  { id: "FN001", name: "Finance User", email: "finance@company.com", phone: "9876522222", department: "Finance", password: "123", username: "finance", role: "finance" }
+  { id: "FN001", name: "Finance User", email: "finance@company.com", phone: "9876522222", department: "Finance", username: "finance", role: "finance" }
 ];
 
 // Help Desk users
 let helpDeskUsers = [
-  { id: "HD001", name: "Help Desk User", email: "helpdesk@company.com", phone: "9876533333", department: "Help Desk", password: "123", username: "helpdesk", role: "helpdesk" }
+  { id: "HD001", name: "Help Desk User", email: "helpdesk@company.com", phone: "9876533333", department: "Help Desk", username: "helpdesk", role: "helpdesk" }
 ];
 
 let hrUsers = [
-  { id: "HR001", name: "HR User", email: "hr@company.com", phone: "9876540000", department: "HR", password: "123", username: "hr", role: "hr" }
+  { id: "HR001", name: "HR User", email: "hr@company.com", phone: "9876540000", department: "HR", username: "hr", role: "hr" }
 ];
 
 // Departments used by Help Desk
@@ -123,11 +226,13 @@ const departmentsList = ["IT", "Technical", "CCTV", "Biometric", "Sales"];
 
 // Admin users with permissions
 let admins = [
-  { id: "A001", name: "Default Admin", email: "admin@company.com", username: "admin", password: "123", role: "admin", permissions: { canEdit: true, canDelete: true } }
+  { id: "A001", name: "Default Admin", email: "admin@company.com", username: "admin", role: "admin", permissions: { canEdit: true, canDelete: true } }
 ];
 
 function getCurrentAdminPerms() {
   if (!currentUser || currentUser.role !== 'admin') return { canEdit: false, canDelete: false };
+  // Permissions signed into the login token are what the backend enforces.
+  if (currentUser.permissions) return currentUser.permissions;
   const a = admins.find(x => x.username === currentUser.username);
   return (a && a.permissions) ? a.permissions : { canEdit: false, canDelete: false };
 }
@@ -194,65 +299,1119 @@ const servicePricing = {
 };
 
 /* Utility functions */
-function generateEmployeeId() {
-  const num = employees.length + 1;
-  return "E" + String(num).padStart(3, "0");
+// Record ids are minted by the backend (POST /api/ids/:type) from atomic
+// counters, so deletes or two people creating at once cannot reuse an id.
+const ID_UNAVAILABLE = "Could not get a new ID from the server. Check your connection and try again.";
+
+async function reserveId(type) {
+  const result = await apiSync(`/ids/${type}`, 'POST');
+  return result && result.id ? result.id : null;
 }
 
-function generateTicketId() {
-  const num = tickets.length + 1;
-  return "TK" + String(num).padStart(3, "0");
+/* Backend sync: every collection is loaded from the API at login and local
+   changes are found by diffing each record against the copy last handed to
+   the outbox below. Nothing falls back to the seed data above. */
+const SERVER_FIELDS = ['createdAt', 'updatedAt', 'createdBy', 'updatedBy', 'version', 'statusHistory', 'submittedAt', 'password', 'notifications', 'followUpReminder', 'sla'];
+const SYNC_SWEEP_MS = 15000;
+
+const SYNC_COLLECTIONS = [
+  {
+    name: 'tickets', label: 'Ticket', list: () => tickets, load: '/tickets', path: '/tickets',
+    roles: ['admin', 'frontoffice', 'helpdesk', 'manager', 'employee', 'finance']
+  },
+  { name: 'customers', label: 'Customer', list: () => customers, load: '/customers', path: '/customers' },
+  { name: 'companies', label: 'Company', list: () => companies, load: '/companies', path: '/companies' },
+  { name: 'callGroups', label: 'Call group', list: () => callGroups, load: '/callGroups', path: '/callGroups' },
+  { name: 'managers', label: 'Manager', list: () => managers, load: '/managers', path: '/managers' },
+  { name: 'employees', label: 'Employee', list: () => employees, load: '/employees', path: '/employees' },
+  {
+    name: 'attendance', label: 'Attendance', list: () => attendanceLogs, load: '/attendance', upsert: '/attendance',
+    key: a => `${a.employeeId}|${a.date}`
+  },
+  {
+    name: 'feedbacks', label: 'Feedback', list: () => feedbacks, load: '/feedbacks', path: '/feedbacks', createOnly: true,
+    roles: ['admin', 'finance', 'frontoffice', 'manager']
+  }
+];
+
+let syncedCopies = {};   // collection name -> Map(key -> JSON last queued for the server)
+let syncReady = false;
+let syncRunning = false;
+let syncAgain = false;
+let syncTimer = null;
+
+const recordKey = (c, record) => (c.key ? c.key(record) : record.id) || null;
+
+function syncPayload(record) {
+  const payload = { ...record };
+  SERVER_FIELDS.forEach(f => delete payload[f]);
+  return payload;
 }
 
-function generateCompanyId() {
-  const num = companies.length + 1;
-  return "C" + String(num).padStart(3, "0");
+function changedFields(before, after) {
+  const changes = {};
+  new Set([...Object.keys(before), ...Object.keys(after)]).forEach(field => {
+    if (field === 'id' || SERVER_FIELDS.includes(field)) return;
+    if (JSON.stringify(before[field]) !== JSON.stringify(after[field])) {
+      changes[field] = after[field] === undefined ? null : after[field];
+    }
+  });
+  return changes;
 }
 
-function generateCustomerId() {
-  const num = customers.length + 1;
-  return "CUS" + String(num).padStart(3, "0");
+function setSyncBanner(text, canDiscard = false) {
+  const banner = $("syncBanner");
+  if (!banner) return;
+  $("syncBannerText").textContent = text || "";
+  banner.classList.toggle("hidden", !text);
+  const discard = $("syncDiscardBtn");
+  if (discard) discard.classList.toggle("hidden", !canDiscard);
 }
 
-function generateGroupId() {
-  const num = callGroups.length + 1;
-  return "GRP" + String(num).padStart(3, "0");
+function snapshotCollection(c) {
+  syncedCopies[c.name] = new Map();
+  c.list().forEach(record => {
+    const key = recordKey(c, record);
+    if (key) syncedCopies[c.name].set(key, JSON.stringify(record));
+  });
 }
 
-let selectedCustomerProgress = null;
+// Replaces every collection with the server's copy, after replaying any
+// changes still queued from an earlier session. Returns false (and leaves
+// the collections empty) when the backend cannot be reached.
+async function loadAllCollections() {
+  syncReady = false;
+  syncedCopies = {};
+  await drainOutbox();
+  const role = currentUser && currentUser.role;
+  const wanted = SYNC_COLLECTIONS.filter(c => !c.roles || c.roles.includes(role));
+  const results = await Promise.all(wanted.map(c => apiRequest(c.load)));
+
+  SYNC_COLLECTIONS.forEach(c => { const list = c.list(); list.splice(0, list.length); });
+  if (results.some(r => !r || !r.ok || !Array.isArray(r.data))) {
+    setSyncBanner(results.some(r => !r)
+      ? "Cannot reach the server. No data is shown until the connection is back."
+      : "The server could not load your data. Please retry.");
+    return false;
+  }
+
+  wanted.forEach((c, i) => {
+    c.list().push(...results[i].data);
+    snapshotCollection(c);
+  });
+  syncReady = true;
+  setSyncBanner("");
+  await refreshOutboxState();
+  return true;
+}
 
-function formatDateTime(dt = new Date()) {
-  return dt.toLocaleString();
+/* Outbox: local changes are queued as requests in IndexedDB and replayed in
+   order, so work done without a connection survives a reload and is saved
+   once the server is reachable. Every queued request carries its own
+   Idempotency-Key; the backend answers a repeated key with the stored
+   response, so replaying a request whose response was lost is harmless. */
+const OUTBOX_DB = 'terait-outbox';
+const OUTBOX_STORE = 'requests';
+const LOCAL_ID_PREFIX = 'local-';
+
+let outboxDb = null;
+let outboxRun = null;
+let outboxState = {};   // "collection|key" -> 'pending' | 'failed'
+let outboxBadges = '{}'; // outboxState as last rendered
+
+// Used when IndexedDB is unavailable; queued changes then last until reload
+const memoryOutbox = {
+  rows: [],
+  seq: 0,
+  getAll() { return { result: this.rows.map(row => ({ ...row })) }; },
+  put(row) {
+    const stored = { ...row, seq: row.seq || ++this.seq };
+    this.rows = this.rows.filter(r => r.seq !== stored.seq).concat(stored).sort((a, b) => a.seq - b.seq);
+    return { result: stored.seq };
+  },
+  delete(seq) {
+    this.rows = this.rows.filter(r => r.seq !== seq);
+    return { result: undefined };
+  }
+};
+
+function openOutbox() {
+  if (typeof indexedDB === 'undefined') return Promise.resolve(null);
+  if (!outboxDb) {
+    outboxDb = new Promise(resolve => {
+      const request = indexedDB.open(OUTBOX_DB, 1);
+      request.onupgradeneeded = () => request.result.createObjectStore(OUTBOX_STORE, { keyPath: 'seq', autoIncrement: true });
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => resolve(null);
+    });
+  }
+  return outboxDb;
+}
+
+async function outboxRequest(mode, run) {
+  const db = await openOutbox();
+  if (!db) return run(memoryOutbox).result;
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(OUTBOX_STORE, mode);
+    const request = run(tx.objectStore(OUTBOX_STORE));
+    tx.oncomplete = () => resolve(request.result);
+    tx.onerror = () => reject(tx.error);
+  });
 }
 
-/* Action log for admin reporting */
-let systemLogs = [];
-function loadSystemLogs() {
+// Queued requests of the signed-in user, oldest first
+async function outboxEntries() {
+  if (!currentUser) return [];
+  const rows = await outboxRequest('readonly', store => store.getAll());
+  return rows.filter(op => op.userId === currentUser.userId);
+}
+
+async function outboxPut(op) {
+  op.seq = await outboxRequest('readwrite', store => store.put(op));
+}
+
+const outboxDelete = op => outboxRequest('readwrite', store => store.delete(op.seq));
+
+function newRequestKey() {
+  if (typeof crypto !== 'undefined' && crypto.randomUUID) return crypto.randomUUID();
+  return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 12)}`;
+}
+
+const isLocalId = id => typeof id === 'string' && id.startsWith(LOCAL_ID_PREFIX);
+const outboxRecordId = op => `${op.collection}|${op.recordKey}`;
+
+// The requests that bring the server's copy of `record` from `previous` to
+// its current state. `baseVersion` is sent as If-Match.
+function requestsFor(c, record, previous) {
+  const key = recordKey(c, record);
+  const path = `${c.path}/${encodeURIComponent(key)}`;
+  if (c.upsert) return [{ method: 'POST', endpoint: c.upsert, body: syncPayload(record) }];
+  if (!previous) {
+    const body = syncPayload(record);
+    if (isLocalId(body.id)) delete body.id;
+    const create = { method: 'POST', endpoint: c.path, body };
+    // New tickets always start as Raised; replay the status they were given
+    // (rebased onto the created version once that is saved)
+    if (c.name !== 'tickets' || !record.status || record.status === 'Raised') return [create];
+    return [create, { method: 'POST', endpoint: `${path}/transition`, body: { status: record.status, changes: {} }, baseVersion: 0 }];
+  }
+
+  const changes = changedFields(previous, record);
+  const baseVersion = previous.version || 0;
+  if (!Object.keys(changes).length) return [];
+  if (c.name === 'tickets' && changes.status !== undefined) {
+    const { status, ...rest } = changes;
+    return [{ method: 'POST', endpoint: `${path}/transition`, body: { status, changes: rest }, baseVersion }];
+  }
+  return [{ method: 'PUT', endpoint: path, body: changes, baseVersion }];
+}
+
+// Queues the local changes of one collection. The synced copy is moved
+// forward as soon as a change is queued so it is queued exactly once; the
+// copy from before is kept on the request for discarding it later.
+async function queueCollection(c) {
+  const copies = syncedCopies[c.name];
+  const seen = new Set();
+  const queued = [];
+
+  c.list().forEach(record => {
+    // Server-keyed records (feedbacks) get a placeholder id until created
+    if (c.createOnly && !recordKey(c, record)) record.id = LOCAL_ID_PREFIX + newRequestKey();
+    const key = recordKey(c, record);
+    if (!key) return;
+    seen.add(key);
+    const before = copies.get(key);
+    const json = JSON.stringify(record);
+    if (before === json || (before !== undefined && c.createOnly)) return;
+    requestsFor(c, record, before ? JSON.parse(before) : null)
+      .forEach(request => queued.push({ ...request, recordKey: key, before: before || null }));
+    copies.set(key, json);
+  });
+
+  if (!c.createOnly && !c.upsert) {
+    for (const [key, json] of [...copies]) {
+      if (seen.has(key)) continue;
+      queued.push({
+        method: 'DELETE', endpoint: `${c.path}/${encodeURIComponent(key)}`, recordKey: key, before: json,
+        baseVersion: JSON.parse(json).version || 0
+      });
+      copies.delete(key);
+    }
+  }
+
+  for (const request of queued) {
+    // Marked right away so live updates leave the record alone meanwhile
+    const id = `${c.name}|${request.recordKey}`;
+    if (!outboxState[id]) outboxState[id] = 'pending';
+    await outboxPut({
+      ...request,
+      key: newRequestKey(),
+      userId: currentUser.userId,
+      collection: c.name,
+      label: c.label,
+      status: 'pending',
+      error: null,
+      queuedAt: new Date().toISOString()
+    });
+  }
+}
+
+// Copies server-maintained fields (and the real id of a record created with
+// a placeholder) onto the local record and its synced copy. Other fields are
+// left alone: the user may have changed them again since.
+function confirmRecord(op, data) {
+  const c = SYNC_COLLECTIONS.find(s => s.name === op.collection);
+  const copies = syncedCopies[op.collection];
+  if (!c || !copies || !data) return;
+  const server = data.ticket || data.data || {};
+  const fields = {};
+  SERVER_FIELDS.forEach(f => { if (f !== 'password' && server[f] !== undefined) fields[f] = server[f]; });
+  if (isLocalId(op.recordKey) && data.id) fields.id = data.id;
+  if (!Object.keys(fields).length) return;
+
+  const record = c.list().find(r => recordKey(c, r) === op.recordKey);
+  if (record) Object.assign(record, fields);
+  const copy = copies.get(op.recordKey);
+  if (copy === undefined) return;
+  const updated = { ...JSON.parse(copy), ...fields };
+  copies.delete(op.recordKey);
+  copies.set(recordKey(c, updated), JSON.stringify(updated));
+}
+
+// Sends queued requests oldest first, stopping when the server cannot be
+// reached or fails so the order is kept. A request the server rejects is
+// marked failed and holds back later requests for the same record until it
+// is retried or discarded.
+function drainOutbox() {
+  if (!outboxRun) outboxRun = runOutbox().finally(() => { outboxRun = null; });
+  return outboxRun;
+}
+
+async function runOutbox() {
+  const ops = await outboxEntries();
+  const blocked = new Set(ops.filter(op => op.status === 'failed').map(outboxRecordId));
+  let offline = false;
+
+  for (const op of ops) {
+    if (op.status === 'failed') continue;
+    if (blocked.has(outboxRecordId(op))) {
+      op.status = 'failed';
+      op.error = 'An earlier change to this record was not saved';
+      await outboxPut(op);
+      continue;
+    }
+    const headers = { 'Idempotency-Key': op.key };
+    if (Number.isInteger(op.baseVersion)) headers['If-Match'] = `"${op.baseVersion}"`;
+    const result = await apiRequest(op.endpoint, op.method, op.body, false, headers);
+    if (!result) { offline = true; break; }
+    if (result.status === 401 || result.status >= 500 || (result.data && result.data.code === 'IDEMPOTENCY_IN_PROGRESS')) break;
+    if (!result.ok) {
+      blocked.add(outboxRecordId(op));
+      op.status = 'failed';
+      if (result.data && result.data.code === 'VERSION_CONFLICT') {
+        op.conflict = result.data.current || {};
+        op.error = conflictSummary(op);
+      } else {
+        op.error = (result.data && result.data.error) || `HTTP ${result.status}`;
+      }
+      await outboxPut(op);
+      continue;
+    }
+    await outboxDelete(op);
+    confirmRecord(op, result.data);
+    await rebaseQueued(ops, op, result.data);
+  }
+  await refreshOutboxState(offline);
+  showNextConflict();
+}
+
+// Later writes to the same record were based on the version this one
+// replaced; move them onto the version the server just returned.
+async function rebaseQueued(ops, op, data) {
+  const server = data && (data.ticket || data.data);
+  if (!server || !Number.isInteger(server.version)) return;
+  const later = (await outboxEntries()).filter(o =>
+    o.seq > op.seq && outboxRecordId(o) === outboxRecordId(op) && Number.isInteger(o.baseVersion));
+  for (const queued of later) {
+    queued.baseVersion = server.version;
+    await outboxPut(queued);
+    const loaded = ops.find(o => o.seq === queued.seq);
+    if (loaded) loaded.baseVersion = server.version;
+  }
+}
+
+// Recomputes the per-record badges and the banner from the outbox
+async function refreshOutboxState(offline = false) {
+  const ops = await outboxEntries();
+  const state = {};
+  ops.forEach(op => { if (state[outboxRecordId(op)] !== 'failed') state[outboxRecordId(op)] = op.status; });
+  outboxState = state;
+
+  const failed = ops.filter(op => op.status === 'failed');
+  const pending = ops.length - failed.length;
+  if (failed.length) {
+    const first = failed[0];
+    setSyncBanner(`${failed.length} change(s) were not saved. ${first.label} ${isLocalId(first.recordKey) ? '' : first.recordKey}: ${first.error}`, true);
+  } else if (pending) {
+    setSyncBanner(offline
+      ? `You are offline. ${pending} change(s) are saved on this device and will sync when the connection is back.`
+      : `${pending} change(s) waiting to sync.`);
+  } else {
+    setSyncBanner("");
+  }
+  if (JSON.stringify(state) !== outboxBadges) {
+    outboxBadges = JSON.stringify(state);
+    refreshRecordViews();
+  }
+}
+
+function syncBadge(collection, key) {
+  const state = outboxState[`${collection}|${key}`];
+  if (!state) return "";
+  return state === 'failed'
+    ? ` <span class="sync-badge failed" title="Rejected by the server; retry or discard it from the banner">Sync failed</span>`
+    : ` <span class="sync-badge pending" title="Saved on this device, not yet on the server">Pending sync</span>`;
+}
+
+// Re-renders the ticket and attendance tables of the current role after
+// changes the user did not make with a click (sync state, live updates).
+function refreshRecordViews() {
+  refreshAllDataViews();
+  if (!currentUser) return;
   try {
-    const raw = localStorage.getItem('systemLogs');
-    systemLogs = raw ? JSON.parse(raw) : [];
+    switch (currentUser.role) {
+      case 'employee':
+        renderEmployeeTasks();
+        renderEmployeeTickets();
+        renderEmployeeAttendanceToday();
+        break;
+      case 'manager':
+        renderPendingTicketsForManager();
+        renderAssignedTicketsForManager();
+        renderSalesApprovalsForManager();
+        renderSalesVerificationForManager();
+        renderHandoverApprovalsForManager();
+        renderManagerFollowUps();
+        break;
+      case 'helpdesk':
+        renderHelpDeskTickets();
+        break;
+      case 'admin':
+        renderAdminAttendance();
+        break;
+      case 'hr':
+        renderHRAttendance();
+        break;
+    }
   } catch (e) {
-    systemLogs = [];
+    console.error('Refresh views error', e);
+  }
+}
+
+async function retryFailedChanges() {
+  for (const op of await outboxEntries()) {
+    if (op.status !== 'failed') continue;
+    op.status = 'pending';
+    op.error = null;
+    op.conflict = null;
+    await outboxPut(op);
   }
 }
-function saveSystemLogs() {
+
+// Drops every queued request for records with a failed change and puts
+// those records back the way the server last had them.
+async function discardFailedChanges() {
+  const ops = await outboxEntries();
+  const failed = new Set(ops.filter(op => op.status === 'failed').map(outboxRecordId));
+  const restored = new Set();
+  for (const op of ops) {
+    if (!failed.has(outboxRecordId(op))) continue;
+    if (!restored.has(outboxRecordId(op))) {
+      restored.add(outboxRecordId(op));
+      // A conflict already told us the server's current copy
+      restoreRecord(op.conflict ? { ...op, before: JSON.stringify(op.conflict) } : op);
+    }
+    await outboxDelete(op);
+  }
+  await refreshOutboxState();
+  refreshRecordViews();
+}
+
+function restoreRecord(op) {
+  const c = SYNC_COLLECTIONS.find(s => s.name === op.collection);
+  const copies = c && syncedCopies[c.name];
+  if (!copies) return;
+  const list = c.list();
+  const index = list.findIndex(r => recordKey(c, r) === op.recordKey);
+  if (index !== -1) list.splice(index, 1);
+  if (op.before) {
+    list.splice(index === -1 ? list.length : index, 0, JSON.parse(op.before));
+    copies.set(op.recordKey, op.before);
+  } else {
+    copies.delete(op.recordKey);
+  }
+}
+
+/* Version conflicts: a queued write based on an outdated version comes back
+   409 with the server's copy. The dialog lists what the other user changed
+   next to the local changes and lets the user keep either side. */
+let conflictShown = null;   // failed outbox request shown in the dialog
+
+function conflictSummary(op) {
+  const server = op.conflict || {};
+  const base = op.before ? JSON.parse(op.before) : {};
+  const who = server.updatedBy ? ` by ${server.updatedBy}` : '';
+  let text = `${op.label} ${op.recordKey} was changed${who} after you opened it.`;
+  if (op.collection === 'tickets') {
+    if (server.acceptedByManager && server.acceptedByManager !== base.acceptedByManager) {
+      text += ` It was already accepted by ${server.acceptedByManager}.`;
+    } else if (server.status && server.status !== base.status) {
+      text += ` Its status is now "${server.status}".`;
+    }
+  }
+  return text;
+}
+
+const conflictValue = value => {
+  if (value === null || value === undefined || value === '') return '(empty)';
+  const text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+  return text.length > 80 ? `${text.slice(0, 77)}...` : text;
+};
+
+async function showNextConflict() {
+  const modal = $("conflictModal");
+  if (!modal || conflictShown) return;
+  const op = (await outboxEntries()).find(o => o.status === 'failed' && o.conflict);
+  if (!op) return;
+  conflictShown = op;
+
+  const c = SYNC_COLLECTIONS.find(s => s.name === op.collection);
+  const base = op.before ? JSON.parse(op.before) : {};
+  const local = c.list().find(r => recordKey(c, r) === op.recordKey);
+  const theirs = changedFields(base, op.conflict);
+  const mine = local ? changedFields(base, local) : {};
+  $("conflictSummary").textContent = op.error;
+
+  const tbody = $("conflictTableBody");
+  tbody.innerHTML = "";
+  if (!local) {
+    const tr = document.createElement("tr");
+    tr.innerHTML = `<td>-</td><td>Still exists</td><td>Deleted</td>`;
+    tbody.appendChild(tr);
+  }
+  new Set([...Object.keys(theirs), ...Object.keys(mine)]).forEach(field => {
+    const tr = document.createElement("tr");
+    [field, field in theirs ? conflictValue(theirs[field]) : '-', field in mine ? conflictValue(mine[field]) : '-']
+      .forEach(text => {
+        const td = document.createElement("td");
+        td.textContent = text;
+        tr.appendChild(td);
+      });
+    tbody.appendChild(tr);
+  });
+  modal.classList.remove("hidden");
+}
+
+// keepMine: the fields the user changed are applied on top of the server's
+// copy and queued again against its version. Otherwise the server's copy
+// replaces the local record.
+async function resolveConflict(keepMine) {
+  const op = conflictShown;
+  if (!op) return;
+  const c = SYNC_COLLECTIONS.find(s => s.name === op.collection);
+  const copies = syncedCopies[op.collection];
+  for (const queued of await outboxEntries()) {
+    if (outboxRecordId(queued) === outboxRecordId(op)) await outboxDelete(queued);
+  }
+  if (copies) {
+    const local = c.list().find(r => recordKey(c, r) === op.recordKey);
+    if (keepMine) {
+      if (local) {
+        const mine = changedFields(op.before ? JSON.parse(op.before) : {}, local);
+        Object.keys(local).forEach(f => delete local[f]);
+        Object.assign(local, op.conflict, mine);
+      }
+      copies.set(op.recordKey, JSON.stringify(op.conflict));
+    } else {
+      restoreRecord({ ...op, before: JSON.stringify(op.conflict) });
+    }
+  }
+
+  conflictShown = null;
+  $("conflictModal").classList.add("hidden");
+  delete outboxState[outboxRecordId(op)];
+  await refreshOutboxState();
+  refreshRecordViews();
+  if (keepMine) scheduleSync(0);
+  showNextConflict();
+}
+
+async function flushSync() {
+  if (!syncReady || !authToken) return;
+  if (syncRunning) { syncAgain = true; return; }
+  syncRunning = true;
   try {
-    localStorage.setItem('systemLogs', JSON.stringify(systemLogs));
-  } catch (e) {}
+    for (const c of SYNC_COLLECTIONS) {
+      if (syncedCopies[c.name]) await queueCollection(c);
+    }
+    await drainOutbox();
+  } catch (error) {
+    console.error('Sync error:', error);
+  } finally {
+    syncRunning = false;
+  }
+  if (syncAgain) { syncAgain = false; scheduleSync(); }
 }
-function logAction(actor, action, ticketId, details = '') {
-  systemLogs.push({
-    ts: new Date().toISOString(),
-    actor,
-    action,
-    ticketId,
-    details
+
+function scheduleSync(delay = 400) {
+  clearTimeout(syncTimer);
+  syncTimer = setTimeout(flushSync, delay);
+}
+
+// Queues what is still unsaved (the attendance logout time among it) and
+// sends it while the session is valid. A dead connection cannot hold the
+// sign-out for more than SIGN_OUT_SYNC_MS; whatever is not sent by then
+// stays in the outbox.
+const SIGN_OUT_SYNC_MS = 5000;
+
+async function syncBeforeSignOut() {
+  clearTimeout(syncTimer);
+  const flushed = (async () => {
+    while (syncRunning) await new Promise(resolve => setTimeout(resolve, 50));
+    await flushSync();
+  })();
+  await Promise.race([flushed, new Promise(resolve => setTimeout(resolve, SIGN_OUT_SYNC_MS))]);
+}
+
+function stopSync() {
+  stopLiveUpdates();
+  syncReady = false;
+  syncedCopies = {};
+  outboxState = {};
+  outboxBadges = '{}';
+  clearTimeout(syncTimer);
+  setSyncBanner("");
+  clearAttachmentUrls();
+  clearInbox();
+}
+
+// Cached images belong to the signed-in user
+function clearAttachmentUrls() {
+  attachmentUrls.forEach(pending => pending.then(url => url && URL.revokeObjectURL(url)));
+  attachmentUrls.clear();
+}
+
+// Uploads the photos from `picker` (a createPhotoCapture or a plain file
+// input, whose images are prepared with the default settings) and calls
+// done(ids). On failure the error is shown in errEl and the form is left
+// as it was.
+function withUploadedPhotos(picker, ticketId, event, errEl, done) {
+  const isCapture = !!(picker && picker.getFiles);
+  const picked = isCapture
+    ? picker.getFiles()
+    : Promise.all(Array.from((picker && picker.files) || []).map(file => preparePhoto(file).then(photo => photo.file)));
+  picked
+    .then(files => (files.length ? uploadTicketPhotos(files, ticketId, event) : { ids: [] }))
+    .then(result => {
+      if (result.error) {
+        if (errEl) errEl.textContent = result.error;
+        return;
+      }
+      if (isCapture) picker.clear();
+      else if (picker) picker.value = '';
+      done(result.ids);
+    })
+    .catch(error => { if (errEl) errEl.textContent = error.message; });
+}
+
+// Thumbnails for a ticket's photos; tickets saved before attachments
+// existed still carry the image itself as a data URL
+function ticketPhotosHtml(ids, legacyData, alt = 'Photo') {
+  const style = 'max-width:80px; border-radius:6px; cursor:pointer;';
+  if (Array.isArray(ids) && ids.length) {
+    return ids.map(id => `<img data-attachment-thumb="${id}" alt="${alt}" style="${style}"/>`).join(' ');
+  }
+  return legacyData ? `<img src="${legacyData}" alt="${alt}" style="max-width:80px; border-radius:6px;"/>` : '';
+}
+
+// Fills in the thumbnails rendered by ticketPhotosHtml under `root`;
+// clicking one opens the full image
+function loadAttachmentThumbs(root) {
+  Array.from(root.querySelectorAll('img[data-attachment-thumb]')).forEach(img => {
+    const id = img.getAttribute('data-attachment-thumb');
+    attachmentUrl(id, 'thumbnail').then(url => {
+      if (url) img.src = url;
+      else img.alt = 'Photo unavailable';
+    });
+    img.onclick = () => attachmentUrl(id, 'content').then(url => { if (url) window.open(url, '_blank'); });
+  });
+}
+
+// Photos are downsized and re-encoded as JPEG in the browser before upload.
+// Re-encoding drops all EXIF data, including GPS location, unless the
+// capture's "keep location" box puts it back.
+const PHOTO_CAPTURE_DEFAULTS = { maxDimension: 1600, quality: 0.8, maxPhotos: 10 };
+
+// The APP1 Exif segment of a JPEG (marker and length included), or null
+function jpegExifSegment(bytes) {
+  if (bytes[0] !== 0xFF || bytes[1] !== 0xD8) return null;
+  let offset = 2;
+  while (offset + 4 <= bytes.length && bytes[offset] === 0xFF) {
+    const marker = bytes[offset + 1];
+    const length = (bytes[offset + 2] << 8) | bytes[offset + 3];
+    if (marker === 0xDA) break; // image data starts; no more metadata
+    if (marker === 0xE1 && String.fromCharCode(...bytes.slice(offset + 4, offset + 8)) === 'Exif') {
+      return bytes.slice(offset, offset + 2 + length);
+    }
+    offset += 2 + length;
+  }
+  return null;
+}
+
+// The canvas has already turned the image upright, so the copied Exif must
+// not ask viewers to rotate it again. Null if the segment is malformed.
+function uprightExif(segment) {
+  try {
+    const copy = segment.slice();
+    const view = new DataView(copy.buffer, copy.byteOffset, copy.byteLength);
+    const tiff = 10; // FF E1, length, "Exif\0\0"
+    const little = view.getUint16(tiff) === 0x4949;
+    const ifd = tiff + view.getUint32(tiff + 4, little);
+    const count = view.getUint16(ifd, little);
+    for (let i = 0; i < count; i++) {
+      const entry = ifd + 2 + i * 12;
+      if (view.getUint16(entry, little) === 0x0112) view.setUint16(entry + 8, 1, little);
+    }
+    return copy;
+  } catch (e) {
+    return null;
+  }
+}
+
+function loadImage(file) {
+  return new Promise((resolve, reject) => {
+    const url = URL.createObjectURL(file);
+    const img = new Image();
+    img.onload = () => { URL.revokeObjectURL(url); resolve(img); };
+    img.onerror = () => { URL.revokeObjectURL(url); reject(new Error(`${file.name} could not be read as an image`)); };
+    img.src = url;
+  });
+}
+
+// Downsizes `file` to fit maxDimension and re-encodes it. Resolves to
+// { file, exif } where exif is the original's upright Exif segment (kept
+// aside so the caller can decide whether to restore it).
+async function preparePhoto(file, options = {}) {
+  const { maxDimension, quality } = { ...PHOTO_CAPTURE_DEFAULTS, ...options };
+  const img = await loadImage(file);
+  const scale = Math.min(1, maxDimension / Math.max(img.naturalWidth, img.naturalHeight));
+  const canvas = document.createElement('canvas');
+  canvas.width = Math.max(1, Math.round(img.naturalWidth * scale));
+  canvas.height = Math.max(1, Math.round(img.naturalHeight * scale));
+  const ctx = canvas.getContext('2d');
+  ctx.fillStyle = '#fff'; // JPEG has no transparency
+  ctx.fillRect(0, 0, canvas.width, canvas.height);
+  ctx.drawImage(img, 0, 0, canvas.width, canvas.height);
+  const blob = await new Promise(resolve => canvas.toBlob(resolve, 'image/jpeg', quality));
+  if (!blob) throw new Error(`${file.name} could not be compressed`);
+
+  const segment = file.type === 'image/jpeg' ? jpegExifSegment(new Uint8Array(await file.arrayBuffer())) : null;
+  const name = file.name.replace(/\.[^.]*$/, '') + '.jpg';
+  return { file: new File([blob], name, { type: 'image/jpeg' }), exif: segment ? uprightExif(segment) : null };
+}
+
+// Re-inserts an Exif segment right after the JPEG start-of-image marker
+async function withExif(file, exif) {
+  const bytes = new Uint8Array(await file.arrayBuffer());
+  return new File([bytes.slice(0, 2), exif, bytes.slice(2)], file.name, { type: file.type });
+}
+
+const formatBytes = (bytes) => (bytes >= 1024 * 1024 ? `${(bytes / (1024 * 1024)).toFixed(1)} MB` : `${Math.max(1, Math.round(bytes / 1024))} KB`);
+
+// Multi-photo picker on top of a file input: each picked image is prepared
+// straight away, and `container` lists thumbnails that can be moved or
+// removed before submitting. getFiles() resolves to the files to upload,
+// in the order shown, once any still being prepared are done.
+function createPhotoCapture(input, container, options = {}) {
+  const settings = { ...PHOTO_CAPTURE_DEFAULTS, ...options };
+  let items = []; // { file, exif, url, originalSize }
+  let preparing = Promise.resolve();
+  let status = '';
+
+  container.innerHTML = `
+    <div class="photo-capture-list"></div>
+    <label class="photo-capture-keep"><input type="checkbox" /> Keep location data (GPS) in these photos</label>
+    <div class="photo-capture-status"></div>
+  `;
+  const list = container.querySelector('.photo-capture-list');
+  const keepLocation = container.querySelector('.photo-capture-keep input');
+  const statusEl = container.querySelector('.photo-capture-status');
+
+  const render = () => {
+    list.innerHTML = items.map((item, i) => `
+      <div class="photo-capture-item">
+        <img src="${item.url}" alt="Photo ${i + 1}" />
+        <div class="photo-capture-size">${formatBytes(item.originalSize)} → ${formatBytes(item.file.size)}</div>
+        <div class="photo-capture-actions">
+          <button type="button" class="btn small secondary" data-photo-move="${i}" data-step="-1" ${i === 0 ? 'disabled' : ''} title="Move left">◀</button>
+          <button type="button" class="btn small secondary" data-photo-move="${i}" data-step="1" ${i === items.length - 1 ? 'disabled' : ''} title="Move right">▶</button>
+          <button type="button" class="btn small danger" data-photo-remove="${i}" title="Remove">✕</button>
+        </div>
+      </div>
+    `).join('');
+    statusEl.textContent = status || (items.length ? `${items.length} of ${settings.maxPhotos} photos` : '');
+    Array.from(list.querySelectorAll('button[data-photo-move]')).forEach(btn => {
+      btn.onclick = () => {
+        const from = Number(btn.getAttribute('data-photo-move'));
+        const to = from + Number(btn.getAttribute('data-step'));
+        [items[from], items[to]] = [items[to], items[from]];
+        render();
+      };
+    });
+    Array.from(list.querySelectorAll('button[data-photo-remove]')).forEach(btn => {
+      btn.onclick = () => {
+        const [removed] = items.splice(Number(btn.getAttribute('data-photo-remove')), 1);
+        URL.revokeObjectURL(removed.url);
+        render();
+      };
+    });
+  };
+
+  input.onchange = () => {
+    const picked = Array.from(input.files || []);
+    input.value = ''; // so the same photo can be picked again after removing it
+    const room = settings.maxPhotos - items.length;
+    if (picked.length > room) status = `Only ${settings.maxPhotos} photos can be attached; ${picked.length - Math.max(room, 0)} skipped.`;
+    else status = picked.length ? 'Preparing photos...' : '';
+    render();
+    preparing = preparing.then(() => Promise.all(picked.slice(0, Math.max(room, 0)).map(file =>
+      preparePhoto(file, settings)
+        .then(photo => { items.push({ ...photo, url: URL.createObjectURL(photo.file), originalSize: file.size }); })
+        .catch(error => { status = error.message; })
+    ))).then(() => {
+      if (status === 'Preparing photos...') status = '';
+      render();
+    });
+  };
+
+  render();
+  return {
+    count: () => items.length,
+    async getFiles() {
+      await preparing;
+      const keep = keepLocation.checked;
+      return Promise.all(items.map(item => (keep && item.exif ? withExif(item.file, item.exif) : item.file)));
+    },
+    clear() {
+      items.forEach(item => URL.revokeObjectURL(item.url));
+      items = [];
+      status = '';
+      keepLocation.checked = false;
+      render();
+    }
+  };
+}
+
+// Handlers mutate the arrays directly; flush shortly after any interaction
+// and sweep periodically for changes made by timers.
+if (typeof document !== 'undefined') {
+  ['click', 'change', 'submit'].forEach(type => document.addEventListener(type, () => scheduleSync()));
+  setInterval(flushSync, SYNC_SWEEP_MS);
+  window.addEventListener('online', () => scheduleSync(0));
+}
+
+/* Live updates: GET /api/events streams ticket and attendance changes as
+   Server-Sent Events, read with fetch so the bearer token can be sent. A
+   pushed record replaces the local one unless that has changes not saved
+   yet, and the affected tables are re-rendered in place. */
+const LIVE_RETRY_MS = 5000;
+const LIVE_COLLECTIONS = ['tickets', 'attendance'];
+
+let liveStream = null;     // AbortController of the open stream
+let liveConnected = false;
+let liveRenderTimer = null;
+
+async function readEventStream(body, onEvent) {
+  const reader = body.pipeThrough(new TextDecoderStream()).getReader();
+  let buffer = '';
+  for (;;) {
+    const { value, done } = await reader.read();
+    if (done) return;
+    buffer += value;
+    let end;
+    while ((end = buffer.indexOf('\n\n')) !== -1) {
+      const block = buffer.slice(0, end);
+      buffer = buffer.slice(end + 2);
+      let event = 'message';
+      const data = [];
+      block.split('\n').forEach(line => {
+        if (line.startsWith('event:')) event = line.slice(6).trim();
+        else if (line.startsWith('data:')) data.push(line.slice(5).trimStart());
+      });
+      if (data.length) onEvent(event, JSON.parse(data.join('\n')));
+    }
+  }
+}
+
+// Keeps one stream open, reconnecting after drops until stopLiveUpdates
+async function startLiveUpdates() {
+  stopLiveUpdates();
+  const controller = new AbortController();
+  liveStream = controller;
+  liveConnected = false;
+  while (liveStream === controller) {
+    try {
+      const response = await fetch(`${API_BASE}/events`, {
+        headers: { Authorization: `Bearer ${authToken}`, Accept: 'text/event-stream' },
+        signal: controller.signal
+      });
+      if (response.status === 401 && !(await refreshSession())) {
+        handleSessionEnded();
+        return;
+      }
+      if (response.ok && response.body) await readEventStream(response.body, handleLiveEvent);
+    } catch (error) {
+      if (controller.signal.aborted) return;
+    }
+    await new Promise(resolve => setTimeout(resolve, LIVE_RETRY_MS));
+  }
+}
+
+function stopLiveUpdates() {
+  if (liveStream) liveStream.abort();
+  liveStream = null;
+  clearTimeout(liveRenderTimer);
+}
+
+function handleLiveEvent(event, data) {
+  let changed = false;
+  if (event === 'ready') {
+    // Events sent while disconnected are lost; reload what they would have changed
+    if (liveConnected) {
+      catchUpLiveCollections();
+      loadInbox();
+    }
+    liveConnected = true;
+  } else if (event === 'notification') {
+    receiveInboxItem(data);
+  } else if (event === 'ticket') {
+    changed = applyRemoteRecord('tickets', data.id, data.action === 'remove' ? null : data.ticket);
+  } else if (event === 'attendance') {
+    changed = applyRemoteRecord('attendance', `${data.employeeId}|${data.date}`, data);
+  }
+  if (changed) scheduleLiveRender();
+}
+
+// Takes the server's version of a record (null: gone from this user's view).
+// Records with unsaved or queued local changes are skipped; the user's write
+// goes through as usual. Returns whether anything changed.
+function applyRemoteRecord(name, key, server) {
+  const c = SYNC_COLLECTIONS.find(s => s.name === name);
+  const copies = syncedCopies[name];
+  if (!c || !copies || !key || outboxState[`${name}|${key}`]) return false;
+  const list = c.list();
+  const record = list.find(r => recordKey(c, r) === key);
+  if (record && JSON.stringify(record) !== copies.get(key)) return false;
+
+  if (!server) {
+    if (!record && !copies.has(key)) return false;
+    if (record) list.splice(list.indexOf(record), 1);
+    copies.delete(key);
+    return true;
+  }
+  if (copies.get(key) === JSON.stringify(server)) return false;
+  if (record) {
+    // Updated in place: open forms keep references to the record object
+    Object.keys(record).forEach(f => delete record[f]);
+    Object.assign(record, server);
+  } else {
+    list.push(server);
+  }
+  copies.set(key, JSON.stringify(record || server));
+  return true;
+}
+
+async function catchUpLiveCollections() {
+  let changed = false;
+  for (const name of LIVE_COLLECTIONS) {
+    const c = SYNC_COLLECTIONS.find(s => s.name === name);
+    if (!syncedCopies[name]) continue;
+    const result = await apiRequest(c.load);
+    if (!result || !result.ok || !Array.isArray(result.data)) continue;
+    const fresh = new Map(result.data.map(record => [recordKey(c, record), record]));
+    [...syncedCopies[name].keys()].forEach(key => {
+      if (!fresh.has(key)) changed = applyRemoteRecord(name, key, null) || changed;
+    });
+    fresh.forEach((record, key) => { changed = applyRemoteRecord(name, key, record) || changed; });
+  }
+  if (changed) scheduleLiveRender();
+}
+
+function scheduleLiveRender() {
+  clearTimeout(liveRenderTimer);
+  liveRenderTimer = setTimeout(refreshRecordViews, 250);
+}
+
+/* Notification center: handoffs addressed to the signed-in user, kept by
+   the backend (GET /api/inbox) and pushed on the live stream as they
+   happen. Entries link to the ticket as #ticket=<id>. */
+let inboxItems = [];
+let inboxUnread = 0;
+
+async function loadInbox() {
+  const result = await apiSync('/inbox');
+  if (!result || !Array.isArray(result.items)) return;
+  inboxItems = result.items;
+  inboxUnread = result.unread;
+  renderInbox();
+}
+
+function receiveInboxItem(item) {
+  if (inboxItems.some(i => i.id === item.id)) return;
+  inboxItems.unshift(item);
+  if (!item.read) inboxUnread++;
+  renderInbox();
+}
+
+function clearInbox() {
+  inboxItems = [];
+  inboxUnread = 0;
+  renderInbox();
+  if ($("inboxPanel")) $("inboxPanel").classList.add("hidden");
+}
+
+function renderInbox() {
+  const list = $("inboxList");
+  if (!list) return;
+  list.innerHTML = inboxItems.length ? "" : '<li class="inbox-meta">No notifications yet.</li>';
+  inboxItems.forEach(item => {
+    const li = document.createElement("li");
+    if (!item.read) li.classList.add("unread");
+    const title = document.createElement("div");
+    title.className = "inbox-title";
+    title.textContent = item.title;
+    const meta = document.createElement("div");
+    meta.className = "inbox-meta";
+    meta.textContent = [item.message, item.actorName && `by ${item.actorName}`, formatResetTs(item.createdAt)].filter(Boolean).join(' • ');
+    li.append(title, meta);
+    li.onclick = () => openInboxItem(item);
+    list.appendChild(li);
   });
-  saveSystemLogs();
+  $("inboxReadAllBtn").disabled = inboxUnread === 0;
+  updateHeader();
+}
+
+async function openInboxItem(item) {
+  $("inboxPanel").classList.add("hidden");
+  if (!item.read) {
+    item.read = true;
+    inboxUnread = Math.max(inboxUnread - 1, 0);
+    renderInbox();
+    const result = await apiSync(`/inbox/${encodeURIComponent(item.id)}/read`, 'POST');
+    if (result && typeof result.unread === 'number') {
+      inboxUnread = result.unread;
+      renderInbox();
+    }
+  }
+  if (item.link) {
+    // Re-opening the same link does not fire hashchange
+    if (location.hash === item.link) openDeepLink();
+    else location.hash = item.link;
+  }
+}
+
+async function markAllInboxRead() {
+  const result = await apiSync('/inbox/read-all', 'POST');
+  if (!result || !result.success) return;
+  inboxItems.forEach(item => { item.read = true; });
+  inboxUnread = result.unread;
+  renderInbox();
+}
+
+// #ticket=<id> opens the ticket, once it is among the tickets this user can see
+function openDeepLink() {
+  if (!currentUser) return;
+  const match = /^#ticket=(.+)$/.exec(location.hash);
+  if (!match) return;
+  const ticketId = decodeURIComponent(match[1]);
+  if (!tickets.some(t => t.id === ticketId)) {
+    alert(`Ticket ${ticketId} is not available to you.`);
+    return;
+  }
+  showTicketProgress(ticketId);
 }
 
-// initialize persisted logs on load
-loadSystemLogs();
+if (typeof window !== 'undefined') {
+  window.addEventListener('hashchange', openDeepLink);
+}
+
+/* SLA countdowns: the backend keeps each ticket's due times in ticket.sla
+   (policies and business hours are set in Admin > SLA). A badge shows the
+   next stage still open, and badges on screen are refreshed every minute. */
+const SLA_STAGE_LABELS = { firstResponse: 'Response', siteVisit: 'Site visit', resolution: 'Resolution' };
+
+function formatDuration(ms) {
+  const minutes = Math.max(Math.round(ms / 60000), 0);
+  const days = Math.floor(minutes / 1440);
+  const hours = Math.floor((minutes % 1440) / 60);
+  if (days) return `${days}d ${hours}h`;
+  if (hours) return `${hours}h ${minutes % 60}m`;
+  return `${minutes}m`;
+}
+
+function slaState(t) {
+  const stages = (t.sla && t.sla.stages) || {};
+  const open = Object.keys(SLA_STAGE_LABELS).find(s => stages[s] && !stages[s].metAt && !stages[s].cancelled);
+  if (!open) {
+    const reached = Object.values(stages).filter(s => s.metAt);
+    if (!reached.length) return { text: '-', cls: '' };
+    return reached.some(s => s.breached) ? { text: 'Missed', cls: 'breached' } : { text: 'Met', cls: 'ok' };
+  }
+  const stage = stages[open];
+  const label = SLA_STAGE_LABELS[open];
+  if (!stage.dueAt) {
+    return { text: `${label} paused, ${formatDuration((stage.remainingMinutes || 0) * 60000)} left`, cls: 'paused' };
+  }
+  const left = Date.parse(stage.dueAt) - Date.now();
+  if (left < 0) return { text: `${label} overdue ${formatDuration(-left)}`, cls: 'breached' };
+  // The last quarter of the time allowed
+  const atRisk = left < stage.targetHours * 3600000 / 4;
+  return { text: `${label} ${formatDuration(left)} left`, cls: atRisk ? 'at-risk' : 'ok' };
+}
+
+function slaBadge(t) {
+  const { text, cls } = slaState(t);
+  return `<span class="sla-badge ${cls}" data-sla-ticket="${t.id}">${text}</span>`;
+}
+
+function refreshSlaBadges() {
+  document.querySelectorAll('[data-sla-ticket]').forEach(el => {
+    const t = tickets.find(x => x.id === el.getAttribute('data-sla-ticket'));
+    if (!t) return;
+    const { text, cls } = slaState(t);
+    el.textContent = text;
+    el.className = `sla-badge ${cls}`;
+  });
+}
+
+if (typeof window !== 'undefined') {
+  setInterval(refreshSlaBadges, 60000);
+}
+
+let selectedCustomerProgress = null;
+
+function formatDateTime(dt = new Date()) {
+  return dt.toLocaleString();
+}
+
+/* Actions are audited by the backend as the writes they cause reach it
+   (admin Audit tab); logAction only makes sure those writes go out promptly. */
+function logAction(actor, action, ticketId, details = '') {
+  scheduleSync();
+}
+
+// Drop the per-browser log kept before the audit trail moved server-side
+try { localStorage.removeItem('systemLogs'); } catch (e) {}
 
 /* DOM helpers */
 function $(id) {
@@ -308,6 +1467,7 @@ function showSection(sectionId) {
     "newCustomerPage",
     "newGroupPage",
     "forgotPasswordPage",
+    "changePasswordPage",
     "paymentPage"
   ];
 
@@ -351,12 +1511,21 @@ function updateHeader() {
   if (!currentUser) {
     $("currentUserInfo").textContent = "";
     if (logoutBtn) logoutBtn.classList.add("hidden");
+    if ($("inboxBtn")) $("inboxBtn").classList.add("hidden");
     return;
   }
   
   $("currentUserInfo").textContent =
     `Logged in as ${currentUser.name} (${currentUser.role.toUpperCase()})`;
   if (logoutBtn) logoutBtn.classList.remove("hidden");
+
+  const inboxBtn = $("inboxBtn");
+  const badge = $("inboxBadge");
+  if (inboxBtn) inboxBtn.classList.remove("hidden");
+  if (badge) {
+    badge.textContent = inboxUnread > 99 ? "99+" : String(inboxUnread);
+    badge.classList.toggle("hidden", inboxUnread === 0);
+  }
 }
 
 /* Stats */
@@ -578,7 +1747,7 @@ function renderEmployeeTickets() {
     const customerName = customer ? customer.name : "N/A";
     const tr = document.createElement("tr");
     tr.innerHTML = `
-      <td>${t.id}</td>
+      <td>${t.id}${syncBadge('tickets', t.id)}</td>
       <td>${customerName}</td>
       <td>${t.serviceType}</td>
       <td>${t.estimatedTime || 'N/A'}</td>
@@ -802,6 +1971,7 @@ function renderPendingTicketsForManager() {
       <td>${t.callGroup || "-"}</td>
       <td>${t.description}</td>
       <td>${t.raisedDate}</td>
+      <td>${slaBadge(t)}</td>
       <td>
         <button class="btn small secondary" data-show-assign="${t.id}">Assign...</button>
         <div data-assign-box="${t.id}" class="hidden" style="margin-top:6px; display:flex; flex-direction:column; gap:6px;">
@@ -822,9 +1992,9 @@ function renderPendingTicketsForManager() {
           </select>
           <input data-quotation-time="${t.id}" class="hidden" type="text" placeholder="Quotation / time needed (e.g., 2 days)" />
           <input data-no-visit-desc="${t.id}" class="hidden" type="text" placeholder="Description (no site visit)" />
-          <input data-no-visit-photo="${t.id}" class="hidden" type="file" accept="image/*" />
+          <input data-no-visit-photo="${t.id}" class="hidden" type="file" accept="image/*" multiple />
           <input data-manager-visit-desc="${t.id}" class="hidden" type="text" placeholder="Manager visit description" />
-          <input data-manager-visit-photo="${t.id}" class="hidden" type="file" accept="image/*" />
+          <input data-manager-visit-photo="${t.id}" class="hidden" type="file" accept="image/*" multiple />
           <select data-sales-manager="${t.id}" class="hidden">
             <option value="">Select Sales Manager</option>
             ${salesManagerOptions}
@@ -969,16 +2139,14 @@ function renderPendingTicketsForManager() {
             const mgrDescEl = tbody.querySelector(`input[data-manager-visit-desc="${ticketId}"]`);
             const mgrPhotoEl = tbody.querySelector(`input[data-manager-visit-photo="${ticketId}"]`);
             const desc = mgrDescEl ? mgrDescEl.value.trim() : '';
-            const file = mgrPhotoEl && mgrPhotoEl.files && mgrPhotoEl.files[0];
             if (!selectedSalesMgr) { if ($("mgrActionErr")) $("mgrActionErr").textContent = "Select a Sales Manager."; if (salesSelForTicket) salesSelForTicket.focus(); return; }
             if (!desc) { if ($("mgrActionErr")) $("mgrActionErr").textContent = "Enter manager visit description."; if (mgrDescEl) mgrDescEl.focus(); return; }
-          const finalize = (photoName, photoData) => {
+          const finalize = (photoIds) => {
             ticket.acceptedByManager = currentUser.userId;
             ticket.siteVisitRequired = true;
             ticket.visitBy = 'Manager';
             ticket.managerSiteVisitDescription = desc;
-            ticket.managerSiteVisitPhotoName = photoName || '';
-            ticket.managerSiteVisitPhotoData = photoData || '';
+            ticket.managerSiteVisitPhotoIds = photoIds;
             ticket.routeToSales = true;
             ticket.salesRequestedByManagerId = currentUser.userId;
             ticket.salesManagerId = selectedSalesMgr;
@@ -994,13 +2162,7 @@ function renderPendingTicketsForManager() {
             updateStats();
             if ($("mgrActionMsg")) $("mgrActionMsg").textContent = "Manager visit recorded and sent to Sales manager.";
           };
-            if (file) {
-              const reader = new FileReader();
-              reader.onload = () => finalize(file.name, reader.result);
-              reader.readAsDataURL(file);
-            } else {
-              finalize('', '');
-            }
+            withUploadedPhotos(mgrPhotoEl, ticketId, 'managerSiteVisit', $("mgrActionErr"), finalize);
             return;
           }
           if (!empId) {
@@ -1036,17 +2198,15 @@ function renderPendingTicketsForManager() {
           const noDescEl = tbody.querySelector(`input[data-no-visit-desc="${ticketId}"]`);
           const noPhotoEl = tbody.querySelector(`input[data-no-visit-photo="${ticketId}"]`);
           const desc = noDescEl ? noDescEl.value.trim() : '';
-          const file = noPhotoEl && noPhotoEl.files && noPhotoEl.files[0];
           if (!desc) { if ($("mgrActionErr")) $("mgrActionErr").textContent = "Enter description for no site visit."; if (noDescEl) noDescEl.focus(); return; }
-          const finalizeNoVisit = (photoName, photoData) => {
+          const finalizeNoVisit = (photoIds) => {
             ticket.routeToSales = true;
             ticket.status = "Pending Sales Approval";
             ticket.siteVisitRequired = false;
             ticket.salesRequestedByManagerId = currentUser.userId;
             ticket.quotationTime = qtVal;
             ticket.noSiteVisitDescription = desc;
-            ticket.noSiteVisitPhotoName = photoName || '';
-            ticket.noSiteVisitPhotoData = photoData || '';
+            ticket.noSiteVisitPhotoIds = photoIds;
             ticket.salesManagerId = selectedSalesMgr;
             ticket.assignedManagerIds = [selectedSalesMgr];
             btn.disabled = true;
@@ -1059,13 +2219,7 @@ function renderPendingTicketsForManager() {
             updateStats();
             if ($("mgrActionMsg")) $("mgrActionMsg").textContent = "Sent to Sales with description and image.";
           };
-          if (file) {
-            const reader = new FileReader();
-            reader.onload = () => finalizeNoVisit(file.name, reader.result);
-            reader.readAsDataURL(file);
-          } else {
-            finalizeNoVisit('', '');
-          }
+          withUploadedPhotos(noPhotoEl, ticketId, 'noSiteVisit', $("mgrActionErr"), finalizeNoVisit);
         }
       } else {
         if (!empId) {
@@ -1194,7 +2348,7 @@ function openManagerVisitModal(ticketId) {
         </div>
         <div id="mvMgrFields" class="hidden">
           <input id="mvMgrDesc" type="text" placeholder="Manager visit description" style="width:100%" />
-          <input id="mvMgrPhoto" type="file" accept="image/*" />
+          <input id="mvMgrPhoto" type="file" accept="image/*" multiple />
           <select id="mvSalesMgr" style="width:100%"><option value="">Select Sales Manager</option></select>
         </div>
         <div id="mvEmpFields" class="hidden">
@@ -1203,7 +2357,7 @@ function openManagerVisitModal(ticketId) {
         </div>
         <div id="mvNoVisitFields" class="hidden">
           <input id="mvNoDesc" type="text" placeholder="Description (no site visit)" style="width:100%" />
-          <input id="mvNoPhoto" type="file" accept="image/*" />
+          <input id="mvNoPhoto" type="file" accept="image/*" multiple />
           <input id="mvQt" type="text" placeholder="Quotation / time needed (e.g., 2 days)" style="width:100%" />
           <select id="mvSalesMgrNo" style="width:100%"><option value="">Select Sales Manager</option></select>
         </div>
@@ -1269,20 +2423,18 @@ function openManagerVisitModal(ticketId) {
       const qtVal = document.getElementById('mvQt').value.trim();
       const desc = document.getElementById('mvNoDesc').value.trim();
       const fileInput = document.getElementById('mvNoPhoto');
-      const file = fileInput && fileInput.files && fileInput.files[0];
       const salesSel = document.getElementById('mvSalesMgrNo');
       const selectedSalesMgr = salesSel ? salesSel.value : '';
       if (!selectedSalesMgr) { err.textContent = 'Select a Sales Manager.'; return; }
       if (!desc) { err.textContent = 'Enter description for no site visit.'; return; }
-      const finalize = (photoName, photoData) => {
+      const finalize = (photoIds) => {
         ticket.routeToSales = true;
         ticket.status = 'Pending Sales Approval';
         ticket.siteVisitRequired = false;
         ticket.salesRequestedByManagerId = currentUser.userId;
         ticket.quotationTime = qtVal;
         ticket.noSiteVisitDescription = desc;
-        ticket.noSiteVisitPhotoName = photoName || '';
-        ticket.noSiteVisitPhotoData = photoData || '';
+        ticket.noSiteVisitPhotoIds = photoIds;
         ticket.salesManagerId = selectedSalesMgr;
         ticket.assignedManagerIds = [selectedSalesMgr];
         logAction('manager','route_to_sales_no_visit', ticket.id, ticket.quotationTime || '');
@@ -1293,13 +2445,7 @@ function openManagerVisitModal(ticketId) {
         msg.textContent = 'Sent to Sales with description and image.';
         modal.classList.add('hidden');
       };
-      if (file) {
-        const reader = new FileReader();
-        reader.onload = () => finalize(file.name, reader.result);
-        reader.readAsDataURL(file);
-      } else {
-        finalize('', '');
-      }
+      withUploadedPhotos(fileInput, ticket.id, 'noSiteVisit', err, finalize);
       return;
     }
     const by = mvVisitBy ? mvVisitBy.value : '';
@@ -1307,17 +2453,15 @@ function openManagerVisitModal(ticketId) {
     if (by === 'self') {
       const desc = document.getElementById('mvMgrDesc').value.trim();
       const photoInput = document.getElementById('mvMgrPhoto');
-      const file = photoInput && photoInput.files && photoInput.files[0];
       const salesSel = document.getElementById('mvSalesMgr');
       const selectedSalesMgr = salesSel ? salesSel.value : '';
       if (!selectedSalesMgr) { err.textContent = 'Select a Sales Manager.'; return; }
       if (!desc) { err.textContent = 'Enter manager visit description.'; return; }
-      const finalize = (photoName, photoData) => {
+      const finalize = (photoIds) => {
         ticket.siteVisitRequired = true;
         ticket.visitBy = 'Manager';
         ticket.managerSiteVisitDescription = desc;
-        ticket.managerSiteVisitPhotoName = photoName || '';
-        ticket.managerSiteVisitPhotoData = photoData || '';
+        ticket.managerSiteVisitPhotoIds = photoIds;
         ticket.routeToSales = true;
         ticket.salesRequestedByManagerId = currentUser.userId;
         ticket.salesManagerId = selectedSalesMgr;
@@ -1331,13 +2475,7 @@ function openManagerVisitModal(ticketId) {
         msg.textContent = 'Manager visit recorded and sent to Sales manager.';
         modal.classList.add('hidden');
       };
-      if (file) {
-        const reader = new FileReader();
-        reader.onload = () => finalize(file.name, reader.result);
-        reader.readAsDataURL(file);
-      } else {
-        finalize('', '');
-      }
+      withUploadedPhotos(photoInput, ticket.id, 'managerSiteVisit', err, finalize);
       return;
     }
     if (by === 'employee') {
@@ -1426,6 +2564,20 @@ function refreshAdminTabData(tabName) {
     case "admins":
       renderAdminAdmins();
       break;
+    case "passwordResets":
+      renderAdminPasswordResets();
+      break;
+    case "audit":
+      searchAdminAudit();
+      break;
+    case "notifications":
+      renderAdminNotificationTemplates();
+      renderAdminOptOuts();
+      break;
+    case "sla":
+      renderAdminSla();
+      runSlaReport();
+      break;
   }
 }
 
@@ -1469,7 +2621,7 @@ function setupAdminManagerEmployees() {
   if (refreshBtn) refreshBtn.onclick = () => renderAdminManagerEmployees();
 
   if (hireBtn) {
-    hireBtn.onclick = () => {
+    hireBtn.onclick = async () => {
       const mgrId = $("hireMgrSelect").value;
       $("hireErr").textContent = '';
       $("hireMsg").textContent = '';
@@ -1488,7 +2640,8 @@ function setupAdminManagerEmployees() {
         const phone = $("hireEmpPhone").value.trim();
         const password = $("hireEmpPassword").value;
         if (!name || !email || !phone || !password) { $("hireErr").textContent = 'All fields are required'; return; }
-        const newId = "E" + (employees.length + 1).toString().padStart(3, "0");
+        const newId = await reserveId('employee');
+        if (!newId) { $("hireErr").textContent = ID_UNAVAILABLE; return; }
         employees.push({ id: newId, name, email, phone, password, role: 'employee', managerId: mgrId });
         $("hireMsg").textContent = `Hired ${name} and assigned to manager`;
         $("hireEmpName").value = '';
@@ -1540,6 +2693,23 @@ function updateAdminStats() {
   $("statTotalGroups").textContent = departmentsList.length;
 }
 
+// Force sign-out: revokes every server session of the user
+function bindForceSignOutButtons(tbody) {
+  Array.from(tbody.querySelectorAll("button[data-signout-user]")).forEach(btn => {
+    btn.onclick = async () => {
+      const id = btn.getAttribute("data-signout-user");
+      if (!confirm(`Sign ${id} out of all devices?`)) return;
+      const result = await apiSync(`/users/${encodeURIComponent(id)}/sign-out`, 'POST');
+      if (!result || !result.success) {
+        alert((result && result.error) || "Unable to reach the server.");
+        return;
+      }
+      logAction('admin', 'force_sign_out', id, `${result.revoked} session(s)`);
+      alert(`${id} signed out (${result.revoked} session(s) revoked).`);
+    };
+  });
+}
+
 // EMPLOYEES MANAGEMENT
 function renderAdminEmployees() {
   const tbody = $("employeesTableBody");
@@ -1560,10 +2730,12 @@ function renderAdminEmployees() {
       <td>
         ${perms.canEdit ? `<button class="btn small primary" data-edit-emp="${e.id}">Edit</button>` : ''}
         ${perms.canDelete ? `<button class="btn small secondary" data-delete-emp="${e.id}">Delete</button>` : ''}
+        ${perms.canEdit ? `<button class="btn small secondary" data-signout-user="${e.id}">Sign out</button>` : ''}
       </td>
     `;
     tbody.appendChild(tr);
   });
+  bindForceSignOutButtons(tbody);
 
   Array.from(tbody.querySelectorAll("button[data-delete-emp]")).forEach(btn => {
     btn.onclick = () => {
@@ -1670,7 +2842,8 @@ function setupEmployeeForm() {
         }
       }
 
-      const newId = "E" + (employees.length + 1).toString().padStart(3, "0");
+      const newId = await reserveId('employee');
+      if (!newId) { $("empAddErr").textContent = ID_UNAVAILABLE; return; }
       employees.push({
         id: newId,
         name: name,
@@ -1716,10 +2889,12 @@ function renderAdminManagers() {
       <td>
         ${perms.canEdit ? `<button class="btn small primary" data-edit-mgr="${m.id}">Edit</button>` : ''}
         ${perms.canDelete ? `<button class="btn small secondary" data-delete-mgr="${m.id}">Delete</button>` : ''}
+        ${perms.canEdit ? `<button class="btn small secondary" data-signout-user="${m.id}">Sign out</button>` : ''}
       </td>
     `;
     tbody.appendChild(tr);
   });
+  bindForceSignOutButtons(tbody);
 
   Array.from(tbody.querySelectorAll("button[data-delete-mgr]")).forEach(btn => {
     btn.onclick = () => {
@@ -1874,7 +3049,7 @@ function setupAdminAdminForm() {
   }
 
   if (saveBtn) {
-    saveBtn.onclick = () => {
+    saveBtn.onclick = async () => {
       const name = $("admName").value.trim();
       const email = $("admEmail").value.trim();
       const username = $("admUsername").value.trim();
@@ -1901,34 +3076,457 @@ function setupAdminAdminForm() {
         return;
       }
 
-      if (editId) {
-        const idx = admins.findIndex(a => a.id === editId);
-        if (idx >= 0) {
-          admins[idx].name = name;
-          admins[idx].email = email;
-          admins[idx].username = username;
-          admins[idx].password = password;
-          admins[idx].permissions = { canEdit, canDelete };
-          $("adminAddMsg").textContent = `Admin ${name} updated successfully!`;
-          setTimeout(() => {
-            form.classList.add("hidden");
-            form.dataset.editId = "";
-            renderAdminAdmins();
-          }, 1200);
-          return;
-        }
-      }
+      if (editId) {
+        const idx = admins.findIndex(a => a.id === editId);
+        if (idx >= 0) {
+          admins[idx].name = name;
+          admins[idx].email = email;
+          admins[idx].username = username;
+          admins[idx].password = password;
+          admins[idx].permissions = { canEdit, canDelete };
+          $("adminAddMsg").textContent = `Admin ${name} updated successfully!`;
+          setTimeout(() => {
+            form.classList.add("hidden");
+            form.dataset.editId = "";
+            renderAdminAdmins();
+          }, 1200);
+          return;
+        }
+      }
+
+      const newId = await reserveId('admin');
+      if (!newId) { $("adminAddErr").textContent = ID_UNAVAILABLE; return; }
+      admins.push({ id: newId, name, email, username, password, role: 'admin', permissions: { canEdit, canDelete } });
+      $("adminAddMsg").textContent = `Admin ${name} added successfully!`;
+      setTimeout(() => {
+        form.classList.add("hidden");
+        form.dataset.editId = "";
+        renderAdminAdmins();
+      }, 1200);
+    };
+  }
+}
+
+// PASSWORD RESET QUEUE
+function formatResetTs(ts) {
+  return ts ? new Date(ts).toLocaleString() : '-';
+}
+
+async function renderAdminPasswordResets() {
+  const tbody = $("resetRequestsTableBody");
+  const historyBody = $("resetHistoryTableBody");
+  if (!tbody || !historyBody) return;
+  const err = $("resetRequestsErr");
+  const perms = getCurrentAdminPerms();
+
+  const requests = await apiSync('/password-reset-requests');
+  if (!Array.isArray(requests)) {
+    if (err) err.textContent = (requests && requests.error) || "Unable to load reset requests.";
+    return;
+  }
+  if (err) err.textContent = "";
+
+  const pending = requests.filter(r => r.status === 'pending');
+  tbody.innerHTML = pending.length ? "" : '<tr><td colspan="4">No pending requests.</td></tr>';
+  pending.forEach(r => {
+    const tr = document.createElement("tr");
+    tr.innerHTML = `
+      <td>${formatResetTs(r.requestedAt)}</td>
+      <td>${r.name ? `${r.name} (${r.identifier})` : r.identifier}</td>
+      <td>${ROLE_LABELS[r.role] || r.role}</td>
+      <td>
+        ${perms.canEdit ? `<button class="btn small primary" data-approve-reset="${r.id}">Approve</button>` : ''}
+        ${perms.canEdit ? `<button class="btn small secondary" data-reject-reset="${r.id}">Reject</button>` : ''}
+      </td>
+    `;
+    tbody.appendChild(tr);
+  });
+
+  const history = requests.filter(r => r.status !== 'pending');
+  historyBody.innerHTML = history.length ? "" : '<tr><td colspan="6">No history yet.</td></tr>';
+  history.forEach(r => {
+    const tr = document.createElement("tr");
+    tr.innerHTML = `
+      <td>${formatResetTs(r.requestedAt)}</td>
+      <td>${r.name ? `${r.name} (${r.identifier})` : r.identifier}</td>
+      <td>${ROLE_LABELS[r.role] || r.role}</td>
+      <td>${r.status}${r.reason ? ` – ${r.reason}` : ''}</td>
+      <td>${formatResetTs(r.decidedAt)}</td>
+      <td>${r.decidedBy || '-'}</td>
+    `;
+    historyBody.appendChild(tr);
+  });
+
+  Array.from(tbody.querySelectorAll("button[data-approve-reset]")).forEach(btn => {
+    btn.onclick = async () => {
+      const id = btn.getAttribute("data-approve-reset");
+      if (!confirm("Approve this request and issue a temporary password?")) return;
+      const result = await apiSync(`/password-reset-requests/${id}/approve`, 'POST');
+      if (!result || !result.tempPassword) {
+        if (err) err.textContent = (result && result.error) || "Unable to reach the server.";
+        return;
+      }
+      $("resetTempPasswordUser").textContent = result.request.identifier;
+      $("resetTempPasswordValue").textContent = result.tempPassword;
+      $("resetTempPasswordBox").classList.remove("hidden");
+      logAction('admin', 'approve_password_reset', null, `${result.request.role}:${result.request.identifier}`);
+      renderAdminPasswordResets();
+    };
+  });
+
+  Array.from(tbody.querySelectorAll("button[data-reject-reset]")).forEach(btn => {
+    btn.onclick = async () => {
+      const id = btn.getAttribute("data-reject-reset");
+      const reason = prompt("Reason for rejecting (optional):");
+      if (reason === null) return;
+      const result = await apiSync(`/password-reset-requests/${id}/reject`, 'POST', { reason: reason.trim() });
+      if (!result || !result.success) {
+        if (err) err.textContent = (result && result.error) || "Unable to reach the server.";
+        return;
+      }
+      logAction('admin', 'reject_password_reset', null, `${result.request.role}:${result.request.identifier}`);
+      renderAdminPasswordResets();
+    };
+  });
+}
+
+// AUDIT LOG (GET /api/audit, newest first)
+const AUDIT_FILTERS = {
+  ticketId: "auditTicketFilter",
+  actor: "auditActorFilter",
+  action: "auditActionFilter",
+  from: "auditFromFilter",
+  to: "auditToFilter"
+};
+let auditCursors = [null];   // cursor that loads each page visited so far
+let auditPage = 0;
+let auditNextCursor = null;
+
+function describeAuditChanges(changes) {
+  if (!changes) return '-';
+  const parts = Object.entries(changes).map(([field, change]) =>
+    `${field}: ${conflictValue(change.from)} → ${conflictValue(change.to)}`);
+  return parts.length ? parts.join('; ') : '-';
+}
+
+async function renderAdminAudit() {
+  const tbody = $("auditTableBody");
+  if (!tbody) return;
+  const err = $("auditErr");
+  const params = new URLSearchParams();
+  Object.entries(AUDIT_FILTERS).forEach(([name, id]) => {
+    const value = $(id).value.trim();
+    if (value) params.set(name, value);
+  });
+  if (auditCursors[auditPage]) params.set('cursor', auditCursors[auditPage]);
+
+  const page = await apiSync(`/audit?${params}`);
+  if (!page || !Array.isArray(page.items)) {
+    err.textContent = (page && page.error) || "Unable to load the audit log.";
+    return;
+  }
+  err.textContent = "";
+  auditNextCursor = page.nextCursor;
+
+  tbody.innerHTML = page.items.length ? "" : '<tr><td colspan="6">No matching entries.</td></tr>';
+  page.items.forEach(entry => {
+    const tr = document.createElement("tr");
+    [
+      formatResetTs(entry.at),
+      entry.actorName && entry.actor ? `${entry.actorName} (${entry.actor})` : (entry.actorName || entry.actor || '-'),
+      ROLE_LABELS[entry.role] || entry.role || '-',
+      entry.details ? `${entry.action} (${entry.details})` : entry.action,
+      entry.entity ? `${entry.entity} ${entry.entityId || ''}` : '-',
+      describeAuditChanges(entry.changes)
+    ].forEach(text => {
+      const td = document.createElement("td");
+      td.textContent = text;
+      tr.appendChild(td);
+    });
+    tbody.appendChild(tr);
+  });
+
+  $("auditPageLabel").textContent = `Page ${auditPage + 1}`;
+  $("auditNewerBtn").disabled = auditPage === 0;
+  $("auditOlderBtn").disabled = !auditNextCursor;
+}
+
+function searchAdminAudit() {
+  auditCursors = [null];
+  auditPage = 0;
+  renderAdminAudit();
+}
+
+// TICKET MESSAGE TEMPLATES (GET/PUT/DELETE /api/notification-templates)
+const NOTIFICATION_TARGET_LABELS = {
+  customerEmail: "Customer email",
+  customerPhone: "Customer text",
+  engineerPhone: "Engineer text"
+};
+const NOTIFICATION_LABELS = {
+  created: "Ticket created",
+  engineerAssigned: "Engineer assigned",
+  siteVisitScheduled: "Site visit scheduled",
+  completed: "Work completed",
+  invoiceIssued: "Invoice issued"
+};
+let notifTemplates = [];
+let editingNotifEvent = null;
+
+async function renderAdminNotificationTemplates() {
+  const tbody = $("notifTemplatesTableBody");
+  if (!tbody) return;
+  const err = $("notifTemplatesErr");
+  const perms = getCurrentAdminPerms();
+
+  const result = await apiSync('/notification-templates');
+  if (!result || !Array.isArray(result.templates)) {
+    err.textContent = (result && result.error) || "Unable to load message templates.";
+    return;
+  }
+  err.textContent = "";
+  notifTemplates = result.templates;
+  $("notifTemplatePlaceholders").textContent =
+    `Placeholders: ${result.placeholders.map(name => `{{${name}}}`).join(', ')}`;
+
+  tbody.innerHTML = "";
+  notifTemplates.forEach(t => {
+    const tr = document.createElement("tr");
+    [
+      t.label,
+      t.subject,
+      `${t.enabled ? 'On' : 'Off'}${t.custom ? ' (edited)' : ''}`
+    ].forEach(text => {
+      const td = document.createElement("td");
+      td.textContent = text;
+      tr.appendChild(td);
+    });
+    const actions = document.createElement("td");
+    actions.innerHTML = perms.canEdit ? `<button class="btn small primary" data-edit-notif="${t.event}">Edit</button>` : '-';
+    tr.appendChild(actions);
+    tbody.appendChild(tr);
+  });
+
+  Array.from(tbody.querySelectorAll("button[data-edit-notif]")).forEach(btn => {
+    btn.onclick = () => openNotificationTemplate(btn.getAttribute("data-edit-notif"));
+  });
+}
+
+function openNotificationTemplate(event) {
+  const template = notifTemplates.find(t => t.event === event);
+  if (!template) return;
+  editingNotifEvent = event;
+  $("notifTemplateTitle").textContent = template.label;
+  $("notifTemplateSubject").value = template.subject;
+  $("notifTemplateText").value = template.text;
+  $("notifTemplateSms").value = template.sms || "";
+  $("notifTemplateEngineerSms").value = template.engineerSms || "";
+  $("notifTemplateEnabled").checked = template.enabled !== false;
+  $("resetNotifTemplateBtn").disabled = !template.custom;
+  $("notifTemplatesMsg").textContent = "";
+  $("notifTemplatesErr").textContent = "";
+  $("notifTemplateForm").classList.remove("hidden");
+}
+
+// `deliveries` is one event's entry in ticket.notifications, keyed by target
+function describeNotifications(deliveries) {
+  return Object.entries(deliveries || {})
+    .map(([target, n]) => `${NOTIFICATION_TARGET_LABELS[target] || target}: ${describeNotification(n)}`);
+}
+
+function describeNotification(notification) {
+  const when = formatResetTs(notification.at);
+  if (notification.status === 'sent') return `Sent to ${notification.to} – ${when}`;
+  if (notification.status === 'failed') return `Failed (${notification.error || 'unknown error'}) – ${when}`;
+  return `Not sent: ${notification.reason || 'skipped'} – ${when}`;
+}
+
+// TEXT MESSAGE OPT-OUTS (/api/messaging/opt-outs)
+async function renderAdminOptOuts() {
+  const tbody = $("optOutsTableBody");
+  if (!tbody) return;
+  const err = $("optOutsErr");
+  const perms = getCurrentAdminPerms();
+
+  const optOuts = await apiSync('/messaging/opt-outs');
+  if (!Array.isArray(optOuts)) {
+    err.textContent = (optOuts && optOuts.error) || "Unable to load opt-outs.";
+    return;
+  }
+  err.textContent = "";
+  tbody.innerHTML = optOuts.length ? "" : '<tr><td colspan="4">No opt-outs.</td></tr>';
+  optOuts.forEach(o => {
+    const tr = document.createElement("tr");
+    tr.innerHTML = `
+      <td>+${o.phone}</td>
+      <td>${formatResetTs(o.at)}</td>
+      <td>${o.source === 'reply' ? 'Replied STOP' : 'Added by staff'}</td>
+      <td>${perms.canEdit ? `<button class="btn small secondary" data-remove-optout="${o.phone}">Remove</button>` : '-'}</td>
+    `;
+    tbody.appendChild(tr);
+  });
+
+  Array.from(tbody.querySelectorAll("button[data-remove-optout]")).forEach(btn => {
+    btn.onclick = async () => {
+      const phone = btn.getAttribute("data-remove-optout");
+      if (!confirm(`Resume ticket texts to +${phone}?`)) return;
+      const result = await apiSync(`/messaging/opt-outs/${encodeURIComponent(phone)}`, 'DELETE');
+      if (!result || !result.success) {
+        err.textContent = (result && result.error) || "Unable to reach the server.";
+        return;
+      }
+      logAction('admin', 'remove_message_opt_out', null, phone);
+      renderAdminOptOuts();
+    };
+  });
+}
+
+// SLA POLICIES, BUSINESS HOURS AND COMPLIANCE (/api/sla)
+let slaPolicies = [];
+let editingSlaPolicyId = null;   // null while adding one
+const SLA_WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+const slaHoursText = (hours) => hours ? `${hours}h` : '-';
+
+async function renderAdminSla() {
+  const tbody = $("slaPoliciesTableBody");
+  if (!tbody) return;
+  const err = $("slaPoliciesErr");
+  const perms = getCurrentAdminPerms();
+  $("addSlaPolicyBtn").classList.toggle("hidden", !perms.canEdit);
+
+  const result = await apiSync('/sla/policies');
+  if (!result || !Array.isArray(result.policies)) {
+    err.textContent = (result && result.error) || "Unable to load SLA policies.";
+    return;
+  }
+  err.textContent = "";
+  slaPolicies = result.policies;
+  const d = result.defaultPolicy;
+  $("slaDefaultPolicy").textContent = `Tickets no policy matches: response ${slaHoursText(d.firstResponseHours)}, site visit ${slaHoursText(d.siteVisitHours)}, resolution ${slaHoursText(d.resolutionHours)}${d.businessHours ? ' in business hours' : ' round the clock'}.`;
+
+  tbody.innerHTML = slaPolicies.length ? "" : '<tr><td colspan="7">No policies yet.</td></tr>';
+  slaPolicies.forEach(p => {
+    const customer = p.customerId && customers.find(c => c.id === p.customerId);
+    const scope = [
+      p.callType,
+      p.department,
+      p.customerId && (customer ? (customer.type === 'corporate' ? customer.companyName : customer.name) : p.customerId)
+    ].filter(Boolean).join(' • ');
+    const tr = document.createElement("tr");
+    [
+      `${p.name}${p.enabled === false ? ' (inactive)' : ''}`,
+      scope || 'All tickets',
+      slaHoursText(p.firstResponseHours),
+      slaHoursText(p.siteVisitHours),
+      slaHoursText(p.resolutionHours),
+      p.businessHours === false ? '24x7' : 'Business hours'
+    ].forEach(text => {
+      const td = document.createElement("td");
+      td.textContent = text;
+      tr.appendChild(td);
+    });
+    const actions = document.createElement("td");
+    actions.innerHTML = [
+      perms.canEdit ? `<button class="btn small primary" data-edit-sla="${p.id}">Edit</button>` : '',
+      perms.canDelete ? `<button class="btn small danger" data-delete-sla="${p.id}">Delete</button>` : ''
+    ].join(' ').trim() || '-';
+    tr.appendChild(actions);
+    tbody.appendChild(tr);
+  });
+
+  Array.from(tbody.querySelectorAll("button[data-edit-sla]")).forEach(btn => {
+    btn.onclick = () => openSlaPolicy(slaPolicies.find(p => p.id === btn.getAttribute("data-edit-sla")));
+  });
+  Array.from(tbody.querySelectorAll("button[data-delete-sla]")).forEach(btn => {
+    btn.onclick = async () => {
+      const policy = slaPolicies.find(p => p.id === btn.getAttribute("data-delete-sla"));
+      if (!policy || !confirm(`Delete the SLA policy "${policy.name}"?`)) return;
+      const result = await apiSync(`/sla/policies/${encodeURIComponent(policy.id)}`, 'DELETE');
+      if (!result || !result.success) {
+        err.textContent = (result && result.error) || "Unable to reach the server.";
+        return;
+      }
+      logAction('admin', 'delete_sla_policy', null, policy.name);
+      await renderAdminSla();
+      $("slaPoliciesMsg").textContent = "Policy deleted.";
+    };
+  });
+
+  await renderAdminSlaCalendar();
+}
 
-      const newId = 'A' + (admins.length + 1).toString().padStart(3, '0');
-      admins.push({ id: newId, name, email, username, password, role: 'admin', permissions: { canEdit, canDelete } });
-      $("adminAddMsg").textContent = `Admin ${name} added successfully!`;
-      setTimeout(() => {
-        form.classList.add("hidden");
-        form.dataset.editId = "";
-        renderAdminAdmins();
-      }, 1200);
-    };
+function openSlaPolicy(policy) {
+  editingSlaPolicyId = policy ? policy.id : null;
+  $("slaPolicyTitle").textContent = policy ? `Edit ${policy.name}` : "New Policy";
+  $("slaPolicyCustomer").innerHTML = '<option value="">Any</option>' + customers.map(c => `<option value="${c.id}">${c.type === 'corporate' ? (c.companyName || c.name) : c.name} (${c.id})</option>`).join('');
+  $("slaPolicyName").value = policy ? policy.name : "";
+  $("slaPolicyCallType").value = (policy && policy.callType) || "";
+  $("slaPolicyDepartment").value = (policy && policy.department) || "";
+  $("slaPolicyCustomer").value = (policy && policy.customerId) || "";
+  $("slaPolicyResponse").value = (policy && policy.firstResponseHours) || "";
+  $("slaPolicySiteVisit").value = (policy && policy.siteVisitHours) || "";
+  $("slaPolicyResolution").value = (policy && policy.resolutionHours) || "";
+  $("slaPolicyBusinessHours").checked = !policy || policy.businessHours !== false;
+  $("slaPolicyEnabled").checked = !policy || policy.enabled !== false;
+  $("slaPoliciesMsg").textContent = "";
+  $("slaPoliciesErr").textContent = "";
+  $("slaPolicyForm").classList.remove("hidden");
+}
+
+async function renderAdminSlaCalendar() {
+  const calendar = await apiSync('/sla/calendar');
+  if (!calendar || !Array.isArray(calendar.days)) {
+    $("slaCalendarErr").textContent = (calendar && calendar.error) || "Unable to load business hours.";
+    return;
+  }
+  $("slaCalendarErr").textContent = "";
+  $("slaCalTimeZone").value = calendar.timeZone;
+  $("slaCalStart").value = calendar.start;
+  $("slaCalEnd").value = calendar.end;
+  $("slaCalDays").innerHTML = SLA_WEEKDAYS.map((name, i) =>
+    `<label><input type="checkbox" data-sla-day="${i}" ${calendar.days.includes(i) ? 'checked' : ''} /> ${name}</label>`).join('');
+  $("slaCalHolidays").value = (calendar.holidays || []).join('\n');
+}
+
+async function runSlaReport() {
+  const tbody = $("slaReportTableBody");
+  if (!tbody) return;
+  const err = $("slaReportErr");
+  const params = new URLSearchParams();
+  if ($("slaReportFrom").value) params.set('from', $("slaReportFrom").value);
+  if ($("slaReportTo").value) params.set('to', $("slaReportTo").value);
+  const query = params.toString();
+
+  const report = await apiSync(`/sla/report${query ? `?${query}` : ''}`);
+  if (!report || !report.stages) {
+    err.textContent = (report && report.error) || "Unable to build the SLA report.";
+    return;
   }
+  err.textContent = "";
+  $("slaReportSummary").textContent = `${report.tickets} ticket(s) • as of ${formatResetTs(report.generatedAt)}. Overdue stages count as missed.`;
+  tbody.innerHTML = "";
+  [{ policyName: 'All policies', stages: report.stages }, ...report.policies].forEach(group => {
+    Object.entries(group.stages).forEach(([stage, c]) => {
+      if (!c.onTime && !c.late && !c.overdue && !c.pending) return;
+      const tr = document.createElement("tr");
+      [
+        group.policyName,
+        SLA_STAGE_LABELS[stage] || stage,
+        c.onTime,
+        c.late,
+        c.overdue,
+        c.pending,
+        c.compliance === null ? '-' : `${c.compliance}%`
+      ].forEach(text => {
+        const td = document.createElement("td");
+        td.textContent = text;
+        tr.appendChild(td);
+      });
+      tbody.appendChild(tr);
+    });
+  });
+  if (!tbody.children.length) tbody.innerHTML = '<tr><td colspan="7">No tickets in this period.</td></tr>';
 }
 
 function applyAdminPermissionUI() {
@@ -2043,7 +3641,7 @@ function setupManagerForm() {
   }
 
   if (saveBtn) {
-    saveBtn.onclick = () => {
+    saveBtn.onclick = async () => {
       const name = mgrName.value.trim();
       const email = mgrEmail.value.trim();
       const phone = (typeof mgrPhone !== 'undefined' && mgrPhone.value) ? mgrPhone.value.trim() : '';
@@ -2089,7 +3687,8 @@ function setupManagerForm() {
         }
       }
 
-      const newId = 'M' + (managers.length + 1).toString().padStart(3, '0');
+      const newId = await reserveId('manager');
+      if (!newId) { mgrAddErr.textContent = ID_UNAVAILABLE; return; }
       managers.push({
         id: newId,
         name: name,
@@ -2267,7 +3866,7 @@ function setupGroupForm() {
   }
 
   if (saveBtn) {
-    saveBtn.onclick = () => {
+    saveBtn.onclick = async () => {
       const name = (form.querySelector('#groupName')?.value || '').trim();
       const callType = form.querySelector('#groupCallType')?.value || '';
 
@@ -2281,7 +3880,8 @@ function setupGroupForm() {
         return;
       }
 
-      const newId = "GRP" + (callGroups.length + 1).toString().padStart(3, "0");
+      const newId = await reserveId('callGroup');
+      if (!newId) { if (err) err.textContent = ID_UNAVAILABLE; return; }
       callGroups.push({
         id: newId,
         name: name,
@@ -2379,7 +3979,7 @@ function setupCompanyForm() {
   }
 
   if (saveBtn) {
-    saveBtn.onclick = () => {
+    saveBtn.onclick = async () => {
       const name = $("companyName").value.trim();
       const email = $("companyEmail").value.trim();
       const phone = $("companyPhone").value.trim();
@@ -2411,7 +4011,8 @@ function setupCompanyForm() {
         }
       }
 
-      const newId = "C" + (companies.length + 1).toString().padStart(3, "0");
+      const newId = await reserveId('company');
+      if (!newId) { $("companyAddErr").textContent = ID_UNAVAILABLE; return; }
       companies.push({ id: newId, name, email, phone, gstNo: gst });
       $("companyAddMsg").textContent = `✅ Company ${name} added successfully!`;
       setTimeout(() => {
@@ -2425,11 +4026,15 @@ function setupCompanyForm() {
 
 // CUSTOMERS MANAGEMENT
 function renderAdminCustomers() {
+  schedulePagedTable('customers', drawAdminCustomers);
+}
+
+function drawAdminCustomers(list) {
   const tbody = $("customersTableBody");
-  tbody.innerHTML = "";
+  tbody.innerHTML = list.length ? "" : '<tr><td colspan="6">No matching customers.</td></tr>';
   const perms = getCurrentAdminPerms();
 
-  customers.forEach(c => {
+  list.forEach(c => {
     const tr = document.createElement("tr");
     tr.innerHTML = `
       <td>${c.id}</td>
@@ -2513,7 +4118,7 @@ function setupCustomerForm() {
   }
 
   if (saveBtn) {
-    saveBtn.onclick = () => {
+    saveBtn.onclick = async () => {
       const name = $("custName").value.trim();
       const email = $("custEmail").value.trim();
       const phone = $("custPhone").value.trim();
@@ -2546,7 +4151,8 @@ function setupCustomerForm() {
         }
       }
 
-      const newId = "CUS" + (customers.length + 1).toString().padStart(4, "0");
+      const newId = await reserveId('customer');
+      if (!newId) { $("customerAddErr").textContent = ID_UNAVAILABLE; return; }
       customers.push({ id: newId, type: companyId ? "corporate" : "individual", name, email, phone, companyId, address: "", gst: "" });
       $("customerAddMsg").textContent = `Customer ${name} added successfully!`;
       setTimeout(() => {
@@ -2559,11 +4165,149 @@ function setupCustomerForm() {
 }
 
 // TICKETS VIEW
+// Admin tables paged by the server (limit/cursor/filters, see
+// lib/listing.js in the backend). `filters` maps query parameters to their
+// inputs; `cursors` holds the cursor of every page visited so far. Rows
+// show the local copy of a record when there is one, so unsynced edits stay
+// visible, and records deleted locally are hidden until the server agrees.
+const ADMIN_PAGE_SIZE = 25;
+const pagedTables = {
+  tickets: {
+    endpoint: '/tickets',
+    prefix: 'adminTickets',
+    tab: 'adminTabTickets',
+    records: () => tickets,
+    filters: {
+      q: 'adminTicketsSearch',
+      status: 'adminTicketsStatusFilter',
+      assignedEmployeeId: 'adminTicketsEmployeeFilter',
+      from: 'adminTicketsFromFilter',
+      to: 'adminTicketsToFilter',
+      sort: 'adminTicketsSort'
+    },
+    cursors: [null], page: 0, nextCursor: null, timer: null
+  },
+  customers: {
+    endpoint: '/customers',
+    prefix: 'customers',
+    tab: 'adminTabCustomers',
+    records: () => customers,
+    filters: { q: 'customersSearch', type: 'customersTypeFilter', sort: 'customersSort' },
+    cursors: [null], page: 0, nextCursor: null, timer: null
+  }
+};
+
+// Re-renders coalesce: many handlers refresh every view after a change
+function schedulePagedTable(name, draw) {
+  const table = pagedTables[name];
+  const tab = $(table.tab);
+  if (!currentUser || currentUser.role !== 'admin' || (tab && tab.classList.contains('hidden'))) return;
+  clearTimeout(table.timer);
+  table.timer = setTimeout(() => loadPagedTable(name, draw), 150);
+}
+
+async function loadPagedTable(name, draw) {
+  const table = pagedTables[name];
+  const err = $(`${table.prefix}Err`);
+  const params = new URLSearchParams({ limit: String(ADMIN_PAGE_SIZE) });
+  Object.entries(table.filters).forEach(([param, id]) => {
+    const el = $(id);
+    const value = el ? el.value.trim() : '';
+    if (value) params.set(param, value);
+  });
+  if (table.cursors[table.page]) params.set('cursor', table.cursors[table.page]);
+
+  const result = await apiRequest(`${table.endpoint}?${params}`);
+  if (!result) {
+    if (err) err.textContent = "Offline: showing all records saved on this device.";
+    table.nextCursor = null;
+    draw(table.records());
+    updatePager(table, null);
+    return;
+  }
+  if (!result.ok || !result.data || !Array.isArray(result.data.items)) {
+    if (err) err.textContent = (result.data && result.data.error) || "Unable to load this page.";
+    return;
+  }
+  if (err) err.textContent = "";
+  table.nextCursor = result.data.nextCursor;
+  const local = table.records();
+  const rows = result.data.items
+    .map(item => local.find(r => r.id === item.id) || (outboxState[`${name}|${item.id}`] ? null : item))
+    .filter(Boolean);
+  draw(rows);
+  updatePager(table, result.data.total);
+}
+
+function updatePager(table, total) {
+  const label = $(`${table.prefix}PageLabel`);
+  if (label) {
+    label.textContent = total === null
+      ? "All local records"
+      : `Page ${table.page + 1} of ${Math.max(1, Math.ceil(total / ADMIN_PAGE_SIZE))} (${total})`;
+  }
+  const prev = $(`${table.prefix}PrevBtn`);
+  const next = $(`${table.prefix}NextBtn`);
+  if (prev) prev.disabled = table.page === 0;
+  if (next) next.disabled = !table.nextCursor;
+}
+
+// Search/Reset/Previous/Next buttons of a paged table
+function setupPagedTableControls(name, render) {
+  const table = pagedTables[name];
+  const restart = () => {
+    table.cursors = [null];
+    table.page = 0;
+    render();
+  };
+  const search = $(`${table.prefix}SearchBtn`);
+  if (search) search.onclick = restart;
+  const reset = $(`${table.prefix}ResetBtn`);
+  if (reset) {
+    reset.onclick = () => {
+      Object.values(table.filters).forEach(id => { const el = $(id); if (el) el.value = el.tagName === 'SELECT' ? el.options[0].value : ""; });
+      restart();
+    };
+  }
+  Object.values(table.filters).forEach(id => {
+    const el = $(id);
+    if (el && el.tagName === 'SELECT') el.onchange = restart;
+  });
+  const prev = $(`${table.prefix}PrevBtn`);
+  if (prev) {
+    prev.onclick = () => {
+      if (table.page === 0) return;
+      table.page--;
+      render();
+    };
+  }
+  const next = $(`${table.prefix}NextBtn`);
+  if (next) {
+    next.onclick = () => {
+      if (!table.nextCursor) return;
+      table.cursors[table.page + 1] = table.nextCursor;
+      table.page++;
+      render();
+    };
+  }
+}
+
 function renderAdminAllTickets() {
+  const employeeFilter = $("adminTicketsEmployeeFilter");
+  if (employeeFilter) {
+    const selected = employeeFilter.value;
+    employeeFilter.innerHTML = '<option value="">All employees</option>' +
+      employees.map(e => `<option value="${e.id}">${e.name}</option>`).join('');
+    employeeFilter.value = selected;
+  }
+  schedulePagedTable('tickets', drawAdminTickets);
+}
+
+function drawAdminTickets(list) {
   const tbody = $("adminTicketsTableBody");
-  tbody.innerHTML = "";
+  tbody.innerHTML = list.length ? "" : '<tr><td colspan="7">No matching tickets.</td></tr>';
 
-  tickets.forEach(t => {
+  list.forEach(t => {
     const manager = t.acceptedByManager
       ? (managers.find(m => m.id === t.acceptedByManager)?.name || "Unassigned")
       : (t.assignedManagerIds && t.assignedManagerIds.length > 0
@@ -2573,7 +4317,7 @@ function renderAdminAllTickets() {
     
     const tr = document.createElement("tr");
     tr.innerHTML = `
-      <td>${t.id}</td>
+      <td>${t.id}${syncBadge('tickets', t.id)}</td>
       <td>${t.customerName}</td>
       <td>${t.callType || "General"}</td>
       <td><span style="background: ${t.status === "Pending Assignment" ? "rgba(255,165,0,0.2)" : "rgba(81,207,102,0.2)"}; padding: 4px 8px; border-radius: 4px;">${t.status}</span></td>
@@ -2621,21 +4365,6 @@ function renderAdminReports() {
     li.innerHTML = `<span>${name}</span><span style="font-weight: 800; color: #51cf66;">${perf.completed}/${perf.total} (${percentage}%)</span>`;
     perfList.appendChild(li);
   });
-
-  // Action Logs (compact)
-  const statusList2 = statusList; // reuse existing list to avoid layout changes
-  if (systemLogs.length > 0) {
-    const divider = document.createElement('li');
-    divider.style.cssText = 'padding:8px 0; font-weight:700; color:#e84c3d;';
-    divider.textContent = 'Action Logs';
-    statusList2.appendChild(divider);
-    systemLogs.forEach(log => {
-      const li = document.createElement('li');
-      li.style.cssText = 'padding:6px 0; font-size:12px; color:rgba(255,255,255,0.85);';
-      li.textContent = `${log.ts} - ${log.actor} ${log.action} (${log.ticketId}) ${log.details||''}`;
-      statusList2.appendChild(li);
-    });
-  }
 }
 
 // Global refresh to keep pages linked
@@ -3289,7 +5018,7 @@ function populateExistingCustomers(type) {
   });
 }
 
-function saveNewCustomer() {
+async function saveNewCustomer() {
   const type = $("foCustType").value;
   const name = $("foNewCustName").value.trim();
   const phone = $("foNewCustPhone").value.trim();
@@ -3305,7 +5034,8 @@ function saveNewCustomer() {
     return;
   }
 
-  const newCustId = "CUS" + (customers.length + 1).toString().padStart(4, "0");
+  const newCustId = await reserveId('customer');
+  if (!newCustId) { $("foNewCustErr").textContent = ID_UNAVAILABLE; return; }
   
   if (type === "corporate") {
     const companyName = $("foNewCompanyName").value.trim();
@@ -3352,7 +5082,7 @@ function saveNewCustomer() {
   }, 1000);
 }
 
-function createTicketFromFrontOffice() {
+async function createTicketFromFrontOffice() {
   const custId = $("foSelectExistingCust").value;
   const callType = $("foCallType").value;
   const problemTitle = $("foProblemTitle").value.trim();
@@ -3373,7 +5103,8 @@ function createTicketFromFrontOffice() {
   }
 
   // Create ticket; Help Desk will select department and assign managers
-  const ticketId = "TKT" + (tickets.length + 1).toString().padStart(4, "0");
+  const ticketId = await reserveId('ticket');
+  if (!ticketId) { $("foTicketErr").textContent = ID_UNAVAILABLE; return; }
   const newTicket = {
     id: ticketId,
     customerId: cust.id,
@@ -3487,7 +5218,7 @@ function renderEmployeeTasks() {
   pendingTickets.forEach(t => {
     const tr = document.createElement("tr");
     tr.innerHTML = `
-      <td>${t.id}</td>
+      <td>${t.id}${syncBadge('tickets', t.id)}</td>
       <td>${t.customerName}</td>
       <td>${t.customerPhone ? t.customerPhone + " (Location)" : "Address not available"}</td>
       <td>${t.callType || t.serviceType || "General Service"}</td>
@@ -3503,7 +5234,7 @@ function renderEmployeeTasks() {
   activeTickets.forEach(t => {
     const tr = document.createElement("tr");
     tr.innerHTML = `
-      <td>${t.id}</td>
+      <td>${t.id}${syncBadge('tickets', t.id)}</td>
       <td>${t.customerName}</td>
       <td>${t.callType || "Service"}</td>
       <td>~ 2 hours</td>
@@ -3519,7 +5250,7 @@ function renderEmployeeTasks() {
   completedTickets.forEach(t => {
     const tr = document.createElement("tr");
     tr.innerHTML = `
-      <td>${t.id}</td>
+      <td>${t.id}${syncBadge('tickets', t.id)}</td>
       <td>${t.customerName}</td>
       <td>${t.callType || "Service"}</td>
       <td>${t.completedDate || "N/A"}</td>
@@ -3931,7 +5662,17 @@ function openPaymentPage(ticket) {
 }
 
 /* Login handling */
-function login() {
+const ROLE_LABELS = {
+  admin: "admin",
+  frontoffice: "front office",
+  manager: "manager",
+  employee: "employee",
+  finance: "finance",
+  helpdesk: "help desk",
+  hr: "HR"
+};
+
+async function login() {
   const username = $("loginUsername").value.trim();
   const password = $("loginPassword").value;
   const role = $("loginRole").value;
@@ -3947,82 +5688,60 @@ function login() {
     return;
   }
 
-  if (role === "admin") {
-    const admin = admins.find(a => (a.username === username || a.email === username) && a.password === password);
-    if (admin) {
-      currentUser = { role: "admin", username: admin.username, name: admin.name, userId: admin.id, isLoggedIn: true };
-    } else {
-      $("loginError").textContent = "Invalid admin credentials.";
-      return;
-    }
-  } else if (role === "frontoffice") {
-    const user = frontOfficeUsers.find(u => (u.username === username || u.email === username) && u.password === password);
-    if (user) {
-      currentUser = { role: "frontoffice", username, name: user.name, userId: user.id, isLoggedIn: true };
-    } else {
-      $("loginError").textContent = "Invalid front office credentials.";
-      return;
-    }
-  } else if (role === "manager") {
-    const user = managers.find(m => (m.username === username || m.email === username) && m.password === password);
-    if (user) {
-      currentUser = { role: "manager", username, name: user.name, userId: user.id, isLoggedIn: true };
-    } else {
-      $("loginError").textContent = "Invalid manager credentials.";
-      return;
-    }
-  } else if (role === "employee") {
-    const emp = employees.find(
-      e =>
-        (e.username && e.username === username) ||
-        e.email === username
-    );
-    if (!emp || emp.password !== password) {
-      $("loginError").textContent = "Invalid employee credentials.";
-      return;
-    }
-    currentUser = {
-      role: "employee",
-      username,
-      name: emp.name,
-      employeeId: emp.id,
-      isLoggedIn: true
-    };
-  } else if (role === "finance") {
-    const fin = financeUsers.find(f => (f.username === username || f.email === username) && f.password === password);
-    if (fin) {
-      currentUser = { role: "finance", username, name: fin.name, userId: fin.id, isLoggedIn: true };
-    } else {
-      $("loginError").textContent = "Invalid finance credentials.";
-      return;
-    }
-  } else if (role === "helpdesk") {
-    const hd = helpDeskUsers.find(h => (h.username === username || h.email === username) && h.password === password);
-    if (hd) {
-      currentUser = { role: "helpdesk", username, name: hd.name, userId: hd.id, isLoggedIn: true };
-    } else {
-      $("loginError").textContent = "Invalid help desk credentials.";
-      return;
-    }
-  } else if (role === "hr") {
-    const hr = hrUsers.find(h => (h.username === username || h.email === username) && h.password === password);
-    if (hr) {
-      currentUser = { role: "hr", username, name: hr.name, userId: hr.id, isLoggedIn: true };
-    } else {
-      $("loginError").textContent = "Invalid HR credentials.";
-      return;
-    }
-  } else {
+  if (!ROLE_LABELS[role]) {
     $("loginError").textContent = "Invalid credentials.";
     return;
   }
 
+  const result = await apiSync('/login', 'POST', { identifier: username, password, role });
+  if (!result) {
+    $("loginError").textContent = "Unable to reach the server. Please try again.";
+    return;
+  }
+  if (!result.token) {
+    $("loginError").textContent = result.error === 'Invalid credentials'
+      ? `Invalid ${ROLE_LABELS[role]} credentials.`
+      : (result.error || "Login failed.");
+    return;
+  }
+
+  setAuthToken(result.token, result.refreshToken);
   $("loginUsername").value = "";
   $("loginPassword").value = "";
   onLoginSuccess();
 }
 
-function onLoginSuccess() {
+async function onLoginSuccess() {
+  const claims = decodeTokenClaims(authToken);
+  if (!claims) {
+    $("loginError").textContent = "Login failed.";
+    return;
+  }
+  currentUser = {
+    role: claims.role,
+    username: claims.username || claims.email,
+    name: claims.name,
+    userId: claims.userId,
+    isLoggedIn: true
+  };
+  if (claims.employeeId) currentUser.employeeId = claims.employeeId;
+  if (claims.permissions) currentUser.permissions = claims.permissions;
+
+  // Signed in with an admin-issued temporary password: the backend only
+  // accepts a password change until it is replaced
+  if (claims.mustChangePassword) {
+    currentUser = null;
+    $("cpMsg").textContent = "";
+    $("cpErr").textContent = "";
+    showSection("changePasswordPage");
+    return;
+  }
+
+  // Dashboards render even when this fails; the sync banner explains why
+  // they are empty and offers a retry
+  if (await loadAllCollections()) startLiveUpdates();
+  loadInbox();
+
   try {
     updateHeader();
     updateStats();
@@ -4081,6 +5800,7 @@ function onLoginSuccess() {
     renderManagerEmployeesBox();
     setupManagerNewTicketForm();
     renderSalesApprovalsForManager();
+    renderManagerFollowUps();
     showSection("managerDashboard");
   } else if (currentUser.role === "employee") {
     renderEmployeeTickets();
@@ -4104,10 +5824,13 @@ function onLoginSuccess() {
     renderFinanceTickets();
     showSection("financeDashboard");
   }
+    // Opened from a notification link while signed out
+    openDeepLink();
   } catch (error) {
     console.error("Login error:", error);
     if ($("loginError")) $("loginError").textContent = "Error loading dashboard: " + error.message;
     currentUser = null;
+    setAuthToken(null);
     updateHeader();
   }
   const rid = currentUser && (currentUser.employeeId || currentUser.userId);
@@ -4116,11 +5839,16 @@ function onLoginSuccess() {
 }
 
 /* Logout */
-function logout() {
+async function logout(reason = 'logout') {
   const rid = currentUser && (currentUser.employeeId || currentUser.userId);
   const rrole = currentUser && currentUser.role;
   if (currentUser && rrole !== 'admin' && rrole !== 'hr') { addAttendanceLog(rid, 'logout'); }
+  if (currentUser) await syncBeforeSignOut();
+  stopSync();
+  // Revoke the server session; the local sign-out does not wait for it
+  if (refreshToken) apiSync('/logout', 'POST', { refreshToken, reason: reason === 'idle' ? 'idle' : 'logout' }, true);
   currentUser = null;
+  setAuthToken(null);
   updateHeader();
   showSection("loginPage");
   stopIdleTimer();
@@ -4131,15 +5859,29 @@ function logout() {
 let idleTimerId = null;
 const IDLE_TIMEOUT_MS = 180000; // 180 seconds
 
-function handleIdleLogout() {
+async function handleIdleLogout() {
   if (!currentUser) return;
   logAction('system','auto_logout','', 'idle 180s');
-  logout();
+  await logout('idle');
   const msg = "Session expired due to inactivity.";
   const el = $("loginError");
   if (el) el.textContent = msg;
 }
 
+// The server revoked or expired the session (logout elsewhere, admin
+// force sign-out, idle limit): drop back to the login page.
+function handleSessionEnded() {
+  stopSync();
+  setAuthToken(null);
+  if (!currentUser) return;
+  currentUser = null;
+  updateHeader();
+  showSection("loginPage");
+  stopIdleTimer();
+  const el = $("loginError");
+  if (el) el.textContent = "Your session has ended. Please sign in again.";
+}
+
 function startIdleTimer() {
   stopIdleTimer();
   idleTimerId = setTimeout(handleIdleLogout, IDLE_TIMEOUT_MS);
@@ -4174,6 +5916,8 @@ window.onload = () => {
 
   $("loginBtn").onclick = login;
   $("logoutBtn").onclick = logout;
+  $("inboxBtn").onclick = () => $("inboxPanel").classList.toggle("hidden");
+  $("inboxReadAllBtn").onclick = markAllInboxRead;
   const lb = $("loginBtn"); if (lb) lb.textContent = "Sign In";
   const lob = $("logoutBtn"); if (lob) lob.textContent = "Sign Out";
   const navOutIds = ["logoutFromAdmin","logoutFromFrontOffice","logoutFromManager","logoutFromEmployee","logoutFromHelpDesk","logoutFromHR","logoutFromFinance"];
@@ -4261,6 +6005,7 @@ window.onload = () => {
       $("fpRole").value = "";
       $("fpMsg").textContent = "";
       $("fpErr").textContent = "";
+      fpResetToken = null;
       // ensure reset-now UI is hidden by default
       const toggle = $("fpResetNowToggle");
       const section = $("fpResetNowSection");
@@ -4270,22 +6015,12 @@ window.onload = () => {
     };
   }
 
-  // Store requests and OTPs
-  let passwordResetRequests = [];
-  let otpStore = {}; // key: role+ident, value: { otp, expiresAt, verified }
-
-  function findUserByRoleAndIdent(role, ident) {
-    if (role === "frontoffice") return frontOfficeUsers.find(u => u.username === ident || u.email === ident || u.phone === ident);
-    if (role === "manager") return managers.find(u => u.username === ident || u.email === ident || u.phone === ident);
-    if (role === "employee") return employees.find(u => (u.username && u.username === ident) || u.email === ident || u.phone === ident);
-    if (role === "admin") return admins.find(u => u.username === ident || u.email === ident);
-    if (role === "finance") return financeUsers.find(u => u.username === ident || u.email === ident || u.phone === ident);
-    if (role === "hr") return hrUsers.find(u => u.username === ident || u.email === ident || u.phone === ident);
-    return null;
-  }
+  // OTPs are issued and checked by the backend, which hands back a
+  // short-lived reset token once the code is verified
+  let fpResetToken = null;
 
   if (sendOtpBtn) {
-    sendOtpBtn.onclick = () => {
+    sendOtpBtn.onclick = async () => {
       const ident = $("fpIdentifier").value.trim();
       const role = $("fpRole").value;
       const mobile = $("fpMobile").value.trim();
@@ -4295,38 +6030,33 @@ window.onload = () => {
         $("fpErr").textContent = "Enter username/email, role, and registered mobile number.";
         return;
       }
-      const user = findUserByRoleAndIdent(role, ident);
-      if (!user || (user.phone && user.phone !== mobile)) {
-        $("fpErr").textContent = "User not found or mobile does not match.";
-        return;
-      }
-      const otp = String(Math.floor(100000 + Math.random() * 900000));
-      const key = role + ':' + (user.username || user.email || user.id);
-      otpStore[key] = { otp, expiresAt: Date.now() + 5 * 60 * 1000, verified: false };
-      $("fpMsg").textContent = `OTP sent to ${mobile}. For demo, OTP: ${otp}`;
+      fpResetToken = null;
+      const result = await apiSync('/auth/otp/request', 'POST', { identifier: ident, role, mobile });
+      if (!result) { $("fpErr").textContent = "Unable to reach the server. Please try again."; return; }
+      if (!result.success) { $("fpErr").textContent = result.error || "Could not send OTP."; return; }
+      $("fpMsg").textContent = result.message || `OTP sent to ${mobile}.`;
     };
   }
 
   if (verifyOtpBtn) {
-    verifyOtpBtn.onclick = () => {
+    verifyOtpBtn.onclick = async () => {
       const ident = $("fpIdentifier").value.trim();
       const role = $("fpRole").value;
-      const user = findUserByRoleAndIdent(role, ident);
-      if (!user) { $("fpErr").textContent = "User not found."; return; }
-      const key = role + ':' + (user.username || user.email || user.id);
-      const rec = otpStore[key];
       const val = fpOtpInput.value.trim();
-      if (!rec || !val) { $("fpErr").textContent = "Enter OTP."; return; }
-      if (Date.now() > rec.expiresAt) { $("fpErr").textContent = "OTP expired."; return; }
-      if (rec.otp !== val) { $("fpErr").textContent = "Invalid OTP."; return; }
-      rec.verified = true;
+      $("fpMsg").textContent = "";
+      $("fpErr").textContent = "";
+      if (!val) { $("fpErr").textContent = "Enter OTP."; return; }
+      const result = await apiSync('/auth/otp/verify', 'POST', { identifier: ident, role, otp: val });
+      if (!result) { $("fpErr").textContent = "Unable to reach the server. Please try again."; return; }
+      if (!result.resetToken) { $("fpErr").textContent = result.error || "Invalid OTP."; return; }
+      fpResetToken = result.resetToken;
       $("fpMsg").textContent = "OTP verified. You may reset password now.";
       const toggle = $("fpResetNowToggle");
       if (toggle) { toggle.checked = true; toggle.onchange && toggle.onchange(); }
     };
   }
   if (sendResetBtn) {
-    sendResetBtn.onclick = () => {
+    sendResetBtn.onclick = async () => {
       const ident = $("fpIdentifier").value.trim();
       const role = $("fpRole").value;
       $("fpMsg").textContent = "";
@@ -4337,22 +6067,249 @@ window.onload = () => {
         return;
       }
 
-      passwordResetRequests.push({ ts: new Date().toISOString(), ident, role });
+      const result = await apiSync('/auth/password/reset-requests', 'POST', { identifier: ident, role });
+      if (!result) { $("fpErr").textContent = "Unable to reach the server. Please try again."; return; }
+      if (!result.success) { $("fpErr").textContent = result.error || "Could not send the request."; return; }
       logAction('user','request_password_reset', null, `${role}:${ident}`);
-      $("fpMsg").textContent = "Request sent to Admin. You will receive a reset link or temporary password by email.";
+      $("fpMsg").textContent = "Request sent to Admin. An admin will give you a temporary password.";
     };
   }
 
-  // Copy temp password button
+  // Copy the temporary password issued from the admin reset queue
   const copyTempBtn = $("copyTempBtn");
   if (copyTempBtn) {
     copyTempBtn.onclick = async () => {
       try {
-        await navigator.clipboard.writeText("temp1234");
-        $("fpMsg").textContent = "Temporary password copied to clipboard.";
+        await navigator.clipboard.writeText($("resetTempPasswordValue").textContent);
+        $("resetRequestsMsg").textContent = "Temporary password copied to clipboard.";
       } catch (err) {
-        $("fpErr").textContent = "Clipboard copy not supported in this browser.";
+        $("resetRequestsErr").textContent = "Clipboard copy not supported in this browser.";
+      }
+    };
+  }
+
+  setupPagedTableControls('tickets', renderAdminAllTickets);
+  setupPagedTableControls('customers', renderAdminCustomers);
+
+  // Audit tab filters and paging
+  const auditSearchBtn = $("auditSearchBtn");
+  if (auditSearchBtn) auditSearchBtn.onclick = searchAdminAudit;
+  const auditResetBtn = $("auditResetBtn");
+  if (auditResetBtn) {
+    auditResetBtn.onclick = () => {
+      Object.values(AUDIT_FILTERS).forEach(id => { $(id).value = ""; });
+      searchAdminAudit();
+    };
+  }
+  const auditOlderBtn = $("auditOlderBtn");
+  if (auditOlderBtn) {
+    auditOlderBtn.onclick = () => {
+      if (!auditNextCursor) return;
+      auditCursors[auditPage + 1] = auditNextCursor;
+      auditPage++;
+      renderAdminAudit();
+    };
+  }
+  const auditNewerBtn = $("auditNewerBtn");
+  if (auditNewerBtn) {
+    auditNewerBtn.onclick = () => {
+      if (auditPage === 0) return;
+      auditPage--;
+      renderAdminAudit();
+    };
+  }
+
+  // Ticket message templates and text opt-outs
+  const saveNotifTemplateBtn = $("saveNotifTemplateBtn");
+  if (saveNotifTemplateBtn) {
+    saveNotifTemplateBtn.onclick = async () => {
+      if (!editingNotifEvent) return;
+      const subject = $("notifTemplateSubject").value.trim();
+      const text = $("notifTemplateText").value.trim();
+      if (!subject || !text) {
+        $("notifTemplatesErr").textContent = "Subject and message are required.";
+        return;
+      }
+      const result = await apiSync(`/notification-templates/${editingNotifEvent}`, 'PUT', {
+        subject,
+        text,
+        sms: $("notifTemplateSms").value.trim(),
+        engineerSms: $("notifTemplateEngineerSms").value.trim(),
+        enabled: $("notifTemplateEnabled").checked
+      });
+      if (!result || !result.success) {
+        $("notifTemplatesErr").textContent = (result && (Array.isArray(result.details) ? result.details.join('; ') : result.error)) || "Unable to reach the server.";
+        return;
+      }
+      logAction('admin', 'update_email_template', null, editingNotifEvent);
+      $("notifTemplateForm").classList.add("hidden");
+      editingNotifEvent = null;
+      await renderAdminNotificationTemplates();
+      $("notifTemplatesMsg").textContent = "Template saved.";
+    };
+  }
+  const resetNotifTemplateBtn = $("resetNotifTemplateBtn");
+  if (resetNotifTemplateBtn) {
+    resetNotifTemplateBtn.onclick = async () => {
+      if (!editingNotifEvent || !confirm("Discard your changes and use the default wording?")) return;
+      const result = await apiSync(`/notification-templates/${editingNotifEvent}`, 'DELETE');
+      if (!result || !result.success) {
+        $("notifTemplatesErr").textContent = (result && result.error) || "Unable to reach the server.";
+        return;
+      }
+      logAction('admin', 'reset_email_template', null, editingNotifEvent);
+      $("notifTemplateForm").classList.add("hidden");
+      editingNotifEvent = null;
+      await renderAdminNotificationTemplates();
+      $("notifTemplatesMsg").textContent = "Default wording restored.";
+    };
+  }
+  const cancelNotifTemplateBtn = $("cancelNotifTemplateBtn");
+  if (cancelNotifTemplateBtn) {
+    cancelNotifTemplateBtn.onclick = () => {
+      $("notifTemplateForm").classList.add("hidden");
+      editingNotifEvent = null;
+    };
+  }
+
+  const addOptOutBtn = $("addOptOutBtn");
+  if (addOptOutBtn) {
+    addOptOutBtn.onclick = async () => {
+      const phone = $("optOutPhone").value.trim();
+      $("optOutsMsg").textContent = "";
+      $("optOutsErr").textContent = "";
+      if (!phone) {
+        $("optOutsErr").textContent = "Enter a phone number.";
+        return;
+      }
+      const result = await apiSync('/messaging/opt-outs', 'POST', { phone });
+      if (!result || !result.success) {
+        $("optOutsErr").textContent = (result && result.error) || "Unable to reach the server.";
+        return;
+      }
+      logAction('admin', 'add_message_opt_out', null, result.optOut.phone);
+      $("optOutPhone").value = "";
+      await renderAdminOptOuts();
+      $("optOutsMsg").textContent = `+${result.optOut.phone} will get no ticket texts.`;
+    };
+  }
+
+  // SLA policies, business hours and the compliance report
+  const addSlaPolicyBtn = $("addSlaPolicyBtn");
+  if (addSlaPolicyBtn) addSlaPolicyBtn.onclick = () => openSlaPolicy(null);
+  const cancelSlaPolicyBtn = $("cancelSlaPolicyBtn");
+  if (cancelSlaPolicyBtn) {
+    cancelSlaPolicyBtn.onclick = () => {
+      $("slaPolicyForm").classList.add("hidden");
+      editingSlaPolicyId = null;
+    };
+  }
+  const saveSlaPolicyBtn = $("saveSlaPolicyBtn");
+  if (saveSlaPolicyBtn) {
+    saveSlaPolicyBtn.onclick = async () => {
+      const name = $("slaPolicyName").value.trim();
+      if (!name) {
+        $("slaPoliciesErr").textContent = "Name is required.";
+        return;
+      }
+      const hours = (id) => $(id).value === "" ? null : Number($(id).value);
+      const body = {
+        name,
+        firstResponseHours: hours("slaPolicyResponse"),
+        siteVisitHours: hours("slaPolicySiteVisit"),
+        resolutionHours: hours("slaPolicyResolution"),
+        businessHours: $("slaPolicyBusinessHours").checked,
+        enabled: $("slaPolicyEnabled").checked
+      };
+      if ($("slaPolicyCallType").value) body.callType = $("slaPolicyCallType").value;
+      if ($("slaPolicyDepartment").value) body.department = $("slaPolicyDepartment").value;
+      if ($("slaPolicyCustomer").value) body.customerId = $("slaPolicyCustomer").value;
+
+      const result = editingSlaPolicyId
+        ? await apiSync(`/sla/policies/${encodeURIComponent(editingSlaPolicyId)}`, 'PUT', body)
+        : await apiSync('/sla/policies', 'POST', body);
+      if (!result || !result.success) {
+        $("slaPoliciesErr").textContent = (result && (Array.isArray(result.details) ? result.details.join('; ') : result.error)) || "Unable to reach the server.";
+        return;
+      }
+      logAction('admin', editingSlaPolicyId ? 'update_sla_policy' : 'add_sla_policy', null, name);
+      $("slaPolicyForm").classList.add("hidden");
+      editingSlaPolicyId = null;
+      await renderAdminSla();
+      $("slaPoliciesMsg").textContent = "Policy saved. Due times of open tickets are being updated.";
+    };
+  }
+  const saveSlaCalendarBtn = $("saveSlaCalendarBtn");
+  if (saveSlaCalendarBtn) {
+    saveSlaCalendarBtn.onclick = async () => {
+      $("slaCalendarMsg").textContent = "";
+      $("slaCalendarErr").textContent = "";
+      const days = Array.from(document.querySelectorAll("input[data-sla-day]:checked")).map(el => Number(el.getAttribute("data-sla-day")));
+      const holidays = $("slaCalHolidays").value.split(/[\s,]+/).filter(Boolean);
+      const result = await apiSync('/sla/calendar', 'PUT', {
+        timeZone: $("slaCalTimeZone").value.trim(),
+        days,
+        start: $("slaCalStart").value,
+        end: $("slaCalEnd").value,
+        holidays: [...new Set(holidays)]
+      });
+      if (!result || !result.success) {
+        $("slaCalendarErr").textContent = (result && (Array.isArray(result.details) ? result.details.join('; ') : result.error)) || "Unable to reach the server.";
+        return;
+      }
+      logAction('admin', 'update_sla_calendar', null);
+      $("slaCalendarMsg").textContent = "Business hours saved. Due times of open tickets are being updated.";
+    };
+  }
+  const slaReportBtn = $("slaReportBtn");
+  if (slaReportBtn) slaReportBtn.onclick = runSlaReport;
+
+  // Change password after signing in with a temporary password
+  const cpSubmitBtn = $("cpSubmitBtn");
+  if (cpSubmitBtn) {
+    cpSubmitBtn.onclick = async () => {
+      const newPwd = $("cpNewPassword").value;
+      const conf = $("cpConfirmPassword").value;
+      $("cpMsg").textContent = "";
+      $("cpErr").textContent = "";
+      if (!newPwd || newPwd !== conf) {
+        $("cpErr").textContent = newPwd ? "Passwords do not match." : "Please enter and confirm the new password.";
+        return;
       }
+      const result = await apiSync('/auth/password/change', 'POST', { newPassword: newPwd });
+      if (!result) { $("cpErr").textContent = "Unable to reach the server. Please try again."; return; }
+      if (!result.token) { $("cpErr").textContent = result.error || "Password change failed."; return; }
+      $("cpNewPassword").value = "";
+      $("cpConfirmPassword").value = "";
+      setAuthToken(result.token, result.refreshToken);
+      onLoginSuccess();
+    };
+  }
+  const cpCancelBtn = $("cpCancelBtn");
+  if (cpCancelBtn) cpCancelBtn.onclick = () => logout();
+
+  // Sync banner: reload everything if the login-time load failed, otherwise
+  // resend the queued changes, including ones the server rejected
+  const syncRetryBtn = $("syncRetryBtn");
+  if (syncRetryBtn) {
+    syncRetryBtn.onclick = async () => {
+      if (!currentUser) return;
+      await retryFailedChanges();
+      if (syncReady) flushSync();
+      else onLoginSuccess();
+    };
+  }
+  const conflictKeepServerBtn = $("conflictKeepServerBtn");
+  if (conflictKeepServerBtn) conflictKeepServerBtn.onclick = () => resolveConflict(false);
+  const conflictOverwriteBtn = $("conflictOverwriteBtn");
+  if (conflictOverwriteBtn) conflictOverwriteBtn.onclick = () => resolveConflict(true);
+
+  const syncDiscardBtn = $("syncDiscardBtn");
+  if (syncDiscardBtn) {
+    syncDiscardBtn.onclick = () => {
+      if (!currentUser) return;
+      if (!confirm("Discard the changes the server rejected? Those records go back to the last saved version.")) return;
+      discardFailedChanges();
     };
   }
 
@@ -4373,7 +6330,7 @@ window.onload = () => {
   }
 
   if (fpResetNowBtn) {
-    fpResetNowBtn.onclick = () => {
+    fpResetNowBtn.onclick = async () => {
       const ident = $("fpIdentifier").value.trim();
       const role = $("fpRole").value;
       const newPwd = $("fpNewPassword").value;
@@ -4393,37 +6350,25 @@ window.onload = () => {
         $("fpErr").textContent = "Passwords do not match.";
         return;
       }
-
-      let user = null;
-      if (role === "frontoffice") {
-        user = frontOfficeUsers.find(u => u.username === ident || u.email === ident);
-      } else if (role === "manager") {
-        user = managers.find(u => u.username === ident || u.email === ident);
-      } else if (role === "employee") {
-        user = employees.find(u => (u.username && u.username === ident) || u.email === ident);
-      } else if (role === "admin") {
-        user = admins.find(u => u.username === ident || u.email === ident);
-      } else if (role === "hr") {
-        user = hrUsers.find(u => u.username === ident || u.email === ident);
-      }
-
-      if (!user) {
-        $("fpErr").textContent = "No user found with provided identifier and role.";
+      if (!fpResetToken) {
+        $("fpErr").textContent = "Please verify OTP sent to your mobile before resetting.";
         return;
       }
-      // Require OTP verification for non-admin roles
-      if (role !== 'admin') {
-        const key = role + ':' + (user.username || user.email || user.id);
-        if (!otpStore[key] || !otpStore[key].verified) {
-          $("fpErr").textContent = "Please verify OTP sent to your mobile before resetting.";
-          return;
-        }
-      }
 
-      // Set new password immediately
-      user.password = newPwd;
+      const result = await apiSync('/auth/password/reset', 'POST', {
+        identifier: ident,
+        role,
+        resetToken: fpResetToken,
+        newPassword: newPwd
+      });
+      if (!result) { $("fpErr").textContent = "Unable to reach the server. Please try again."; return; }
+      if (!result.success) { $("fpErr").textContent = result.error || "Password reset failed."; return; }
+
+      fpResetToken = null;
+      $("fpNewPassword").value = "";
+      $("fpConfirmPassword").value = "";
       $("fpMsg").textContent = "Password changed successfully. You can now login with the new password.";
-      // clear inputs and return to login after a moment
+      // return to login after a moment
       setTimeout(() => {
         showSection("loginPage");
       }, 1500);
@@ -4458,7 +6403,7 @@ window.onload = () => {
   // Add Company Handler
   const addCompanyBtn = $("addCompanyBtn");
   if (addCompanyBtn) {
-    addCompanyBtn.onclick = () => {
+    addCompanyBtn.onclick = async () => {
       const name = $("companyName").value.trim();
       const phone = $("companyPhone").value.trim();
       const email = $("companyEmail").value.trim();
@@ -4491,7 +6436,8 @@ window.onload = () => {
         }
       } else {
         // Create new company
-        const id = generateCompanyId();
+        const id = await reserveId('company');
+        if (!id) { $("companyAddErr").textContent = ID_UNAVAILABLE; return; }
         companies.push({
           id,
           name,
@@ -4527,7 +6473,7 @@ window.onload = () => {
   // Add Customer Handler
   const addCustomerBtn = $("addCustomerBtn");
   if (addCustomerBtn) {
-    addCustomerBtn.onclick = () => {
+    addCustomerBtn.onclick = async () => {
       const name = $("newCustName").value.trim();
       const phone = $("newCustPhone").value.trim();
       const email = $("newCustEmail").value.trim();
@@ -4560,7 +6506,8 @@ window.onload = () => {
         }
       } else {
         // Create new customer
-        const id = generateCustomerId();
+        const id = await reserveId('customer');
+        if (!id) { $("customerAddErr").textContent = ID_UNAVAILABLE; return; }
         customers.push({
           id,
           name,
@@ -4689,7 +6636,7 @@ window.onload = () => {
 
   const addGroupBtn = $("addGroupBtn");
   if (addGroupBtn) {
-    addGroupBtn.onclick = () => {
+    addGroupBtn.onclick = async () => {
       const name = $("groupName").value.trim();
       const callType = $("groupCallType").value;
       const services = $("groupServices").value.split(",").map(s => s.trim()).filter(s => s);
@@ -4722,7 +6669,8 @@ window.onload = () => {
         }
       } else {
         // Create new group
-        const id = generateGroupId();
+        const id = await reserveId('callGroup');
+        if (!id) { $("groupAddErr").textContent = ID_UNAVAILABLE; return; }
         callGroups.push({
           id,
           name,
@@ -4742,7 +6690,7 @@ window.onload = () => {
     };
   }
 
-  $("addEmployeeBtn").onclick = () => {
+  $("addEmployeeBtn").onclick = async () => {
     const name = $("empName").value.trim();
     const email = $("empEmail").value.trim();
     const role = $("empRole").value;
@@ -4782,7 +6730,8 @@ window.onload = () => {
     const username = email.split("@")[0];
 
     if (role === "employee") {
-      const id = generateEmployeeId();
+      const id = await reserveId('employee');
+      if (!id) { $("empAddErr").textContent = ID_UNAVAILABLE; return; }
       employees.push({
         id,
         name,
@@ -4794,7 +6743,8 @@ window.onload = () => {
       });
       $("empAddMsg").textContent = `Employee ${name} added with ID ${id}. Login with email/username: ${username}`;
     } else if (role === "manager") {
-      const id = "M" + String(managers.length + 1).padStart(3, "0");
+      const id = await reserveId('manager');
+      if (!id) { $("empAddErr").textContent = ID_UNAVAILABLE; return; }
       managers.push({
         id,
         name,
@@ -4806,7 +6756,8 @@ window.onload = () => {
       });
       $("empAddMsg").textContent = `Manager ${name} added with ID ${id}. Login with email/username: ${username}`;
     } else if (role === "frontoffice") {
-      const id = "F" + String(frontOfficeUsers.length + 1).padStart(3, "0");
+      const id = await reserveId('frontoffice');
+      if (!id) { $("empAddErr").textContent = ID_UNAVAILABLE; return; }
       frontOfficeUsers.push({
         id,
         name,
@@ -4830,7 +6781,7 @@ window.onload = () => {
     updateStats();
   };
 
-  $("createTicketBtn").onclick = () => {
+  $("createTicketBtn").onclick = async () => {
     const custName = $("custName").value.trim();
     const custEmail = $("custEmail").value.trim();
     const callType = $("callType").value;
@@ -4855,7 +6806,8 @@ window.onload = () => {
     const customerId = customer ? customer.id : null;
     const companyId = customer ? customer.companyId : null;
 
-    const id = generateTicketId();
+    const id = await reserveId('ticket');
+    if (!id) { $("ticketCreateErr").textContent = ID_UNAVAILABLE; return; }
     const today = new Date().toISOString().slice(0, 10);
     tickets.push({
       id,
@@ -4943,7 +6895,9 @@ window.onload = () => {
     if (statusVal === 'Full Payment' && paymentTicket.status === 'Reported' && paymentTicket.verifiedByManager) {
       paymentTicket.status = 'Finished';
     }
-    $("payMsg").textContent = "Accounts update saved.";
+    $("payMsg").textContent = paymentTicket.invoiceDate && paymentTicket.customerEmail
+      ? `Accounts update saved. The invoice will be emailed to ${paymentTicket.customerEmail}.`
+      : "Accounts update saved.";
     renderFinanceTickets();
   };
   $("submitFeedbackBtn").onclick = () => {
@@ -5177,7 +7131,7 @@ function setupManagerNewTicketForm() {
     cancelNewCustBtn.onclick = () => newCustForm.classList.add('hidden');
   }
   if (saveNewCustBtn) {
-    saveNewCustBtn.onclick = () => {
+    saveNewCustBtn.onclick = async () => {
       const type = custTypeSel.value;
       const name = $("mgrCustName").value.trim();
       const companyName = $("mgrCompanyName").value.trim();
@@ -5189,7 +7143,8 @@ function setupManagerNewTicketForm() {
       $("mgrNewCustomerErr").textContent = '';
       $("mgrNewCustomerMsg").textContent = '';
       if (!type || !phone || !email || (!name && !companyName)) { $("mgrNewCustomerErr").textContent = 'Fill required fields.'; return; }
-      const id = 'CUS' + (customers.length + 1).toString().padStart(3, '0');
+      const id = await reserveId('customer');
+      if (!id) { $("mgrNewCustomerErr").textContent = ID_UNAVAILABLE; return; }
       customers.push({ id, type, name: type === 'individual' ? name : companyName, companyName: type === 'corporate' ? companyName : '', phone, email, address, gst: type === 'corporate' ? gst : '', contactPerson: type === 'corporate' ? contactPerson : '', companyId: '' });
       custSel.innerHTML = '<option value="">-- Select Customer --</option>' + customers.map(c => `<option value="${c.id}">${c.type === 'corporate' ? c.companyName : c.name} (${c.phone})</option>`).join('');
       custSel.value = id;
@@ -5198,7 +7153,7 @@ function setupManagerNewTicketForm() {
     };
   }
   if (createBtn) {
-    createBtn.onclick = () => {
+    createBtn.onclick = async () => {
       const custId = custSel.value;
       const ct = $("mgrCallType").value;
       const title = $("mgrProblemTitle").value.trim();
@@ -5208,7 +7163,8 @@ function setupManagerNewTicketForm() {
       $("mgrNewTicketMsg").textContent = '';
       if (!custId || !ct || !title || !desc) { $("mgrNewTicketErr").textContent = 'Fill all fields.'; return; }
       const cust = customers.find(c => c.id === custId);
-      const id = "TKT" + (tickets.length + 1).toString().padStart(4, "0");
+      const id = await reserveId('ticket');
+      if (!id) { $("mgrNewTicketErr").textContent = ID_UNAVAILABLE; return; }
       tickets.push({
         id,
         customerId: cust.id,
@@ -5269,6 +7225,7 @@ function setupEngineerUpdateSection() {
       t.taskStartDateTime = $("engTaskStart").value || null;
       t.taskEndDateTime = $("engTaskEnd").value || null;
       if (v === 'Complete') {
+        t.nextFollowUpDate = null;
         t.dcNo = $("engDCNo").value.trim();
         t.engineerRemarks = $("engRemarks").value.trim();
         t.materialsUsed = $("engMaterialsUsed").value.trim();
@@ -5283,9 +7240,10 @@ function setupEngineerUpdateSection() {
           $("engUpdateMsg").textContent = 'Engineer update saved.';
         }
       } else if (v === 'Incomplete') {
+        if (!$("engNextFollowUp").value) { $("engUpdateErr").textContent = 'Pick the next follow-up date.'; return; }
         t.status = 'In Progress';
         t.pendingReason = $("engPendingReason").value.trim();
-        t.nextFollowUpDate = $("engNextFollowUp").value || null;
+        t.nextFollowUpDate = $("engNextFollowUp").value;
         $("engUpdateMsg").textContent = 'Engineer update saved.';
       }
       renderAssignedTicketsForManager();
@@ -5307,22 +7265,7 @@ function setupSiteVisitForm() {
               const visitable = myTickets.filter(t => t.siteVisitRequired || t.salesVerification);
               ticketSel.innerHTML = '<option value="">-- Select Ticket --</option>' + visitable.map(t => `<option value="${t.id}">${t.id} • ${t.customerName}</option>`).join('');
   }
-  if (photoInput && preview) {
-    photoInput.onchange = () => {
-      preview.innerHTML = "";
-      const file = photoInput.files && photoInput.files[0];
-      if (!file) return;
-      const reader = new FileReader();
-      reader.onload = () => {
-        const img = document.createElement("img");
-        img.src = reader.result;
-        img.style.maxWidth = "200px";
-        img.style.borderRadius = "6px";
-        preview.appendChild(img);
-      };
-      reader.readAsDataURL(file);
-    };
-  }
+  const capture = photoInput && preview ? createPhotoCapture(photoInput, preview) : null;
   if (submitBtn) {
     submitBtn.onclick = () => {
       $("siteVisitErr").textContent = "";
@@ -5333,17 +7276,15 @@ function setupSiteVisitForm() {
       if (!t || t.assignedEmployeeId !== currentUser.employeeId) { $("siteVisitErr").textContent = "Invalid ticket selection."; return; }
       const statusRaw = $("siteVisitedSelect").value;
       const quotation = $("siteVisitQuotation").value.trim();
-      const file = $("siteVisitPhoto").files && $("siteVisitPhoto").files[0];
       if (!statusRaw) { $("siteVisitErr").textContent = "Select site visit status."; return; }
       const status = (statusRaw === 'yes_im_in_site' || statusRaw === 'yes') ? 'OnSite' :
                      (statusRaw === 'on_the_way') ? 'OnTheWay' :
                      (statusRaw === 'no') ? 'NotOnSite' : statusRaw;
       if (!quotation) { $("siteVisitErr").textContent = "Enter description."; return; }
-      const finalize = (photoName, photoData) => {
+      const finalize = (photoIds) => {
         t.siteVisitStatus = status;
         t.engineerRemarks = quotation;
-        t.siteVisitPhotoName = photoName || '';
-        t.siteVisitPhotoData = photoData || '';
+        t.siteVisitPhotoIds = photoIds;
         if (t.salesVerification) {
           t.awaitingSalesEmployeeVerification = false;
           t.awaitingSalesManagerVerification = true;
@@ -5360,13 +7301,7 @@ function setupSiteVisitForm() {
         }
         renderEmployeeTickets();
       };
-      if (file) {
-        const reader = new FileReader();
-        reader.onload = () => finalize(file.name, reader.result);
-        reader.readAsDataURL(file);
-      } else {
-        finalize('', '');
-      }
+      withUploadedPhotos(capture, t.id, 'siteVisit', $("siteVisitErr"), finalize);
     };
   }
 }
@@ -5382,22 +7317,7 @@ function setupSalesReportForm() {
     const myTickets = tickets.filter(t => t.assignedEmployeeId === myEmployeeId && (t.status === 'Assigned' || t.status === 'In Progress') && t.salesVerification);
     ticketSel.innerHTML = '<option value="">-- Select Ticket --</option>' + myTickets.map(t => `<option value="${t.id}">${t.id} • ${t.customerName}</option>`).join('');
   }
-  if (photoInput && preview) {
-    photoInput.onchange = () => {
-      preview.innerHTML = "";
-      const file = photoInput.files && photoInput.files[0];
-      if (!file) return;
-      const reader = new FileReader();
-      reader.onload = () => {
-        const img = document.createElement("img");
-        img.src = reader.result;
-        img.style.maxWidth = "200px";
-        img.style.borderRadius = "6px";
-        preview.appendChild(img);
-      };
-      reader.readAsDataURL(file);
-    };
-  }
+  const capture = photoInput && preview ? createPhotoCapture(photoInput, preview) : null;
   if (verifyBtn) {
     verifyBtn.onclick = () => {
       $("salesReportErr").textContent = "";
@@ -5407,11 +7327,9 @@ function setupSalesReportForm() {
       const t = tickets.find(x => x.id === tid);
       if (!t || t.assignedEmployeeId !== currentUser.employeeId) { $("salesReportErr").textContent = "Invalid ticket selection."; return; }
       const desc = $("salesReportDesc").value.trim();
-      const file = $("salesReportPhoto").files && $("salesReportPhoto").files[0];
-      const finalize = (photoName, photoData) => {
+      const finalize = (photoIds) => {
         t.salesEmployeeReportDesc = desc || '';
-        t.salesEmployeeReportPhotoName = photoName || '';
-        t.salesEmployeeReportPhotoData = photoData || '';
+        t.salesEmployeeReportPhotoIds = photoIds;
         t.awaitingSalesEmployeeVerification = false;
         t.awaitingSalesManagerVerification = true;
         t.routeToSales = true;
@@ -5421,13 +7339,7 @@ function setupSalesReportForm() {
         renderSalesApprovalsForManager();
         renderEmployeeTickets();
       };
-      if (file) {
-        const reader = new FileReader();
-        reader.onload = () => finalize(file.name, reader.result);
-        reader.readAsDataURL(file);
-      } else {
-        finalize('', '');
-      }
+      withUploadedPhotos(capture, t.id, 'salesEmployeeReport', $("salesReportErr"), finalize);
     };
   }
   if (declineBtn) {
@@ -5439,13 +7351,11 @@ function setupSalesReportForm() {
       const t = tickets.find(x => x.id === tid);
       if (!t || t.assignedEmployeeId !== currentUser.employeeId) { $("salesReportErr").textContent = "Invalid ticket selection."; return; }
       const desc = $("salesReportDesc").value.trim();
-      const file = $("salesReportPhoto").files && $("salesReportPhoto").files[0];
       if (!desc) { $("salesReportErr").textContent = "Enter reason for decline."; return; }
-      const finalize = (photoName, photoData) => {
+      const finalize = (photoIds) => {
         t.salesEmployeeDeclined = true;
         t.salesEmployeeDeclineRemark = desc;
-        t.salesEmployeeDeclinePhotoName = photoName || '';
-        t.salesEmployeeDeclinePhotoData = photoData || '';
+        t.salesEmployeeDeclinePhotoIds = photoIds;
         t.awaitingSalesEmployeeVerification = false;
         t.awaitingSalesManagerVerification = false;
         t.routeToSales = true;
@@ -5454,13 +7364,7 @@ function setupSalesReportForm() {
         renderSalesApprovalsForManager();
         renderEmployeeTickets();
       };
-      if (file) {
-        const reader = new FileReader();
-        reader.onload = () => finalize(file.name, reader.result);
-        reader.readAsDataURL(file);
-      } else {
-        finalize('', '');
-      }
+      withUploadedPhotos(capture, t.id, 'salesEmployeeDecline', $("salesReportErr"), finalize);
     };
   }
 }
@@ -5506,9 +7410,14 @@ function renderFrontOfficeReportedTickets() {
       const ticketId = btn.getAttribute("data-send-payment");
       const ticket = tickets.find(t => t.id === ticketId);
       if (!ticket) return;
-      // simulate sending to customer (email/phone)
-      if ($("payMsg")) $("payMsg").textContent = `Payment & feedback link prepared for ${ticket.customerEmail}`;
       openPaymentPage(ticket);
+      // The backend emails the invoice once the accounts update is saved
+      const invoiceMail = ((ticket.notifications || {}).invoiceIssued || {}).customerEmail;
+      $("payMsg").textContent = invoiceMail
+        ? `Invoice email: ${describeNotification(invoiceMail)}`
+        : ticket.customerEmail
+          ? `The invoice will be emailed to ${ticket.customerEmail} when the accounts update is saved.`
+          : "No customer email on file; the invoice will not be emailed.";
       logAction('frontoffice','send_payment_link', ticket.id);
     };
   });
@@ -5545,6 +7454,7 @@ function showTicketProgress(ticketId) {
   const inner = document.getElementById('ticketProgressContent');
   const progress = Math.max(0, Math.min(100, ticket.taskProgress || 0));
   const status = ticket.taskStatus || 'Not Started';
+  const notifications = Object.entries(ticket.notifications || {});
   inner.innerHTML = `
     <h3 style="color:#e84c3d; margin:0 0 12px 0;">Ticket Progress</h3>
     <div style="color:rgba(255,255,255,0.85); margin-bottom:10px;">${ticket.id} • ${ticket.customerName}</div>
@@ -5560,6 +7470,11 @@ function showTicketProgress(ticketId) {
         </div>
       </div>
       <div style="color:rgba(255,255,255,0.8);">${ticket.problemTitle || '-'} • ${ticket.description || '-'}</div>
+      ${notifications.length ? `<div style="color:rgba(255,255,255,0.7); font-size:0.9em;">
+        <div style="margin-bottom:4px;">Messages</div>
+        ${notifications.map(([event, deliveries]) => describeNotifications(deliveries)
+          .map(line => `<div>${NOTIFICATION_LABELS[event] || event} – ${line}</div>`).join('')).join('')}
+      </div>` : ''}
       <div style="display:flex; gap:8px; justify-content:flex-end; margin-top:8px;">
         <button class="btn small secondary" id="tpClose">Close</button>
       </div>
@@ -5636,10 +7551,12 @@ function renderAssignedTicketsForManager() {
       <td>${empName}</td>
       <td>${t.acceptedDate || "-"}</td>
       <td>${t.status}</td>
+      <td>${slaBadge(t)}</td>
       <td>
         ${t.status === "Quotation Ready" ? '<button class="btn small primary" data-forward-quotation="' + t.id + '">Send Quotation to Sales</button>' : ''}
         ${t.status === "Reported" && !t.verifiedByManager ? '<button class="btn small primary" data-verify="' + t.id + '">Verify</button>' : ''}
         ${t.status !== "Finished" ? '<button class="btn small secondary" data-reassign="' + t.id + '">Reassign</button>' : ''}
+        ${t.status !== "Finished" && t.status !== "Reported" ? '<button class="btn small secondary" data-wait-customer="' + t.id + '">' + (t.waitingOnCustomer ? 'Resume SLA' : 'Waiting on Customer') + '</button>' : ''}
         ${t.status === "Manager Site Visit" ? '<button class="btn small primary" data-manager-sitevisit="' + t.id + '">Submit Site Visit Report</button>' : ''}
         <div data-manager-sitevisit-box="${t.id}" class="hidden" style="margin-top:6px; display:flex; flex-direction:column; gap:6px;">
           <select data-manager-sitevisit-status="${t.id}">
@@ -5648,7 +7565,7 @@ function renderAssignedTicketsForManager() {
             <option value="Not Visited">Not Visited</option>
           </select>
           <textarea data-manager-sitevisit-quotation="${t.id}" placeholder="Quotation Description"></textarea>
-          <input data-manager-sitevisit-photo="${t.id}" type="file" accept="image/*" />
+          <input data-manager-sitevisit-photo="${t.id}" type="file" accept="image/*" multiple />
           <button class="btn small primary" data-manager-sitevisit-submit="${t.id}">Submit</button>
         </div>
       </td>
@@ -5664,6 +7581,17 @@ function renderAssignedTicketsForManager() {
     };
   });
 
+  // The SLA clock stops while the ticket waits on the customer
+  Array.from(tbody.querySelectorAll("button[data-wait-customer]")).forEach(btn => {
+    btn.onclick = () => {
+      const ticket = tickets.find(t => t.id === btn.getAttribute("data-wait-customer"));
+      if (!ticket) return;
+      ticket.waitingOnCustomer = !ticket.waitingOnCustomer;
+      logAction('manager', ticket.waitingOnCustomer ? 'sla_paused' : 'sla_resumed', ticket.id);
+      renderAssignedTicketsForManager();
+    };
+  });
+
   Array.from(tbody.querySelectorAll("button[data-reassign]")).forEach(btn => {
     btn.onclick = () => {
       const ticketId = btn.getAttribute("data-reassign");
@@ -5759,24 +7687,21 @@ function renderAssignedTicketsForManager() {
       const photoEl = tbody.querySelector(`input[data-manager-sitevisit-photo="${ticketId}"]`);
       const status = statusEl ? statusEl.value : '';
       const quotation = remarksEl ? remarksEl.value.trim() : '';
-      const file = photoEl && photoEl.files ? photoEl.files[0] : null;
+      const hasPhoto = !!(photoEl && photoEl.files && photoEl.files.length);
       if (!status) { const e = $("mgrActionErr"); if (e) e.textContent = "Select site visited status."; return; }
       if (!quotation) { const e = $("mgrActionErr"); if (e) e.textContent = "Enter quotation description."; return; }
-      if (!file) { const e = $("mgrActionErr"); if (e) e.textContent = "Attach a requirements photo."; return; }
-      const reader = new FileReader();
-      reader.onload = () => {
+      if (!hasPhoto) { const e = $("mgrActionErr"); if (e) e.textContent = "Attach a requirements photo."; return; }
+      withUploadedPhotos(photoEl, ticketId, 'siteVisit', $("mgrActionErr"), photoIds => {
         t.siteVisited = status === 'Visited';
         t.engineerRemarks = quotation;
-        t.siteVisitPhotoName = file.name;
-        t.siteVisitPhotoData = reader.result;
+        t.siteVisitPhotoIds = photoIds;
         t.status = 'Quotation Ready';
         t.reportedToManager = true;
         t.awaitingManagerQuotationReview = true;
         renderAssignedTicketsForManager();
         const msg = $("mgrActionMsg");
         if (msg) msg.textContent = "Site visit report submitted. Forward to Sales for approval.";
-      };
-      reader.readAsDataURL(file);
+      });
     };
   });
 }
@@ -5793,15 +7718,15 @@ function renderSalesApprovalsForManager() {
   list.forEach(t => {
     const tr = document.createElement('tr');
     const desc = t.engineerRemarks || t.managerSiteVisitDescription || t.noSiteVisitDescription || '-';
-    const photo = t.siteVisitPhotoData || t.managerSiteVisitPhotoData || t.noSiteVisitPhotoData || '';
-    const photoHtml = photo ? `<img src="${photo}" alt="Photo" style="max-width:80px; border-radius:6px;"/>` : '-';
+    const photoHtml = ticketPhotosHtml(t.siteVisitPhotoIds, t.siteVisitPhotoData) ||
+      ticketPhotosHtml(t.managerSiteVisitPhotoIds, t.managerSiteVisitPhotoData) ||
+      ticketPhotosHtml(t.noSiteVisitPhotoIds, t.noSiteVisitPhotoData) || '-';
     const employeeOptions = employees
       .filter(e => e.managerId === myManagerId || !e.managerId)
       .map(e => `<option value="${e.id}">${e.name}</option>`)
       .join('');
     const declineInfo = t.salesEmployeeDeclined ? (t.salesEmployeeDeclineRemark || '') : '';
-    const declinePhoto = t.salesEmployeeDeclined ? (t.salesEmployeeDeclinePhotoData || '') : '';
-    const declinePhotoHtml = declinePhoto ? `<img src="${declinePhoto}" alt="Decline Photo" style="max-width:80px; border-radius:6px;"/>` : '';
+    const declinePhotoHtml = t.salesEmployeeDeclined ? ticketPhotosHtml(t.salesEmployeeDeclinePhotoIds, t.salesEmployeeDeclinePhotoData, 'Decline Photo') : '';
     const actionHtml = t.salesEmployeeDeclined
       ? `<div style="margin-bottom:6px; font-size:12px; color:rgba(255,255,255,0.8)">Declined by employee: ${declineInfo || '-'}</div>${declinePhotoHtml ? `<div>${declinePhotoHtml}</div>` : ''}<button class="btn small secondary" data-sales-reject="${t.id}">Cancel Ticket</button>`
       : (!t.salesVerification
@@ -5817,6 +7742,7 @@ function renderSalesApprovalsForManager() {
     `;
     tbody.appendChild(tr);
   });
+  loadAttachmentThumbs(tbody);
 
   Array.from(tbody.querySelectorAll('button[data-sales-approve]')).forEach(btn => {
     btn.onclick = () => {
@@ -5994,6 +7920,39 @@ function renderHandoverApprovalsForManager() {
     };
   });
 }
+
+/* Incomplete jobs whose follow-up date has come, as worked out by the
+   backend scheduler (GET /api/follow-ups/overdue) */
+async function renderManagerFollowUps() {
+  const tbody = $("followUpsTableBody");
+  if (!tbody) return;
+  const err = $("followUpsErr");
+  const result = await apiSync('/follow-ups/overdue');
+  if (!result || !Array.isArray(result.items)) {
+    err.textContent = (result && result.error) || "Unable to load follow-ups.";
+    return;
+  }
+  err.textContent = "";
+  tbody.innerHTML = result.items.length ? "" : '<tr><td colspan="6">No follow-ups due.</td></tr>';
+  result.items.forEach(f => {
+    const emp = employees.find(e => e.id === f.engineerId);
+    const overdue = f.daysOverdue === 0 ? 'Due today' : `${f.daysOverdue} day${f.daysOverdue === 1 ? '' : 's'}`;
+    const tr = document.createElement("tr");
+    tr.innerHTML = `
+      <td><button class="btn small primary" data-view-ticket="${f.ticketId}">${f.ticketId}</button></td>
+      <td>${f.customerName}</td>
+      <td>${emp ? emp.name : (f.engineerId || "-")}</td>
+      <td>${f.nextFollowUpDate}</td>
+      <td>${f.pendingReason || "-"}</td>
+      <td>${overdue}${f.escalated ? ' <span class="followup-escalated" title="Past the ' + result.graceDays + '-day grace period">Escalated</span>' : ''}</td>
+    `;
+    tbody.appendChild(tr);
+  });
+  Array.from(tbody.querySelectorAll("button[data-view-ticket]")).forEach(btn => {
+    btn.onclick = () => showTicketProgress(btn.getAttribute("data-view-ticket"));
+  });
+}
+
 function renderFinanceTickets() {
   const tbody = $("financeTicketsTableBody");
   if (!tbody) return;
@@ -6043,6 +8002,7 @@ function renderHelpDeskTickets() {
       <td>${t.customerName}</td>
       <td>${t.callType || '-'}</td>
       <td>${t.status}</td>
+      <td>${slaBadge(t)}</td>
       <td><button class="btn small primary" data-hd-process="${t.id}">Process</button></td>
     `;
     tbody.appendChild(tr);
@@ -6096,7 +8056,7 @@ function setupHelpDeskHandlers() {
   };
   populateHdCustomers();
   if (hdAddCustBtn) {
-    hdAddCustBtn.onclick = () => {
+    hdAddCustBtn.onclick = async () => {
       $("hdCreateErr").textContent = '';
       $("hdCreateMsg").textContent = '';
       const name = $("hdNewCustName").value.trim();
@@ -6104,7 +8064,8 @@ function setupHelpDeskHandlers() {
       const phone = $("hdNewCustPhone").value.trim();
       if (!name || !email || !phone) { $("hdCreateErr").textContent = 'Enter name, email, and phone.'; return; }
       if (!email.includes('@')) { $("hdCreateErr").textContent = 'Enter a valid email.'; return; }
-      const id = generateCustomerId();
+      const id = await reserveId('customer');
+      if (!id) { $("hdCreateErr").textContent = ID_UNAVAILABLE; return; }
       customers.push({ id, type: 'individual', name, phone, email, address: '', gst: '', contactPerson: '', companyId: '' });
       populateHdCustomers();
       if (hdCustSel) hdCustSel.value = id;
@@ -6115,7 +8076,7 @@ function setupHelpDeskHandlers() {
     };
   }
   if (hdCreateBtn) {
-    hdCreateBtn.onclick = () => {
+    hdCreateBtn.onclick = async () => {
       $("hdCreateErr").textContent = '';
       $("hdCreateMsg").textContent = '';
       const custId = hdCustSel ? hdCustSel.value : '';
@@ -6124,7 +8085,8 @@ function setupHelpDeskHandlers() {
       const desc = $("hdNewDesc").value.trim();
       if (!custId || !callType || !title || !desc) { $("hdCreateErr").textContent = 'Fill all fields above.'; return; }
       const cust = customers.find(c => c.id === custId);
-      const id = generateTicketId();
+      const id = await reserveId('ticket');
+      if (!id) { $("hdCreateErr").textContent = ID_UNAVAILABLE; return; }
       tickets.push({
         id,
         customerId: cust ? cust.id : null,
@@ -6293,17 +8255,8 @@ function setupOtherEmployeeForm() {
     };
   }
 
-  function generateFrontOfficeId() {
-    const num = frontOfficeUsers.length + 1;
-    return 'F' + String(num).padStart(3, '0');
-  }
-  function generateFinanceId() {
-    const num = financeUsers.length + 1;
-    return 'FN' + String(num).padStart(3, '0');
-  }
-
   if (saveBtn) {
-    saveBtn.onclick = () => {
+    saveBtn.onclick = async () => {
       const name = $("otherName").value.trim();
       const email = $("otherEmail").value.trim();
       const username = $("otherUsername").value.trim();
@@ -6329,10 +8282,12 @@ function setupOtherEmployeeForm() {
         $("otherAddMsg").textContent = `User ${name} updated successfully!`;
       } else {
         if (role === 'finance') {
-          const id = generateFinanceId();
+          const id = await reserveId('finance');
+          if (!id) { $("otherAddErr").textContent = ID_UNAVAILABLE; return; }
           financeUsers.push({ id, name, email, username, password, phone, role: 'finance', department: 'Finance' });
         } else {
-          const id = generateFrontOfficeId();
+          const id = await reserveId('frontoffice');
+          if (!id) { $("otherAddErr").textContent = ID_UNAVAILABLE; return; }
           frontOfficeUsers.push({ id, name, email, username, password, phone, role: 'frontoffice', department: 'Front Office' });
         }
         $("otherAddMsg").textContent = `User ${name} added successfully!`;
@@ -6362,22 +8317,3 @@ function setupOtherEmployeeForm() {
       if (box) box.classList.toggle("hidden");
     };
   });
-async function syncFromFirebase() {
-    console.log("Syncing with Firebase...");
-    const remoteTickets = await apiSync('/load/tickets');
-    if (remoteTickets && remoteTickets.length > 0) {
-        tickets = remoteTickets;
-        if(typeof renderTickets === 'function') renderTickets();
-    }
-    const remoteAttendance = await apiSync('/load/attendance');
-    if (remoteAttendance && remoteAttendance.length > 0) {
-        attendance = remoteAttendance;
-    }
-}
-// Run sync on load
-window.addEventListener('load', syncFromFirebase);
-// Automatically fetch data from Firebase when the page opens
-window.addEventListener('DOMContentLoaded', () => {
-    syncFromFirebase();
-});
-
@@ -0,0 +1,8 @@
+// Deployment settings read by app.js at start-up. Each environment serves
+// its own copy of this file, so the same app.js can talk to any backend.
+window.TERAIT_CONFIG = {
+  // Backend origin, without /api; leave empty to use the page's own origin
+  apiUrl: 'https://terait-backend.onrender.com',
+  // API version the dashboards were built against (routes live under /api/<version>)
+  apiVersion: 'v1'
+};